@@ -0,0 +1,151 @@
+/**
+ * Coordinator Patient Action Endpoint
+ *
+ * POST /api/admin/patient-action
+ *
+ * Lets clinic staff pause, resume, change the check-in time of,
+ * reschedule the next check-in of, or unsubscribe a patient — through
+ * the state machine, not by editing rows. See lib/handlers/admin-actions.js.
+ *
+ * Authorization: Bearer <staff API key> (staff_users, migration 018;
+ * create one with `npm run staff:add -- "<name>" [email]`).
+ *
+ * Request body:
+ *   {
+ *     patientId: string (required, UUID),
+ *     action: "PAUSE" | "RESUME" | "SET_TIME" | "RESCHEDULE" | "UNSUBSCRIBE" (required),
+ *     reason: string (required — why, recorded with the action),
+ *     notify: boolean (optional, default false — text the patient about it),
+ *     time: string (SET_TIME only, e.g. "8am", "20:30"),
+ *     scheduledFor: string (RESCHEDULE only, ISO 8601 with offset, in the future)
+ *   }
+ *
+ * Response:
+ *   200: { patientId, action, state, details, notified, notifySkipped }
+ *        notifySkipped is the send-policy reason (QUIET_HOURS, DAILY_CAP)
+ *        when notify was asked for but the text wasn't sent
+ *   400: { error } — validation failure
+ *   401: { error } — missing or unknown API key
+ *   404: { error } — no such patient
+ *   409: { error, state } — the action doesn't apply to the patient's
+ *        state, or the state changed while it was being applied
+ *   500: { error } — server error
+ */
+
+const { ADMIN_ACTIONS, authenticateStaff, performAdminAction } = require('../../lib/handlers/admin-actions');
+const { TRANSITION_STATUS } = require('../../lib/state-machine/transitions');
+const { parseTime } = require('../../lib/utils/parse-time');
+
+// patients.patient_id is a UUID; anything else would be a Postgres error
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Offset required, so "9:00" can't silently mean UTC
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})$/;
+
+const STATUS_CODES = {
+    [TRANSITION_STATUS.NOT_FOUND]: 404,
+    [TRANSITION_STATUS.INVALID]: 409,
+    [TRANSITION_STATUS.CONFLICT]: 409,
+    [TRANSITION_STATUS.FAILED]: 500,
+};
+
+module.exports = async function handler(req, res) {
+    // --- Only accept POST ---
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // --- Authenticate ---
+    const staff = await authenticateStaff(req);
+    if (!staff) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    try {
+        const {
+            patientId,
+            action,
+            reason,
+            notify = false,
+            time = null,
+            scheduledFor = null,
+        } = req.body || {};
+
+        // --- Validate ---
+        if (!patientId || typeof patientId !== 'string') {
+            return res.status(400).json({ error: 'patientId is required' });
+        }
+
+        if (!UUID_PATTERN.test(patientId)) {
+            return res.status(400).json({ error: 'patientId must be a UUID' });
+        }
+
+        if (!ADMIN_ACTIONS.includes(action)) {
+            return res.status(400).json({ error: `action must be one of: ${ADMIN_ACTIONS.join(', ')}` });
+        }
+
+        if (!reason || typeof reason !== 'string' || reason.trim().length === 0) {
+            return res.status(400).json({ error: 'reason is required' });
+        }
+
+        if (typeof notify !== 'boolean') {
+            return res.status(400).json({ error: 'notify must be true or false' });
+        }
+
+        let parsedTime = null;
+        if (action === 'SET_TIME') {
+            parsedTime = parseTime(time);
+            if (!parsedTime) {
+                return res.status(400).json({ error: 'time is required for SET_TIME (e.g., "8am" or "20:30")' });
+            }
+        }
+
+        let scheduledDate = null;
+        if (action === 'RESCHEDULE') {
+            scheduledDate = ISO_TIMESTAMP.test(scheduledFor || '') ? new Date(scheduledFor) : null;
+            if (!scheduledDate || Number.isNaN(scheduledDate.getTime())) {
+                return res.status(400).json({
+                    error: 'scheduledFor is required for RESCHEDULE (ISO 8601 with offset, e.g., "2026-03-17T09:30:00-04:00")',
+                });
+            }
+            if (scheduledDate <= new Date()) {
+                return res.status(400).json({ error: 'scheduledFor must be in the future' });
+            }
+        }
+
+        // --- Apply ---
+        const result = await performAdminAction(staff, {
+            patientId,
+            action,
+            reason: reason.trim(),
+            notify,
+            time: parsedTime,
+            scheduledFor: scheduledDate,
+        });
+
+        if (result.status !== TRANSITION_STATUS.APPLIED) {
+            const statusCode = STATUS_CODES[result.status] || 500;
+            if (statusCode === 500) {
+                console.error(`Admin ${action} failed for ${patientId}: ${result.error}`);
+                return res.status(500).json({ error: 'Admin action failed' });
+            }
+            return res.status(statusCode).json({
+                error: result.error,
+                ...(result.patient ? { state: result.patient.state } : {}),
+            });
+        }
+
+        return res.status(200).json({
+            patientId: result.patient.patient_id,
+            action,
+            state: result.patient.state,
+            details: result.details,
+            notified: result.notified,
+            notifySkipped: result.notifySkipped,
+        });
+
+    } catch (error) {
+        console.error('Admin action error:', error);
+        return res.status(500).json({ error: 'Admin action failed' });
+    }
+};
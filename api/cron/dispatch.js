@@ -10,16 +10,24 @@
  * Pipeline (per SMS Implementation Spec §2.3, §6):
  *   1. Authenticate request (cron secret or Vercel Cron header)
  *   2. Call get_and_lock_due_jobs() — atomic SELECT FOR UPDATE SKIP LOCKED
- *   3. For each job, look up patient state and run job-type-specific logic
- *   4. Mark completed and reschedule recurring jobs (or mark failed with retry)
+ *   3. For each job, look up patient state and check the send policy —
+ *      jobs blocked by quiet hours or the daily cap are deferred, not dropped
+ *      (check-ins ignore quiet hours; a daily check-in over the cap gives
+ *      way to tomorrow's)
+ *   4. Run job-type-specific logic
+ *   5. Mark completed and reschedule recurring jobs (or mark failed with retry)
  * 
  * Job types handled:
  *   - DAILY_CHECKIN: Send D-1, check for proactive response, update missed count
  *   - WEEKLY_QUESTION: Send W-1/W-2/W-3 based on week rotation
+ *   - WEEKLY_CHECKIN: Send W-CHECKIN to WEEKLY patients (days + worst level)
  *   - INSIGHT: Send I-5/I-10/I-14/I-21/I-30 (queued by response handler)
  *   - RE_ENGAGEMENT: Send D-RE3 or D-RE5 based on consecutive_missed
  *   - TRANSITION: Send T-1 day 30 options
- *   - ONBOARD_REMINDER: Re-send O-1 if no START reply after 24h
+ *   - ONBOARD_REMINDER: Remind a patient stuck at O-1 (START), O-2 (time) or O-3 (appointment)
+ *   - ONBOARD_EXPIRY: Move a patient who never finished onboarding to DORMANT
+ *   - PAUSE_REMINDER: Send SYS-PAUSE-FINAL to long-paused patients, queue PAUSE_EXPIRY
+ *   - PAUSE_EXPIRY: Move a patient who didn't resume to DORMANT, abandon the sprint
  * 
  * Concurrency safety: get_and_lock_due_jobs uses SKIP LOCKED, so if
  * the cron fires twice (overlap), the second invocation sees no jobs.
@@ -27,12 +35,22 @@
  * Target: process all jobs in <10 seconds for 50 patients.
  */
 
-const { supabase } = require('../../lib/supabase');
+const repos = require('../../lib/repositories');
 const { sendSMS } = require('../../lib/twilio');
-const { getDueJobs, markJobCompleted, markJobFailed } = require('../../lib/services/scheduler');
-const { getPatientState, transitionState } = require('../../lib/state-machine/transitions');
-const { cancelPatientJobs, scheduleOneShot } = require('../../lib/services/scheduler');
+const { getDueJobs, markJobCompleted, markJobFailed, deferJob } = require('../../lib/services/scheduler');
+const { getPatientState, transitionState, TRANSITION_STATUS, TRACKING_STATES } = require('../../lib/state-machine/transitions');
+const { scheduleOneShot } = require('../../lib/services/scheduler');
 const { render } = require('../../lib/templates');
+const { patientToday, daysBetween } = require('../../lib/utils/dates');
+const { checkSendPolicy, isOnTimeCheckin } = require('../../lib/services/send-policy');
+const { buildWelcome } = require('../../lib/services/enrollment');
+const { getPauseExpiryConfig, schedulePauseExpiry, abandonSprint } = require('../../lib/services/pause-expiry');
+const {
+    getOnboardReminderConfig,
+    isStalledAt,
+    pendingOnboardMessage,
+    scheduleNextOnboardJob,
+} = require('../../lib/services/onboard-reminders');
 
 // ============================================================================
 // MAIN HANDLER
@@ -133,6 +151,31 @@ async function processJob(job) {
             return;
         }
 
+        // Quiet hours / daily cap: push the whole job to the next allowed window
+        if (!SILENT_JOB_TYPES.has(job.job_type)) {
+            const kind = CHECKIN_JOB_TYPES.has(job.job_type) && isOnTimeCheckin({
+                preferredTime: patient.preferred_time,
+                scheduledFor: job.scheduled_for,
+                timezone: patient.timezone,
+                now: new Date(),
+            }) ? 'CHECKIN' : 'SCHEDULED';
+            const policy = await checkSendPolicy(patient, { kind });
+
+            // Deferred to tomorrow morning, today's check-in would share the
+            // day with tomorrow's — skip it; the recurrence queues tomorrow's
+            if (!policy.allowed && job.recurrence === 'daily') {
+                console.log(`Skipping today's ${job.job_type} for ${patient.patient_id} (${policy.reason})`);
+                await markJobCompleted(job.job_id);
+                return;
+            }
+
+            if (!policy.allowed) {
+                console.log(`Deferring ${job.job_type} for ${patient.patient_id} (${policy.reason}) to ${policy.retryAt.toISOString()}`);
+                await deferJob(job.job_id, policy.retryAt, policy.reason);
+                return;
+            }
+        }
+
         await handler(job, patient);
 
         // Mark completed (also reschedules if recurring)
@@ -151,40 +194,43 @@ async function processJob(job) {
 const JOB_HANDLERS = {
     DAILY_CHECKIN: handleDailyCheckin,
     WEEKLY_QUESTION: handleWeeklyQuestion,
+    WEEKLY_CHECKIN: handleWeeklyCheckin,
     INSIGHT: handleInsight,
     RE_ENGAGEMENT: handleReEngagement,
     TRANSITION: handleTransition,
     ONBOARD_REMINDER: handleOnboardReminder,
+    ONBOARD_EXPIRY: handleOnboardExpiry,
+    PAUSE_REMINDER: handlePauseReminder,
+    PAUSE_EXPIRY: handlePauseExpiry,
     REPORT_GENERATION: handleReportGeneration,
 };
 
+// Job types that never text the patient — not subject to the send policy
+const SILENT_JOB_TYPES = new Set(['REPORT_GENERATION', 'PAUSE_EXPIRY', 'ONBOARD_EXPIRY']);
+
+// Check-ins at the patient's chosen time — not held for quiet hours while on time
+const CHECKIN_JOB_TYPES = new Set(['DAILY_CHECKIN', 'WEEKLY_CHECKIN']);
+
 /**
  * DAILY_CHECKIN: Send the daily "How's your head today?" message.
  * 
  * Per spec §6.2 decision tree:
- *   1. Check patient is still DAILY_ACTIVE (skip if stale)
+ *   1. Check patient is still DAILY_ACTIVE or TREATMENT (skip if stale)
  *   2. Check for proactive response (patient texted before prompt)
  *   3. Send D-1 check-in
  *   4. Check if weekly question is due → queue for next day
  *   5. Check consecutive_missed → queue re-engagement if needed
  */
 async function handleDailyCheckin(job, patient) {
-    // Guard: only process for DAILY_ACTIVE patients
-    if (patient.state !== 'DAILY_ACTIVE') {
+    // Guard: only process for patients tracking daily
+    if (!TRACKING_STATES.includes(patient.state)) {
         console.log(`Skipping DAILY_CHECKIN for patient ${patient.patient_id}: state is ${patient.state}`);
         return;
     }
 
     // Check if patient already responded today (proactive response)
-    const today = new Date().toISOString().split('T')[0];
-    const { data: existingEntry } = await supabase
-        .from('daily_entries')
-        .select('entry_id')
-        .eq('patient_id', patient.patient_id)
-        .eq('entry_date', today)
-        .eq('is_missed', false)
-        .limit(1)
-        .single();
+    const today = patientToday(patient);
+    const existingEntry = await repos.entries.getAnswered(patient.patient_id, today);
 
     if (existingEntry) {
         // Patient already responded today — skip the prompt
@@ -196,7 +242,7 @@ async function handleDailyCheckin(job, patient) {
     await sendSMS(
         patient.patient_id,
         patient.phone_number,
-        render('D-1', { firstName: patient.first_name }),
+        render('D-1', { firstName: patient.first_name }, patient.language),
         'D-1'
     );
 
@@ -214,7 +260,7 @@ async function handleDailyCheckin(job, patient) {
  * Payload should contain: { questionType: 'ACUTE_MEDS' | 'MISSED_ACTIVITIES' | 'TRIGGERS', weekNumber }
  */
 async function handleWeeklyQuestion(job, patient) {
-    if (patient.state !== 'DAILY_ACTIVE') return;
+    if (!TRACKING_STATES.includes(patient.state)) return;
 
     const { questionType, weekNumber } = job.payload;
 
@@ -230,41 +276,71 @@ async function handleWeeklyQuestion(job, patient) {
     }
 
     // Get active sprint
-    const { data: sprint } = await supabase
-        .from('sprints')
-        .select('sprint_id')
-        .eq('patient_id', patient.patient_id)
-        .eq('status', 'ACTIVE')
-        .single();
+    const sprint = await repos.sprints.getActive(patient.patient_id);
 
     if (!sprint) return;
 
     // Insert the weekly_entries row (asked, not yet responded)
-    await supabase
-        .from('weekly_entries')
-        .insert({
-            patient_id: patient.patient_id,
-            sprint_id: sprint.sprint_id,
-            question_type: questionType,
-            week_number: weekNumber,
-            asked_at: new Date().toISOString(),
-        });
+    await repos.weeklyEntries.insert({
+        patient_id: patient.patient_id,
+        sprint_id: sprint.sprint_id,
+        question_type: questionType,
+        week_number: weekNumber,
+        asked_at: new Date().toISOString(),
+    });
 
     // Set pending question so the state handler routes the response correctly
-    await supabase
-        .from('patients')
-        .update({ pending_question: 'WEEKLY_RESPONSE' })
-        .eq('patient_id', patient.patient_id);
+    await repos.patients.update(patient.patient_id, { pending_question: 'WEEKLY_RESPONSE' });
 
     // Send the question
     await sendSMS(
         patient.patient_id,
         patient.phone_number,
-        render(templateId),
+        render(templateId, {}, patient.language),
         templateId
     );
 }
 
+/**
+ * WEEKLY_CHECKIN: Send the weekly monitoring check-in (W-CHECKIN).
+ *
+ * Recurs weekly (markJobCompleted queues next week's). The answer lands
+ * on the weekly_entries row inserted here; handleWeekly() finds it as the
+ * open WEEKLY_CHECKIN entry. An unanswered check-in from last week just
+ * stays unanswered.
+ */
+async function handleWeeklyCheckin(job, patient) {
+    if (patient.state !== 'WEEKLY') {
+        console.log(`Skipping WEEKLY_CHECKIN for patient ${patient.patient_id}: state is ${patient.state}`);
+        return;
+    }
+
+    const sprint = await repos.sprints.getActive(patient.patient_id);
+    if (!sprint) return;
+
+    const weekNumber = Math.max(Math.floor(daysBetween(sprint.start_date, patientToday(patient)) / 7), 1);
+
+    await repos.weeklyEntries.insert({
+        patient_id: patient.patient_id,
+        sprint_id: sprint.sprint_id,
+        question_type: 'WEEKLY_CHECKIN',
+        week_number: weekNumber,
+        asked_at: new Date().toISOString(),
+    });
+
+    // A worst level still owed from last week no longer applies
+    if (patient.pending_question) {
+        await repos.patients.update(patient.patient_id, { pending_question: null });
+    }
+
+    await sendSMS(
+        patient.patient_id,
+        patient.phone_number,
+        render('W-CHECKIN', { firstName: patient.first_name }, patient.language),
+        'W-CHECKIN'
+    );
+}
+
 /**
  * INSIGHT: Send an insight reflection message.
  * 
@@ -284,7 +360,7 @@ async function handleInsight(job, patient) {
     await sendSMS(
         patient.patient_id,
         patient.phone_number,
-        render(templateId, templateData || {}),
+        render(templateId, templateData || {}, patient.language),
         templateId
     );
 }
@@ -301,19 +377,29 @@ async function handleReEngagement(job, patient) {
     const { type } = job.payload;
 
     if (type === 'D-RE5') {
-        // 5+ missed: transition to PAUSED and cancel further jobs
-        await transitionState(
+        // 5+ missed: transition to PAUSED (which cancels further jobs).
+        // If the patient replied or texted PAUSE/STOP since this job was
+        // queued, the state has moved on: don't pause them, don't send.
+        const transition = await transitionState(
             patient.patient_id,
             'PAUSED',
             'SYSTEM_TIMER',
-            `5 consecutive missed days (consecutive_missed: ${patient.consecutive_missed})`
+            `5 consecutive missed days (consecutive_missed: ${patient.consecutive_missed})`,
+            {},
+            { expectedState: TRACKING_STATES.includes(patient.state) ? patient.state : 'DAILY_ACTIVE' }
         );
-        await cancelPatientJobs(patient.patient_id);
+        if (transition.status === TRANSITION_STATUS.CONFLICT) {
+            console.log(`Skipping D-RE5 for ${patient.patient_id}: ${transition.error}`);
+            return;
+        }
+        if (!transition.success) {
+            throw new Error(transition.error);
+        }
 
         await sendSMS(
             patient.patient_id,
             patient.phone_number,
-            render('D-RE5', { firstName: patient.first_name }),
+            render('D-RE5', { firstName: patient.first_name }, patient.language),
             'D-RE5'
         );
     } else {
@@ -321,7 +407,7 @@ async function handleReEngagement(job, patient) {
         await sendSMS(
             patient.patient_id,
             patient.phone_number,
-            render('D-RE3', { firstName: patient.first_name }),
+            render('D-RE3', { firstName: patient.first_name }, patient.language),
             'D-RE3'
         );
     }
@@ -329,46 +415,129 @@ async function handleReEngagement(job, patient) {
 
 /**
  * TRANSITION: Send the day 30 transition message (T-1).
- * This is queued by the response handler when day_count reaches 30.
+ * Queued on entering TRANSITION (see STATE_CHART) when day_count reaches 30.
  */
 async function handleTransition(job, patient) {
+    if (patient.state !== 'TRANSITION') return;
+
     await sendSMS(
         patient.patient_id,
         patient.phone_number,
-        render('T-1', { firstName: patient.first_name }),
+        render('T-1', { firstName: patient.first_name }, patient.language),
         'T-1'
     );
 }
 
 /**
- * ONBOARD_REMINDER: Re-send welcome message if patient hasn't replied START.
- * Only fires if patient is still in ENROLLED state after 24h.
+ * ONBOARD_REMINDER: Nudge a patient stuck at an onboarding step, then
+ * queue the next reminder or, after the last one, the ONBOARD_EXPIRY.
+ *   O-1 unanswered — O-1 again; the last reminder is O-1-FINAL
+ *   ENROLL-NAME / O-2 / O-3 — ENROLL-NAME-REMIND / O-2-REMIND / O-3-REMIND;
+ *                    the last is ENROLL-NAME-FINAL / O-2-FINAL / O-3-FINAL
+ * Jobs queued before the cadence existed have no payload: those are the
+ * first ENROLLED reminder, counted from enrollment.
  */
 async function handleOnboardReminder(job, patient) {
-    if (patient.state !== 'ENROLLED') return;
+    const { step = 'ENROLLED', reminder = 1, since = patient.created_at } = job.payload || {};
+    if (!isStalledAt(patient, step)) return;
 
-    const templateId = patient.pcp_provider_id ? 'O-1-PCP' : 'O-1-SELF';
-    const templateData = {
-        firstName: patient.first_name,
-    };
+    const isLast = reminder >= getOnboardReminderConfig().reminderHours.length;
 
-    // For PCP-initiated, we need the provider name
-    if (patient.pcp_provider_id) {
-        const { data: provider } = await supabase
-            .from('providers')
-            .select('provider_name')
-            .eq('provider_id', patient.pcp_provider_id)
-            .single();
+    const unanswered = pendingOnboardMessage(patient);
 
-        templateData.pcpName = provider?.provider_name || 'your doctor';
+    let message;
+    if (unanswered === 'O-1' && !isLast) {
+        message = await buildWelcome(patient);
+    } else {
+        const templateId = `${unanswered}-${isLast ? 'FINAL' : 'REMIND'}`;
+        message = {
+            reply: render(templateId, { firstName: patient.first_name }, patient.language),
+            templateId,
+        };
     }
 
+    await sendSMS(patient.patient_id, patient.phone_number, message.reply, message.templateId);
+
+    await scheduleNextOnboardJob(patient.patient_id, { step, reminder, since });
+}
+
+/**
+ * ONBOARD_EXPIRY: No reply after the last onboarding reminder. Move the
+ * patient to DORMANT; the audit row records where they dropped off
+ * (v_onboarding_dropoffs). START brings them back.
+ */
+async function handleOnboardExpiry(job, patient) {
+    const { step = 'ENROLLED', since = patient.created_at } = job.payload || {};
+    if (!isStalledAt(patient, step)) return;
+
+    const transition = await transitionState(
+        patient.patient_id,
+        'DORMANT',
+        'SYSTEM_TIMER',
+        `Onboarding drop-off at ${pendingOnboardMessage(patient)}: no reply since ${since}`,
+        {},
+        { expectedState: patient.state }
+    );
+    if (transition.status === TRANSITION_STATUS.CONFLICT) {
+        console.log(`Skipping ONBOARD_EXPIRY for ${patient.patient_id}: ${transition.error}`);
+        return;
+    }
+    if (!transition.success) {
+        throw new Error(transition.error);
+    }
+}
+
+/**
+ * PAUSE_REMINDER: One last "want to resume?" to a patient paused for
+ * PAUSE_EXPIRY_DAYS. Queued on entering PAUSED (see STATE_CHART); if they
+ * haven't resumed by the PAUSE_EXPIRY, they go DORMANT.
+ */
+async function handlePauseReminder(job, patient) {
+    if (patient.state !== 'PAUSED') return;
+
+    const pausedDays = job.payload?.expiryDays || getPauseExpiryConfig().expiryDays;
+
     await sendSMS(
         patient.patient_id,
         patient.phone_number,
-        render(templateId, templateData),
-        templateId
+        render('SYS-PAUSE-FINAL', { firstName: patient.first_name, pausedDays }, patient.language),
+        'SYS-PAUSE-FINAL'
     );
+
+    await schedulePauseExpiry(patient.patient_id);
+}
+
+/**
+ * PAUSE_EXPIRY: No reply to SYS-PAUSE-FINAL. Move the patient to DORMANT
+ * and close the sprint as ABANDONED (with a partial report token if enough
+ * days were answered). START brings them back with a new sprint.
+ */
+async function handlePauseExpiry(job, patient) {
+    if (patient.state !== 'PAUSED') return;
+
+    const sprint = await repos.sprints.getActive(patient.patient_id);
+
+    // If the patient resumed or texted STOP since this job was locked,
+    // the state has moved on: leave them be.
+    const transition = await transitionState(
+        patient.patient_id,
+        'DORMANT',
+        'SYSTEM_TIMER',
+        `Pause expired: no reply to SYS-PAUSE-FINAL${sprint ? ` (sprint ${sprint.sprint_id} abandoned)` : ''}`,
+        {},
+        { expectedState: 'PAUSED' }
+    );
+    if (transition.status === TRANSITION_STATUS.CONFLICT) {
+        console.log(`Skipping PAUSE_EXPIRY for ${patient.patient_id}: ${transition.error}`);
+        return;
+    }
+    if (!transition.success) {
+        throw new Error(transition.error);
+    }
+
+    if (sprint) {
+        await abandonSprint(sprint, patientToday(patient));
+    }
 }
 
 /**
@@ -442,16 +611,13 @@ async function checkMissedDays(patient) {
 
     if (missed === 3) {
         // Check we haven't already sent a D-RE3 recently
-        const { data: recentRE } = await supabase
-            .from('messages')
-            .select('message_id')
-            .eq('patient_id', patient.patient_id)
-            .eq('template_id', 'D-RE3')
-            .gte('sent_at', new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString())
-            .limit(1)
-            .single();
-
-        if (!recentRE) {
+        const recentRE = await repos.messages.listOutbound(patient.patient_id, {
+            templateId: 'D-RE3',
+            since: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString(),
+            limit: 1,
+        });
+
+        if (recentRE.length === 0) {
             await scheduleOneShot(patient.patient_id, 'RE_ENGAGEMENT', new Date(), {
                 type: 'D-RE3',
             });
@@ -459,19 +625,19 @@ async function checkMissedDays(patient) {
     }
 
     if (missed >= 5) {
-        const { data: recentRE5 } = await supabase
-            .from('messages')
-            .select('message_id')
-            .eq('patient_id', patient.patient_id)
-            .eq('template_id', 'D-RE5')
-            .gte('sent_at', new Date(Date.now() - 5 * 24 * 60 * 60 * 1000).toISOString())
-            .limit(1)
-            .single();
-
-        if (!recentRE5) {
+        const recentRE5 = await repos.messages.listOutbound(patient.patient_id, {
+            templateId: 'D-RE5',
+            since: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000).toISOString(),
+            limit: 1,
+        });
+
+        if (recentRE5.length === 0) {
             await scheduleOneShot(patient.patient_id, 'RE_ENGAGEMENT', new Date(), {
                 type: 'D-RE5',
             });
         }
     }
 }
+
+// Run one locked job outside the cron loop (scripts/simulate.js)
+module.exports.processJob = processJob;
@@ -8,21 +8,26 @@
  *   - PCP-initiated: provider enrolls patient from dashboard/API
  *   - Self-service: patient signs up directly
  * 
+ * Patients can also enroll themselves by text (TRACK or a provider's
+ * enrollment code) — see lib/services/enrollment.js.
+ * 
  * The patient starts in ENROLLED state and must reply START to
- * proceed to onboarding. An ONBOARD_REMINDER job is scheduled
- * for 24h later in case they don't respond.
+ * proceed to onboarding. ONBOARD_REMINDER jobs follow in case they
+ * don't respond (see lib/services/onboard-reminders.js).
  * 
  * Request body:
  *   {
  *     firstName: string (required),
  *     phoneNumber: string (required, E.164 or 10-digit),
  *     enrollmentSource: "PCP_INITIATED" | "SELF_SERVICE" (required),
- *     timezone: string (optional, defaults to "America/New_York"),
+ *     timezone: string (optional, IANA zone — inferred from the area code
+ *               if omitted, America/New_York if the area code is unknown),
  *     email: string (optional),
  *     appointmentDate: string (optional, YYYY-MM-DD),
  *     pcpProviderId: string (optional, UUID — required if PCP_INITIATED),
  *     pcpName: string (optional — used if no pcpProviderId, creates provider on the fly),
- *     payerId: string (optional, Vault_Payer_ID)
+ *     payerId: string (optional, Vault_Payer_ID),
+ *     language: string (optional, "en" | "es" — defaults to "en")
  *   }
  * 
  * Response:
@@ -34,10 +39,13 @@
  * See: SMS Flow Spec §2, Implementation Spec §2
  */
 
-const { supabase } = require('../lib/supabase');
+const repos = require('../lib/repositories');
 const { sendSMS } = require('../lib/twilio');
-const { render } = require('../lib/templates');
-const { scheduleOneShot } = require('../lib/services/scheduler');
+const { transitionState, TRANSITION_STATUS } = require('../lib/state-machine/transitions');
+const { buildWelcome } = require('../lib/services/enrollment');
+const { scheduleOnboardReminder } = require('../lib/services/onboard-reminders');
+const { parseLanguage, DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } = require('../lib/utils/language');
+const { canonicalTimezone, timezoneFromPhone } = require('../lib/utils/timezones');
 
 module.exports = async function handler(req, res) {
     // --- Only accept POST ---
@@ -50,12 +58,13 @@ module.exports = async function handler(req, res) {
             firstName,
             phoneNumber,
             enrollmentSource,
-            timezone = 'America/New_York',
+            timezone = null,
             email = null,
             appointmentDate = null,
             pcpProviderId = null,
             pcpName = null,
             payerId = null,
+            language = null,
         } = req.body;
 
         // --- Validate required fields ---
@@ -74,6 +83,13 @@ module.exports = async function handler(req, res) {
             });
         }
 
+        const resolvedLanguage = language ? parseLanguage(language) : DEFAULT_LANGUAGE;
+        if (!resolvedLanguage) {
+            return res.status(400).json({
+                error: `language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`,
+            });
+        }
+
         // --- Normalize phone number ---
         const normalizedPhone = normalizePhone(phoneNumber);
         if (!normalizedPhone) {
@@ -82,39 +98,55 @@ module.exports = async function handler(req, res) {
             });
         }
 
+        // --- Timezone: validate if given, otherwise guess from the area code ---
+        const resolvedTimezone = timezone ? canonicalTimezone(timezone) : timezoneFromPhone(normalizedPhone);
+        if (!resolvedTimezone) {
+            return res.status(400).json({
+                error: 'timezone must be an IANA timezone (e.g., "America/Chicago")',
+            });
+        }
+
         // --- Check for duplicate phone number ---
-        const { data: existing } = await supabase
-            .from('patients')
-            .select('patient_id, state')
-            .eq('phone_number', normalizedPhone)
-            .single();
+        const existing = await repos.patients.findByPhone(normalizedPhone);
 
         if (existing) {
-            // If patient previously unsubscribed, allow re-enrollment
+            // If patient previously unsubscribed, allow re-enrollment.
+            // Back to ENROLLED, so the welcome asks for START again.
             if (existing.state === 'UNSUBSCRIBED') {
-                // Reset the patient for re-enrollment
-                const { data: reactivated, error: reactivateError } = await supabase
-                    .from('patients')
-                    .update({
-                        state: 'ENROLLED',
+                const result = await transitionState(
+                    existing.patient_id,
+                    'ENROLLED',
+                    'ADMIN_ACTION',
+                    `Re-enrollment via ${enrollmentSource}`,
+                    {
                         first_name: firstName.trim(),
                         opted_out_at: null,
                         day_count: 0,
                         consecutive_missed: 0,
-                        pending_question: null,
-                    })
-                    .eq('patient_id', existing.patient_id)
-                    .select()
-                    .single();
-
-                if (reactivateError) {
-                    console.error('Re-enrollment update failed:', reactivateError);
+                        language: resolvedLanguage,
+                        ...(timezone ? { timezone: resolvedTimezone } : {}),
+                    },
+                    { expectedState: 'UNSUBSCRIBED' }
+                );
+
+                if (result.status === TRANSITION_STATUS.CONFLICT) {
+                    // Re-subscribed by text (or re-enrolled) in the meantime
+                    return res.status(409).json({
+                        error: 'Phone number already enrolled',
+                        patientId: existing.patient_id,
+                        currentState: result.patient?.state,
+                    });
+                }
+                if (!result.success) {
+                    console.error(`Re-enrollment failed for ${existing.patient_id}: ${result.error}`);
                     return res.status(500).json({ error: 'Re-enrollment failed' });
                 }
 
+                const reactivated = result.patient;
+
                 // Send welcome and schedule reminder
                 const messageSid = await sendWelcome(reactivated, pcpProviderId, pcpName);
-                await scheduleOnboardReminder(reactivated.patient_id, reactivated.timezone);
+                await scheduleOnboardReminder(reactivated.patient_id);
 
                 return res.status(201).json({
                     patientId: reactivated.patient_id,
@@ -136,18 +168,13 @@ module.exports = async function handler(req, res) {
 
         if (enrollmentSource === 'PCP_INITIATED' && !resolvedProviderId && pcpName) {
             // Create a new provider record on the fly
-            const { data: provider, error: providerError } = await supabase
-                .from('providers')
-                .insert({ provider_name: pcpName.trim() })
-                .select()
-                .single();
-
-            if (providerError) {
+            try {
+                const provider = await repos.providers.insert({ provider_name: pcpName.trim() });
+                resolvedProviderId = provider.provider_id;
+            } catch (providerError) {
                 console.error('Provider creation failed:', providerError);
                 return res.status(500).json({ error: 'Failed to create provider record' });
             }
-
-            resolvedProviderId = provider.provider_id;
         }
 
         // --- Create patient record ---
@@ -157,19 +184,17 @@ module.exports = async function handler(req, res) {
             email: email,
             state: 'ENROLLED',
             enrollment_source: enrollmentSource,
-            timezone: timezone,
+            timezone: resolvedTimezone,
             pcp_provider_id: resolvedProviderId || null,
             appointment_date: appointmentDate || null,
             payer_id: payerId || null,
+            language: resolvedLanguage,
         };
 
-        const { data: patient, error: insertError } = await supabase
-            .from('patients')
-            .insert(patientData)
-            .select()
-            .single();
-
-        if (insertError) {
+        let patient;
+        try {
+            patient = await repos.patients.insert(patientData);
+        } catch (insertError) {
             console.error('Patient creation failed:', insertError);
 
             if (insertError.code === '23505') {
@@ -181,19 +206,19 @@ module.exports = async function handler(req, res) {
         }
 
         // --- Log state transition ---
-        await supabase.from('state_transitions').insert({
+        await repos.transitions.insert({
             patient_id: patient.patient_id,
             from_state: 'ENROLLED',
             to_state: 'ENROLLED',
             trigger_type: 'ADMIN_ACTION',
             trigger_detail: `Enrollment via ${enrollmentSource}`,
-        });
+        }).catch(error => console.error('CRITICAL: State transition log failed:', error));
 
         // --- Send O-1 welcome SMS ---
         const messageSid = await sendWelcome(patient, resolvedProviderId, pcpName);
 
-        // --- Schedule onboard reminder (24h) ---
-        await scheduleOnboardReminder(patient.patient_id, timezone);
+        // --- Schedule onboard reminder ---
+        await scheduleOnboardReminder(patient.patient_id);
 
         return res.status(201).json({
             patientId: patient.patient_id,
@@ -215,44 +240,8 @@ module.exports = async function handler(req, res) {
  * Send the O-1 welcome message based on enrollment source.
  */
 async function sendWelcome(patient, providerId, pcpName) {
-    let templateId;
-    let templateData;
-
-    if (patient.enrollment_source === 'PCP_INITIATED' && providerId) {
-        // Look up provider name if we don't have it
-        let providerDisplayName = pcpName;
-        if (!providerDisplayName) {
-            const { data: provider } = await supabase
-                .from('providers')
-                .select('provider_name')
-                .eq('provider_id', providerId)
-                .single();
-            providerDisplayName = provider?.provider_name || 'your doctor';
-        }
-
-        templateId = 'O-1-PCP';
-        templateData = {
-            firstName: patient.first_name,
-            pcpName: providerDisplayName,
-        };
-    } else {
-        templateId = 'O-1-SELF';
-        templateData = {
-            firstName: patient.first_name,
-        };
-    }
-
-    const body = render(templateId, templateData);
-    return await sendSMS(patient.patient_id, patient.phone_number, body, templateId);
-}
-
-/**
- * Schedule a reminder SMS if patient hasn't replied START within 24h.
- */
-async function scheduleOnboardReminder(patientId, timezone) {
-    const reminderTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
-
-    await scheduleOneShot(patientId, 'ONBOARD_REMINDER', reminderTime, {});
+    const { reply, templateId } = await buildWelcome(patient, { providerId, providerName: pcpName });
+    return await sendSMS(patient.patient_id, patient.phone_number, reply, templateId);
 }
 
 /**
@@ -0,0 +1,85 @@
+/**
+ * Twilio Status Callback Webhook
+ *
+ * POST /api/webhooks/twilio-status
+ *
+ * Twilio calls this as an outbound message moves through the carrier
+ * network (queued → sent → delivered / undelivered / failed). sendSMS()
+ * logs the messages row before sending and registers this URL, with
+ * ?messageId=<row>, as the statusCallback on every message — so a
+ * callback that arrives before sendSMS has the SID still finds its row.
+ * (Twilio doesn't retry a status callback that gets an error response.)
+ *
+ * Pipeline:
+ *   1. Verify Twilio signature (reject spoofed requests) against the URL
+ *      it was registered with, query string included
+ *   2. Match the messages row on messageId, or twilio_sid without one
+ *   3. Update delivery_status, error code/reason, and timestamps
+ *   4. Return 200 (empty TwiML) so Twilio doesn't retry
+ *
+ * Delivery rate is a pilot go/no-go metric — see v_message_delivery_rate.
+ */
+
+const { verifyWebhookSignature, updateDeliveryStatus, getStatusCallbackUrl } = require('../../lib/twilio');
+
+module.exports = async function handler(req, res) {
+    // --- Only accept POST ---
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const body = req.body;
+        const twilioSid = body.MessageSid;
+        const messageStatus = body.MessageStatus;
+        const messageId = req.query?.messageId || null;
+
+        if (!twilioSid || !messageStatus) {
+            return res.status(400).json({ error: 'Missing MessageSid or MessageStatus' });
+        }
+
+        // --- Verify Twilio signature ---
+        if (process.env.NODE_ENV !== 'development') {
+            const signature = req.headers['x-twilio-signature'];
+            const webhookUrl = getStatusCallbackUrl(messageId);
+
+            if (!signature || !verifyWebhookSignature(signature, webhookUrl, body)) {
+                console.warn('Invalid Twilio signature on status callback for:', twilioSid);
+                return res.status(403).json({ error: 'Invalid signature' });
+            }
+        }
+
+        // --- Update the outbound message row ---
+        const { updated, status } = await updateDeliveryStatus(
+            twilioSid,
+            messageStatus,
+            body.ErrorCode || null,
+            body.ErrorMessage || null,
+            { messageId }
+        );
+
+        if (!updated && status) {
+            // An out-of-order callback, or a message whose log failed
+            console.log(`Status callback ignored: ${twilioSid} → ${status}`);
+        }
+
+        if (status === 'FAILED' || status === 'UNDELIVERED') {
+            console.warn(`Delivery ${status} for ${twilioSid}: ErrorCode ${body.ErrorCode || 'none'}`);
+        }
+
+        return sendEmptyTwiML(res);
+
+    } catch (error) {
+        console.error('Status callback error:', error);
+
+        // Return 200 so Twilio doesn't retry into the same error.
+        return sendEmptyTwiML(res);
+    }
+};
+
+function sendEmptyTwiML(res) {
+    res.setHeader('Content-Type', 'text/xml');
+    return res.status(200).send(
+        '<?xml version="1.0" encoding="UTF-8"?><Response></Response>'
+    );
+}
@@ -21,6 +21,7 @@
  */
 
 const Anthropic = require('@anthropic-ai/sdk').default;
+const { stripAccents } = require('../utils/language');
 
 // ---------------------------------------------------------------------------
 // Configuration
@@ -72,6 +73,9 @@ Classify the patient's response. Key rules:
 - If the patient embeds a number (e.g., "my head was a 3 today"), extract that number
 - Acute medication use with continued activity = at least Level 3
 - If a headache resolved partway through the day, consider impact on the full day
+- Patients may reply in Spanish. Apply the same rules ("me aguanté" = Level 3,
+  "cancelé"/"falté al trabajo" = Level 4, "en cama" = Level 5, "bien" = Level 2)
+  and write your reasoning in English
 
 Always use the classify_response tool to return your classification.`;
 
@@ -113,14 +117,16 @@ const CLASSIFY_TOOL = {
 /**
  * Pattern-based classification for when the Anthropic API is unavailable.
  * Also catches embedded numbers that the AI parser would handle.
+ * Understands common Spanish phrasings; accents are stripped first so
+ * "cancelé" and "cancele" match the same pattern.
  * 
  * Returns { level, confidence, reasoning } or null if no match.
  */
 function regexFallback(text) {
-    const lower = text.toLowerCase().trim();
+    const lower = stripAccents(text.toLowerCase().trim());
 
-    // --- Embedded number: "my head was a 3 today", "it's a 4", "level 3" ---
-    const embeddedNum = lower.match(/\b(?:level|a|was|it's|its)\s*([1-5])\b/);
+    // --- Embedded number: "my head was a 3 today", "it's a 4", "level 3", "fue un 3" ---
+    const embeddedNum = lower.match(/\b(?:level|a|was|it's|its|nivel|un|fue|es|era)\s*([1-5])\b/);
     if (embeddedNum) {
         const level = parseInt(embeddedNum[1], 10);
         return {
@@ -131,37 +137,37 @@ function regexFallback(text) {
     }
 
     // --- Level 1: No headache (check BEFORE ambiguous "good/fine") ---
-    if (/\b(no headache|headache.?free|didn.?t notice|clear(?:\s+head)?|perfect|amazing|great day|good day|no complaints|feeling good|all good)\b/.test(lower)) {
+    if (/\b(no headache|headache.?free|didn.?t notice|clear(?:\s+head)?|perfect|amazing|great day|good day|no complaints|feeling good|all good|sin dolor|no me dolio|ni lo note|muy bien|todo bien|perfecto|excelente)\b/.test(lower)) {
         return { level: 1, confidence: 0.85, reasoning: 'Regex: no headache keywords' };
     }
 
     // --- Level 5: Total disability ---
-    if (/\b(in bed|couldn.?t function|couldn.?t do anything|worst|debilitating|bedridden|couldn.?t move|couldn.?t get up|terrible)\b/.test(lower)) {
+    if (/\b(in bed|couldn.?t function|couldn.?t do anything|worst|debilitating|bedridden|couldn.?t move|couldn.?t get up|terrible|en cama|no pude hacer nada|insoportable|fatal)\b/.test(lower)) {
         return { level: 5, confidence: 0.88, reasoning: 'Regex: total disability keywords' };
     }
 
     // --- Level 4: Skipped/cancelled ---
-    if (/\b(cancel|skipped|skip\b|left.{0,10}early|couldn.?t go|had to leave|called (?:out|off|in sick)|went home|missed work|missed school)\b/.test(lower)) {
+    if (/\b(cancel|skipped|skip\b|left.{0,10}early|couldn.?t go|had to leave|called (?:out|off|in sick)|went home|missed work|missed school|cancele|falte al (?:trabajo|colegio|escuela)|me fui temprano|tuve que (?:irme|salir|cancelar|faltar)|no pude ir)\b/.test(lower)) {
         return { level: 4, confidence: 0.85, reasoning: 'Regex: activity cancellation keywords' };
     }
 
     // --- Level 3: Pushed through ---
-    if (/\b(push.?(?:ed)?\s*through|rough|managed|got through|tough day|struggled|hard day|powered through)\b/.test(lower)) {
+    if (/\b(push.?(?:ed)?\s*through|rough|managed|got through|tough day|struggled|hard day|powered through|aguante|segui adelante|me costo|dificil|dia (?:pesado|duro))\b/.test(lower)) {
         return { level: 3, confidence: 0.83, reasoning: 'Regex: reduced function keywords' };
     }
 
     // --- Level 3: Medication use implies at least headache presence ---
-    if (/\b(took (?:an? )?(?:excedrin|tylenol|advil|ibuprofen|aleve|imitrex|sumatriptan|triptan|medication|medicine|pill|med))\b/.test(lower)) {
+    if (/\b(took (?:an? )?(?:excedrin|tylenol|advil|ibuprofen|aleve|imitrex|sumatriptan|triptan|medication|medicine|pill|med)|tome (?:una? )?(?:pastilla|medicina|medicamento|ibuprofeno|tylenol|advil|excedrin))\b/.test(lower)) {
         return { level: 3, confidence: 0.75, reasoning: 'Regex: acute medication use implies ≥ Level 3' };
     }
 
     // --- Level 2: Present but no impact ---
-    if (/\b(mild|background|there but|noticed but|slight|dull|low.?grade|lingering|nagging)\b/.test(lower)) {
+    if (/\b(mild|background|there but|noticed but|slight|dull|low.?grade|lingering|nagging|leve|un poco|ligero|molestia)\b/.test(lower)) {
         return { level: 2, confidence: 0.82, reasoning: 'Regex: present but no disability' };
     }
 
     // --- Level 2 (lower confidence): Ambiguous positive ---
-    if (/\b(fine|okay|ok|not bad|decent|alright|good|so.?so|meh|not great)\b/.test(lower)) {
+    if (/\b(fine|okay|ok|not bad|decent|alright|good|so.?so|meh|not great|bien|regular|mas o menos|normal)\b/.test(lower)) {
         return { level: 2, confidence: 0.65, reasoning: 'Regex: ambiguous response defaults to Level 2' };
     }
 
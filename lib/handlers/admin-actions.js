@@ -0,0 +1,296 @@
+/**
+ * Admin Actions
+ *
+ * What a clinic coordinator can do for a patient who calls the office,
+ * through the same state machine the patient's own texts go through:
+ *
+ *   PAUSE        DAILY_ACTIVE / TREATMENT → PAUSED            (SYS-PAUSE)
+ *   RESUME       PAUSED → TREATMENT if that's the sprint they
+ *                paused, DAILY_ACTIVE otherwise               (SYS-RESUME)
+ *   SET_TIME     new preferred_time, check-ins rescheduled
+ *                the same way as the TIME command             (SYS-TIME-CONFIRM)
+ *   RESCHEDULE   moves only the next check-in (daily, or weekly
+ *                for WEEKLY); later ones keep the usual time  (SYS-RESCHEDULED)
+ *   UNSUBSCRIBE  any state → UNSUBSCRIBED                     (SYS-STOP)
+ *
+ * State changes are ADMIN_ACTION transitions with the staff user and the
+ * reason in trigger_detail; entry/exit actions (STATE_CHART) schedule and
+ * cancel jobs exactly as for a patient-initiated change. Every action is
+ * recorded in admin_actions (migration 018).
+ *
+ * With notify, the patient gets the template above, under the send
+ * policy as a SCHEDULED message — inside quiet hours or over the daily
+ * cap it's skipped, not deferred (SYS-STOP is exempt).
+ *
+ * Called by api/admin/patient-action.js.
+ */
+
+const crypto = require('node:crypto');
+const repos = require('../repositories');
+const { sendSMS } = require('../twilio');
+const { getPatientState, transitionState, TRANSITION_STATUS, TRACKING_STATES } = require('../state-machine/transitions');
+const { render } = require('../templates');
+const { checkSendPolicy } = require('../services/send-policy');
+const { DEFAULT_TIMEZONE, localDateString, localTimeString, formatLongDate } = require('../utils/dates');
+const { formatTime12 } = require('./state-handlers');
+const { updatePatientTime } = require('./global-commands');
+
+const ADMIN_ACTIONS = ['PAUSE', 'RESUME', 'SET_TIME', 'RESCHEDULE', 'UNSUBSCRIBE'];
+
+// SET_TIME needs a patient past the O-2 time question who still gets texts
+const NO_CHECKIN_TIME_STATES = ['ENROLLED', 'ONBOARDING', 'UNSUBSCRIBED'];
+
+/**
+ * SHA-256 (hex) of a staff API key, as stored in staff_users.api_key_hash.
+ *
+ * @param {string} apiKey
+ * @returns {string}
+ */
+function hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * The active staff user whose API key is in the Authorization header
+ * (Bearer), or null.
+ *
+ * @param {object} req - Incoming request
+ * @returns {Promise<object|null>} - staff_users row
+ */
+async function authenticateStaff(req) {
+    const match = (req.headers['authorization'] || '').match(/^Bearer\s+(\S+)$/);
+    if (!match) return null;
+
+    try {
+        return await repos.staff.findByKeyHash(hashApiKey(match[1]));
+    } catch (error) {
+        console.error('Staff lookup failed:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Perform a coordinator action on a patient.
+ *
+ * @param {object} staff - staff_users row (from authenticateStaff)
+ * @param {object} request
+ * @param {string} request.patientId - UUID
+ * @param {string} request.action - One of ADMIN_ACTIONS
+ * @param {string} request.reason - Why, in the coordinator's words
+ * @param {boolean} [request.notify=false] - Text the patient about it
+ * @param {{ time24: string, display: string }} [request.time] - SET_TIME (parseTime result)
+ * @param {Date} [request.scheduledFor] - RESCHEDULE: when the next check-in goes out
+ * @returns {Promise<{ status: string, error: string|null, patient: object|null,
+ *   details: object|null, notified: boolean, notifySkipped: string|null }>}
+ *   status is a TRANSITION_STATUS: INVALID when the action doesn't apply
+ *   to the patient's state, CONFLICT when the state moved underneath it
+ */
+async function performAdminAction(staff, { patientId, action, reason, notify = false, time = null, scheduledFor = null }) {
+    const patient = await getPatientState(patientId);
+    if (!patient) {
+        return outcome(TRANSITION_STATUS.NOT_FOUND, { error: `Patient not found: ${patientId}` });
+    }
+
+    const detail = `Admin ${action} by ${staff.name}: "${reason}"`;
+    const result = await ACTION_HANDLERS[action](patient, { detail, time, scheduledFor });
+    if (result.status !== TRANSITION_STATUS.APPLIED) return result;
+
+    const { message, ...done } = result;
+
+    let notified = false;
+    let notifySkipped = null;
+    if (notify) {
+        notifySkipped = await notifyPatient(done.patient, message);
+        notified = !notifySkipped;
+    }
+
+    await repos.adminActions.insert({
+        staff_id: staff.staff_id,
+        patient_id: patient.patient_id,
+        action,
+        reason,
+        details: done.details,
+        notified,
+    }).catch(error => console.error('CRITICAL: Admin action log failed:', error));
+
+    return { ...done, notified, notifySkipped };
+}
+
+// ============================================================================
+// ACTIONS
+// ============================================================================
+
+async function pausePatient(patient, { detail }) {
+    if (!TRACKING_STATES.includes(patient.state)) {
+        return notApplicable(patient, 'PAUSE');
+    }
+
+    const transition = await transitionState(
+        patient.patient_id, 'PAUSED', 'ADMIN_ACTION', detail,
+        {}, { expectedState: patient.state }
+    );
+    return fromTransition(transition, patient, 'SYS-PAUSE');
+}
+
+async function resumePatient(patient, { detail }) {
+    if (patient.state !== 'PAUSED') {
+        return notApplicable(patient, 'RESUME');
+    }
+
+    // Back to TREATMENT if that's the sprint they paused, as with a texted YES
+    const sprint = await repos.sprints.getActive(patient.patient_id);
+    const transition = await transitionState(
+        patient.patient_id,
+        sprint?.sprint_type === 'TREATMENT' ? 'TREATMENT' : 'DAILY_ACTIVE',
+        'ADMIN_ACTION',
+        detail,
+        {},
+        { expectedState: patient.state }
+    );
+    return fromTransition(transition, patient, 'SYS-RESUME');
+}
+
+async function setPatientTime(patient, { detail, time }) {
+    if (NO_CHECKIN_TIME_STATES.includes(patient.state)) {
+        return notApplicable(patient, 'SET_TIME');
+    }
+
+    // No transition to carry the detail, so it goes in the log and the error
+    let message;
+    try {
+        message = await updatePatientTime(patient, time);
+    } catch (error) {
+        return outcome(TRANSITION_STATUS.FAILED, { patient, error: `${detail}: ${error.message}` });
+    }
+    if (!message) {
+        return outcome(TRANSITION_STATUS.NOT_FOUND, { error: `Patient not found: ${patient.patient_id}` });
+    }
+
+    console.log(`${detail}: check-in time ${patient.preferred_time} → ${time.time24} for ${patient.patient_id}`);
+    return applied({ ...patient, preferred_time: time.time24 }, {
+        from_time: patient.preferred_time,
+        to_time: time.time24,
+    }, message);
+}
+
+async function reschedulePatientCheckin(patient, { scheduledFor }) {
+    const jobType = TRACKING_STATES.includes(patient.state) ? 'DAILY_CHECKIN'
+        : patient.state === 'WEEKLY' ? 'WEEKLY_CHECKIN'
+            : null;
+    if (!jobType) {
+        return notApplicable(patient, 'RESCHEDULE');
+    }
+
+    const [nextJob] = await repos.jobs.listPending(patient.patient_id, { jobType });
+    if (!nextJob) {
+        return outcome(TRANSITION_STATUS.INVALID, {
+            patient, error: `No pending ${jobType} to reschedule`,
+        });
+    }
+
+    // Only this occurrence moves: the recurrence is rebuilt from preferred_time
+    await repos.jobs.update(nextJob.job_id, {
+        scheduled_for: scheduledFor.toISOString(),
+        jitter_seconds: 0,
+    });
+
+    const timezone = patient.timezone || DEFAULT_TIMEZONE;
+    const message = {
+        reply: render('SYS-RESCHEDULED', {
+            dateLabel: formatLongDate(localDateString(timezone, scheduledFor), patient.language),
+            time: formatTime12(localTimeString(timezone, scheduledFor)),
+        }, patient.language),
+        templateId: 'SYS-RESCHEDULED',
+    };
+
+    return applied(patient, {
+        job_id: nextJob.job_id,
+        job_type: jobType,
+        from: nextJob.scheduled_for,
+        to: scheduledFor.toISOString(),
+    }, message);
+}
+
+async function unsubscribePatient(patient, { detail }) {
+    if (patient.state === 'UNSUBSCRIBED') {
+        return notApplicable(patient, 'UNSUBSCRIBE');
+    }
+
+    const transition = await transitionState(
+        patient.patient_id, 'UNSUBSCRIBED', 'ADMIN_ACTION', detail,
+        {}, { expectedState: patient.state }
+    );
+    if (!transition.success) {
+        return fromTransition(transition, patient, 'SYS-STOP');
+    }
+
+    // Same goodbye as a texted STOP, with the latest report link
+    const sprint = await repos.sprints.getLatestWithReport(patient.patient_id);
+    const reportUrl = sprint?.report_token
+        ? `${process.env.REPORT_BASE_URL}/${sprint.report_token}`
+        : null;
+
+    return fromTransition(transition, patient, 'SYS-STOP', { reportUrl });
+}
+
+const ACTION_HANDLERS = {
+    PAUSE: pausePatient,
+    RESUME: resumePatient,
+    SET_TIME: setPatientTime,
+    RESCHEDULE: reschedulePatientCheckin,
+    UNSUBSCRIBE: unsubscribePatient,
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Text the patient about the action, if the send policy allows it now.
+ * Returns the policy reason when skipped, null when sent.
+ */
+async function notifyPatient(patient, { reply, templateId }) {
+    const policy = await checkSendPolicy(patient, { kind: 'SCHEDULED', templateId });
+    if (!policy.allowed) {
+        console.log(`Admin notification ${templateId} to ${patient.patient_id} skipped (${policy.reason})`);
+        return policy.reason;
+    }
+
+    await sendSMS(patient.patient_id, patient.phone_number, reply, templateId);
+    return null;
+}
+
+function fromTransition(transition, patient, templateId, templateData = {}) {
+    if (!transition.success) {
+        return outcome(transition.status, { patient: transition.patient, error: transition.error });
+    }
+
+    return applied(transition.patient, {
+        from_state: patient.state,
+        to_state: transition.patient.state,
+    }, {
+        reply: render(templateId, templateData, patient.language),
+        templateId,
+    });
+}
+
+function applied(patient, details, message) {
+    return outcome(TRANSITION_STATUS.APPLIED, { patient, details, message });
+}
+
+function notApplicable(patient, action) {
+    return outcome(TRANSITION_STATUS.INVALID, {
+        patient, error: `${action} doesn't apply to a patient in ${patient.state}`,
+    });
+}
+
+function outcome(status, { patient = null, error = null, details = null, message = null }) {
+    return { status, error, patient, details, message, notified: false, notifySkipped: null };
+}
+
+module.exports = {
+    ADMIN_ACTIONS,
+    hashApiKey,
+    authenticateStaff,
+    performAdminAction,
+};
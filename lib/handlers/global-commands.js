@@ -0,0 +1,492 @@
+/**
+ * Global Commands
+ * 
+ * Commands that work from any state and override state-based routing:
+ * STOP, HELP, LANGUAGE, TIME, TIMEZONE, REPORT, STATUS, PAUSE, CHANGE/UNDO.
+ * From UNSUBSCRIBED, only STOP, HELP and START (re-subscribe) are acted on.
+ * 
+ * Carrier keywords (opt-out, opt-in, help) are classified by
+ * lib/utils/keywords.js. Spanish keywords (PARAR, AYUDA, IDIOMA, HORA, ZONA, REPORTE,
+ * PAUSA, CAMBIAR/DESHACER) are accepted from every patient regardless of their
+ * language setting, and accents are ignored.
+ * 
+ * Called by the inbound pipeline (lib/handlers/inbound.js) before the
+ * state handler. Same return contract as the state handlers:
+ * { reply, templateId } (or an array), or null if no command matched.
+ */
+
+const repos = require('../repositories');
+const { transitionState, TRANSITION_STATUS, TRACKING_STATES } = require('../state-machine/transitions');
+const { cancelPatientJobs, scheduleDailyCheckin, scheduleWeeklyCheckin } = require('../services/scheduler');
+const { render } = require('../templates');
+const { parseTime } = require('../utils/parse-time');
+const { parseCorrection } = require('../utils/parse-correction');
+const { parseTimezone } = require('../utils/timezones');
+const {
+    DEFAULT_TIMEZONE,
+    patientToday,
+    localDateString,
+    localTimeString,
+    addDays,
+    daysBetween,
+    streakLength,
+    formatShortDate,
+    formatLongDate,
+} = require('../utils/dates');
+const { stripAccents, parseLanguage } = require('../utils/language');
+const { formatTime12, buildWeeklyInfo } = require('./state-handlers');
+const { classifyKeyword } = require('../utils/keywords');
+
+const REPORT_KEYWORDS = ['REPORT', 'REPORTE', 'INFORME'];
+const STATUS_KEYWORDS = ['STATUS', 'PROGRESS', 'ESTADO', 'PROGRESO'];
+const PAUSE_KEYWORDS = ['PAUSE', 'BREAK', 'PAUSA'];
+
+// "TIME", "TIME 8am", "HORA 8am"
+const TIME_PATTERN = /^(?:TIME|HORA)(?:\s+(.+))?$/;
+
+// "TZ", "TZ pacific", "TIME ZONE central", "ZONA HORARIA del centro"
+const TIMEZONE_PATTERN = /^(?:TIMEZONE|TIME ZONE|TZ|ZONA HORARIA|ZONA)(?:\s+(.+))?$/;
+
+// "LANGUAGE", "IDIOMA", "LANGUAGE ES", "IDIOMA ingles", or just "ESPANOL" / "ENGLISH"
+const LANGUAGE_PATTERN = /^(?:(LANGUAGE|IDIOMA|LANG)(?:\s+(.+))?|(ESPANOL|ENGLISH))$/;
+
+/**
+ * Handle commands that work from any state: STOP, HELP, LANGUAGE, TIME, TIMEZONE, REPORT, STATUS, PAUSE, CHANGE/UNDO.
+ * Returns a reply object if a global command was matched, null otherwise.
+ * 
+ * Per TCPA: STOP must be honored immediately from any state.
+ * Per CTIA: HELP must be answered from any state, including UNSUBSCRIBED.
+ */
+async function handleGlobalCommands(patient, messageBody) {
+    const text = stripAccents(messageBody.toUpperCase().trim());
+    const keyword = classifyKeyword(messageBody);
+
+    // --- STOP: Immediate unsubscribe from any state ---
+    if (keyword === 'OPT_OUT') {
+        const transition = await transitionState(
+            patient.patient_id,
+            'UNSUBSCRIBED',
+            'PATIENT_RESPONSE',
+            `STOP command: "${messageBody}"`,
+            {},
+            { expectedState: patient.state }
+        );
+        if (transition.status === TRANSITION_STATUS.CONFLICT) return transition;
+
+        // Get report URL if one exists
+        const sprint = await repos.sprints.getLatestWithReport(patient.patient_id);
+
+        const reportUrl = sprint?.report_token
+            ? `${process.env.REPORT_BASE_URL}/${sprint.report_token}`
+            : null;
+
+        return {
+            reply: render('SYS-STOP', { reportUrl }, patient.language),
+            templateId: 'SYS-STOP',
+        };
+    }
+
+    // --- HELP ---
+    if (keyword === 'HELP') {
+        return { reply: render('SYS-HELP', {}, patient.language), templateId: 'SYS-HELP' };
+    }
+
+    // --- Don't process other commands for UNSUBSCRIBED patients ---
+    if (patient.state === 'UNSUBSCRIBED') {
+        // Per TCPA: after STOP, the only valid response is START (re-subscribe).
+        if (keyword === 'OPT_IN') {
+            return await handleResubscribe(patient, messageBody);
+        }
+        return { reply: render('SYS-UNSUBSCRIBED', {}, patient.language), templateId: 'SYS-UNSUBSCRIBED' };
+    }
+
+    // --- LANGUAGE / IDIOMA: Switch message language ---
+    const languageMatch = text.match(LANGUAGE_PATTERN);
+    if (languageMatch) {
+        return await handleLanguageCommand(patient, languageMatch);
+    }
+
+    // --- TIMEZONE / TZ: Change timezone (before TIME, which "TIME ZONE" also matches) ---
+    const timezoneMatch = text.match(TIMEZONE_PATTERN);
+    if (timezoneMatch) {
+        const timezone = timezoneMatch[1] ? parseTimezone(timezoneMatch[1]) : null;
+        if (timezone) {
+            return await updatePatientTimezone(patient, timezone);
+        }
+        return { reply: render('SYS-TZ-ASK', {}, patient.language), templateId: 'SYS-TZ-ASK' };
+    }
+
+    // --- TIME: Change check-in time ---
+    const timeMatch = text.match(TIME_PATTERN);
+    if (timeMatch) {
+        // If they sent "TIME 8am", try to parse inline
+        if (timeMatch[1]) {
+            const parsed = parseTime(timeMatch[1]);
+            if (parsed) {
+                return await updatePatientTime(patient, parsed);
+            }
+        }
+
+        // Otherwise ask for the time
+        return { reply: render('SYS-TIME-ASK', {}, patient.language), templateId: 'SYS-TIME-ASK' };
+    }
+
+    // --- REPORT: Get latest report link ---
+    if (REPORT_KEYWORDS.includes(text)) {
+        return await handleReportRequest(patient);
+    }
+
+    // --- STATUS: Sprint progress ---
+    if (STATUS_KEYWORDS.includes(text)) {
+        return await handleStatusRequest(patient);
+    }
+
+    // --- PAUSE ---
+    if (PAUSE_KEYWORDS.includes(text)) {
+        if (TRACKING_STATES.includes(patient.state)) {
+            const transition = await transitionState(
+                patient.patient_id,
+                'PAUSED',
+                'PATIENT_RESPONSE',
+                `PAUSE command: "${messageBody}"`,
+                {},
+                { expectedState: patient.state }
+            );
+            if (transition.status === TRANSITION_STATUS.CONFLICT) return transition;
+
+            return { reply: render('SYS-PAUSE', {}, patient.language), templateId: 'SYS-PAUSE' };
+        }
+        // PAUSE from other states: ignore (not applicable)
+        return null;
+    }
+
+    // --- CHANGE / UNDO: Correct today's check-in ---
+    const correction = parseCorrection(messageBody);
+    if (correction) {
+        return await handleCorrection(patient, correction, messageBody);
+    }
+
+    // No global command matched
+    return null;
+}
+
+/**
+ * START / UNSTOP from an unsubscribed patient: record the new opt-in and
+ * pick up where it makes sense. Patients who never finished onboarding
+ * (no check-in time) restart at the O-2 time question; everyone else
+ * goes to DORMANT with their sprints and entries untouched, and can
+ * reply START again to begin a new sprint.
+ */
+async function handleResubscribe(patient, messageBody) {
+    const onboarded = Boolean(patient.preferred_time);
+    const toState = onboarded ? 'DORMANT' : 'ONBOARDING';
+
+    const result = await transitionState(
+        patient.patient_id,
+        toState,
+        'PATIENT_RESPONSE',
+        `Re-subscribed: "${messageBody}"`,
+        {
+            opted_in_at: new Date().toISOString(),
+            opted_out_at: null,
+        },
+        { expectedState: patient.state }
+    );
+
+    if (result.status === TRANSITION_STATUS.CONFLICT) return result;
+    if (!result.success) {
+        console.error(`Re-subscribe failed for ${patient.patient_id}: ${result.error}`);
+        return { reply: render('ERR-GENERIC', {}, patient.language), templateId: 'ERR-GENERIC' };
+    }
+
+    const templateId = onboarded ? 'SYS-RESUBSCRIBED' : 'SYS-RESUBSCRIBED-ONBOARD';
+    return { reply: render(templateId, {}, patient.language), templateId };
+}
+
+/**
+ * Handle LANGUAGE / IDIOMA. With no argument, the keyword picks the
+ * language it's written in (IDIOMA → Spanish, LANGUAGE → English);
+ * "LANGUAGE ES" / "IDIOMA ingles" choose explicitly.
+ */
+async function handleLanguageCommand(patient, match) {
+    const [, keyword, argument, bareName] = match;
+
+    let language;
+    if (bareName) {
+        language = parseLanguage(bareName);
+    } else if (argument) {
+        language = parseLanguage(argument);
+    } else {
+        language = keyword === 'IDIOMA' ? 'es' : 'en';
+    }
+
+    if (!language) {
+        // Unrecognized language: answer in the current one with options
+        return { reply: render('SYS-HELP', {}, patient.language), templateId: 'SYS-HELP' };
+    }
+
+    if (language !== patient.language) {
+        await repos.patients.update(patient.patient_id, { language });
+    }
+
+    return { reply: render('SYS-LANGUAGE-SET', {}, language), templateId: 'SYS-LANGUAGE-SET' };
+}
+
+/**
+ * Update patient's preferred check-in time and reschedule.
+ * Also used by coordinator SET_TIME (lib/handlers/admin-actions.js).
+ * Returns null, rescheduling nothing, if the patient row is gone.
+ */
+async function updatePatientTime(patient, parsed) {
+    const updated = await repos.patients.update(patient.patient_id, { preferred_time: parsed.time24 });
+    if (!updated) return null;
+
+    // Reschedule if currently tracking daily
+    if (TRACKING_STATES.includes(patient.state)) {
+        await cancelPatientJobs(patient.patient_id, 'DAILY_CHECKIN');
+        await scheduleDailyCheckin(
+            patient.patient_id,
+            parsed.time24,
+            patient.timezone || DEFAULT_TIMEZONE
+        );
+    } else if (patient.state === 'WEEKLY') {
+        await rescheduleWeeklyCheckin(patient, parsed.time24, patient.timezone || DEFAULT_TIMEZONE);
+    }
+
+    return {
+        reply: render('SYS-TIME-CONFIRM', { time: parsed.display }, patient.language),
+        templateId: 'SYS-TIME-CONFIRM',
+    };
+}
+
+/**
+ * Move a pending weekly check-in to a new time or timezone. It keeps its
+ * weekday and stays in the same week, unless the new time has already
+ * passed today — then it's next week's.
+ */
+async function rescheduleWeeklyCheckin(patient, preferredTime, timezone) {
+    const [cancelled] = await cancelPatientJobs(patient.patient_id, 'WEEKLY_CHECKIN');
+    if (!cancelled) return;
+
+    const dayBefore = new Date(new Date(cancelled.scheduled_for).getTime() - 24 * 60 * 60 * 1000);
+    const afterDate = dayBefore > new Date() ? dayBefore : null;
+    await scheduleWeeklyCheckin(patient.patient_id, preferredTime, timezone, cancelled.payload.weekday, afterDate);
+}
+
+/**
+ * Update patient's timezone. A pending daily check-in is rescheduled so
+ * it fires at the same local time in the new zone (its payload carries
+ * the timezone into every later recurrence).
+ */
+async function updatePatientTimezone(patient, timezone) {
+    await repos.patients.update(patient.patient_id, { timezone });
+
+    if (timezone !== patient.timezone && patient.preferred_time) {
+        const cancelled = await cancelPatientJobs(patient.patient_id, 'DAILY_CHECKIN');
+        if (cancelled.length > 0) {
+            await scheduleDailyCheckin(patient.patient_id, patient.preferred_time, timezone);
+        }
+        await rescheduleWeeklyCheckin(patient, patient.preferred_time, timezone);
+    }
+
+    return {
+        reply: render('SYS-TZ-CONFIRM', {
+            zone: timezone.replace(/_/g, ' '),
+            localTime: formatTime12(localTimeString(timezone)),
+        }, patient.language),
+        templateId: 'SYS-TZ-CONFIRM',
+    };
+}
+
+/**
+ * Handle a correction to today's check-in ("CHANGE 4", "oops meant 2", "UNDO").
+ * 
+ * Rewrites the existing daily_entries row through record_daily_entry (same
+ * prompt time, day number, and ack template — only the level changes) and
+ * appends the prior value to daily_entry_revisions. Replies with a single
+ * confirmation: no new ack, no insight re-check.
+ * 
+ * Implicit phrasing ("actually a 4") with no entry today returns null so
+ * the state handler treats it as an ordinary check-in.
+ */
+async function handleCorrection(patient, correction, messageBody) {
+    const today = patientToday(patient);
+
+    const entry = await repos.entries.getAnswered(patient.patient_id, today);
+
+    if (!entry) {
+        if (!correction.explicit) return null;
+        return { reply: render('SYS-CHANGE-NONE', {}, patient.language), templateId: 'SYS-CHANGE-NONE' };
+    }
+
+    // --- UNDO: restore the value from before the most recent correction ---
+    if (correction.type === 'UNDO') {
+        const lastRevision = await repos.entries.getLatestRevision(entry.entry_id);
+
+        // The last correction was already undone: undoing the UNDO would
+        // put the correction back
+        if (!lastRevision || lastRevision.revision_type === 'UNDO'
+            || lastRevision.previous_level === entry.hv_fis_level) {
+            return { reply: render('SYS-UNDO-NONE', {}, patient.language), templateId: 'SYS-UNDO-NONE' };
+        }
+
+        await reviseEntry(patient, entry, {
+            level: lastRevision.previous_level,
+            responseRaw: lastRevision.previous_response_raw,
+            method: lastRevision.previous_response_method,
+            confidence: lastRevision.previous_ai_confidence,
+        }, 'UNDO', messageBody);
+
+        return {
+            reply: render('SYS-UNDO-CONFIRM', {
+                level: lastRevision.previous_level,
+                previousLevel: entry.hv_fis_level,
+            }, patient.language),
+            templateId: 'SYS-UNDO-CONFIRM',
+        };
+    }
+
+    // --- CHANGE ---
+    if (!correction.level) {
+        return { reply: render('SYS-CHANGE-ASK', {}, patient.language), templateId: 'SYS-CHANGE-ASK' };
+    }
+
+    if (correction.level === entry.hv_fis_level) {
+        return {
+            reply: render('SYS-CHANGE-SAME', { level: entry.hv_fis_level }, patient.language),
+            templateId: 'SYS-CHANGE-SAME',
+        };
+    }
+
+    // The patient stated the number themselves — record as CLARIFIED
+    await reviseEntry(patient, entry, {
+        level: correction.level,
+        responseRaw: messageBody,
+        method: 'CLARIFIED',
+        confidence: 1.0,
+    }, 'CHANGE', messageBody);
+
+    return {
+        reply: render('SYS-CHANGE-CONFIRM', {
+            level: correction.level,
+            previousLevel: entry.hv_fis_level,
+        }, patient.language),
+        templateId: 'SYS-CHANGE-CONFIRM',
+    };
+}
+
+/**
+ * Write the audit row, then rewrite the entry via the atomic RPC.
+ */
+async function reviseEntry(patient, entry, revised, revisionType, messageBody) {
+    // Throws on failure: never overwrite clinical data without keeping the original
+    await repos.entries.insertRevision({
+        entry_id: entry.entry_id,
+        patient_id: patient.patient_id,
+        sprint_id: entry.sprint_id,
+        entry_date: entry.entry_date,
+        previous_level: entry.hv_fis_level,
+        previous_response_raw: entry.response_raw,
+        previous_response_method: entry.response_method,
+        previous_ai_confidence: entry.ai_confidence,
+        new_level: revised.level,
+        revision_type: revisionType,
+        revision_text: messageBody,
+    });
+
+    try {
+        await repos.entries.record({
+            patientId: patient.patient_id,
+            sprintId: entry.sprint_id,
+            entryDate: entry.entry_date,
+            level: revised.level,
+            responseRaw: revised.responseRaw,
+            method: revised.method,
+            confidence: revised.confidence,
+            promptSentAt: entry.prompt_sent_at,
+            responseReceivedAt: entry.response_received_at,
+            dayNumber: entry.day_number,
+            ackTemplate: entry.acknowledgment_template,
+        });
+    } catch (error) {
+        throw new Error(`Entry revision failed: ${error.message}`);
+    }
+}
+
+/**
+ * Handle REPORT command: return the latest report link.
+ */
+async function handleReportRequest(patient) {
+    const sprint = await repos.sprints.getLatestWithReport(patient.patient_id);
+
+    if (!sprint) {
+        return { reply: render('SYS-REPORT-NONE', {}, patient.language), templateId: 'SYS-REPORT-NONE' };
+    }
+
+    const reportUrl = `${process.env.REPORT_BASE_URL}/${sprint.report_token}`;
+    const completionPct = Math.round((sprint.days_completed / sprint.target_days) * 100);
+
+    return {
+        reply: render('SYS-REPORT', { reportUrl, completionPct }, patient.language),
+        templateId: 'SYS-REPORT',
+    };
+}
+
+/**
+ * Handle STATUS / PROGRESS: where the patient is in their current sprint —
+ * sprint day, days logged, response streak, days missed, next check-in
+ * (patient-local) and appointment date if we have one. WEEKLY patients
+ * get when their next weekly check-in is.
+ */
+async function handleStatusRequest(patient) {
+    if (patient.state === 'WEEKLY') {
+        return await buildWeeklyInfo(patient);
+    }
+
+    const sprint = await repos.sprints.getActive(patient.patient_id);
+
+    if (!sprint) {
+        return { reply: render('SYS-STATUS-NONE', {}, patient.language), templateId: 'SYS-STATUS-NONE' };
+    }
+
+    const timezone = patient.timezone || DEFAULT_TIMEZONE;
+    const today = patientToday(patient);
+    const sprintDay = Math.min(Math.max(daysBetween(sprint.start_date, today) + 1, 1), sprint.target_days);
+
+    const entries = await repos.entries.listAnswered(sprint.sprint_id);
+
+    const [nextJob] = await repos.jobs.listPending(patient.patient_id, { jobType: 'DAILY_CHECKIN' });
+
+    let nextCheckin = null;
+    if (nextJob) {
+        const at = new Date(nextJob.scheduled_for);
+        const date = localDateString(timezone, at);
+        nextCheckin = {
+            day: date === today ? 'TODAY' : date === addDays(today, 1) ? 'TOMORROW' : formatShortDate(date, patient.language),
+            time: formatTime12(localTimeString(timezone, at)),
+        };
+    }
+
+    const templateData = {
+        sprintDay,
+        targetDays: sprint.target_days,
+        daysCompleted: sprint.days_completed,
+        daysMissed: sprint.days_missed,
+        streak: streakLength(entries.map(e => e.entry_date), today),
+        nextCheckin,
+        paused: patient.state === 'PAUSED',
+        appointmentDate: patient.appointment_date && patient.appointment_date >= today
+            ? formatLongDate(patient.appointment_date, patient.language)
+            : null,
+    };
+
+    return {
+        reply: render('SYS-STATUS', templateData, patient.language),
+        templateId: 'SYS-STATUS',
+    };
+}
+
+module.exports = {
+    handleGlobalCommands,
+    updatePatientTime,
+};
@@ -0,0 +1,219 @@
+/**
+ * Inbound Message Pipeline
+ *
+ * Everything that happens to a patient text after the webhook has
+ * verified and logged it: patient lookup, global commands, state
+ * routing, and reply delivery.
+ *
+ * Shared by api/webhooks/twilio.js (live traffic) and
+ * scripts/replay-webhooks.js (re-running failed webhook_log rows),
+ * so a replayed message goes through exactly the same code path.
+ *
+ * A handler that loses a race for the patient's state (its transition
+ * comes back CONFLICT because a cron job or another text moved the
+ * patient first) returns that result instead of a reply; the text is
+ * then routed once more against the state the patient is actually in.
+ *
+ * See: SMS Implementation Spec §2.4
+ */
+
+const { sendSMS, logInboundMessage } = require('../twilio');
+const { getPatientByPhone, TRANSITION_STATUS } = require('../state-machine/transitions');
+const { render } = require('../templates');
+const { handleGlobalCommands } = require('./global-commands');
+const { classifyKeyword } = require('../utils/keywords');
+const { checkSendPolicy } = require('../services/send-policy');
+const { selfEnroll } = require('../services/enrollment');
+const {
+    handleEnrolled,
+    handleOnboarding,
+    handleDailyActive,
+    handlePaused,
+    handleTransition,
+    handleWeekly,
+    handleDormant,
+} = require('./state-handlers');
+
+// ==========================================================================
+// STATE HANDLER ROUTER
+// ==========================================================================
+
+const STATE_HANDLERS = {
+    ENROLLED: handleEnrolled,
+    ONBOARDING: handleOnboarding,
+    DAILY_ACTIVE: handleDailyActive,
+    PAUSED: handlePaused,
+    TRANSITION: handleTransition,
+    WEEKLY: handleWeekly,
+    TREATMENT: handleDailyActive, // daily check-ins; the TREATMENT sprint picks the insights
+    DORMANT: handleDormant,
+    // UNSUBSCRIBED: no handler — global STOP already handled
+};
+
+// ==========================================================================
+// PIPELINE
+// ==========================================================================
+
+/**
+ * Process one inbound message for a sender.
+ *
+ * @param {string} fromNumber - Normalized E.164 sender
+ * @param {string} messageBody - Trimmed message text
+ * @param {string} twilioSid - Twilio MessageSid
+ * @param {object} [options]
+ * @param {boolean} [options.logInbound=true] - Write the INBOUND messages row
+ *   (replay skips this if the original attempt already logged it)
+ * @param {Function} [options.deliver=sendReplies] - Called with (patient, result)
+ *   to send the replies. Dry-run replay passes a collector instead.
+ * @returns {Promise<InboundResult>}
+ *
+ * @typedef {Object} InboundResult
+ * @property {object|null} patient - Patient row (null for unknown numbers)
+ * @property {string} route - 'unknown-number' | 'self-enroll' | 'global-command' | state name
+ * @property {Array<{ reply: string, templateId: string }>} replies - Replies produced
+ * @property {string|null} fallbackMessage - TwiML message for unknown numbers
+ */
+async function processInboundMessage(fromNumber, messageBody, twilioSid, options = {}) {
+    const { logInbound = true, deliver = sendReplies } = options;
+
+    // --- Look up patient ---
+    const patient = await getPatientByPhone(fromNumber);
+
+    if (!patient) {
+        // Unknown number texting TRACK or a provider code: enroll them
+        const enrollment = await selfEnroll(fromNumber, messageBody);
+        if (enrollment) {
+            const { patient: enrolled, ...reply } = enrollment;
+            console.log(`Self-enrolled ${fromNumber} as ${enrolled.patient_id}`);
+            if (logInbound) {
+                await logInboundMessage(enrolled.patient_id, messageBody, twilioSid);
+            }
+            await deliver(enrolled, reply);
+            return { patient: enrolled, route: 'self-enroll', replies: [reply], fallbackMessage: null };
+        }
+
+        // Anything else: send info message, don't create a patient
+        console.log(`Unknown number: ${fromNumber}`);
+        // We can't log to messages table without a patient_id
+        // Just respond via TwiML this one time — unless they're opting out,
+        // which gets no reply at all (the carrier sends its own confirmation)
+        return {
+            patient: null,
+            route: 'unknown-number',
+            replies: [],
+            fallbackMessage: classifyKeyword(messageBody) === 'OPT_OUT' ? null : render('ERR-UNKNOWN-NUMBER'),
+        };
+    }
+
+    // --- Log inbound message ---
+    if (logInbound) {
+        await logInboundMessage(patient.patient_id, messageBody, twilioSid);
+    }
+
+    let current = patient;
+    let { route, result } = await routeMessage(current, messageBody, twilioSid);
+
+    // --- Lost a race for the state: route again against the current one ---
+    if (isConflict(result)) {
+        current = result.patient;
+        console.log(`Re-routing text from ${current.patient_id} in ${current.state}`);
+        ({ route, result } = await routeMessage(current, messageBody, twilioSid));
+
+        if (isConflict(result)) {
+            console.error(`Giving up on text from ${current.patient_id}: ${result.error}`);
+            result = { reply: render('ERR-GENERIC', {}, current.language), templateId: 'ERR-GENERIC' };
+        }
+    }
+
+    // --- Send reply SMS(es) ---
+    await deliver(current, result);
+
+    return { patient: current, route, replies: toArray(result), fallbackMessage: null };
+}
+
+/**
+ * Global commands first (they override state routing), then the handler
+ * for the patient's state.
+ *
+ * @returns {Promise<{ route: string, result: object|object[]|null }>} - result
+ *   is the reply (or replies), or a CONFLICT transition result
+ */
+async function routeMessage(patient, messageBody, twilioSid) {
+    // --- Check global commands (override state routing) ---
+    const globalResult = await handleGlobalCommands(patient, messageBody);
+    if (globalResult) {
+        return { route: 'global-command', result: globalResult };
+    }
+
+    // --- Route to state handler ---
+    const stateHandler = STATE_HANDLERS[patient.state];
+
+    if (!stateHandler) {
+        console.error(`No handler for state: ${patient.state}`);
+        return {
+            route: patient.state,
+            result: { reply: render('SYS-HELP', {}, patient.language), templateId: 'SYS-HELP' },
+        };
+    }
+
+    return { route: patient.state, result: await stateHandler(patient, messageBody, twilioSid) };
+}
+
+function isConflict(result) {
+    return result?.status === TRANSITION_STATUS.CONFLICT;
+}
+
+// ==========================================================================
+// UTILITIES
+// ==========================================================================
+
+/**
+ * Send one or more reply messages to a patient.
+ * Handles both single reply objects and arrays of replies.
+ * Adds a small delay between multi-message sends so they arrive in order.
+ * Replies past the daily message cap are dropped (see send-policy.js).
+ */
+async function sendReplies(patient, result) {
+    if (!result) return;
+
+    const replies = toArray(result);
+
+    for (let i = 0; i < replies.length; i++) {
+        const { reply, templateId } = replies[i];
+
+        if (reply) {
+            const policy = await checkSendPolicy(patient, { kind: 'REPLY', templateId });
+            if (!policy.allowed) {
+                console.warn(`Dropping ${templateId} reply to ${patient.patient_id}: ${policy.reason}`);
+                continue;
+            }
+
+            await sendSMS(
+                patient.patient_id,
+                patient.phone_number,
+                reply,
+                templateId
+            );
+
+            // Small delay between messages so they arrive in order
+            if (i < replies.length - 1) {
+                await sleep(500);
+            }
+        }
+    }
+}
+
+function toArray(result) {
+    if (!result) return [];
+    return Array.isArray(result) ? result : [result];
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    processInboundMessage,
+    sendReplies,
+    STATE_HANDLERS,
+};
@@ -18,39 +18,93 @@
  * Source: SMS Flow Spec §2-§10, SMS Implementation Spec §3
  */
 
-const { supabase } = require('../supabase');
-const { transitionState } = require('../state-machine/transitions');
-const { scheduleDailyCheckin, cancelPatientJobs, scheduleOneShot } = require('../services/scheduler');
+const repos = require('../repositories');
+const { transitionState, TRANSITION_STATUS } = require('../state-machine/transitions');
 const { render, getNextAck } = require('../templates');
 const { parseTime } = require('../utils/parse-time');
 const { parseResponse } = require('../ai/parser');
+const { parseBackfill, parseBatch, getLookbackDays } = require('../utils/parse-backfill');
+const { parseWeeklyCheckin } = require('../utils/parse-weekly');
+const { matchMedication } = require('../utils/parse-medication');
+const { sprintMetrics, headachePct } = require('../utils/sprint-metrics');
+const { stripAccents } = require('../utils/language');
+const { parseFirstName, buildWelcome } = require('../services/enrollment');
+const { scheduleOnboardReminder } = require('../services/onboard-reminders');
+const { cancelPatientJobs } = require('../services/scheduler');
+const {
+    DEFAULT_TIMEZONE,
+    patientToday,
+    localDateString,
+    addDays,
+    daysBetween,
+    formatLongDate,
+    formatShortDate,
+    formatWeekday,
+} = require('../utils/dates');
+
+// START in English and Spanish — consent in ENROLLED, a restart in DORMANT
+const START_KEYWORDS = ['START', 'EMPEZAR', 'COMENZAR'];
 
 // ============================================================================
 // ENROLLED — Waiting for START
 // ============================================================================
 
 async function handleEnrolled(patient, messageBody) {
-    const text = messageBody.toUpperCase().trim();
+    // --- Self-enrolled by text: waiting for a first name ---
+    if (patient.pending_question === 'ENROLL_NAME') {
+        return await handleEnrollName(patient, messageBody);
+    }
+
+    const text = stripAccents(messageBody.toUpperCase().trim());
 
-    if (text === 'START') {
-        await transitionState(
+    // START is the patient's consent to daily texts
+    if (START_KEYWORDS.includes(text)) {
+        const transition = await transitionState(
             patient.patient_id,
             'ONBOARDING',
             'PATIENT_RESPONSE',
             'START reply',
-            { pending_question: 'ONBOARD_TIME' }
+            { opted_in_at: new Date().toISOString() },
+            { expectedState: patient.state }
         );
+        if (transition.status === TRANSITION_STATUS.CONFLICT) return transition;
 
-        return { reply: render('O-2'), templateId: 'O-2' };
+        return { reply: render('O-2', {}, patient.language), templateId: 'O-2' };
     }
 
     // Anything else in ENROLLED: send the welcome again with a nudge
     return {
-        reply: render('ERR-ONBOARDING'),
+        reply: render('ERR-ONBOARDING', {}, patient.language),
         templateId: 'ERR-ONBOARDING',
     };
 }
 
+/**
+ * ENROLL_NAME: first reply after texting TRACK or a provider code.
+ * Saves the name, then sends the same O-1 welcome as api/enroll.js and
+ * swaps the name reminders for the START ones.
+ */
+async function handleEnrollName(patient, messageBody) {
+    const firstName = parseFirstName(messageBody);
+
+    if (!firstName) {
+        return { reply: render('ERR-ENROLL-NAME', {}, patient.language), templateId: 'ERR-ENROLL-NAME' };
+    }
+
+    try {
+        await repos.patients.update(patient.patient_id, { first_name: firstName, pending_question: null });
+    } catch (error) {
+        console.error('Failed to save first name:', error);
+        return { reply: render('ERR-GENERIC', {}, patient.language), templateId: 'ERR-GENERIC' };
+    }
+
+    await cancelPatientJobs(patient.patient_id, 'ONBOARD_REMINDER');
+    await cancelPatientJobs(patient.patient_id, 'ONBOARD_EXPIRY');
+    await scheduleOnboardReminder(patient.patient_id);
+
+    return await buildWelcome({ ...patient, first_name: firstName });
+}
+
 // ============================================================================
 // ONBOARDING — Collecting preferences
 // ============================================================================
@@ -84,7 +138,7 @@ async function handleOnboarding(patient, messageBody) {
     }
 
     // Fallback
-    return { reply: render('ERR-ONBOARDING'), templateId: 'ERR-ONBOARDING' };
+    return { reply: render('ERR-ONBOARDING', {}, patient.language), templateId: 'ERR-ONBOARDING' };
 }
 
 /**
@@ -94,10 +148,7 @@ async function handleTimeSelection(patient, messageBody) {
     const parsed = parseTime(messageBody);
 
     if (!parsed) {
-        return {
-            reply: `I didn't catch a time from that. Try replying with something like "8am" or "9pm".`,
-            templateId: 'ERR-ONBOARDING',
-        };
+        return { reply: render('ERR-ONBOARD-TIME', {}, patient.language), templateId: 'ERR-ONBOARD-TIME' };
     }
 
     // Determine next pending question and what O-3 variant to send
@@ -111,7 +162,7 @@ async function handleTimeSelection(patient, messageBody) {
         templateId = 'O-3-WITH-APPT';
         templateData = {
             time: parsed.display,
-            appointmentDate: formatDate(patient.appointment_date),
+            appointmentDate: formatDate(patient.appointment_date, patient.language),
         };
     } else {
         // Self-service: ask for appointment date
@@ -123,45 +174,40 @@ async function handleTimeSelection(patient, messageBody) {
     // Transition to DAILY_ACTIVE (or stay in ONBOARDING if asking for appointment)
     if (nextPending) {
         // Stay in ONBOARDING, just update time and pending question
-        await supabase
-            .from('patients')
-            .update({
-                preferred_time: parsed.time24,
-                pending_question: nextPending,
-            })
-            .eq('patient_id', patient.patient_id);
+        await repos.patients.update(patient.patient_id, {
+            preferred_time: parsed.time24,
+            pending_question: nextPending,
+        });
     } else {
         // We have everything — go to DAILY_ACTIVE
-        await activatePatient(patient, parsed);
+        const transition = await activatePatient(patient, parsed);
+        if (transition.status === TRANSITION_STATUS.CONFLICT) return transition;
     }
 
-    return { reply: render(templateId, templateData), templateId };
+    return { reply: render(templateId, templateData, patient.language), templateId };
 }
 
 /**
  * O-3 handler: Patient provides appointment date or says NO.
  */
 async function handleAppointmentDate(patient, messageBody) {
-    const text = messageBody.trim().toUpperCase();
+    const text = stripAccents(messageBody.trim().toUpperCase());
 
     let appointmentDate = null;
 
-    if (text !== 'NO' && text !== 'N' && text !== 'NONE' && text !== 'NOPE') {
+    if (text !== 'NO' && text !== 'N' && text !== 'NONE' && text !== 'NOPE' && text !== 'NINGUNA') {
         // Try to parse a date
         appointmentDate = parseFuzzyDate(messageBody);
 
         if (!appointmentDate) {
-            return {
-                reply: `I didn't catch a date from that. Reply with a date like "March 15" or "3/15", or reply NO if you don't have one.`,
-                templateId: 'ERR-ONBOARDING',
-            };
+            return { reply: render('ERR-ONBOARD-APPT', {}, patient.language), templateId: 'ERR-ONBOARD-APPT' };
         }
     }
 
     // Read the time we already saved
     const parsed = {
         time24: patient.preferred_time,
-        display: formatTime12(patient.preferred_time),
+        display: formatTime12(patient.preferred_time, patient.language),
     };
 
     // Activate the patient
@@ -170,10 +216,11 @@ async function handleAppointmentDate(patient, messageBody) {
         extraUpdates.appointment_date = appointmentDate;
     }
 
-    await activatePatient(patient, parsed, extraUpdates);
+    const transition = await activatePatient(patient, parsed, extraUpdates);
+    if (transition.status === TRANSITION_STATUS.CONFLICT) return transition;
 
     return {
-        reply: render('O-3-CONFIRMED', { time: parsed.display }),
+        reply: render('O-3-CONFIRMED', { time: parsed.display }, patient.language),
         templateId: 'O-3-CONFIRMED',
     };
 }
@@ -182,31 +229,22 @@ async function handleAppointmentDate(patient, messageBody) {
  * O-4 Y/N: "Have you ever taken a daily prevention medication?"
  */
 async function handleMedHistoryYesNo(patient, messageBody) {
-    const text = messageBody.trim().toUpperCase();
+    const text = stripAccents(messageBody.trim().toUpperCase());
 
-    if (text === 'NO' || text === 'N' || text === 'NOT SURE' || text === 'UNSURE') {
+    if (text === 'NO' || text === 'N' || text === 'NOT SURE' || text === 'UNSURE' || text === 'NO SE') {
         // Done with onboarding medication questions
-        await supabase
-            .from('patients')
-            .update({ pending_question: null })
-            .eq('patient_id', patient.patient_id);
+        await repos.patients.update(patient.patient_id, { pending_question: null });
 
-        return {
-            reply: `No problem — we can always add that later. You're all set! Your daily check-ins are running.`,
-            templateId: 'O-4-DONE',
-        };
+        return { reply: render('O-4-DONE-NONE', {}, patient.language), templateId: 'O-4-DONE-NONE' };
     }
 
-    if (text === 'YES' || text === 'Y' || text === 'YEAH') {
-        await supabase
-            .from('patients')
-            .update({ pending_question: 'MED_HISTORY_LIST' })
-            .eq('patient_id', patient.patient_id);
+    if (text === 'YES' || text === 'Y' || text === 'YEAH' || text === 'SI') {
+        await repos.patients.update(patient.patient_id, { pending_question: 'MED_HISTORY_LIST' });
 
-        return { reply: render('O-4-LIST'), templateId: 'O-4-LIST' };
+        return { reply: render('O-4-LIST', {}, patient.language), templateId: 'O-4-LIST' };
     }
 
-    return { reply: render('ERR-ONBOARDING'), templateId: 'ERR-ONBOARDING' };
+    return { reply: render('ERR-ONBOARDING', {}, patient.language), templateId: 'ERR-ONBOARDING' };
 }
 
 /**
@@ -216,26 +254,18 @@ async function handleMedHistoryYesNo(patient, messageBody) {
  */
 async function handleMedHistoryList(patient, messageBody) {
     // Store raw medication text
-    await supabase
-        .from('medication_history')
-        .insert({
-            patient_id: patient.patient_id,
-            medication_raw: messageBody.trim(),
-            status: 'UNKNOWN',  // AI parser will update this
-        });
+    await repos.medications.insertHistory({
+        patient_id: patient.patient_id,
+        medication_raw: messageBody.trim(),
+        status: 'UNKNOWN',  // AI parser will update this
+    });
 
     // For now, just acknowledge. Phase 1: AI parser processes this
     // asynchronously and may follow up later for disambiguation.
     // Future: parse inline and ask about each medication.
-    await supabase
-        .from('patients')
-        .update({ pending_question: null })
-        .eq('patient_id', patient.patient_id);
+    await repos.patients.update(patient.patient_id, { pending_question: null });
 
-    return {
-        reply: `Got it, thanks — we've recorded that. This will help make your report more useful for your doctor. Your daily check-ins are running!`,
-        templateId: 'O-4-DONE',
-    };
+    return { reply: render('O-4-DONE', {}, patient.language), templateId: 'O-4-DONE' };
 }
 
 /**
@@ -244,15 +274,9 @@ async function handleMedHistoryList(patient, messageBody) {
  */
 async function handleMedHistoryReason(patient, messageBody) {
     // Phase 2 implementation
-    await supabase
-        .from('patients')
-        .update({ pending_question: null })
-        .eq('patient_id', patient.patient_id);
+    await repos.patients.update(patient.patient_id, { pending_question: null });
 
-    return {
-        reply: `Got it, thanks for sharing that.`,
-        templateId: 'O-4-DONE',
-    };
+    return { reply: render('O-4-REASON-ACK', {}, patient.language), templateId: 'O-4-REASON-ACK' };
 }
 
 // ============================================================================
@@ -277,6 +301,29 @@ async function handleDailyActive(patient, messageBody) {
         return await handleOnboarding(patient, messageBody);
     }
 
+    // If we read back a multi-day catch-up and are waiting for YES/NO
+    if (pending === 'BATCH_CONFIRM') {
+        return await handleBatchConfirm(patient, messageBody);
+    }
+
+    const today = patientToday(patient);
+
+    // --- Several days at once ("mon 3 tue 2 wed 4", "3,2,4") ---
+    const batch = parseBatch(messageBody, today);
+    if (batch) {
+        return await proposeBatch(patient, batch, messageBody);
+    }
+
+    // --- Backdated check-in for a missed day ("yesterday was a 4") ---
+    const backfill = parseBackfill(messageBody, today);
+    if (backfill) {
+        // "Monday 3" sent on a Monday is just today's check-in
+        if (backfill.daysAgo === 0) {
+            return await recordDailyResponse(patient, backfill.level, messageBody, 'NUMERIC', 1.0);
+        }
+        return await recordBackfillEntry(patient, backfill, messageBody);
+    }
+
     // --- Parse the daily check-in response via the AI pipeline ---
     // parseResponse handles the full decision tree:
     //   1. Numeric "1"-"5" → NUMERIC method, ACCEPT action
@@ -287,7 +334,7 @@ async function handleDailyActive(patient, messageBody) {
 
     if (!parsed) {
         // Completely unparseable — send full scale re-prompt
-        return { reply: render('ERR-DAILY'), templateId: 'ERR-DAILY' };
+        return { reply: render('ERR-DAILY', {}, patient.language), templateId: 'ERR-DAILY' };
     }
 
     // Route based on the parser's action decision
@@ -306,24 +353,21 @@ async function handleDailyActive(patient, messageBody) {
 
         case 'CLARIFY': {
             // Medium confidence — ask the patient to confirm
-            await supabase
-                .from('patients')
-                .update({ pending_question: 'CLARIFY_LEVEL' })
-                .eq('patient_id', patient.patient_id);
+            await repos.patients.update(patient.patient_id, { pending_question: 'CLARIFY_LEVEL' });
 
             return {
-                reply: render('CLARIFY-LEVEL', { parsedLevel: parsed.level }),
+                reply: render('CLARIFY-LEVEL', { parsedLevel: parsed.level }, patient.language),
                 templateId: 'CLARIFY-LEVEL',
             };
         }
 
         case 'REPROMPT': {
             // Low confidence — send the full 1-5 scale
-            return { reply: render('ERR-DAILY'), templateId: 'ERR-DAILY' };
+            return { reply: render('ERR-DAILY', {}, patient.language), templateId: 'ERR-DAILY' };
         }
 
         default:
-            return { reply: render('ERR-DAILY'), templateId: 'ERR-DAILY' };
+            return { reply: render('ERR-DAILY', {}, patient.language), templateId: 'ERR-DAILY' };
     }
 }
 
@@ -334,7 +378,7 @@ async function handleClarifyLevel(patient, messageBody) {
     const level = parseNumericLevel(messageBody);
 
     if (!level) {
-        return { reply: render('ERR-DAILY'), templateId: 'ERR-DAILY' };
+        return { reply: render('ERR-DAILY', {}, patient.language), templateId: 'ERR-DAILY' };
     }
 
     return await recordDailyResponse(patient, level, messageBody, 'CLARIFIED', 1.0);
@@ -346,82 +390,59 @@ async function handleClarifyLevel(patient, messageBody) {
  */
 async function recordDailyResponse(patient, level, rawText, method, confidence) {
     // Get active sprint
-    const { data: sprint } = await supabase
-        .from('sprints')
-        .select('*')
-        .eq('patient_id', patient.patient_id)
-        .eq('status', 'ACTIVE')
-        .single();
+    const sprint = await repos.sprints.getActive(patient.patient_id);
 
     if (!sprint) {
         console.error(`No active sprint for patient ${patient.patient_id}`);
-        return { reply: render('ERR-DAILY'), templateId: 'ERR-DAILY' };
+        return { reply: render('ERR-DAILY', {}, patient.language), templateId: 'ERR-DAILY' };
     }
 
     const dayNumber = patient.day_count + 1;
-    const today = new Date().toISOString().split('T')[0];
+    const today = patientToday(patient);
 
     // Get last ack template for rotation
-    const { data: lastEntry } = await supabase
-        .from('daily_entries')
-        .select('acknowledgment_template')
-        .eq('patient_id', patient.patient_id)
-        .eq('sprint_id', sprint.sprint_id)
-        .order('entry_date', { ascending: false })
-        .limit(1)
-        .single();
+    const lastEntry = await repos.entries.getLatest(patient.patient_id, sprint.sprint_id);
 
     const ackTemplate = getNextAck(lastEntry?.acknowledgment_template || null);
 
     // Find the prompt_sent_at for today's check-in
-    const { data: todayPrompt } = await supabase
-        .from('messages')
-        .select('sent_at')
-        .eq('patient_id', patient.patient_id)
-        .eq('template_id', 'D-1')
-        .order('sent_at', { ascending: false })
-        .limit(1)
-        .single();
+    const [todayPrompt] = await repos.messages.listOutbound(patient.patient_id, { templateId: 'D-1', limit: 1 });
 
     // Write the entry via RPC (atomic: updates sprint + patient counts)
-    await supabase.rpc('record_daily_entry', {
-        p_patient_id: patient.patient_id,
-        p_sprint_id: sprint.sprint_id,
-        p_entry_date: today,
-        p_hv_fis_level: level,
-        p_response_raw: method !== 'NUMERIC' ? rawText : null,
-        p_response_method: method,
-        p_ai_confidence: confidence,
-        p_prompt_sent_at: todayPrompt?.sent_at || new Date().toISOString(),
-        p_response_received_at: new Date().toISOString(),
-        p_day_number: Math.min(dayNumber, 30),
-        p_ack_template: ackTemplate,
+    await repos.entries.record({
+        patientId: patient.patient_id,
+        sprintId: sprint.sprint_id,
+        entryDate: today,
+        level,
+        responseRaw: method !== 'NUMERIC' ? rawText : null,
+        method,
+        confidence,
+        promptSentAt: todayPrompt?.sent_at || new Date().toISOString(),
+        responseReceivedAt: new Date().toISOString(),
+        dayNumber: Math.min(dayNumber, 30),
+        ackTemplate,
     });
 
     // Clear any pending question
-    await supabase
-        .from('patients')
-        .update({ pending_question: null })
-        .eq('patient_id', patient.patient_id);
+    await repos.patients.update(patient.patient_id, { pending_question: null });
 
     // Build reply: ack + possible insight or first-day med history prompt
     const replies = [];
 
     // Acknowledgment
-    replies.push({ reply: render(ackTemplate), templateId: ackTemplate });
+    replies.push({ reply: render(ackTemplate, {}, patient.language), templateId: ackTemplate });
 
     // Day 1: prompt medication history (O-4) after first check-in
-    if (dayNumber === 1) {
-        await supabase
-            .from('patients')
-            .update({ pending_question: 'MED_HISTORY_YN' })
-            .eq('patient_id', patient.patient_id);
+    if (dayNumber === 1 && sprint.sprint_type !== 'TREATMENT') {
+        await repos.patients.update(patient.patient_id, { pending_question: 'MED_HISTORY_YN' });
 
-        replies.push({ reply: render('O-4-ASK'), templateId: 'O-4-ASK' });
+        replies.push({ reply: render('O-4-ASK', {}, patient.language), templateId: 'O-4-ASK' });
     }
 
-    // Check insight triggers (days 5, 10, 14, 21, 30)
-    const insightResult = await checkInsightTrigger(patient, sprint, dayNumber);
+    // Check insight triggers (days 5, 10, 14, 21, 30; 7, 14, 21, 30 on treatment)
+    const insightResult = sprint.sprint_type === 'TREATMENT'
+        ? await checkTreatmentInsight(patient, sprint, dayNumber)
+        : await checkInsightTrigger(patient, sprint, dayNumber);
     if (insightResult) {
         replies.push(insightResult);
     }
@@ -434,32 +455,247 @@ async function recordDailyResponse(patient, level, rawText, method, confidence)
     return replies.length === 1 ? replies[0] : replies;
 }
 
+/**
+ * Record a check-in for an earlier day in the current sprint.
+ *
+ * Writes through the same record_daily_entry RPC as today's check-in, so
+ * an is_missed row left by the missed-days detector becomes a real entry
+ * and the sprint/patient counts are recomputed. Day number comes from the
+ * calendar (sprint start → entry date), not from day_count.
+ *
+ * Replies with a single confirmation: no ack rotation, no insight or
+ * day-30 checks — those fire on today's check-in.
+ */
+async function recordBackfillEntry(patient, backfill, rawText) {
+    const { entryDate, level, daysAgo } = backfill;
+    const dateLabel = formatLongDate(entryDate, patient.language);
+    const lookbackDays = getLookbackDays();
+
+    if (daysAgo > lookbackDays) {
+        return {
+            reply: render('SYS-BACKFILL-TOO-OLD', { lookbackDays }, patient.language),
+            templateId: 'SYS-BACKFILL-TOO-OLD',
+        };
+    }
+
+    const sprint = await repos.sprints.getActive(patient.patient_id);
+
+    if (!sprint) {
+        console.error(`No active sprint for patient ${patient.patient_id}`);
+        return { reply: render('ERR-DAILY', {}, patient.language), templateId: 'ERR-DAILY' };
+    }
+
+    if (entryDate < sprint.start_date) {
+        return {
+            reply: render('SYS-BACKFILL-BEFORE-START', { dateLabel }, patient.language),
+            templateId: 'SYS-BACKFILL-BEFORE-START',
+        };
+    }
+
+    // Answered days can only be changed same-day (CHANGE); a missed row is fair game
+    const existing = await repos.entries.getAnswered(patient.patient_id, entryDate, { sprintId: sprint.sprint_id });
+
+    if (existing) {
+        return {
+            reply: render('SYS-BACKFILL-EXISTS', { dateLabel, level: existing.hv_fis_level }, patient.language),
+            templateId: 'SYS-BACKFILL-EXISTS',
+        };
+    }
+
+    await writeEntryForDate(patient, sprint, entryDate, level, rawText, 'NUMERIC');
+
+    return {
+        reply: render('SYS-BACKFILL-CONFIRM', { dateLabel, level }, patient.language),
+        templateId: 'SYS-BACKFILL-CONFIRM',
+    };
+}
+
+/**
+ * Read back a multi-day catch-up before writing anything.
+ *
+ * Days outside the look-back window, before the sprint, or already
+ * answered are dropped. The rest are stored in pending_context and
+ * committed by handleBatchConfirm on YES.
+ */
+async function proposeBatch(patient, batch, rawText) {
+    const today = patientToday(patient);
+    const lookbackDays = getLookbackDays();
+
+    const sprint = await repos.sprints.getActive(patient.patient_id);
+
+    if (!sprint) {
+        console.error(`No active sprint for patient ${patient.patient_id}`);
+        return { reply: render('ERR-DAILY', {}, patient.language), templateId: 'ERR-DAILY' };
+    }
+
+    const answered = await getAnsweredDates(patient, sprint, addDays(today, -(lookbackDays + 1)));
+
+    // Undated "3,2,4" ends today — unless today is already in, then yesterday
+    if (!batch.dated && answered.has(today)) {
+        batch = parseBatch(rawText, today, { endDate: addDays(today, -1) });
+    }
+
+    const entries = batch.entries.filter(e =>
+        e.daysAgo <= lookbackDays &&
+        e.entryDate >= sprint.start_date &&
+        !answered.has(e.entryDate)
+    );
+
+    if (entries.length === 0) {
+        return {
+            reply: render('SYS-BATCH-NONE', { lookbackDays }, patient.language),
+            templateId: 'SYS-BATCH-NONE',
+        };
+    }
+
+    await repos.patients.update(patient.patient_id, {
+        pending_question: 'BATCH_CONFIRM',
+        pending_context: {
+            type: 'BATCH',
+            sprintId: sprint.sprint_id,
+            rawText,
+            entries: entries.map(({ entryDate, level }) => ({ entryDate, level })),
+        },
+    });
+
+    return {
+        reply: render('SYS-BATCH-CONFIRM', {
+            days: entries.map(e => ({ dateLabel: formatShortDate(e.entryDate, patient.language), level: e.level })),
+            skippedCount: batch.entries.length - entries.length,
+        }, patient.language),
+        templateId: 'SYS-BATCH-CONFIRM',
+    };
+}
+
+/**
+ * Handle YES/NO after SYS-BATCH-CONFIRM.
+ * Anything else drops the batch and is handled as a normal message.
+ */
+async function handleBatchConfirm(patient, messageBody) {
+    const text = stripAccents(messageBody.trim().toUpperCase()).replace(/[.!]+$/, '');
+    const context = patient.pending_context;
+
+    await repos.patients.update(patient.patient_id, { pending_question: null, pending_context: null });
+
+    if (text === 'NO' || text === 'N' || text === 'NOPE') {
+        return { reply: render('SYS-BATCH-CANCELLED', {}, patient.language), templateId: 'SYS-BATCH-CANCELLED' };
+    }
+
+    const confirmed = ['YES', 'Y', 'YEAH', 'YEP', 'OK', 'CORRECT', 'SI', 'CORRECTO'].includes(text);
+
+    if (!confirmed || context?.type !== 'BATCH') {
+        return await handleDailyActive(
+            { ...patient, pending_question: null, pending_context: null },
+            messageBody
+        );
+    }
+
+    const sprint = await repos.sprints.get(context.sprintId);
+
+    if (sprint?.status !== 'ACTIVE') {
+        console.error(`Batch confirm: sprint ${context.sprintId} is no longer active for patient ${patient.patient_id}`);
+        return { reply: render('ERR-DAILY', {}, patient.language), templateId: 'ERR-DAILY' };
+    }
+
+    // The patient may have checked in for one of these days since we asked
+    const oldest = context.entries[0].entryDate;
+    const answered = await getAnsweredDates(patient, sprint, oldest);
+    let saved = 0;
+
+    for (const { entryDate, level } of context.entries) {
+        if (answered.has(entryDate)) continue;
+        // Confirmed by the patient, so CLARIFIED rather than NUMERIC
+        await writeEntryForDate(patient, sprint, entryDate, level, context.rawText, 'CLARIFIED');
+        saved++;
+    }
+
+    if (saved === 0) {
+        return {
+            reply: render('SYS-BATCH-NONE', { lookbackDays: getLookbackDays() }, patient.language),
+            templateId: 'SYS-BATCH-NONE',
+        };
+    }
+
+    return {
+        reply: render('SYS-BATCH-SAVED', { count: saved }, patient.language),
+        templateId: 'SYS-BATCH-SAVED',
+    };
+}
+
+/**
+ * Dates in the sprint (on or after `sinceDate`) that already have a real answer.
+ */
+async function getAnsweredDates(patient, sprint, sinceDate) {
+    const rows = await repos.entries.listAnswered(sprint.sprint_id, { since: sinceDate });
+
+    return new Set(rows.map(r => r.entry_date));
+}
+
+/**
+ * Write a past day's entry through record_daily_entry. Day number comes
+ * from the calendar (sprint start → entry date); no ack template.
+ */
+async function writeEntryForDate(patient, sprint, entryDate, level, rawText, method) {
+    const daysAgo = daysBetween(entryDate, patientToday(patient));
+    const dayNumber = Math.min(Math.max(daysBetween(sprint.start_date, entryDate) + 1, 1), 30);
+    const promptSentAt = await findPromptForDate(patient, entryDate, daysAgo);
+
+    try {
+        await repos.entries.record({
+            patientId: patient.patient_id,
+            sprintId: sprint.sprint_id,
+            entryDate,
+            level,
+            responseRaw: rawText,
+            method,
+            confidence: 1.0,
+            promptSentAt: promptSentAt || new Date().toISOString(),
+            responseReceivedAt: new Date().toISOString(),
+            dayNumber,
+            ackTemplate: null,
+        });
+    } catch (error) {
+        throw new Error(`Failed to record entry for ${entryDate}: ${error.message}`);
+    }
+}
+
+/**
+ * The D-1 prompt that went out on a given local date, if any.
+ */
+async function findPromptForDate(patient, entryDate, daysAgo) {
+    const prompts = await repos.messages.listOutbound(patient.patient_id, {
+        templateId: 'D-1',
+        since: `${addDays(entryDate, -1)}T00:00:00Z`,
+        limit: daysAgo + 2,
+    });
+
+    const match = prompts.find(
+        m => localDateString(patient.timezone, new Date(m.sent_at)) === entryDate
+    );
+    return match?.sent_at || null;
+}
+
 // ============================================================================
 // PAUSED — Waiting for re-engagement
 // ============================================================================
 
 async function handlePaused(patient, messageBody) {
-    const text = messageBody.trim().toUpperCase();
+    const text = stripAccents(messageBody.trim().toUpperCase());
 
-    // Any 1-5 response or YES/START resumes tracking
+    // Any 1-5 response or YES/START (SI/EMPEZAR) resumes tracking
     const numericLevel = parseNumericLevel(messageBody);
-    if (numericLevel || text === 'YES' || text === 'START' || text === 'Y') {
-        // Resume daily active
-        await transitionState(
+    if (numericLevel || ['YES', 'Y', 'SI', ...START_KEYWORDS].includes(text)) {
+        // Resume daily tracking — back to TREATMENT if that's the sprint they paused
+        const sprint = await repos.sprints.getActive(patient.patient_id);
+        const transition = await transitionState(
             patient.patient_id,
-            'DAILY_ACTIVE',
+            sprint?.sprint_type === 'TREATMENT' ? 'TREATMENT' : 'DAILY_ACTIVE',
             'PATIENT_RESPONSE',
-            `Resumed from PAUSED: "${messageBody}"`
+            `Resumed from PAUSED: "${messageBody}"`,
+            {},
+            { expectedState: patient.state }
         );
-
-        // Re-schedule daily check-ins
-        if (patient.preferred_time) {
-            await scheduleDailyCheckin(
-                patient.patient_id,
-                patient.preferred_time,
-                patient.timezone || 'America/New_York'
-            );
-        }
+        if (transition.status === TRANSITION_STATUS.CONFLICT) return transition;
 
         // If they sent a level, record it too
         if (numericLevel) {
@@ -467,17 +703,11 @@ async function handlePaused(patient, messageBody) {
             return result;
         }
 
-        return {
-            reply: `Welcome back! We'll pick up where you left off. Your next check-in will be at your usual time.`,
-            templateId: 'SYS-RESUME',
-        };
+        return { reply: render('SYS-RESUME', {}, patient.language), templateId: 'SYS-RESUME' };
     }
 
     // Anything else in PAUSED: gentle reminder
-    return {
-        reply: `You're currently paused. Reply YES or a number (1-5) to resume tracking, or STOP to unsubscribe.`,
-        templateId: 'SYS-PAUSED-INFO',
-    };
+    return { reply: render('SYS-PAUSED-INFO', {}, patient.language), templateId: 'SYS-PAUSED-INFO' };
 }
 
 // ============================================================================
@@ -487,46 +717,245 @@ async function handlePaused(patient, messageBody) {
 async function handleTransition(patient, messageBody) {
     const text = messageBody.trim();
 
+    // Option 2 asked which medication: anything but another option is the answer
+    if (patient.pending_question === 'TREATMENT_MED' && !['1', '2', '3'].includes(text)) {
+        return await handleTreatmentMedication(patient, messageBody);
+    }
+
     if (text === '1') {
-        // Weekly monitoring — Phase 2
-        await transitionState(
-            patient.patient_id, 'DORMANT', 'PATIENT_RESPONSE',
-            'Selected weekly monitoring (deferred to Phase 2)'
+        // Weekly monitoring: entering WEEKLY schedules the check-in a week from today
+        const transition = await transitionState(
+            patient.patient_id, 'WEEKLY', 'PATIENT_RESPONSE',
+            'Selected weekly monitoring',
+            {}, { expectedState: patient.state }
         );
+        if (transition.status === TRANSITION_STATUS.CONFLICT) return transition;
+
+        const today = patientToday(patient);
+        await repos.sprints.insert({
+            patient_id: patient.patient_id,
+            sprint_type: 'WEEKLY',
+            start_date: today,
+        });
+
         return {
-            reply: `Weekly check-ins are coming soon! For now, your report is saved and your data is available anytime. We'll reach out when weekly mode launches.\n\nReply START anytime to do another 30-day sprint.`,
-            templateId: 'T-1-WEEKLY-DEFER',
+            reply: render('T-1-WEEKLY', {
+                weekday: formatWeekday(today, patient.language),
+                time: formatTime12(patient.preferred_time, patient.language),
+            }, patient.language),
+            templateId: 'T-1-WEEKLY',
         };
     }
 
     if (text === '2') {
-        // Treatment monitoring — Phase 2
-        await transitionState(
-            patient.patient_id, 'DORMANT', 'PATIENT_RESPONSE',
-            'Selected treatment monitoring (deferred to Phase 2)'
-        );
-        return {
-            reply: `Treatment tracking is coming soon! For now, your baseline report is saved — it'll be the comparison when treatment monitoring launches.\n\nReply START anytime to do another 30-day sprint.`,
-            templateId: 'T-1-TREATMENT-DEFER',
-        };
+        // Treatment monitoring: the sprint starts once we know the medication
+        await repos.patients.update(patient.patient_id, { pending_question: 'TREATMENT_MED', pending_context: null });
+        return { reply: render('T-1-TREATMENT-ASK', {}, patient.language), templateId: 'T-1-TREATMENT-ASK' };
     }
 
     if (text === '3') {
         // Pause / done
-        await transitionState(
+        const transition = await transitionState(
             patient.patient_id, 'DORMANT', 'PATIENT_RESPONSE',
-            'Selected pause after transition'
+            'Selected pause after transition',
+            {}, { expectedState: patient.state }
         );
-        await cancelPatientJobs(patient.patient_id);
+        if (transition.status === TRANSITION_STATUS.CONFLICT) return transition;
 
-        return {
-            reply: `No problem. Your report and data are saved. Reply START anytime if you want to do another tracking sprint.\n\nThanks for tracking with us! 🙏`,
-            templateId: 'T-1-DORMANT',
-        };
+        return { reply: render('T-1-DORMANT', {}, patient.language), templateId: 'T-1-DORMANT' };
     }
 
     // Invalid option
-    return { reply: render('T-1', { firstName: patient.first_name }), templateId: 'T-1' };
+    return { reply: render('T-1', { firstName: patient.first_name }, patient.language), templateId: 'T-1' };
+}
+
+/**
+ * T-1-TREATMENT-ASK answer: which medication the patient started.
+ *
+ * Matched against reference_medications. A name we don't know is read
+ * back once (pending_context.unmatched) and used as typed on YES.
+ */
+async function handleTreatmentMedication(patient, messageBody) {
+    const text = stripAccents(messageBody.trim().toUpperCase()).replace(/[.!]+$/, '');
+    const unmatched = patient.pending_context?.unmatched;
+
+    if (unmatched && ['YES', 'Y', 'YEAH', 'YEP', 'OK', 'CORRECT', 'SI', 'CORRECTO'].includes(text)) {
+        return await startTreatment(patient, unmatched);
+    }
+
+    const references = await repos.medications.listReference();
+    const match = matchMedication(messageBody, references);
+    if (match) {
+        return await startTreatment(patient, match.medicationName);
+    }
+
+    const medication = messageBody.trim().replace(/\s+/g, ' ').substring(0, 100);
+    await repos.patients.update(patient.patient_id, { pending_context: { unmatched: medication } });
+
+    return {
+        reply: render('T-1-TREATMENT-UNKNOWN', { medication }, patient.language),
+        templateId: 'T-1-TREATMENT-UNKNOWN',
+    };
+}
+
+/**
+ * Start a TREATMENT sprint: 30 more days of daily check-ins, compared
+ * against the patient's latest completed INITIAL sprint. Entering TREATMENT
+ * schedules the check-in; the sprint starts today. With no completed
+ * baseline the sprint is tracked on its own (regular insights, no
+ * comparison), and the reply doesn't promise one.
+ */
+async function startTreatment(patient, medication) {
+    const today = patientToday(patient);
+    const baseline = await repos.sprints.getLatestBaseline(patient.patient_id);
+
+    const transition = await transitionState(
+        patient.patient_id, 'TREATMENT', 'PATIENT_RESPONSE',
+        `Started treatment monitoring: ${medication}`,
+        { current_treatment: medication, day_count: 0, consecutive_missed: 0, sprint_start_date: today },
+        { expectedState: patient.state }
+    );
+    if (transition.status === TRANSITION_STATUS.CONFLICT) return transition;
+
+    await repos.sprints.insert({
+        patient_id: patient.patient_id,
+        sprint_type: 'TREATMENT',
+        treatment_medication: medication,
+        baseline_sprint_id: baseline?.sprint_id || null,
+        start_date: today,
+    });
+
+    const templateId = baseline ? 'T-1-TREATMENT' : 'T-1-TREATMENT-NO-BASELINE';
+    return {
+        reply: render(templateId, {
+            medication,
+            time: formatTime12(patient.preferred_time, patient.language),
+        }, patient.language),
+        templateId,
+    };
+}
+
+// ============================================================================
+// WEEKLY — One check-in a week: headache days and the worst level
+// ============================================================================
+
+const DAILY_KEYWORDS = ['DAILY', 'DIARIO'];
+
+async function handleWeekly(patient, messageBody) {
+    const text = stripAccents(messageBody.trim().toUpperCase());
+
+    if (DAILY_KEYWORDS.includes(text)) {
+        return await resumeDailyFromWeekly(patient);
+    }
+
+    // The week's check-in, if it's still waiting for an answer
+    const sprint = await repos.sprints.getActive(patient.patient_id);
+    const open = sprint
+        ? await repos.weeklyEntries.getOpen(patient.patient_id, {
+            sprintId: sprint.sprint_id,
+            questionType: 'WEEKLY_CHECKIN',
+        })
+        : null;
+
+    if (!open) {
+        return await buildWeeklyInfo(patient);
+    }
+
+    // Headache days came earlier; this should be the worst level
+    if (patient.pending_question === 'WEEKLY_WORST' && open.headache_days !== null) {
+        const worstLevel = parseNumericLevel(messageBody);
+        if (worstLevel) {
+            return await saveWeeklyCheckin(patient, open, { headacheDays: open.headache_days, worstLevel }, messageBody);
+        }
+    }
+
+    const parsed = parseWeeklyCheckin(messageBody);
+    if (!parsed) {
+        return { reply: render('ERR-WEEKLY', {}, patient.language), templateId: 'ERR-WEEKLY' };
+    }
+
+    if (parsed.headacheDays > 0 && parsed.worstLevel === null) {
+        await repos.weeklyEntries.update(open.weekly_entry_id, {
+            headache_days: parsed.headacheDays,
+            response_text: messageBody.trim(),
+        });
+        await repos.patients.update(patient.patient_id, { pending_question: 'WEEKLY_WORST' });
+        return { reply: render('W-CHECKIN-WORST', {}, patient.language), templateId: 'W-CHECKIN-WORST' };
+    }
+
+    return await saveWeeklyCheckin(patient, open, parsed, messageBody);
+}
+
+/**
+ * Store a complete weekly answer and acknowledge it.
+ */
+async function saveWeeklyCheckin(patient, entry, { headacheDays, worstLevel }, messageBody) {
+    await repos.weeklyEntries.update(entry.weekly_entry_id, {
+        headache_days: headacheDays,
+        worst_level: worstLevel,
+        response_value: worstLevel ? `${headacheDays}/${worstLevel}` : String(headacheDays),
+        response_text: entry.response_text ? `${entry.response_text}\n${messageBody.trim()}` : messageBody.trim(),
+        responded_at: new Date().toISOString(),
+    });
+
+    if (patient.pending_question) {
+        await repos.patients.update(patient.patient_id, { pending_question: null });
+    }
+
+    return {
+        reply: render('W-CHECKIN-ACK', { headacheDays, worstLevel }, patient.language),
+        templateId: 'W-CHECKIN-ACK',
+    };
+}
+
+/**
+ * DAILY from WEEKLY: close the weekly sprint and start a new daily one.
+ */
+async function resumeDailyFromWeekly(patient) {
+    const today = patientToday(patient);
+    const weeklySprint = await repos.sprints.getActive(patient.patient_id);
+
+    const transition = await transitionState(
+        patient.patient_id, 'DAILY_ACTIVE', 'PATIENT_RESPONSE',
+        'Back to daily from WEEKLY',
+        { day_count: 0, consecutive_missed: 0, sprint_start_date: today },
+        { expectedState: patient.state }
+    );
+    if (transition.status === TRANSITION_STATUS.CONFLICT) return transition;
+
+    if (weeklySprint) {
+        await repos.sprints.update(weeklySprint.sprint_id, { status: 'COMPLETED', end_date: today });
+    }
+    await repos.sprints.insert({
+        patient_id: patient.patient_id,
+        sprint_type: 'INITIAL',
+        start_date: today,
+    });
+
+    return {
+        reply: render('W-DAILY', { time: formatTime12(patient.preferred_time, patient.language) }, patient.language),
+        templateId: 'W-DAILY',
+    };
+}
+
+/**
+ * SYS-WEEKLY-INFO: when the next weekly check-in comes.
+ */
+async function buildWeeklyInfo(patient) {
+    const [nextJob] = await repos.jobs.listPending(patient.patient_id, { jobType: 'WEEKLY_CHECKIN' });
+    if (!nextJob) {
+        return { reply: render('ERR-WEEKLY', {}, patient.language), templateId: 'ERR-WEEKLY' };
+    }
+
+    const timezone = patient.timezone || DEFAULT_TIMEZONE;
+    const at = new Date(nextJob.scheduled_for);
+    return {
+        reply: render('SYS-WEEKLY-INFO', {
+            weekday: formatWeekday(localDateString(timezone, at), patient.language),
+            time: formatTime12(nextJob.payload.preferred_time, patient.language),
+        }, patient.language),
+        templateId: 'SYS-WEEKLY-INFO',
+    };
 }
 
 // ============================================================================
@@ -534,44 +963,60 @@ async function handleTransition(patient, messageBody) {
 // ============================================================================
 
 async function handleDormant(patient, messageBody) {
-    const text = messageBody.trim().toUpperCase();
+    const text = stripAccents(messageBody.trim().toUpperCase());
+
+    if (START_KEYWORDS.includes(text)) {
+        // Dropped off before sending a name: ask for it again
+        if (!patient.first_name && !patient.preferred_time) {
+            const transition = await transitionState(
+                patient.patient_id, 'ENROLLED', 'PATIENT_RESPONSE',
+                'START from DORMANT, no name yet',
+                { pending_question: 'ENROLL_NAME' },
+                { expectedState: patient.state }
+            );
+            if (transition.status === TRANSITION_STATUS.CONFLICT) return transition;
 
-    if (text === 'START') {
-        // Start a new sprint
-        const { data: newSprint } = await supabase
-            .from('sprints')
-            .insert({
-                patient_id: patient.patient_id,
-                sprint_type: 'INITIAL',
-                start_date: new Date().toISOString().split('T')[0],
-            })
-            .select()
-            .single();
-
-        await transitionState(
+            await scheduleOnboardReminder(patient.patient_id, 'ENROLL_NAME');
+            return { reply: render('ENROLL-NAME', {}, patient.language), templateId: 'ENROLL-NAME' };
+        }
+
+        // Dropped off before picking a time: pick up onboarding at O-2
+        if (!patient.preferred_time) {
+            const transition = await transitionState(
+                patient.patient_id, 'ONBOARDING', 'PATIENT_RESPONSE',
+                'START from DORMANT, onboarding not finished',
+                {},
+                { expectedState: patient.state }
+            );
+            if (transition.status === TRANSITION_STATUS.CONFLICT) return transition;
+
+            return { reply: render('O-2', {}, patient.language), templateId: 'O-2' };
+        }
+
+        const startDate = patientToday(patient);
+
+        const transition = await transitionState(
             patient.patient_id, 'DAILY_ACTIVE', 'PATIENT_RESPONSE',
             'Self-reactivated from DORMANT',
-            { day_count: 0, consecutive_missed: 0, sprint_start_date: newSprint?.start_date }
+            { day_count: 0, consecutive_missed: 0, sprint_start_date: startDate },
+            { expectedState: patient.state }
         );
+        if (transition.status === TRANSITION_STATUS.CONFLICT) return transition;
 
-        if (patient.preferred_time) {
-            await scheduleDailyCheckin(
-                patient.patient_id,
-                patient.preferred_time,
-                patient.timezone || 'America/New_York'
-            );
-        }
+        // Start a new sprint
+        await repos.sprints.insert({
+            patient_id: patient.patient_id,
+            sprint_type: 'INITIAL',
+            start_date: startDate,
+        });
 
         return {
-            reply: `Welcome back! A new 30-day tracking sprint starts now. Your first check-in comes tomorrow at ${formatTime12(patient.preferred_time)}.`,
+            reply: render('SYS-REACTIVATE', { time: formatTime12(patient.preferred_time, patient.language) }, patient.language),
             templateId: 'SYS-REACTIVATE',
         };
     }
 
-    return {
-        reply: `Hi! You're not currently tracking. Reply START to begin a new 30-day sprint, or HELP for options.`,
-        templateId: 'SYS-DORMANT-INFO',
-    };
+    return { reply: render('SYS-DORMANT-INFO', {}, patient.language), templateId: 'SYS-DORMANT-INFO' };
 }
 
 // ============================================================================
@@ -592,46 +1037,42 @@ function parseNumericLevel(text) {
 }
 
 /**
- * Activate a patient: transition to DAILY_ACTIVE, create sprint, schedule check-ins.
+ * Activate a patient: transition to DAILY_ACTIVE (entering it schedules
+ * the first check-in), then create the sprint. Nothing is created if the
+ * transition doesn't go through.
+ *
+ * @returns {Promise<object>} - The transitionState() result
  */
 async function activatePatient(patient, parsedTime, extraUpdates = {}) {
     const tomorrow = new Date();
     tomorrow.setDate(tomorrow.getDate() + 1);
     const startDate = tomorrow.toISOString().split('T')[0];
 
-    // Create the sprint
-    const { data: sprint } = await supabase
-        .from('sprints')
-        .insert({
-            patient_id: patient.patient_id,
-            sprint_type: 'INITIAL',
-            start_date: startDate,
-        })
-        .select()
-        .single();
-
     // Transition state
-    await transitionState(
+    const transition = await transitionState(
         patient.patient_id,
         'DAILY_ACTIVE',
         'PATIENT_RESPONSE',
         `Time selected: ${parsedTime.display}`,
         {
             preferred_time: parsedTime.time24,
-            pending_question: null,
             sprint_start_date: startDate,
             day_count: 0,
             consecutive_missed: 0,
             ...extraUpdates,
-        }
+        },
+        { expectedState: patient.state }
     );
+    if (!transition.success) return transition;
 
-    // Schedule the first check-in
-    await scheduleDailyCheckin(
-        patient.patient_id,
-        parsedTime.time24,
-        patient.timezone || 'America/New_York'
-    );
+    // Create the sprint
+    await repos.sprints.insert({
+        patient_id: patient.patient_id,
+        sprint_type: 'INITIAL',
+        start_date: startDate,
+    });
+
+    return transition;
 }
 
 /**
@@ -644,23 +1085,11 @@ async function checkInsightTrigger(patient, sprint, dayNumber) {
     if (!templateId) return null;
 
     // Compute insight data from sprint entries
-    const { data: entries } = await supabase
-        .from('daily_entries')
-        .select('hv_fis_level')
-        .eq('sprint_id', sprint.sprint_id)
-        .eq('is_missed', false);
-
-    if (!entries || entries.length === 0) return null;
+    const entries = await repos.entries.listAnswered(sprint.sprint_id);
 
-    const totalDays = entries.length;
-    const headacheDays = entries.filter(e => e.hv_fis_level >= 2).length;
-    const headacheFreeDays = entries.filter(e => e.hv_fis_level === 1).length;
-    const avgLevel = (entries.reduce((sum, e) => sum + e.hv_fis_level, 0) / totalDays).toFixed(1);
+    if (entries.length === 0) return null;
 
-    // Most common level (for I-14)
-    const levelCounts = [0, 0, 0, 0, 0, 0]; // index 0 unused
-    entries.forEach(e => levelCounts[e.hv_fis_level]++);
-    const mostCommonLevel = levelCounts.indexOf(Math.max(...levelCounts.slice(1)));
+    const { totalDays, headacheDays, headacheFreeDays, avgLevel, mostCommonLevel } = sprintMetrics(entries);
 
     const data = {
         headacheDays,
@@ -677,41 +1106,83 @@ async function checkInsightTrigger(patient, sprint, dayNumber) {
         data.reportUrl = `${process.env.REPORT_BASE_URL}/${reportToken}`;
     }
 
-    return { reply: render(templateId, data), templateId };
+    return { reply: render(templateId, data, patient.language), templateId };
+}
+
+/**
+ * Insights for a TREATMENT sprint, each against the baseline sprint:
+ * the share of logged days with a headache at weeks 1-3 (I-TX), then
+ * headache days and HV-DBS score side by side at day 30 (I-TX-30, which
+ * completes the sprint and links its report). Without a baseline the
+ * regular insights run instead.
+ */
+async function checkTreatmentInsight(patient, sprint, dayNumber) {
+    const baseline = sprint.baseline_sprint_id ? await repos.sprints.get(sprint.baseline_sprint_id) : null;
+    if (!baseline) {
+        return await checkInsightTrigger(patient, sprint, dayNumber);
+    }
+
+    const weeks = { 7: 1, 14: 2, 21: 3 }[dayNumber];
+    if (!weeks && dayNumber !== 30) return null;
+
+    const current = sprintMetrics(await repos.entries.listAnswered(sprint.sprint_id));
+    const before = sprintMetrics(await repos.entries.listAnswered(baseline.sprint_id));
+
+    if (current.totalDays === 0) return null;
+
+    if (weeks) {
+        const data = {
+            medication: sprint.treatment_medication,
+            weeks,
+            headachePct: headachePct(current),
+            baselinePct: headachePct(before),
+        };
+        return { reply: render('I-TX', data, patient.language), templateId: 'I-TX' };
+    }
+
+    const reportToken = await generateReportToken(sprint.sprint_id);
+    const data = {
+        firstName: patient.first_name,
+        medication: sprint.treatment_medication,
+        headacheDays: current.headacheDays,
+        baselineHeadacheDays: before.headacheDays,
+        dbsScore: current.dbsScore,
+        baselineDbsScore: before.dbsScore,
+        reportUrl: `${process.env.REPORT_BASE_URL}/${reportToken}`,
+    };
+    return { reply: render('I-TX-30', data, patient.language), templateId: 'I-TX-30' };
 }
 
 /**
  * Generate a report token for a sprint and store it.
  */
 async function generateReportToken(sprintId) {
-    const { data } = await supabase.rpc('generate_report_token');
-    const token = data;
-
-    await supabase
-        .from('sprints')
-        .update({
-            report_token: token,
-            report_generated: true,
-            end_date: new Date().toISOString().split('T')[0],
-            status: 'COMPLETED',
-        })
-        .eq('sprint_id', sprintId);
+    const token = await repos.sprints.generateReportToken();
+
+    await repos.sprints.update(sprintId, {
+        report_token: token,
+        report_generated: true,
+        end_date: new Date().toISOString().split('T')[0],
+        status: 'COMPLETED',
+    });
 
     return token;
 }
 
 /**
- * Trigger the day 30 transition: generate report, send T-1.
+ * Trigger the day 30 transition. Entering TRANSITION cancels the daily
+ * check-ins and queues T-1. The day 30 entry is already recorded, so a
+ * conflict (the patient paused or stopped meanwhile) is only logged.
  */
 async function triggerTransition(patient, sprint) {
-    await transitionState(
+    const transition = await transitionState(
         patient.patient_id, 'TRANSITION', 'SYSTEM_TIMER',
         `Day 30 reached (day_count: ${patient.day_count + 1})`,
-        { pending_question: 'TRANSITION_CHOICE' }
+        {}, { expectedState: patient.state }
     );
-
-    // Cancel daily scheduler
-    await cancelPatientJobs(patient.patient_id);
+    if (transition.status === TRANSITION_STATUS.CONFLICT) {
+        console.warn(`Day 30 transition skipped for ${patient.patient_id}: ${transition.error}`);
+    }
 }
 
 /**
@@ -719,21 +1190,11 @@ async function triggerTransition(patient, sprint) {
  */
 async function handleWeeklyResponse(patient, messageBody) {
     // Determine which weekly question was pending
-    const { data: latestWeekly } = await supabase
-        .from('weekly_entries')
-        .select('*')
-        .eq('patient_id', patient.patient_id)
-        .is('responded_at', null)
-        .order('asked_at', { ascending: false })
-        .limit(1)
-        .single();
+    const latestWeekly = await repos.weeklyEntries.getOpen(patient.patient_id);
 
     if (!latestWeekly) {
         // No pending weekly question — treat as daily response
-        await supabase
-            .from('patients')
-            .update({ pending_question: null })
-            .eq('patient_id', patient.patient_id);
+        await repos.patients.update(patient.patient_id, { pending_question: null });
         return await handleDailyActive(
             { ...patient, pending_question: null },
             messageBody
@@ -741,34 +1202,25 @@ async function handleWeeklyResponse(patient, messageBody) {
     }
 
     // Store the response
-    await supabase
-        .from('weekly_entries')
-        .update({
-            response_value: messageBody.trim().substring(0, 10),
-            response_text: messageBody.trim(),
-            responded_at: new Date().toISOString(),
-        })
-        .eq('weekly_entry_id', latestWeekly.weekly_entry_id);
+    await repos.weeklyEntries.update(latestWeekly.weekly_entry_id, {
+        response_value: messageBody.trim().substring(0, 10),
+        response_text: messageBody.trim(),
+        responded_at: new Date().toISOString(),
+    });
 
     // Clear pending
-    await supabase
-        .from('patients')
-        .update({ pending_question: null })
-        .eq('patient_id', patient.patient_id);
+    await repos.patients.update(patient.patient_id, { pending_question: null });
 
-    return {
-        reply: `Got it, thanks. Back to your regular check-ins tomorrow. 👍`,
-        templateId: 'W-ACK',
-    };
+    return { reply: render('W-ACK', {}, patient.language), templateId: 'W-ACK' };
 }
 
 /**
- * Parse a fuzzy date like "March 15", "3/15", "march 15th".
+ * Parse a fuzzy date like "March 15", "3/15", "march 15th", "15 de marzo".
  * Returns YYYY-MM-DD string or null.
  */
 function parseFuzzyDate(text) {
-    const cleaned = text.trim().toLowerCase()
-        .replace(/(st|nd|rd|th)/g, '')
+    const cleaned = stripAccents(text.trim().toLowerCase())
+        .replace(/(\d)(st|nd|rd|th)\b/g, '$1')
         .replace(/\s+/g, ' ');
 
     const months = {
@@ -776,6 +1228,9 @@ function parseFuzzyDate(text) {
         apr: 3, april: 3, may: 4, jun: 5, june: 5, jul: 6, july: 6,
         aug: 7, august: 7, sep: 8, september: 8, oct: 9, october: 9,
         nov: 10, november: 10, dec: 11, december: 11,
+        enero: 0, febrero: 1, marzo: 2, abril: 3, mayo: 4, junio: 5,
+        julio: 6, agosto: 7, septiembre: 8, setiembre: 8, octubre: 9,
+        noviembre: 10, diciembre: 11,
     };
 
     // "March 15", "march 15", "Mar 15"
@@ -786,6 +1241,12 @@ function parseFuzzyDate(text) {
         return buildDate(month, day);
     }
 
+    // "15 de marzo", "el 15 de marzo"
+    match = cleaned.match(/^(?:el\s+)?(\d{1,2})\s+de\s+([a-z]+)$/);
+    if (match && months[match[2]] !== undefined) {
+        return buildDate(months[match[2]], parseInt(match[1], 10));
+    }
+
     // "3/15", "03/15"
     match = cleaned.match(/^(\d{1,2})\/(\d{1,2})$/);
     if (match) {
@@ -825,9 +1286,10 @@ function buildDate(month, day) {
 
 /**
  * Format a 24h time string "08:00" into display format "8:00 AM".
+ * Without a time, "your usual time" in the patient's language.
  */
-function formatTime12(time24) {
-    if (!time24) return 'your usual time';
+function formatTime12(time24, language = 'en') {
+    if (!time24) return language === 'es' ? 'la hora de siempre' : 'your usual time';
     const [h, m] = time24.split(':').map(Number);
     const displayH = h === 0 ? 12 : h > 12 ? h - 12 : h;
     const period = h >= 12 ? 'PM' : 'AM';
@@ -835,12 +1297,12 @@ function formatTime12(time24) {
 }
 
 /**
- * Format a date string for display.
+ * Format a date string for display ("March 15" / "15 de marzo").
  */
-function formatDate(dateStr) {
+function formatDate(dateStr, language = 'en') {
     if (!dateStr) return '';
     const d = new Date(dateStr + 'T00:00:00');
-    return d.toLocaleDateString('en-US', { month: 'long', day: 'numeric' });
+    return d.toLocaleDateString(language === 'es' ? 'es-US' : 'en-US', { month: 'long', day: 'numeric' });
 }
 
 module.exports = {
@@ -849,7 +1311,9 @@ module.exports = {
     handleDailyActive,
     handlePaused,
     handleTransition,
+    handleWeekly,
     handleDormant,
+    buildWeeklyInfo,
     parseNumericLevel,
     // Exported for testing
     parseFuzzyDate,
@@ -0,0 +1,344 @@
+/**
+ * Spanish Message Templates
+ *
+ * Same template IDs and data as lib/templates.js. Anything missing here
+ * renders in English, so new templates should be added to both files.
+ *
+ * Register: usted. Keep the English tone — warm, no guilt, no false cheer.
+ * Keywords are shown in Spanish with the English carrier keyword where
+ * it matters (PARAR o STOP); both are always accepted.
+ */
+
+// "a las 8:00 AM", "a la 1:00 PM", and "a la hora de siempre" for
+// formatTime12's fallback when the patient has no check-in time
+function atTime(time) {
+    if (!/^\d/.test(time)) return `a ${time}`;
+    return time.startsWith('1:') ? `a la ${time}` : `a las ${time}`;
+}
+
+const es = {
+
+    // ==========================================================================
+    // ONBOARDING
+    // ==========================================================================
+
+    'ENROLL-NAME': () =>
+        `¡Bienvenido/a a Headache Vault! Antes de empezar — ¿cuál es su nombre?\n\n(For English, reply LANGUAGE.)`,
+
+    'O-1-PCP': ({ firstName, pcpName }) =>
+        `Hola ${firstName}, le escribe Headache Vault. El consultorio del Dr. ${pcpName} le inscribió en un programa de 30 días para dar seguimiento a sus dolores de cabeza.\n\nEs un mensaje rápido al día — toma unos 10 segundos.\n\nResponda EMPEZAR para comenzar, o PARAR (STOP) en cualquier momento para salir.`,
+
+    'O-1-SELF': ({ firstName }) =>
+        `¡Bienvenido/a a Headache Vault! Está comenzando un programa de 30 días para dar seguimiento a sus dolores de cabeza. Un mensaje al día, unos 10 segundos.\n\nAl final, recibirá un informe que puede llevar a cualquier médico.\n\nResponda EMPEZAR para comenzar, o PARAR (STOP) en cualquier momento.`,
+
+    'O-2': () =>
+        `¡Muy bien! ¿A qué hora le conviene recibir el mensaje diario? La mayoría elige la mañana o la noche.\n\nResponda con una hora, como "8am" o "9pm"`,
+
+    'ENROLL-NAME-REMIND': () =>
+        `¿Sigue ahí? Para terminar de inscribirse en el seguimiento de sus dolores de cabeza con Headache Vault, solo responda con su nombre.`,
+
+    'ENROLL-NAME-FINAL': () =>
+        `Un último mensaje de Headache Vault: responda con su nombre para terminar de inscribirse en el seguimiento de sus dolores de cabeza. No le escribiremos más, pero EMPEZAR funciona en cualquier momento.`,
+
+    'O-1-FINAL': ({ firstName }) =>
+        `Hola ${firstName}, un último mensaje de Headache Vault: responda EMPEZAR para comenzar su seguimiento de 30 días. No le escribiremos más, pero EMPEZAR funciona en cualquier momento.`,
+
+    'O-2-REMIND': ({ firstName }) =>
+        `Hola ${firstName}, ¡ya casi está listo/a! ¿A qué hora le conviene recibir el mensaje diario? Responda con una hora, como "8am" o "9pm".`,
+
+    'O-2-FINAL': ({ firstName }) =>
+        `Hola ${firstName}, último recordatorio: responda con una hora, como "8am", para comenzar sus mensajes diarios. No le escribiremos más, pero puede responder EMPEZAR en cualquier momento.`,
+
+    'O-3-REMIND': ({ firstName }) =>
+        `Hola ${firstName}, una pregunta más y comienzan sus mensajes diarios: ¿tiene una cita médica próximamente? Responda con la fecha (como "15 de marzo"), o NO si no tiene.`,
+
+    'O-3-FINAL': ({ firstName }) =>
+        `Hola ${firstName}, último recordatorio: responda con la fecha de su cita (como "15 de marzo"), o NO, para comenzar sus mensajes diarios. No le escribiremos más, pero EMPEZAR funciona en cualquier momento.`,
+
+    'O-3-WITH-APPT': ({ time, appointmentDate }) =>
+        `Listo — le escribiremos todos los días ${atTime(time)}.\n\nSu próxima cita es el ${appointmentDate}. Tendremos su informe listo antes.\n\nSu primer mensaje llega mañana ${atTime(time)}.`,
+
+    'O-3-ASK-APPT': ({ time }) =>
+        `Listo — le escribiremos todos los días ${atTime(time)}.\n\nUna pregunta: ¿tiene una cita médica próximamente? Si es así, responda con la fecha (como "15 de marzo"). Si no, responda NO.`,
+
+    'O-3-CONFIRMED': ({ time }) =>
+        `Listo — le escribiremos todos los días ${atTime(time)}.\n\nSu primer mensaje llega mañana ${atTime(time)}.`,
+
+    'O-4-ASK': () =>
+        `Una cosa más que hará su informe más útil:\n\n¿Alguna vez ha tomado un medicamento diario para prevenir los dolores de cabeza? (No Excedrin ni Tylenol — cosas como topiramato, propranolol, amitriptilina o un medicamento CGRP.)\n\nResponda SI, NO o NO SE.`,
+
+    'O-4-LIST': () =>
+        `¿Cuáles ha probado? Puede nombrarlos o describirlos — sirven los nombres de marca o genéricos.\n\nEjemplo: "topiramato y propranolol" o "uno que me daba sueño y un betabloqueador"`,
+
+    'O-4-REASON': ({ medication }) =>
+        `¿Por qué dejó de tomar ${medication}?\n\n1 — Efectos secundarios\n2 — No me ayudó\n3 — Costo\n4 — Otra razón\n5 — Todavía lo tomo`,
+
+    'O-4-DONE': () =>
+        `Gracias — ya lo anotamos. Esto hará su informe más útil para su médico. ¡Sus mensajes diarios ya están activos!`,
+
+    'O-4-DONE-NONE': () =>
+        `No hay problema — lo podemos agregar después. ¡Todo listo! Sus mensajes diarios ya están activos.`,
+
+    'O-4-REASON-ACK': () =>
+        `Gracias por contarnos.`,
+
+    // ==========================================================================
+    // DAILY CHECK-IN
+    // ==========================================================================
+
+    'D-1': () =>
+        `¿Cómo está su cabeza hoy?\n\n1 — Ni lo noté\n2 — Lo noté, pero no cambió mis planes\n3 — Tuve que aguantar algunas cosas\n4 — Tuve que dejar o cambiar algo\n5 — No pude hacer nada`,
+
+    'D-ACK-1': () => `Anotado, gracias. Hasta mañana.`,
+    'D-ACK-2': () => `Registrado. Gracias por responder.`,
+    'D-ACK-3': () => `Anotado — un día más de datos para su informe.`,
+    'D-ACK-4': () => `Gracias por compartirlo. Cada día de seguimiento cuenta.`,
+    'D-ACK-5': () => `Anotado. Su constancia está formando un panorama muy claro.`,
+    'D-ACK-6': () => `Registrado. Este seguimiento diario es justo lo que los médicos necesitan ver.`,
+
+    'D-RE3': ({ firstName }) =>
+        `Hola ${firstName} — no hemos sabido de usted en unos días. Sin presión, solo queríamos saludarle.\n\nResponda con su nivel de hoy (1-5) cuando guste, o responda PAUSA para tomar un descanso.`,
+
+    'D-RE5': ({ firstName }) =>
+        `Hola ${firstName}, ya van unos 5 días. Pausaremos sus mensajes diarios por ahora.\n\nResponda SI cuando quiera para continuar donde se quedó. Sus datos están guardados.`,
+
+    // ==========================================================================
+    // WEEKLY CONTEXT QUESTIONS
+    // ==========================================================================
+
+    'W-1': () =>
+        `Pregunta semanal: ¿Cuántos días de esta semana tomó algo para el dolor de cabeza? (Tylenol, Excedrin, un triptán, lo que sea.)\n\nResponda con un número (0-7).`,
+
+    'W-2': () =>
+        `Pregunta semanal: Esta semana, ¿cuánto afectaron los dolores de cabeza sus actividades?\n\n1 — Nada\n2 — Poco — cambié algunas cosas\n3 — Moderado — falté a algunas actividades\n4 — Mucho — falté a casi todo lo que tenía planeado`,
+
+    'W-3': () =>
+        `Última pregunta semanal: ¿Notó algún desencadenante esta semana? (Estrés, clima, sueño, comida, hormonas, etc.)\n\nResponda con lo que notó, o NO si nada le llamó la atención.`,
+
+    'W-ACK': () =>
+        `Gracias. Mañana volvemos a los mensajes de siempre.`,
+
+    // ==========================================================================
+    // WEEKLY MONITORING (WEEKLY state)
+    // ==========================================================================
+
+    'W-CHECKIN': ({ firstName }) =>
+        `Hola ${firstName}, es hora de su registro semanal. En los últimos 7 días:\n\n¿Cuántos días tuvo dolor de cabeza (0-7)?\n¿Qué tan fuerte fue el peor (1-5)?\n\nResponda con los dos números, como "2 4", o 0 si no tuvo ninguno.`,
+
+    'W-CHECKIN-WORST': () =>
+        `¿Y qué tan fuerte fue el peor de esta semana? Responda con un número del 1 al 5.`,
+
+    'W-CHECKIN-ACK': ({ headacheDays, worstLevel }) =>
+        headacheDays === 0
+            ? `Listo — ningún dolor de cabeza esta semana. Quedó guardado. Hasta la próxima semana.`
+            : `Listo — ${headacheDays} de 7 días con dolor de cabeza, el peor de nivel ${worstLevel}. Quedó guardado. Hasta la próxima semana.`,
+
+    'W-DAILY': ({ time }) =>
+        `De vuelta a los mensajes diarios. Comienza un nuevo periodo de 30 días — su primer mensaje llega ${atTime(time)}.`,
+
+    // ==========================================================================
+    // INSIGHT REFLECTIONS
+    // ==========================================================================
+
+    'I-5': ({ headacheDays, totalDays }) =>
+        `¡5 días! Esto es lo que vemos hasta ahora: ${headacheDays} de ${totalDays} días con algún efecto del dolor de cabeza.\n\nEs pronto — los patrones suelen aparecer alrededor del día 14.`,
+
+    'I-10': ({ avgLevel, headacheFreeDays, totalDays }) =>
+        `Resumen de 10 días: Su nivel diario promedio es ${avgLevel}. Ha tenido ${headacheFreeDays} días sin dolor de cabeza de ${totalDays}.\n\nEstá reuniendo algo que la mayoría de los médicos nunca ven — un panorama real de su patrón.`,
+
+    'I-14': ({ headacheDays, totalDays, mostCommonLevel }) =>
+        `¡Dos semanas de datos! ${headacheDays} días con efecto del dolor de cabeza de ${totalDays} registrados.\n\nSu nivel más común: ${mostCommonLevel}. Va a la mitad — los 30 días completos son la mejor evidencia para su médico.`,
+
+    'I-21': ({ headacheDays, totalDays }) =>
+        `3 semanas listas. ${headacheDays} días con dolor de cabeza de ${totalDays} hasta ahora.\n\nYa está en la recta final. Faltan 9 días para completar el panorama.`,
+
+    'I-30': ({ firstName, reportUrl }) =>
+        `${firstName}, ¡lo logró — 30 días de seguimiento!\n\nAquí está su informe para la consulta: ${reportUrl}\n\nTiene todo lo que su médico necesita para ver su patrón y hacer un plan. Llévelo a su próxima cita.`,
+
+    'I-TX': ({ medication, weeks, headachePct, baselinePct }) =>
+        `${weeks === 1 ? 'Una semana' : `${weeks} semanas`} con ${medication}: tuvo dolor de cabeza en el ${headachePct}% de los días que registró. En su primer mes fue el ${baselinePct}%.\n\nSiga así — los 30 días completos dan la comparación más clara.`,
+
+    'I-TX-30': ({ firstName, medication, headacheDays, baselineHeadacheDays, dbsScore, baselineDbsScore, reportUrl }) =>
+        `${firstName}, ¡30 días con ${medication} — listo! Comparado con su primer mes:\n\nDías con dolor de cabeza: ${headacheDays} (antes: ${baselineHeadacheDays})\nPuntaje de carga: ${dbsScore} (antes: ${baselineDbsScore})\n\nSu informe comparativo: ${reportUrl}`,
+
+    // ==========================================================================
+    // TRANSITION (Day 30+)
+    // ==========================================================================
+
+    'T-1': ({ firstName }) =>
+        `${firstName}, ya terminó sus 30 días. ¿Qué le gustaría hacer ahora?\n\n1 — Mensajes semanales (menos seguido)\n2 — Dar seguimiento a un tratamiento nuevo (diario otra vez)\n3 — Pausar por ahora\n\nSu informe y sus datos quedan guardados de todos modos.`,
+
+    'T-1-WEEKLY': ({ weekday, time }) =>
+        `Listo, mensajes semanales. Cada ${weekday} ${atTime(time)} le preguntaremos cómo le fue en la semana — dos números rápidos.\n\nResponda DIARIO cuando quiera para volver al seguimiento diario.`,
+
+    'T-1-TREATMENT-ASK': () =>
+        `Muy bien — veremos cómo le funciona un tratamiento nuevo. ¿Qué medicamento empezó? Responda con el nombre, como "topiramato" o "Aimovig".`,
+
+    'T-1-TREATMENT-UNKNOWN': ({ medication }) =>
+        `No tenemos "${medication}" en nuestra lista. Responda SI para darle seguimiento tal como lo escribió, o envíe el nombre otra vez (como aparece en la etiqueta).`,
+
+    'T-1-TREATMENT': ({ medication, time }) =>
+        `Listo — daremos seguimiento a ${medication}. Los mensajes diarios vuelven ${atTime(time)} por 30 días, y al final los compararemos con su primer mes.`,
+
+    'T-1-TREATMENT-NO-BASELINE': ({ medication, time }) =>
+        `Listo — daremos seguimiento a ${medication}. Los mensajes diarios vuelven ${atTime(time)} por 30 días, y al final le enviaremos un informe.`,
+
+    'T-1-DORMANT': () =>
+        `No hay problema. Su informe y sus datos están guardados. Responda EMPEZAR cuando quiera hacer otro periodo de seguimiento.\n\n¡Gracias por participar!`,
+
+    // ==========================================================================
+    // SYSTEM MESSAGES
+    // ==========================================================================
+
+    'SYS-STOP': ({ reportUrl }) =>
+        `Ya no recibirá mensajes de Headache Vault.${reportUrl ? ` Sus datos e informes siguen disponibles en ${reportUrl}` : ''}\n\nEnvíe EMPEZAR cuando quiera para volver a inscribirse.`,
+
+    'SYS-UNSUBSCRIBED': () =>
+        `Actualmente no está inscrito/a. Responda EMPEZAR para volver a inscribirse.`,
+
+    'SYS-RESUBSCRIBED': () =>
+        `Bienvenido/a de nuevo — está inscrito/a otra vez en los mensajes de Headache Vault. Sus datos anteriores están guardados.\n\nResponda EMPEZAR para comenzar un nuevo periodo de 30 días. Responda PARAR (STOP) en cualquier momento para salir.`,
+
+    'SYS-RESUBSCRIBED-ONBOARD': () =>
+        `Bienvenido/a de nuevo — está inscrito/a otra vez en los mensajes de Headache Vault. Responda PARAR (STOP) en cualquier momento para salir.\n\n¿A qué hora le conviene recibir el mensaje diario? Responda con una hora, como "8am" o "9pm"`,
+
+    'SYS-HELP': () =>
+        `Sistema de seguimiento Headache Vault.\n\nResponda con 1-5 para su registro diario.\nResponda PARAR para dejar de recibir mensajes.\nResponda HORA para cambiar la hora del mensaje.\nResponda ZONA para cambiar su zona horaria.\nResponda CAMBIAR 3 para corregir la respuesta de hoy.\nResponda REPORTE para recibir el enlace a su informe.\nResponda ESTADO para ver su progreso.\nReply LANGUAGE for English.\n\n¿Preguntas? Escriba a support@headachevault.com`,
+
+    'SYS-LANGUAGE-SET': () =>
+        `Listo — de ahora en adelante le escribiremos en español. (Reply LANGUAGE for English.)`,
+
+    'SYS-PAUSE': () =>
+        `Listo — sus mensajes están en pausa. Responda SI o cualquier número (1-5) cuando quiera continuar. Sus datos están guardados.`,
+
+    'SYS-PAUSED-INFO': () =>
+        `Sus mensajes están en pausa. Responda SI o un número (1-5) para continuar, o PARAR para dejar de recibir mensajes.`,
+
+    'SYS-PAUSE-FINAL': ({ firstName, pausedDays }) =>
+        `Hola ${firstName}, sus mensajes llevan ${pausedDays} días en pausa. ¿Quiere continuar? Responda SI o un número (1-5) para retomar.\n\nSi no recibimos respuesta, dejaremos de escribirle. Sus datos están guardados, y puede responder EMPEZAR cuando quiera para comenzar de nuevo.`,
+
+    'SYS-RESUME': () =>
+        `¡Bienvenido/a de nuevo! Continuamos donde se quedó. Su próximo mensaje llegará a la hora de siempre.`,
+
+    'SYS-REACTIVATE': ({ time }) =>
+        `¡Bienvenido/a de nuevo! Comienza un nuevo periodo de 30 días. Su primer mensaje llega mañana ${atTime(time)}.`,
+
+    'SYS-DORMANT-INFO': () =>
+        `¡Hola! En este momento no está dando seguimiento. Responda EMPEZAR para comenzar un nuevo periodo de 30 días, o AYUDA para ver opciones.`,
+
+    'SYS-WEEKLY-INFO': ({ weekday, time }) =>
+        `Está recibiendo mensajes semanales — el próximo llega el ${weekday} ${atTime(time)}. Responda DIARIO para volver al seguimiento diario, o AYUDA para ver opciones.`,
+
+    'SYS-TIME-ASK': () =>
+        `¿A qué hora quiere recibir su mensaje diario? Responda con una hora, como "8am" o "9pm"`,
+
+    'SYS-TIME-CONFIRM': ({ time }) =>
+        `Listo — su nueva hora es ${time}. El cambio empieza mañana.`,
+
+    'SYS-RESCHEDULED': ({ dateLabel, time }) =>
+        `Su próximo mensaje se cambió al ${dateLabel} ${atTime(time)}. Después, los mensajes llegarán a la hora de siempre.`,
+
+    'SYS-TZ-ASK': () =>
+        `¿En qué zona horaria está? Responda ZONA y su zona o una ciudad cercana, como "ZONA PACIFICO", "ZONA CST" o "ZONA DENVER".`,
+
+    'SYS-TZ-CONFIRM': ({ zone, localTime }) =>
+        `Listo — su zona horaria ahora es ${zone}. Allí son las ${localTime}. Sus mensajes seguirán su hora local.`,
+
+    'SYS-CHANGE-CONFIRM': ({ level, previousLevel }) =>
+        `Actualizado — su registro de hoy ahora es Nivel ${level} (antes ${previousLevel}). Gracias por la corrección.`,
+
+    'SYS-CHANGE-SAME': ({ level }) =>
+        `Su registro de hoy ya es Nivel ${level} — no hace falta cambiarlo.`,
+
+    'SYS-CHANGE-ASK': () =>
+        `¿Cuál debe ser el nivel de hoy? Responda CAMBIAR y un número, como "CAMBIAR 3".`,
+
+    'SYS-CHANGE-NONE': () =>
+        `Todavía no hay un registro de hoy para cambiar. Responda con un número (1-5) para registrar su día.`,
+
+    'SYS-UNDO-CONFIRM': ({ level, previousLevel }) =>
+        `Deshecho — su registro de hoy volvió a Nivel ${level} (antes ${previousLevel}).`,
+
+    'SYS-UNDO-NONE': () =>
+        `No hay nada que deshacer hoy. Para cambiar el registro de hoy, responda CAMBIAR y un número, como "CAMBIAR 3".`,
+
+    'SYS-BACKFILL-CONFIRM': ({ dateLabel, level }) =>
+        `Anotado — Nivel ${level} para el ${dateLabel}. Gracias por completarlo.`,
+
+    'SYS-BACKFILL-EXISTS': ({ dateLabel, level }) =>
+        `Ya tiene un registro para el ${dateLabel} (Nivel ${level}). Solo se puede cambiar la respuesta de hoy.`,
+
+    'SYS-BACKFILL-TOO-OLD': ({ lookbackDays }) =>
+        `Lo sentimos, solo podemos completar días de los últimos ${lookbackDays} días. Responda con un número (1-5) para hoy.`,
+
+    'SYS-BACKFILL-BEFORE-START': ({ dateLabel }) =>
+        `El ${dateLabel} fue antes de que empezara su seguimiento, así que no hay nada que completar. Responda con un número (1-5) para hoy.`,
+
+    'SYS-BATCH-CONFIRM': ({ days, skippedCount }) =>
+        `Para confirmar, esto es lo que voy a anotar:\n${days.map(d => `${d.dateLabel}: Nivel ${d.level}`).join('\n')}` +
+        `${skippedCount ? `\n(${skippedCount} ${skippedCount === 1 ? 'día omitido' : 'días omitidos'} — ya registrados o muy antiguos.)` : ''}` +
+        `\n\nResponda SI para guardar o NO para cancelar.`,
+
+    'SYS-BATCH-SAVED': ({ count }) =>
+        `Guardado — ${count} ${count === 1 ? 'día completado' : 'días completados'}. ¡Gracias por ponerse al día!`,
+
+    'SYS-BATCH-CANCELLED': () =>
+        `Bien, no se guardó nada. Puede enviarlos de nuevo con el día, como "lunes 3 martes 2", o responder con un número (1-5) para hoy.`,
+
+    'SYS-BATCH-NONE': ({ lookbackDays }) =>
+        `Esos días ya están registrados o son de hace más de ${lookbackDays} días, así que no hay nada que completar. Responda con un número (1-5) para hoy.`,
+
+    'SYS-REPORT': ({ reportUrl, completionPct }) =>
+        completionPct < 100
+            ? `Su informe más reciente: ${reportUrl}\n\nSu informe está ${completionPct}% completo. Siga registrando para tener el panorama completo de 30 días.`
+            : `Su informe más reciente: ${reportUrl}`,
+
+    'SYS-REPORT-NONE': () =>
+        `Todavía no tiene un informe — siga registrando y recibirá uno el día 30.`,
+
+    'SYS-STATUS': ({ sprintDay, targetDays, daysCompleted, daysMissed, streak, nextCheckin, paused, appointmentDate }) =>
+        `Día ${sprintDay} de ${targetDays} — faltan ${targetDays - sprintDay}.\n\n` +
+        `Días registrados: ${daysCompleted}\nRacha actual: ${streak} ${streak === 1 ? 'día' : 'días'}\nDías sin respuesta: ${daysMissed}` +
+        (paused
+            ? `\n\nLos mensajes están en pausa. Responda SI para continuar.`
+            : nextCheckin
+                ? `\n\nPróximo mensaje: ${nextCheckin.day === 'TODAY' ? 'hoy' : nextCheckin.day === 'TOMORROW' ? 'mañana' : `el ${nextCheckin.day}`} a las ${nextCheckin.time}`
+                : '') +
+        (appointmentDate ? `\nCita: ${appointmentDate}` : ''),
+
+    'SYS-STATUS-NONE': () =>
+        `En este momento no está en un periodo de seguimiento. Responda AYUDA para ver opciones.`,
+
+    // ==========================================================================
+    // ERROR / CLARIFICATION
+    // ==========================================================================
+
+    'ERR-DAILY': () =>
+        `No le entendí. Un recordatorio — responda con:\n\n1 — Ni noté mi cabeza\n2 — Lo noté, sin efecto\n3 — Tuve que aguantar\n4 — Tuve que dejar/cambiar planes\n5 — No pude hacer nada`,
+
+    'ERR-ONBOARDING': () =>
+        `Mmm, no estoy seguro de lo que quiere decir. ¿Puede intentarlo de nuevo? O responda AYUDA para ver opciones.`,
+
+    'ERR-ONBOARD-TIME': () =>
+        `No entendí la hora. Intente responder algo como "8am" o "9pm".`,
+
+    'ERR-ONBOARD-APPT': () =>
+        `No entendí la fecha. Responda con una fecha como "15 de marzo" o "3/15", o responda NO si no tiene cita.`,
+
+    'ERR-UNKNOWN-NUMBER': () =>
+        `¡Hola! Le escribe Headache Vault. No tenemos su número registrado. Responda SEGUIR para empezar a dar seguimiento a sus dolores de cabeza, o responda PARAR (STOP) para no recibir más mensajes.`,
+
+    'ERR-ENROLL-NAME': () =>
+        `Perdón, no entendí un nombre. ¿Cuál es su nombre? Basta con el nombre, por ejemplo "María".`,
+
+    'ERR-WEEKLY': () =>
+        `Perdón, no le entendí. Responda cuántos días tuvo dolor de cabeza esta semana (0-7) y el nivel del peor (1-5), como "2 4".\n\nResponda DIARIO para volver a los mensajes diarios.`,
+
+    'CLARIFY-LEVEL': ({ parsedLevel }) =>
+        `Gracias — solo quiero asegurarme de haber entendido. ¿Quiso decir Nivel ${parsedLevel}?\n\n1 — Ni lo noté\n2 — Lo noté, sin efecto\n3 — Tuve que aguantar\n4 — Tuve que dejar/cambiar planes\n5 — No pude hacer nada\n\nResponda con un número.`,
+
+    'ERR-GENERIC': () =>
+        `Algo salió mal. Responda AYUDA para ver opciones.`,
+};
+
+module.exports = es;
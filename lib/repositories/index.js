@@ -0,0 +1,76 @@
+/**
+ * Repositories
+ *
+ * Data access for the handlers, the dispatcher and the services. Each
+ * repository is a small set of async functions named for what the
+ * caller needs ("the active sprint", "lock due jobs"), not for the query
+ * that gets it:
+ *
+ *   patients, transitions (state_transitions + transition_patient_state),
+ *   providers, sprints,
+ *   entries (daily_entries + revisions + record_daily_entry),
+ *   weeklyEntries, medications (medication_history + reference_medications),
+ *   jobs (scheduled_jobs + get_and_lock_due_jobs), messages,
+ *   staff (staff_users), adminActions (admin_actions),
+ *   webhookLog (webhook_log), inboundSenders (inbound_senders)
+ *
+ * Two implementations with the same shape:
+ *   - supabase.js — Postgres through the service-role client (default)
+ *   - memory.js   — in-process store for tests and local runs
+ *
+ * Callers go through this module's getters (`repos.patients.get(id)`),
+ * never a destructured copy, so useRepositories() takes effect everywhere.
+ * Lookups return a row or null; write failures throw.
+ */
+
+const REPOSITORY_NAMES = [
+    'patients',
+    'transitions',
+    'providers',
+    'sprints',
+    'entries',
+    'weeklyEntries',
+    'medications',
+    'jobs',
+    'messages',
+    'staff',
+    'adminActions',
+    'webhookLog',
+    'inboundSenders',
+];
+
+let active = null;
+
+/**
+ * The repositories in use — Supabase unless useRepositories() said otherwise.
+ */
+function getRepositories() {
+    if (!active) {
+        active = require('./supabase').createSupabaseRepositories();
+    }
+    return active;
+}
+
+/**
+ * Swap the repositories every caller sees (tests, the simulator).
+ * Pass null to go back to Supabase.
+ *
+ * @param {object|null} repositories - e.g. createMemoryRepositories()
+ */
+function useRepositories(repositories) {
+    active = repositories;
+}
+
+const accessors = {};
+for (const name of REPOSITORY_NAMES) {
+    Object.defineProperty(accessors, name, {
+        enumerable: true,
+        get: () => getRepositories()[name],
+    });
+}
+
+module.exports = Object.assign(accessors, {
+    REPOSITORY_NAMES,
+    getRepositories,
+    useRepositories,
+});
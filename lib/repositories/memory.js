@@ -0,0 +1,564 @@
+/**
+ * In-Memory Repositories
+ *
+ * Same shape as lib/repositories/supabase.js, backed by plain arrays, so
+ * handlers, the dispatcher and the services run end to end without a
+ * database (tests, local runs):
+ *
+ *   const { useRepositories } = require('../lib/repositories');
+ *   const { createMemoryRepositories } = require('../lib/repositories/memory');
+ *   const store = createMemoryRepositories();
+ *   useRepositories(store);
+ *   store.tables.patients  // → rows, for assertions
+ *
+ * Column defaults, the unique constraints the code relies on (patient
+ * phone number, one entry per patient/sprint/date, staff API key,
+ * webhook MessageSid),
+ * record_daily_entry (migration 007), get_and_lock_due_jobs (migration
+ * 003) and transition_patient_state (migration 013) behave as in Postgres.
+ * Time comes from `new Date()`, so mocked timers move it.
+ * Rows are copied in and out — mutating a returned row changes nothing.
+ */
+
+const crypto = require('node:crypto');
+const { DEFAULT_TIMEZONE } = require('../utils/dates');
+
+// Column defaults from the migrations, per table
+const DEFAULTS = {
+    patients: () => ({
+        state: 'ENROLLED',
+        timezone: DEFAULT_TIMEZONE,
+        language: 'en',
+        day_count: 0,
+        consecutive_missed: 0,
+        pending_question: null,
+        pending_context: null,
+        preferred_time: null,
+        pcp_provider_id: null,
+        appointment_date: null,
+        opted_in_at: null,
+        opted_out_at: null,
+    }),
+    state_transitions: () => ({}),
+    providers: () => ({ enrollment_code: null }),
+    sprints: () => ({
+        sprint_type: 'INITIAL',
+        target_days: 30,
+        days_completed: 0,
+        days_missed: 0,
+        status: 'ACTIVE',
+        report_token: null,
+        report_generated: false,
+        end_date: null,
+    }),
+    daily_entries: () => ({ is_missed: false }),
+    daily_entry_revisions: () => ({}),
+    weekly_entries: () => ({ responded_at: null, headache_days: null, worst_level: null }),
+    medication_history: () => ({ status: 'UNKNOWN' }),
+    reference_medications: () => ({ brand_names: null }),
+    scheduled_jobs: () => ({
+        status: 'PENDING',
+        jitter_seconds: 0,
+        payload: {},
+        attempts: 0,
+        max_attempts: 3,
+        last_error: null,
+        recurrence: null,
+        processed_at: null,
+    }),
+    messages: () => ({ delivery_status: 'QUEUED' }),
+    staff_users: () => ({ email: null, active: true }),
+    admin_actions: () => ({ details: {}, notified: false }),
+    webhook_log: () => ({
+        source: 'twilio',
+        method: 'POST',
+        processed: false,
+        processing_error: null,
+        suppressed_reason: null,
+        processed_at: null,
+    }),
+    inbound_senders: () => ({ blocked_until: null, block_reason: null, last_unknown_reply_at: null }),
+};
+
+const PRIMARY_KEYS = {
+    patients: 'patient_id',
+    state_transitions: 'transition_id',
+    providers: 'provider_id',
+    sprints: 'sprint_id',
+    daily_entries: 'entry_id',
+    daily_entry_revisions: 'revision_id',
+    weekly_entries: 'weekly_entry_id',
+    medication_history: 'med_history_id',
+    reference_medications: 'medication_name',
+    scheduled_jobs: 'job_id',
+    messages: 'message_id',
+    staff_users: 'staff_id',
+    admin_actions: 'action_id',
+    webhook_log: 'log_id',
+    inbound_senders: 'from_number',
+};
+
+// Tables with an updated_at trigger
+const TOUCHED_TABLES = new Set(['patients', 'scheduled_jobs']);
+
+function createMemoryRepositories() {
+    const tables = {};
+    for (const table of Object.keys(PRIMARY_KEYS)) tables[table] = [];
+
+    // --- table helpers ---
+
+    const copy = row => (row ? structuredClone(row) : null);
+    const now = () => new Date().toISOString();
+
+    function insertRow(table, row) {
+        const stored = {
+            ...DEFAULTS[table](),
+            [PRIMARY_KEYS[table]]: crypto.randomUUID(),
+            created_at: now(),
+            ...(TOUCHED_TABLES.has(table) ? { updated_at: now() } : {}),
+            ...structuredClone(row),
+        };
+        tables[table].push(stored);
+        return copy(stored);
+    }
+
+    function updateRows(table, predicate, values) {
+        const matched = tables[table].filter(predicate);
+        for (const row of matched) {
+            Object.assign(row, structuredClone(values));
+            if (TOUCHED_TABLES.has(table) && !('updated_at' in values)) row.updated_at = now();
+        }
+        return matched.map(copy);
+    }
+
+    const findRow = (table, predicate) => copy(tables[table].find(predicate));
+    const byKey = (table, id) => row => row[PRIMARY_KEYS[table]] === id;
+
+    // Newest first by a column; ties keep insertion order reversed, like created_at
+    function newest(rows, column) {
+        return rows
+            .map((row, index) => ({ row, index }))
+            .sort((a, b) => compare(b.row[column], a.row[column]) || b.index - a.index)
+            .map(({ row }) => row);
+    }
+
+    function uniqueViolation(message) {
+        const error = new Error(message);
+        error.code = '23505';
+        return error;
+    }
+
+    // --- repositories ---
+
+    const patients = {
+        async get(patientId) {
+            return findRow('patients', byKey('patients', patientId));
+        },
+
+        async findByPhone(phoneNumber) {
+            return findRow('patients', row => row.phone_number === phoneNumber);
+        },
+
+        async insert(row) {
+            if (tables.patients.some(p => p.phone_number === row.phone_number)) {
+                throw uniqueViolation(`Patient insert failed: phone_number ${row.phone_number} already exists`);
+            }
+            return insertRow('patients', row);
+        },
+
+        async update(patientId, values) {
+            return updateRows('patients', byKey('patients', patientId), values)[0] || null;
+        },
+    };
+
+    const transitions = {
+        /**
+         * transition_patient_state (migration 013): compare-and-set on
+         * from_state, then the update and the audit row together. No
+         * await in between, so concurrent calls can't interleave.
+         */
+        async apply(params) {
+            const current = tables.patients.find(byKey('patients', params.patientId));
+            if (!current) return { status: 'NOT_FOUND', patient: null };
+            if (current.state !== params.fromState) return { status: 'CONFLICT', patient: copy(current) };
+
+            const [patient] = updateRows('patients', byKey('patients', params.patientId), {
+                ...params.updates,
+                state: params.toState,
+            });
+            insertRow('state_transitions', {
+                patient_id: params.patientId,
+                from_state: params.fromState,
+                to_state: params.toState,
+                trigger_type: params.triggerType,
+                trigger_detail: params.triggerDetail,
+            });
+            return { status: 'APPLIED', patient };
+        },
+
+        async insert(row) {
+            return insertRow('state_transitions', row);
+        },
+
+        async listForPatient(patientId) {
+            return tables.state_transitions.filter(t => t.patient_id === patientId).map(copy);
+        },
+    };
+
+    const providers = {
+        async get(providerId) {
+            return findRow('providers', byKey('providers', providerId));
+        },
+
+        async findByEnrollmentCode(code) {
+            return findRow('providers', row => row.enrollment_code === code);
+        },
+
+        async insert(row) {
+            return insertRow('providers', row);
+        },
+    };
+
+    const sprints = {
+        async get(sprintId) {
+            return findRow('sprints', byKey('sprints', sprintId));
+        },
+
+        async getActive(patientId) {
+            const active = tables.sprints.filter(s => s.patient_id === patientId && s.status === 'ACTIVE');
+            return copy(newest(active, 'created_at')[0]);
+        },
+
+        async getLatestBaseline(patientId) {
+            const baselines = tables.sprints.filter(s => s.patient_id === patientId
+                && s.sprint_type === 'INITIAL' && s.status === 'COMPLETED');
+            return copy(newest(baselines, 'created_at')[0]);
+        },
+
+        async getLatestWithReport(patientId) {
+            const reported = tables.sprints.filter(s => s.patient_id === patientId && s.report_token);
+            return copy(newest(reported, 'created_at')[0]);
+        },
+
+        async insert(row) {
+            return insertRow('sprints', row);
+        },
+
+        async update(sprintId, values) {
+            return updateRows('sprints', byKey('sprints', sprintId), values)[0] || null;
+        },
+
+        async generateReportToken() {
+            return crypto.randomBytes(32).toString('hex');
+        },
+    };
+
+    const entries = {
+        /**
+         * record_daily_entry (migration 007): upsert the entry on
+         * (patient, sprint, date), then recount the sprint's completed and
+         * missed days and the patient's day_count and consecutive_missed.
+         */
+        async record(params) {
+            let latency = Math.trunc(
+                (new Date(params.responseReceivedAt) - new Date(params.promptSentAt)) / 60000
+            );
+            if (latency > 1440) latency = null;
+
+            const answer = {
+                hv_fis_level: params.level,
+                response_raw: params.responseRaw,
+                response_method: params.method,
+                ai_confidence: params.confidence,
+                response_received_at: params.responseReceivedAt,
+                response_latency_min: latency,
+                is_missed: false,
+                acknowledgment_template: params.ackTemplate,
+            };
+
+            const sameDay = row => row.patient_id === params.patientId
+                && row.sprint_id === params.sprintId
+                && row.entry_date === params.entryDate;
+
+            let entry;
+            if (tables.daily_entries.some(sameDay)) {
+                entry = updateRows('daily_entries', sameDay, answer)[0];
+            } else {
+                entry = insertRow('daily_entries', {
+                    patient_id: params.patientId,
+                    sprint_id: params.sprintId,
+                    entry_date: params.entryDate,
+                    prompt_sent_at: params.promptSentAt,
+                    day_number: params.dayNumber,
+                    ...answer,
+                });
+            }
+
+            const sprintRows = tables.daily_entries.filter(e => e.sprint_id === params.sprintId);
+            updateRows('sprints', byKey('sprints', params.sprintId), {
+                days_completed: sprintRows.filter(e => !e.is_missed).length,
+                days_missed: sprintRows.filter(e => e.is_missed).length,
+            });
+
+            const patientRows = sprintRows.filter(e => e.patient_id === params.patientId);
+            const answered = patientRows.filter(e => !e.is_missed);
+            const lastAnswered = answered.reduce((max, e) => (e.entry_date > max ? e.entry_date : max), '');
+            updateRows('patients', byKey('patients', params.patientId), {
+                day_count: answered.length,
+                // As in SQL: no answered day → MAX() is NULL → no misses counted
+                consecutive_missed: lastAnswered
+                    ? patientRows.filter(e => e.is_missed && e.entry_date > lastAnswered).length
+                    : 0,
+            });
+
+            return entry;
+        },
+
+        async getAnswered(patientId, entryDate, { sprintId = null } = {}) {
+            const matches = tables.daily_entries.filter(e => e.patient_id === patientId
+                && e.entry_date === entryDate
+                && !e.is_missed
+                && (!sprintId || e.sprint_id === sprintId));
+            return copy(newest(matches, 'created_at')[0]);
+        },
+
+        async getLatest(patientId, sprintId) {
+            const matches = tables.daily_entries.filter(e => e.patient_id === patientId && e.sprint_id === sprintId);
+            return copy(newest(matches, 'entry_date')[0]);
+        },
+
+        async listAnswered(sprintId, { since = null } = {}) {
+            return tables.daily_entries
+                .filter(e => e.sprint_id === sprintId && !e.is_missed && (!since || e.entry_date >= since))
+                .sort((a, b) => compare(a.entry_date, b.entry_date))
+                .map(copy);
+        },
+
+        async insertRevision(row) {
+            return insertRow('daily_entry_revisions', row);
+        },
+
+        async getLatestRevision(entryId) {
+            const matches = tables.daily_entry_revisions.filter(r => r.entry_id === entryId);
+            return copy(newest(matches, 'created_at')[0]);
+        },
+
+        async changedBetween(patientId, since, until) {
+            const inWindow = at => Boolean(at) && new Date(at) >= new Date(since) && new Date(at) < new Date(until);
+            return tables.daily_entries.some(e => e.patient_id === patientId && inWindow(e.response_received_at))
+                || tables.daily_entry_revisions.some(r => r.patient_id === patientId && inWindow(r.created_at));
+        },
+    };
+
+    const weeklyEntries = {
+        async insert(row) {
+            return insertRow('weekly_entries', row);
+        },
+
+        async getOpen(patientId, { sprintId = null, questionType = null } = {}) {
+            const open = tables.weekly_entries.filter(w => w.patient_id === patientId
+                && w.responded_at === null
+                && (!sprintId || w.sprint_id === sprintId)
+                && (!questionType || w.question_type === questionType));
+            return copy(newest(open, 'asked_at')[0]);
+        },
+
+        async update(weeklyEntryId, values) {
+            return updateRows('weekly_entries', byKey('weekly_entries', weeklyEntryId), values)[0] || null;
+        },
+    };
+
+    const medications = {
+        async insertHistory(row) {
+            return insertRow('medication_history', row);
+        },
+
+        async listReference() {
+            return tables.reference_medications.map(copy);
+        },
+    };
+
+    const jobs = {
+        async get(jobId) {
+            return findRow('scheduled_jobs', byKey('scheduled_jobs', jobId));
+        },
+
+        async insert(row) {
+            return insertRow('scheduled_jobs', row);
+        },
+
+        async update(jobId, values) {
+            return updateRows('scheduled_jobs', byKey('scheduled_jobs', jobId), values)[0] || null;
+        },
+
+        /**
+         * get_and_lock_due_jobs (migration 003): PENDING jobs due by now,
+         * oldest first, flipped to PROCESSING.
+         */
+        async lockDue(limit = 50) {
+            const due = tables.scheduled_jobs
+                .filter(j => j.status === 'PENDING' && new Date(j.scheduled_for) <= new Date())
+                .sort((a, b) => compare(a.scheduled_for, b.scheduled_for))
+                .slice(0, limit);
+
+            const lockedAt = now();
+            for (const job of due) Object.assign(job, { status: 'PROCESSING', updated_at: lockedAt });
+            return due.map(copy);
+        },
+
+        async lock(jobId) {
+            const pending = row => row.job_id === jobId && row.status === 'PENDING';
+            return updateRows('scheduled_jobs', pending, { status: 'PROCESSING' })[0] || null;
+        },
+
+        async listPending(patientId, { jobType = null } = {}) {
+            return tables.scheduled_jobs
+                .filter(j => j.patient_id === patientId && j.status === 'PENDING' && (!jobType || j.job_type === jobType))
+                .sort((a, b) => compare(a.scheduled_for, b.scheduled_for))
+                .map(copy);
+        },
+
+        async cancelPending(patientId, { jobType = null } = {}) {
+            const pending = j => j.patient_id === patientId && j.status === 'PENDING' && (!jobType || j.job_type === jobType);
+            return updateRows('scheduled_jobs', pending, { status: 'CANCELLED', processed_at: now() });
+        },
+    };
+
+    const messages = {
+        async insert(row) {
+            return insertRow('messages', row);
+        },
+
+        async update(messageId, values) {
+            return updateRows('messages', byKey('messages', messageId), values)[0] || null;
+        },
+
+        async findInboundBySid(twilioSid) {
+            return findRow('messages', m => m.twilio_sid === twilioSid && m.direction === 'INBOUND');
+        },
+
+        async listOutbound(patientId, { templateId = null, since = null, limit = null } = {}) {
+            const matches = tables.messages.filter(m => m.patient_id === patientId
+                && m.direction === 'OUTBOUND'
+                && m.sent_at
+                && (!templateId || m.template_id === templateId)
+                && (!since || new Date(m.sent_at) >= new Date(since)));
+            const ordered = newest(matches, 'sent_at').map(copy);
+            return limit ? ordered.slice(0, limit) : ordered;
+        },
+
+        async countOutboundSince(patientId, since) {
+            return (await messages.listOutbound(patientId, { since })).length;
+        },
+
+        async updateDeliveryStatus({ messageId = null, twilioSid = null }, values, priorStatuses) {
+            const matches = m => (messageId ? m.message_id === messageId : m.twilio_sid === twilioSid)
+                && m.direction === 'OUTBOUND'
+                && priorStatuses.includes(m.delivery_status);
+            return updateRows('messages', matches, values).map(m => ({ message_id: m.message_id }));
+        },
+    };
+
+    const staff = {
+        async findByKeyHash(apiKeyHash) {
+            return findRow('staff_users', row => row.api_key_hash === apiKeyHash && row.active);
+        },
+
+        async insert(row) {
+            if (tables.staff_users.some(s => s.api_key_hash === row.api_key_hash)) {
+                throw uniqueViolation('Staff user insert failed: api_key_hash already exists');
+            }
+            return insertRow('staff_users', row);
+        },
+    };
+
+    const adminActions = {
+        async insert(row) {
+            return insertRow('admin_actions', row);
+        },
+
+        async listForPatient(patientId) {
+            return newest(tables.admin_actions.filter(a => a.patient_id === patientId), 'created_at').map(copy);
+        },
+    };
+
+    const webhookLog = {
+        async insert(row) {
+            if (row.message_sid && tables.webhook_log.some(w => w.message_sid === row.message_sid)) {
+                throw uniqueViolation(`Webhook log insert failed: message_sid ${row.message_sid} already exists`);
+            }
+            const { log_id } = insertRow('webhook_log', row);
+            return { log_id };
+        },
+
+        async update(logId, values) {
+            updateRows('webhook_log', byKey('webhook_log', logId), values);
+            return null;
+        },
+
+        async listUnprocessed({ since = null, fromNumber = null, settledBefore, limit }) {
+            return tables.webhook_log
+                .filter(w => w.source === 'twilio'
+                    && (!w.processed || w.processing_error !== null)
+                    && w.created_at <= settledBefore
+                    && (!since || w.created_at >= since)
+                    && (!fromNumber || w.from_number === fromNumber))
+                .sort((a, b) => compare(a.created_at, b.created_at))
+                .slice(0, limit)
+                .map(copy);
+        },
+
+        async countRecent(fromNumber, since, body = null) {
+            return tables.webhook_log.filter(w => w.source === 'twilio'
+                && w.from_number === fromNumber
+                && w.created_at >= since
+                && (body === null || normalizedBody(w) === body)).length;
+        },
+    };
+
+    const inboundSenders = {
+        async get(fromNumber) {
+            return findRow('inbound_senders', byKey('inbound_senders', fromNumber));
+        },
+
+        async upsert(row) {
+            const match = byKey('inbound_senders', row.from_number);
+            if (!updateRows('inbound_senders', match, row).length) insertRow('inbound_senders', row);
+            return null;
+        },
+    };
+
+    return {
+        patients,
+        transitions,
+        providers,
+        sprints,
+        entries,
+        weeklyEntries,
+        medications,
+        jobs,
+        messages,
+        staff,
+        adminActions,
+        webhookLog,
+        inboundSenders,
+        tables,
+    };
+}
+
+// webhook_log.body_normalized, the generated column from migration 010
+function normalizedBody(row) {
+    const raw = row.body?.Body;
+    return typeof raw === 'string' ? raw.replace(/\s+/g, ' ').trim() : null;
+}
+
+function compare(a, b) {
+    if (a === b) return 0;
+    if (a === null || a === undefined) return -1;
+    if (b === null || b === undefined) return 1;
+    return a < b ? -1 : 1;
+}
+
+module.exports = {
+    createMemoryRepositories,
+};
@@ -0,0 +1,473 @@
+/**
+ * Supabase Repositories
+ *
+ * The production implementation of lib/repositories. Queries go through
+ * the service-role client; record_daily_entry, get_and_lock_due_jobs,
+ * generate_report_token and transition_patient_state are Postgres
+ * functions (migrations 003, 007, 013).
+ *
+ * The client is read from lib/supabase.js on every call rather than
+ * captured once, so scripts/replay-webhooks.js can swap in its
+ * read-only client for --dry-run.
+ */
+
+const supabaseModule = require('../supabase');
+
+function client() {
+    return supabaseModule.supabase;
+}
+
+/**
+ * Await a query; throw on error, otherwise return its data (null if none).
+ * Postgres error codes (e.g. 23505 unique violation) are kept on `code`.
+ */
+async function run(query, action) {
+    const { data, error } = await query;
+    if (error) {
+        const failure = new Error(`${action}: ${error.message}`);
+        failure.code = error.code;
+        throw failure;
+    }
+    return data ?? null;
+}
+
+function createSupabaseRepositories() {
+    const from = table => client().from(table);
+
+    const patients = {
+        get: patientId => run(
+            from('patients').select('*').eq('patient_id', patientId).maybeSingle(),
+            'Patient lookup failed'
+        ),
+
+        findByPhone: phoneNumber => run(
+            from('patients').select('*').eq('phone_number', phoneNumber).maybeSingle(),
+            'Patient lookup by phone failed'
+        ),
+
+        insert: row => run(
+            from('patients').insert(row).select().single(),
+            'Patient insert failed'
+        ),
+
+        update: (patientId, values) => run(
+            from('patients').update(values).eq('patient_id', patientId).select().maybeSingle(),
+            'Patient update failed'
+        ),
+    };
+
+    const transitions = {
+        apply: params => run(
+            client().rpc('transition_patient_state', {
+                p_patient_id: params.patientId,
+                p_from_state: params.fromState,
+                p_to_state: params.toState,
+                p_trigger_type: params.triggerType,
+                p_trigger_detail: params.triggerDetail,
+                p_updates: params.updates,
+            }),
+            'transition_patient_state failed'
+        ),
+
+        insert: row => run(
+            from('state_transitions').insert(row).select().single(),
+            'State transition insert failed'
+        ),
+
+        listForPatient: async patientId => (await run(
+            from('state_transitions').select('*').eq('patient_id', patientId).order('created_at', { ascending: true }),
+            'State transition lookup failed'
+        )) || [],
+    };
+
+    const providers = {
+        get: providerId => run(
+            from('providers').select('*').eq('provider_id', providerId).maybeSingle(),
+            'Provider lookup failed'
+        ),
+
+        findByEnrollmentCode: code => run(
+            from('providers').select('*').eq('enrollment_code', code).maybeSingle(),
+            'Provider code lookup failed'
+        ),
+
+        insert: row => run(
+            from('providers').insert(row).select().single(),
+            'Provider insert failed'
+        ),
+    };
+
+    const sprints = {
+        get: sprintId => run(
+            from('sprints').select('*').eq('sprint_id', sprintId).maybeSingle(),
+            'Sprint lookup failed'
+        ),
+
+        getActive: patientId => run(
+            from('sprints')
+                .select('*')
+                .eq('patient_id', patientId)
+                .eq('status', 'ACTIVE')
+                .order('created_at', { ascending: false })
+                .limit(1)
+                .maybeSingle(),
+            'Active sprint lookup failed'
+        ),
+
+        // The newest completed INITIAL sprint: what a TREATMENT sprint is compared against
+        getLatestBaseline: patientId => run(
+            from('sprints')
+                .select('*')
+                .eq('patient_id', patientId)
+                .eq('sprint_type', 'INITIAL')
+                .eq('status', 'COMPLETED')
+                .order('created_at', { ascending: false })
+                .limit(1)
+                .maybeSingle(),
+            'Baseline sprint lookup failed'
+        ),
+
+        getLatestWithReport: patientId => run(
+            from('sprints')
+                .select('*')
+                .eq('patient_id', patientId)
+                .not('report_token', 'is', null)
+                .order('created_at', { ascending: false })
+                .limit(1)
+                .maybeSingle(),
+            'Report sprint lookup failed'
+        ),
+
+        insert: row => run(
+            from('sprints').insert(row).select().single(),
+            'Sprint insert failed'
+        ),
+
+        update: (sprintId, values) => run(
+            from('sprints').update(values).eq('sprint_id', sprintId).select().maybeSingle(),
+            'Sprint update failed'
+        ),
+
+        generateReportToken: () => run(
+            client().rpc('generate_report_token'),
+            'Report token generation failed'
+        ),
+    };
+
+    const entries = {
+        record: params => run(
+            client().rpc('record_daily_entry', {
+                p_patient_id: params.patientId,
+                p_sprint_id: params.sprintId,
+                p_entry_date: params.entryDate,
+                p_hv_fis_level: params.level,
+                p_response_raw: params.responseRaw,
+                p_response_method: params.method,
+                p_ai_confidence: params.confidence,
+                p_prompt_sent_at: params.promptSentAt,
+                p_response_received_at: params.responseReceivedAt,
+                p_day_number: params.dayNumber,
+                p_ack_template: params.ackTemplate,
+            }),
+            'record_daily_entry failed'
+        ),
+
+        getAnswered: (patientId, entryDate, { sprintId = null } = {}) => {
+            let query = from('daily_entries')
+                .select('*')
+                .eq('patient_id', patientId)
+                .eq('entry_date', entryDate)
+                .eq('is_missed', false);
+            if (sprintId) query = query.eq('sprint_id', sprintId);
+            return run(
+                query.order('created_at', { ascending: false }).limit(1).maybeSingle(),
+                'Daily entry lookup failed'
+            );
+        },
+
+        getLatest: (patientId, sprintId) => run(
+            from('daily_entries')
+                .select('*')
+                .eq('patient_id', patientId)
+                .eq('sprint_id', sprintId)
+                .order('entry_date', { ascending: false })
+                .limit(1)
+                .maybeSingle(),
+            'Latest daily entry lookup failed'
+        ),
+
+        listAnswered: async (sprintId, { since = null } = {}) => {
+            let query = from('daily_entries')
+                .select('*')
+                .eq('sprint_id', sprintId)
+                .eq('is_missed', false);
+            if (since) query = query.gte('entry_date', since);
+            return (await run(query.order('entry_date', { ascending: true }), 'Daily entries lookup failed')) || [];
+        },
+
+        insertRevision: row => run(
+            from('daily_entry_revisions').insert(row).select().single(),
+            'Entry revision audit insert failed'
+        ),
+
+        getLatestRevision: entryId => run(
+            from('daily_entry_revisions')
+                .select('*')
+                .eq('entry_id', entryId)
+                .order('created_at', { ascending: false })
+                .limit(1)
+                .maybeSingle(),
+            'Entry revision lookup failed'
+        ),
+
+        // An entry answered or revised in [since, until)
+        changedBetween: async (patientId, since, until) => {
+            const [answered, revised] = await Promise.all([
+                run(
+                    from('daily_entries').select('entry_id').eq('patient_id', patientId)
+                        .gte('response_received_at', since).lt('response_received_at', until).limit(1),
+                    'Daily entry lookup failed'
+                ),
+                run(
+                    from('daily_entry_revisions').select('revision_id').eq('patient_id', patientId)
+                        .gte('created_at', since).lt('created_at', until).limit(1),
+                    'Entry revision lookup failed'
+                ),
+            ]);
+            return (answered || []).length > 0 || (revised || []).length > 0;
+        },
+    };
+
+    const weeklyEntries = {
+        insert: row => run(
+            from('weekly_entries').insert(row).select().single(),
+            'Weekly entry insert failed'
+        ),
+
+        getOpen: (patientId, { sprintId = null, questionType = null } = {}) => {
+            let query = from('weekly_entries')
+                .select('*')
+                .eq('patient_id', patientId)
+                .is('responded_at', null);
+            if (sprintId) query = query.eq('sprint_id', sprintId);
+            if (questionType) query = query.eq('question_type', questionType);
+            return run(
+                query.order('asked_at', { ascending: false }).limit(1).maybeSingle(),
+                'Open weekly entry lookup failed'
+            );
+        },
+
+        update: (weeklyEntryId, values) => run(
+            from('weekly_entries').update(values).eq('weekly_entry_id', weeklyEntryId).select().maybeSingle(),
+            'Weekly entry update failed'
+        ),
+    };
+
+    const medications = {
+        insertHistory: row => run(
+            from('medication_history').insert(row).select().single(),
+            'Medication history insert failed'
+        ),
+
+        listReference: async () => (await run(
+            from('reference_medications')
+                .select('medication_name, generic_name, brand_names, medication_type, drug_class'),
+            'Reference medications lookup failed'
+        )) || [],
+    };
+
+    const jobs = {
+        get: jobId => run(
+            from('scheduled_jobs').select('*').eq('job_id', jobId).maybeSingle(),
+            'Job lookup failed'
+        ),
+
+        insert: row => run(
+            from('scheduled_jobs').insert(row).select().single(),
+            `Failed to schedule ${row.job_type}`
+        ),
+
+        update: (jobId, values) => run(
+            from('scheduled_jobs').update(values).eq('job_id', jobId).select().maybeSingle(),
+            'Job update failed'
+        ),
+
+        lockDue: async (limit = 50) => (await run(
+            client().rpc('get_and_lock_due_jobs', { job_limit: limit }),
+            'get_and_lock_due_jobs failed'
+        )) || [],
+
+        lock: jobId => run(
+            from('scheduled_jobs')
+                .update({ status: 'PROCESSING', updated_at: new Date().toISOString() })
+                .eq('job_id', jobId)
+                .eq('status', 'PENDING')
+                .select()
+                .maybeSingle(),
+            'Job lock failed'
+        ),
+
+        listPending: async (patientId, { jobType = null } = {}) => {
+            let query = from('scheduled_jobs')
+                .select('*')
+                .eq('patient_id', patientId)
+                .eq('status', 'PENDING');
+            if (jobType) query = query.eq('job_type', jobType);
+            return (await run(query.order('scheduled_for', { ascending: true }), 'Pending jobs lookup failed')) || [];
+        },
+
+        cancelPending: async (patientId, { jobType = null } = {}) => {
+            let query = from('scheduled_jobs')
+                .update({ status: 'CANCELLED', processed_at: new Date().toISOString() })
+                .eq('patient_id', patientId)
+                .eq('status', 'PENDING');
+            if (jobType) query = query.eq('job_type', jobType);
+            return (await run(query.select(), 'Failed to cancel patient jobs')) || [];
+        },
+    };
+
+    const messages = {
+        insert: row => run(
+            from('messages').insert(row).select().single(),
+            'Message insert failed'
+        ),
+
+        update: (messageId, values) => run(
+            from('messages').update(values).eq('message_id', messageId).select().maybeSingle(),
+            'Message update failed'
+        ),
+
+        findInboundBySid: twilioSid => run(
+            from('messages').select('*').eq('twilio_sid', twilioSid).eq('direction', 'INBOUND').limit(1).maybeSingle(),
+            'Inbound message lookup failed'
+        ),
+
+        listOutbound: async (patientId, { templateId = null, since = null, limit = null } = {}) => {
+            let query = from('messages')
+                .select('*')
+                .eq('patient_id', patientId)
+                .eq('direction', 'OUTBOUND')
+                .not('sent_at', 'is', null);
+            if (templateId) query = query.eq('template_id', templateId);
+            if (since) query = query.gte('sent_at', since);
+            query = query.order('sent_at', { ascending: false });
+            if (limit) query = query.limit(limit);
+            return (await run(query, 'Outbound message lookup failed')) || [];
+        },
+
+        countOutboundSince: async (patientId, since) => {
+            const { count, error } = await from('messages')
+                .select('message_id', { count: 'exact', head: true })
+                .eq('patient_id', patientId)
+                .eq('direction', 'OUTBOUND')
+                .gte('sent_at', since);
+            if (error) throw new Error(`Outbound message count failed: ${error.message}`);
+            return count || 0;
+        },
+
+        updateDeliveryStatus: async ({ messageId = null, twilioSid = null }, values, priorStatuses) => (await run(
+            from('messages')
+                .update(values)
+                .eq(messageId ? 'message_id' : 'twilio_sid', messageId || twilioSid)
+                .eq('direction', 'OUTBOUND')
+                .in('delivery_status', priorStatuses)
+                .select('message_id'),
+            'Delivery status update failed'
+        )) || [],
+    };
+
+    const staff = {
+        findByKeyHash: apiKeyHash => run(
+            from('staff_users').select('*').eq('api_key_hash', apiKeyHash).eq('active', true).maybeSingle(),
+            'Staff user lookup failed'
+        ),
+
+        insert: row => run(
+            from('staff_users').insert(row).select().single(),
+            'Staff user insert failed'
+        ),
+    };
+
+    const adminActions = {
+        insert: row => run(
+            from('admin_actions').insert(row).select().single(),
+            'Admin action insert failed'
+        ),
+
+        listForPatient: async patientId => (await run(
+            from('admin_actions').select('*').eq('patient_id', patientId).order('created_at', { ascending: false }),
+            'Admin action lookup failed'
+        )) || [],
+    };
+
+    const webhookLog = {
+        insert: row => run(
+            from('webhook_log').insert(row).select('log_id').single(),
+            'Webhook log insert failed'
+        ),
+
+        update: (logId, values) => run(
+            from('webhook_log').update(values).eq('log_id', logId),
+            'Webhook log update failed'
+        ),
+
+        // processed = false or a processing_error, created by settledBefore; oldest first
+        listUnprocessed: async ({ since = null, fromNumber = null, settledBefore, limit }) => {
+            let query = from('webhook_log')
+                .select('*')
+                .eq('source', 'twilio')
+                .or('processed.eq.false,processing_error.not.is.null')
+                .lte('created_at', settledBefore)
+                .order('created_at', { ascending: true })
+                .limit(limit);
+            if (since) query = query.gte('created_at', since);
+            if (fromNumber) query = query.eq('from_number', fromNumber);
+            return (await run(query, 'Webhook log lookup failed')) || [];
+        },
+
+        // Twilio webhooks from a number since a timestamp, optionally only those with this body_normalized
+        countRecent: async (fromNumber, since, body = null) => {
+            let query = from('webhook_log')
+                .select('log_id', { count: 'exact', head: true })
+                .eq('source', 'twilio')
+                .eq('from_number', fromNumber)
+                .gte('created_at', since);
+            if (body !== null) query = query.eq('body_normalized', body);
+            const { count, error } = await query;
+            if (error) throw new Error(`Webhook log count failed: ${error.message}`);
+            return count || 0;
+        },
+    };
+
+    const inboundSenders = {
+        get: fromNumber => run(
+            from('inbound_senders').select('*').eq('from_number', fromNumber).maybeSingle(),
+            'Inbound sender lookup failed'
+        ),
+
+        upsert: row => run(
+            from('inbound_senders').upsert(row),
+            'Inbound sender update failed'
+        ),
+    };
+
+    return {
+        patients,
+        transitions,
+        providers,
+        sprints,
+        entries,
+        weeklyEntries,
+        medications,
+        jobs,
+        messages,
+        staff,
+        adminActions,
+        webhookLog,
+        inboundSenders,
+    };
+}
+
+module.exports = {
+    createSupabaseRepositories,
+};
@@ -0,0 +1,194 @@
+/**
+ * Enrollment Service
+ *
+ * The O-1 welcome shared by every way in, plus SMS self-enrollment for
+ * unknown numbers:
+ *
+ *   1. Unknown number texts TRACK / JOIN (SEGUIR / UNIRME for Spanish)
+ *      → patient created in ENROLLED as SELF_SERVICE,
+ *      or texts a provider's enrollment code (clinic QR codes)
+ *      → patient created in ENROLLED as QR_CODE under that provider.
+ *      Timezone is guessed from the area code (TZ changes it later).
+ *      Reply: ENROLL-NAME, pending_question = ENROLL_NAME, and the
+ *      ENROLL_NAME onboarding reminders (lib/services/onboard-reminders.js).
+ *   2. Patient sends their first name → O-1 welcome (asks for START)
+ *      and the onboarding reminders, same as api/enroll.js.
+ *   3. START is consent → ONBOARDING time selection (handleEnrolled).
+ *
+ * See: Migration 011 (self-enrollment)
+ */
+
+const repos = require('../repositories');
+const { render } = require('../templates');
+const { classifyKeyword } = require('../utils/keywords');
+const { stripAccents, DEFAULT_LANGUAGE } = require('../utils/language');
+const { timezoneFromPhone } = require('../utils/timezones');
+const { scheduleOnboardReminder } = require('./onboard-reminders');
+
+// Enrollment keyword → language for the new patient
+const ENROLL_KEYWORDS = {
+    TRACK: 'en',
+    JOIN: 'en',
+    SEGUIR: 'es',
+    UNIRME: 'es',
+};
+
+// Provider enrollment codes: one token, letters/digits/dashes
+const PROVIDER_CODE_PATTERN = /^[A-Z0-9-]{3,20}$/;
+
+// "my name is Ana", "I'm Ana", "me llamo Ana", "soy Ana"
+const NAME_PREFIX = /^(?:(?:hi|hello|hey|hola)[\s,!.]+)?(?:my name is|my name's|name is|name's|it's|its|this is|i'm|im|i am|me llamo|mi nombre es|soy)\s+/i;
+
+// Words that are answers to something else, not names
+const NOT_NAMES = new Set(['START', 'YES', 'NO', 'SI', 'OK', 'TRACK', 'JOIN', 'SEGUIR', 'UNIRME', 'EMPEZAR', 'COMENZAR']);
+
+/**
+ * Is this text an enrollment keyword? Returns the language to enroll in.
+ *
+ * @param {string} text - Raw inbound SMS body
+ * @returns {'en'|'es'|null}
+ */
+function parseEnrollmentKeyword(text) {
+    if (!text || typeof text !== 'string') return null;
+    const key = stripAccents(text.toUpperCase()).replace(/[^A-Z]/g, '');
+    return ENROLL_KEYWORDS[key] || null;
+}
+
+/**
+ * Pull a first name out of a reply to ENROLL-NAME.
+ * "my name is ana" → "Ana", "Mary-Kate" → "Mary-Kate", "3" → null.
+ *
+ * @param {string} text - Raw inbound SMS body
+ * @returns {string|null}
+ */
+function parseFirstName(text) {
+    if (!text || typeof text !== 'string') return null;
+
+    const stripped = text.trim()
+        .replace(NAME_PREFIX, '')
+        .replace(/[.!?,]+$/, '')
+        .trim();
+
+    const words = stripped.split(/\s+/).filter(Boolean);
+    if (words.length === 0 || words.length > 3 || stripped.length > 50) return null;
+    if (!words.every(word => /^[\p{L}][\p{L}'’-]*$/u.test(word))) return null;
+    if (classifyKeyword(stripped) || NOT_NAMES.has(stripAccents(stripped.toUpperCase()))) return null;
+
+    // Fix all-caps / all-lowercase; leave "McKenzie" alone
+    const uniformCase = stripped === stripped.toLowerCase() || stripped === stripped.toUpperCase();
+    if (!uniformCase) return stripped;
+
+    return words
+        .map(word => word.toLowerCase().replace(/(^|[-'’])(\p{L})/gu, (m, sep, ch) => sep + ch.toUpperCase()))
+        .join(' ');
+}
+
+/**
+ * Find the provider whose enrollment code this text is.
+ *
+ * @param {string} text - Raw inbound SMS body
+ * @returns {Promise<object|null>} - providers row
+ */
+async function findProviderByCode(text) {
+    const code = stripAccents((text || '').trim().toUpperCase());
+    if (!PROVIDER_CODE_PATTERN.test(code)) return null;
+
+    try {
+        return await repos.providers.findByEnrollmentCode(code);
+    } catch (error) {
+        console.error(`Provider code lookup failed for "${code}":`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Enroll an unknown number if its text is an enrollment keyword or a
+ * provider code. Creates the patient in ENROLLED and asks for a name.
+ *
+ * @param {string} fromNumber - Normalized E.164 sender
+ * @param {string} messageBody - Trimmed SMS body
+ * @returns {Promise<{ patient: object, reply: string, templateId: string }|null>}
+ *   null if the text isn't an enrollment request
+ */
+async function selfEnroll(fromNumber, messageBody) {
+    const keywordLanguage = parseEnrollmentKeyword(messageBody);
+    const provider = keywordLanguage || classifyKeyword(messageBody)
+        ? null
+        : await findProviderByCode(messageBody);
+
+    if (!keywordLanguage && !provider) return null;
+
+    const enrollmentSource = provider ? 'QR_CODE' : 'SELF_SERVICE';
+
+    let patient;
+    try {
+        patient = await repos.patients.insert({
+            phone_number: fromNumber,
+            first_name: null,
+            state: 'ENROLLED',
+            enrollment_source: enrollmentSource,
+            timezone: timezoneFromPhone(fromNumber),
+            pcp_provider_id: provider?.provider_id || null,
+            pending_question: 'ENROLL_NAME',
+            language: keywordLanguage || DEFAULT_LANGUAGE,
+        });
+    } catch (error) {
+        throw new Error(`Self-enrollment failed for ${fromNumber}: ${error.message}`);
+    }
+
+    await repos.transitions.insert({
+        patient_id: patient.patient_id,
+        from_state: 'ENROLLED',
+        to_state: 'ENROLLED',
+        trigger_type: 'PATIENT_RESPONSE',
+        trigger_detail: `Enrollment via ${enrollmentSource}: "${messageBody}"`,
+    }).catch(error => console.error('CRITICAL: State transition log failed:', error));
+
+    await scheduleOnboardReminder(patient.patient_id, 'ENROLL_NAME');
+
+    return {
+        patient,
+        reply: render('ENROLL-NAME', {}, patient.language),
+        templateId: 'ENROLL-NAME',
+    };
+}
+
+/**
+ * The O-1 welcome for a patient: O-1-PCP when a provider enrolled them
+ * (directly or through their QR code), O-1-SELF otherwise.
+ *
+ * @param {object} patient - Patient row
+ * @param {object} [options]
+ * @param {string|null} [options.providerId=patient.pcp_provider_id]
+ * @param {string|null} [options.providerName] - Skips the providers lookup
+ * @returns {Promise<{ reply: string, templateId: string }>}
+ */
+async function buildWelcome(patient, { providerId = patient.pcp_provider_id, providerName = null } = {}) {
+    if (!providerId || patient.enrollment_source === 'SELF_SERVICE') {
+        return {
+            reply: render('O-1-SELF', { firstName: patient.first_name }, patient.language),
+            templateId: 'O-1-SELF',
+        };
+    }
+
+    let pcpName = providerName;
+    if (!pcpName) {
+        const provider = await repos.providers.get(providerId).catch(() => null);
+        pcpName = provider?.provider_name
+            || (patient.language === 'es' ? 'su médico' : 'your doctor');
+    }
+
+    return {
+        reply: render('O-1-PCP', { firstName: patient.first_name, pcpName }, patient.language),
+        templateId: 'O-1-PCP',
+    };
+}
+
+module.exports = {
+    ENROLL_KEYWORDS,
+    parseEnrollmentKeyword,
+    parseFirstName,
+    findProviderByCode,
+    selfEnroll,
+    buildWelcome,
+};
@@ -0,0 +1,252 @@
+/**
+ * Inbound Guard — Per-Number Rate Limiting + Auto-Reply Protection
+ *
+ * Every inbound text costs several Supabase round-trips and possibly a
+ * Claude call. Checked in api/webhooks/twilio.js after the message is
+ * logged and before it reaches lib/handlers/inbound.js.
+ *
+ * Rules, per From number:
+ *   - Rate limit: more than INBOUND_RATE_LIMIT messages (default 20) in
+ *     INBOUND_RATE_WINDOW_MINUTES (default 10) blocks the number for
+ *     INBOUND_BLOCK_MINUTES (default 60).
+ *   - Loop detection: INBOUND_LOOP_THRESHOLD identical messages (default 4)
+ *     in the same window means a bot is answering our bot — same block.
+ *     "Identical" is after normalizeBody(), on both the incoming text and
+ *     the logged ones (webhook_log.body_normalized).
+ *   - Auto-replies ("out of office", "Do Not Disturb") are dropped without
+ *     a reply, but don't block the number.
+ *   - STOP and HELP always get through, blocked or not (carrier
+ *     requirement: both must always be answered).
+ *
+ * State lives in Postgres (inbound_senders, migration 010) since functions
+ * are stateless; message counts come from webhook_log. Database errors
+ * fail open — a missed block is better than a dropped check-in.
+ */
+
+const repos = require('../repositories');
+const { classifyKeyword } = require('../utils/keywords');
+const { stripAccents } = require('../utils/language');
+
+const DEFAULT_RATE_LIMIT = 20;
+const DEFAULT_WINDOW_MINUTES = 10;
+const DEFAULT_BLOCK_MINUTES = 60;
+const DEFAULT_LOOP_THRESHOLD = 4;
+
+// Carrier keywords that are answered even from a blocked number
+const ALWAYS_ALLOWED_KEYWORDS = new Set(['OPT_OUT', 'HELP']);
+
+// Unknown numbers get ERR-UNKNOWN-NUMBER at most this often
+const UNKNOWN_REPLY_INTERVAL_HOURS = 24;
+
+// Phrases that only show up in machine-generated replies. Kept narrow:
+// "I'm driving, head's a 3" is a real check-in.
+const AUTO_REPLY_PATTERNS = [
+    /\bout of (the )?office\b/,
+    /\bauto(matic|mated)?[\s-]?(reply|response|responder|message)\b/,
+    /\bdo not disturb\b/,
+    /\bwhen i get where i'?m going\b/,
+    /\bdo not reply\b/,
+    /\b(is|are) not monitored\b/,
+    /\bunmonitored\b/,
+    /\bfuera de (la )?oficina\b/,
+    /\brespuesta automatica\b/,
+    /\bno molestar\b/,
+];
+
+/**
+ * Guard settings from the environment, with defaults.
+ *
+ * @returns {{ rateLimit: number, windowMinutes: number, blockMinutes: number, loopThreshold: number }}
+ */
+function getInboundGuardConfig() {
+    return {
+        rateLimit: envInt('INBOUND_RATE_LIMIT', DEFAULT_RATE_LIMIT),
+        windowMinutes: envInt('INBOUND_RATE_WINDOW_MINUTES', DEFAULT_WINDOW_MINUTES),
+        blockMinutes: envInt('INBOUND_BLOCK_MINUTES', DEFAULT_BLOCK_MINUTES),
+        loopThreshold: envInt('INBOUND_LOOP_THRESHOLD', DEFAULT_LOOP_THRESHOLD),
+    };
+}
+
+/**
+ * Does this text look like an out-of-office or driving-mode auto-reply?
+ *
+ * @param {string} text - Raw inbound SMS body
+ * @returns {boolean}
+ */
+function isAutoReply(text) {
+    if (!text || typeof text !== 'string') return false;
+    const normalized = stripAccents(text.toLowerCase()).replace(/[’‘]/g, "'");
+    return AUTO_REPLY_PATTERNS.some(pattern => pattern.test(normalized));
+}
+
+/**
+ * Decide whether an inbound message should be processed. Pure — the
+ * caller supplies the counts (including the message being checked).
+ *
+ * @param {object} params
+ * @param {string} params.text - Raw inbound SMS body
+ * @param {number} params.recentCount - Messages from this number in the window
+ * @param {number} params.identicalCount - Of those, how many had this exact body
+ * @param {string|null} params.blockedUntil - Existing block expiry (ISO), if any
+ * @param {string|null} [params.blockReason] - Reason recorded with that block
+ * @param {Date} params.now - Current instant
+ * @param {object} [params.config=getInboundGuardConfig()]
+ * @returns {{ allowed: boolean, reason: 'RATE_LIMIT'|'AUTO_REPLY_LOOP'|'AUTO_REPLY'|null, blockUntil: Date|null }}
+ *   blockUntil is set only when this message starts a new block.
+ */
+function evaluateInboundSender({
+    text,
+    recentCount,
+    identicalCount,
+    blockedUntil,
+    blockReason = null,
+    now,
+    config = getInboundGuardConfig(),
+}) {
+    if (ALWAYS_ALLOWED_KEYWORDS.has(classifyKeyword(text))) {
+        return { allowed: true, reason: null, blockUntil: null };
+    }
+
+    if (blockedUntil && new Date(blockedUntil) > now) {
+        return { allowed: false, reason: blockReason || 'RATE_LIMIT', blockUntil: null };
+    }
+
+    const blockUntil = new Date(now.getTime() + config.blockMinutes * 60 * 1000);
+
+    if (identicalCount >= config.loopThreshold) {
+        return { allowed: false, reason: 'AUTO_REPLY_LOOP', blockUntil };
+    }
+
+    if (recentCount > config.rateLimit) {
+        return { allowed: false, reason: 'RATE_LIMIT', blockUntil };
+    }
+
+    if (isAutoReply(text)) {
+        return { allowed: false, reason: 'AUTO_REPLY', blockUntil: null };
+    }
+
+    return { allowed: true, reason: null, blockUntil: null };
+}
+
+/**
+ * Check an inbound message against the sender's recent traffic, and
+ * record a block if this message trips one. Call after logWebhook so
+ * the message itself is counted.
+ *
+ * @param {string} fromNumber - Normalized E.164 sender
+ * @param {string} messageBody - Trimmed SMS body
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<{ allowed: boolean, reason: string|null }>}
+ */
+async function checkInboundSender(fromNumber, messageBody, { now = new Date() } = {}) {
+    // STOP and HELP never wait on the database
+    if (ALWAYS_ALLOWED_KEYWORDS.has(classifyKeyword(messageBody))) {
+        return { allowed: true, reason: null };
+    }
+
+    const config = getInboundGuardConfig();
+    const since = new Date(now.getTime() - config.windowMinutes * 60 * 1000).toISOString();
+
+    const [sender, recentCount, identicalCount] = await Promise.all([
+        getSender(fromNumber),
+        countRecent(fromNumber, since),
+        countRecent(fromNumber, since, normalizeBody(messageBody)),
+    ]);
+
+    const decision = evaluateInboundSender({
+        text: messageBody,
+        recentCount,
+        identicalCount,
+        blockedUntil: sender?.blocked_until || null,
+        blockReason: sender?.block_reason || null,
+        now,
+        config,
+    });
+
+    if (decision.blockUntil) {
+        console.warn(`Blocking ${fromNumber} until ${decision.blockUntil.toISOString()}: ${decision.reason}`);
+        await upsertSender(fromNumber, {
+            blocked_until: decision.blockUntil.toISOString(),
+            block_reason: decision.reason,
+        }, now);
+    }
+
+    return { allowed: decision.allowed, reason: decision.reason };
+}
+
+/**
+ * Should an unknown number get the ERR-UNKNOWN-NUMBER reply? Yes at most
+ * once per UNKNOWN_REPLY_INTERVAL_HOURS; records the reply when it says yes.
+ *
+ * @param {string} fromNumber - Normalized E.164 sender
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<boolean>}
+ */
+async function shouldReplyToUnknown(fromNumber, { now = new Date() } = {}) {
+    const sender = await getSender(fromNumber);
+    const lastReply = sender?.last_unknown_reply_at ? new Date(sender.last_unknown_reply_at) : null;
+
+    if (lastReply && now - lastReply < UNKNOWN_REPLY_INTERVAL_HOURS * 60 * 60 * 1000) {
+        return false;
+    }
+
+    await upsertSender(fromNumber, { last_unknown_reply_at: now.toISOString() }, now);
+    return true;
+}
+
+async function getSender(fromNumber) {
+    try {
+        return await repos.inboundSenders.get(fromNumber);
+    } catch (error) {
+        console.error(`Inbound guard lookup failed for ${fromNumber}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * A text as loop detection compares it: whitespace runs folded to one
+ * space, trimmed. Matches webhook_log.body_normalized (migration 010).
+ *
+ * @param {string} text - SMS body, raw or trimmed
+ * @returns {string}
+ */
+function normalizeBody(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * webhook_log rows from a number since a timestamp, optionally only
+ * those with this normalized body. Fails open (0).
+ */
+async function countRecent(fromNumber, since, body = null) {
+    try {
+        return await repos.webhookLog.countRecent(fromNumber, since, body);
+    } catch (error) {
+        console.error(`Inbound guard count failed for ${fromNumber}:`, error.message);
+        return 0;
+    }
+}
+
+async function upsertSender(fromNumber, fields, now) {
+    try {
+        await repos.inboundSenders.upsert({ from_number: fromNumber, ...fields, updated_at: now.toISOString() });
+    } catch (error) {
+        console.error(`Failed to update inbound_senders for ${fromNumber}:`, error.message);
+    }
+}
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+module.exports = {
+    getInboundGuardConfig,
+    isAutoReply,
+    normalizeBody,
+    evaluateInboundSender,
+    checkInboundSender,
+    shouldReplyToUnknown,
+};
@@ -0,0 +1,113 @@
+/**
+ * Onboarding Reminders
+ *
+ * Patients who stop partway through onboarding get a few reminders and
+ * then go DORMANT, instead of sitting in ENROLLED or ONBOARDING forever.
+ * Three steps stall:
+ *   ENROLL_NAME — self-enrolled by text (ENROLLED, pending ENROLL_NAME),
+ *                 never sent a first name
+ *   ENROLLED    — got O-1, never replied START
+ *   ONBOARDING  — replied START, never answered the O-2 time question
+ *                 (or, self-service, the O-3 appointment question — no
+ *                 check-ins until that's answered)
+ *
+ * Reminders go out ONBOARD_REMINDER_HOURS after the step started
+ * (comma-separated, default "24,72"); the last one says it's the last.
+ * ONBOARD_EXPIRY_HOURS after the step started (default 168), a patient
+ * still at it goes DORMANT as a SYSTEM_TIMER transition, and shows up in
+ * v_onboarding_dropoffs (migration 017) for a coordinator to call.
+ *
+ * Each ONBOARD_REMINDER job carries { step, reminder, since } (step is
+ * the state, or ENROLL_NAME) and the dispatcher queues the next one (or
+ * the ONBOARD_EXPIRY) when it sends. Leaving the state cancels both (see
+ * STATE_CHART); so does sending a name (handleEnrollName).
+ */
+
+const { scheduleOneShot } = require('./scheduler');
+
+const DEFAULT_REMINDER_HOURS = [24, 72];
+const DEFAULT_EXPIRY_HOURS = 168;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Reminder cadence from the environment, with defaults.
+ *
+ * @returns {{ reminderHours: number[], expiryHours: number }}
+ */
+function getOnboardReminderConfig() {
+    const reminderHours = (process.env.ONBOARD_REMINDER_HOURS || '')
+        .split(',')
+        .map(value => parseInt(value, 10))
+        .filter(value => Number.isInteger(value) && value > 0)
+        .sort((a, b) => a - b);
+    const expiryHours = parseInt(process.env.ONBOARD_EXPIRY_HOURS, 10);
+
+    return {
+        reminderHours: reminderHours.length > 0 ? reminderHours : DEFAULT_REMINDER_HOURS,
+        expiryHours: Number.isInteger(expiryHours) && expiryHours > 0 ? expiryHours : DEFAULT_EXPIRY_HOURS,
+    };
+}
+
+/**
+ * Is the patient still stuck at this onboarding step?
+ * A self-enrolled patient who hasn't sent their name yet is at
+ * ENROLL_NAME, not ENROLLED — they haven't had O-1.
+ */
+function isStalledAt(patient, step) {
+    const awaitingName = patient.state === 'ENROLLED' && patient.pending_question === 'ENROLL_NAME';
+    if (step === 'ENROLL_NAME') return awaitingName;
+    return patient.state === step && !awaitingName;
+}
+
+/**
+ * The onboarding message a stalled patient hasn't answered: ENROLL-NAME
+ * (first name), O-1 (START), O-2 (check-in time) or O-3 (appointment date).
+ */
+function pendingOnboardMessage(patient) {
+    if (patient.state === 'ENROLLED') {
+        return patient.pending_question === 'ENROLL_NAME' ? 'ENROLL-NAME' : 'O-1';
+    }
+    return patient.pending_question === 'ONBOARD_APPT' ? 'O-3' : 'O-2';
+}
+
+/**
+ * Queue the first reminder for a patient who just reached a step.
+ *
+ * @param {string} patientId
+ * @param {'ENROLL_NAME'|'ENROLLED'|'ONBOARDING'} [step='ENROLLED']
+ */
+async function scheduleOnboardReminder(patientId, step = 'ENROLLED') {
+    const since = new Date().toISOString();
+    return scheduleNextOnboardJob(patientId, { step, reminder: 0, since });
+}
+
+/**
+ * Queue whatever follows reminder number `reminder` (0 = none sent yet):
+ * the next ONBOARD_REMINDER, or the ONBOARD_EXPIRY after the last one.
+ * Times count from `since`; one already past is due now.
+ *
+ * @param {string} patientId
+ * @param {{ step: string, reminder: number, since: string }} progress
+ */
+async function scheduleNextOnboardJob(patientId, { step, reminder, since }) {
+    const { reminderHours, expiryHours } = getOnboardReminderConfig();
+    const start = Date.parse(since);
+    const at = hours => new Date(Math.max(start + hours * HOUR_MS, Date.now()));
+
+    if (reminder < reminderHours.length) {
+        return scheduleOneShot(patientId, 'ONBOARD_REMINDER', at(reminderHours[reminder]), {
+            step, reminder: reminder + 1, since,
+        });
+    }
+
+    return scheduleOneShot(patientId, 'ONBOARD_EXPIRY', at(expiryHours), { step, since });
+}
+
+module.exports = {
+    getOnboardReminderConfig,
+    isStalledAt,
+    pendingOnboardMessage,
+    scheduleOnboardReminder,
+    scheduleNextOnboardJob,
+};
@@ -0,0 +1,86 @@
+/**
+ * Pause Expiry
+ *
+ * A paused patient (D-RE5 or the PAUSE command) doesn't stay PAUSED with
+ * an ACTIVE sprint forever:
+ *   1. Entering PAUSED schedules a PAUSE_REMINDER PAUSE_EXPIRY_DAYS out
+ *      (default 14). It sends SYS-PAUSE-FINAL — one last "want to
+ *      resume?" — and schedules the PAUSE_EXPIRY.
+ *   2. PAUSE_EXPIRY, PAUSE_EXPIRY_GRACE_HOURS later (default 72), moves a
+ *      patient who still hasn't resumed to DORMANT and abandons the
+ *      sprint. A sprint with at least PARTIAL_REPORT_MIN_DAYS answered days
+ *      (default 7) gets a report token for a partial report.
+ *
+ * Resuming leaves PAUSED, which cancels both jobs (see STATE_CHART).
+ * The jobs are run by api/cron/dispatch.js.
+ */
+
+const repos = require('../repositories');
+const { scheduleOneShot } = require('./scheduler');
+
+const DEFAULT_EXPIRY_DAYS = 14;
+const DEFAULT_GRACE_HOURS = 72;
+const DEFAULT_PARTIAL_REPORT_MIN_DAYS = 7;
+
+/**
+ * Expiry settings from the environment, with defaults.
+ *
+ * @returns {{ expiryDays: number, graceHours: number, partialReportMinDays: number }}
+ */
+function getPauseExpiryConfig() {
+    return {
+        expiryDays: envInt('PAUSE_EXPIRY_DAYS', DEFAULT_EXPIRY_DAYS),
+        graceHours: envInt('PAUSE_EXPIRY_GRACE_HOURS', DEFAULT_GRACE_HOURS),
+        partialReportMinDays: envInt('PARTIAL_REPORT_MIN_DAYS', DEFAULT_PARTIAL_REPORT_MIN_DAYS),
+    };
+}
+
+/**
+ * Queue the final "want to resume?" for a patient who just paused.
+ */
+async function schedulePauseReminder(patientId) {
+    const { expiryDays } = getPauseExpiryConfig();
+    const at = new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000);
+    return scheduleOneShot(patientId, 'PAUSE_REMINDER', at, { expiryDays });
+}
+
+/**
+ * Queue the expiry itself, once the final message has gone out.
+ */
+async function schedulePauseExpiry(patientId) {
+    const { graceHours } = getPauseExpiryConfig();
+    const at = new Date(Date.now() + graceHours * 60 * 60 * 1000);
+    return scheduleOneShot(patientId, 'PAUSE_EXPIRY', at, {});
+}
+
+/**
+ * Close a paused patient's sprint as ABANDONED, with a report token when
+ * enough days were answered for a partial report.
+ *
+ * @param {object} sprint - The patient's active sprint
+ * @param {string} endDate - Patient-local YYYY-MM-DD
+ * @returns {Promise<object|null>} - The updated sprint
+ */
+async function abandonSprint(sprint, endDate) {
+    const { partialReportMinDays } = getPauseExpiryConfig();
+    const updates = { status: 'ABANDONED', end_date: endDate };
+
+    if (sprint.days_completed >= partialReportMinDays && !sprint.report_token) {
+        updates.report_token = await repos.sprints.generateReportToken();
+        updates.report_generated = true;
+    }
+
+    return repos.sprints.update(sprint.sprint_id, updates);
+}
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+module.exports = {
+    getPauseExpiryConfig,
+    schedulePauseReminder,
+    schedulePauseExpiry,
+    abandonSprint,
+};
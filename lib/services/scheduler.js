@@ -6,9 +6,11 @@
  * How it works:
  *   - scheduleDailyCheckin() creates a recurring PENDING job for the patient's
  *     preferred time (with 0-5 min random jitter).
+ *   - scheduleWeeklyCheckin() does the same once a week, on one weekday
+ *     (WEEKLY monitoring).
  *   - getDueJobs() returns all PENDING jobs whose scheduled_for <= now.
  *   - markJobProcessed() / markJobFailed() update status after processing.
- *   - rescheduleDaily() creates tomorrow's job after today's completes.
+ *   - markJobCompleted() creates the next daily/weekly job after one completes.
  *   - cancelPatientJobs() cancels all PENDING jobs (for PAUSE/STOP).
  * 
  * The pg_cron job calls our /api/cron/dispatch endpoint every minute,
@@ -17,7 +19,8 @@
  * See: SMS System Implementation Spec §6 (Message Scheduling Engine)
  */
 
-const { supabase } = require('../supabase');
+const repos = require('../repositories');
+const { localDateString, dayOfWeek } = require('../utils/dates');
 
 /**
  * Add random jitter (0-300 seconds) to avoid carrier throttling.
@@ -77,6 +80,23 @@ function nextOccurrence(timeStr, timezone, afterDate = null) {
     return new Date(localTarget.getTime() + offsetMs);
 }
 
+/**
+ * The next time it's `timeStr` on `weekday` in the patient's timezone.
+ * 
+ * @param {string} timeStr - Time in HH:MM format (patient's local time)
+ * @param {string} timezone - IANA timezone
+ * @param {number} weekday - 0 = Sunday, patient-local
+ * @param {Date|null} afterDate - Schedule after this date. Defaults to now.
+ * @returns {Date} - UTC Date object
+ */
+function nextWeeklyOccurrence(timeStr, timezone, weekday, afterDate = null) {
+    let next = nextOccurrence(timeStr, timezone, afterDate);
+    while (dayOfWeek(localDateString(timezone, next)) !== weekday) {
+        next = nextOccurrence(timeStr, timezone, next);
+    }
+    return next;
+}
+
 /**
  * Schedule a daily check-in job for a patient.
  * Called when a patient enters DAILY_ACTIVE state.
@@ -88,71 +108,83 @@ async function scheduleDailyCheckin(patientId, preferredTime, timezone) {
     // Add jitter
     scheduledFor.setSeconds(scheduledFor.getSeconds() + jitter);
 
-    const { data, error } = await supabase
-        .from('scheduled_jobs')
-        .insert({
+    try {
+        return await repos.jobs.insert({
             patient_id: patientId,
             job_type: 'DAILY_CHECKIN',
             scheduled_for: scheduledFor.toISOString(),
             jitter_seconds: jitter,
             recurrence: 'daily',
             payload: { preferred_time: preferredTime, timezone },
-        })
-        .select()
-        .single();
-
-    if (error) {
+        });
+    } catch (error) {
         console.error('Failed to schedule daily checkin:', error);
         throw error;
     }
+}
+
+/**
+ * Schedule a weekly check-in job for a patient.
+ * Called when a patient enters WEEKLY state, and after each one completes.
+ * 
+ * @param {number} weekday - 0 = Sunday, patient-local
+ * @param {Date|null} afterDate - First occurrence after this. Defaults to now.
+ */
+async function scheduleWeeklyCheckin(patientId, preferredTime, timezone, weekday, afterDate = null) {
+    const jitter = generateJitter();
+    const scheduledFor = nextWeeklyOccurrence(preferredTime, timezone, weekday, afterDate);
+
+    // Add jitter
+    scheduledFor.setSeconds(scheduledFor.getSeconds() + jitter);
 
-    return data;
+    try {
+        return await repos.jobs.insert({
+            patient_id: patientId,
+            job_type: 'WEEKLY_CHECKIN',
+            scheduled_for: scheduledFor.toISOString(),
+            jitter_seconds: jitter,
+            recurrence: 'weekly',
+            payload: { preferred_time: preferredTime, timezone, weekday },
+        });
+    } catch (error) {
+        console.error('Failed to schedule weekly checkin:', error);
+        throw error;
+    }
 }
 
 /**
  * Schedule a one-shot job (insight, weekly question, etc.)
  */
 async function scheduleOneShot(patientId, jobType, scheduledFor, payload = {}) {
-    const { data, error } = await supabase
-        .from('scheduled_jobs')
-        .insert({
+    try {
+        return await repos.jobs.insert({
             patient_id: patientId,
             job_type: jobType,
             scheduled_for: scheduledFor.toISOString(),
             jitter_seconds: 0,
             recurrence: null,
             payload,
-        })
-        .select()
-        .single();
-
-    if (error) {
+        });
+    } catch (error) {
         console.error(`Failed to schedule ${jobType}:`, error);
         throw error;
     }
-
-    return data;
 }
 
 /**
  * Get all jobs that are due for processing.
  * Called by the /api/cron/dispatch endpoint every minute.
  * 
- * Uses SELECT ... FOR UPDATE SKIP LOCKED to prevent double-processing
- * if the cron fires twice.
+ * Uses SELECT ... FOR UPDATE SKIP LOCKED (get_and_lock_due_jobs) to
+ * prevent double-processing if the cron fires twice.
  */
 async function getDueJobs(limit = 50) {
-    // Use a raw query for SKIP LOCKED (not available via Supabase client)
-    const { data, error } = await supabase.rpc('get_and_lock_due_jobs', {
-        job_limit: limit,
-    });
-
-    if (error) {
+    try {
+        return await repos.jobs.lockDue(limit);
+    } catch (error) {
         console.error('Failed to get due jobs:', error);
         return [];
     }
-
-    return data || [];
 }
 
 /**
@@ -160,21 +192,19 @@ async function getDueJobs(limit = 50) {
  * if it's a recurring job.
  */
 async function markJobCompleted(jobId) {
-    const { data: job, error } = await supabase
-        .from('scheduled_jobs')
-        .update({
+    let job;
+    try {
+        job = await repos.jobs.update(jobId, {
             status: 'COMPLETED',
             processed_at: new Date().toISOString(),
-        })
-        .eq('job_id', jobId)
-        .select()
-        .single();
-
-    if (error) {
+        });
+    } catch (error) {
         console.error('Failed to mark job completed:', error);
         return null;
     }
 
+    if (!job) return null;
+
     // If recurring, schedule the next one
     if (job.recurrence === 'daily' && job.payload?.preferred_time) {
         await scheduleDailyCheckin(
@@ -183,6 +213,14 @@ async function markJobCompleted(jobId) {
             job.payload.timezone || 'America/New_York'
         );
     }
+    if (job.recurrence === 'weekly' && job.payload?.preferred_time) {
+        await scheduleWeeklyCheckin(
+            job.patient_id,
+            job.payload.preferred_time,
+            job.payload.timezone || 'America/New_York',
+            job.payload.weekday
+        );
+    }
 
     return job;
 }
@@ -192,11 +230,7 @@ async function markJobCompleted(jobId) {
  */
 async function markJobFailed(jobId, errorMessage) {
     // Get current attempt count
-    const { data: job } = await supabase
-        .from('scheduled_jobs')
-        .select('attempts, max_attempts, patient_id, job_type, scheduled_for, payload, recurrence')
-        .eq('job_id', jobId)
-        .single();
+    const job = await repos.jobs.get(jobId);
 
     if (!job) return null;
 
@@ -205,58 +239,66 @@ async function markJobFailed(jobId, errorMessage) {
     if (newAttempts < job.max_attempts) {
         // Retry: set back to PENDING with a 5-minute backoff
         const retryAt = new Date(Date.now() + 5 * 60 * 1000);
-        await supabase
-            .from('scheduled_jobs')
-            .update({
-                status: 'PENDING',
-                attempts: newAttempts,
-                last_error: errorMessage,
-                scheduled_for: retryAt.toISOString(),
-            })
-            .eq('job_id', jobId);
+        await repos.jobs.update(jobId, {
+            status: 'PENDING',
+            attempts: newAttempts,
+            last_error: errorMessage,
+            scheduled_for: retryAt.toISOString(),
+        });
     } else {
         // Max retries exceeded: mark as failed permanently
-        await supabase
-            .from('scheduled_jobs')
-            .update({
-                status: 'FAILED',
-                attempts: newAttempts,
-                last_error: errorMessage,
-                processed_at: new Date().toISOString(),
-            })
-            .eq('job_id', jobId);
+        await repos.jobs.update(jobId, {
+            status: 'FAILED',
+            attempts: newAttempts,
+            last_error: errorMessage,
+            processed_at: new Date().toISOString(),
+        });
     }
 }
 
 /**
- * Cancel all pending jobs for a patient.
- * Called on PAUSE or STOP.
+ * Push a picked-up job back to PENDING at a later time without counting
+ * it as a failed attempt. Used when the send policy (quiet hours, daily
+ * cap) blocks a job — it is deferred, never dropped.
  */
-async function cancelPatientJobs(patientId) {
-    const { data, error } = await supabase
-        .from('scheduled_jobs')
-        .update({
-            status: 'CANCELLED',
-            processed_at: new Date().toISOString(),
-        })
-        .eq('patient_id', patientId)
-        .eq('status', 'PENDING')
-        .select();
+async function deferJob(jobId, scheduledFor, reason) {
+    try {
+        await repos.jobs.update(jobId, {
+            status: 'PENDING',
+            scheduled_for: scheduledFor.toISOString(),
+            last_error: `Deferred: ${reason}`,
+        });
+    } catch (error) {
+        console.error('Failed to defer job:', error);
+        throw error;
+    }
+}
 
-    if (error) {
+/**
+ * Cancel all pending jobs for a patient, or only those of one type.
+ * Called by the state chart's CANCEL_JOBS actions and on TIME/TIMEZONE.
+ * 
+ * @returns {Promise<object[]>} - The cancelled jobs
+ */
+async function cancelPatientJobs(patientId, jobType = null) {
+    try {
+        return await repos.jobs.cancelPending(patientId, { jobType });
+    } catch (error) {
         console.error('Failed to cancel patient jobs:', error);
+        return [];
     }
-
-    return data || [];
 }
 
 module.exports = {
     scheduleDailyCheckin,
+    scheduleWeeklyCheckin,
     scheduleOneShot,
     getDueJobs,
     markJobCompleted,
     markJobFailed,
+    deferJob,
     cancelPatientJobs,
     nextOccurrence,
+    nextWeeklyOccurrence,
     generateJitter,
 };
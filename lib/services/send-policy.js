@@ -0,0 +1,205 @@
+/**
+ * Send Policy — Quiet Hours + Daily Message Cap
+ *
+ * Decides whether we may text a patient right now. Checked before every
+ * scheduled send (api/cron/dispatch.js) and every webhook reply
+ * (lib/handlers/inbound.js).
+ *
+ * Rules, in the patient's own timezone:
+ *   - Quiet hours (QUIET_HOURS_START–QUIET_HOURS_END, default 22:00–07:00):
+ *     scheduled messages are deferred to the end of the window. Replies to
+ *     a text the patient just sent are not held — they asked. Neither are
+ *     check-ins (CHECKIN) at the time the patient picked, even a late one
+ *     like 10:30pm — but only on time (see isOnTimeCheckin). A check-in
+ *     running late into quiet hours is a scheduled message like any other.
+ *   - Daily cap (MAX_DAILY_MESSAGES outbound per local day, default 8):
+ *     scheduled messages and check-ins are deferred to tomorrow's first
+ *     allowed time; replies over the cap are dropped.
+ *   - SYS-STOP and SYS-HELP are always sent (carrier requirement).
+ *
+ * Set QUIET_HOURS_START equal to QUIET_HOURS_END to turn quiet hours off.
+ */
+
+const repos = require('../repositories');
+const {
+    DEFAULT_TIMEZONE,
+    localDateString,
+    localTimeString,
+    zonedTimeToUtc,
+    addDays,
+} = require('../utils/dates');
+
+const DEFAULT_QUIET_START = '22:00';
+const DEFAULT_QUIET_END = '07:00';
+const DEFAULT_MAX_DAILY = 8;
+
+// Compliance replies that must never be held back
+const EXEMPT_TEMPLATES = new Set(['SYS-STOP', 'SYS-HELP']);
+
+// How late a check-in may run and still be "at the time the patient
+// picked": a couple of cron ticks past its scheduled_for, and no more than
+// the 0-5 min jitter plus that past preferred_time
+const CHECKIN_GRACE_MINUTES = 10;
+const CHECKIN_MAX_JITTER_MINUTES = 5;
+
+/**
+ * Policy settings from the environment, with defaults.
+ *
+ * @returns {{ quietStart: string, quietEnd: string, maxDaily: number }}
+ */
+function getSendPolicyConfig() {
+    const maxDaily = parseInt(process.env.MAX_DAILY_MESSAGES, 10);
+    return {
+        quietStart: parseClock(process.env.QUIET_HOURS_START) || DEFAULT_QUIET_START,
+        quietEnd: parseClock(process.env.QUIET_HOURS_END) || DEFAULT_QUIET_END,
+        maxDaily: Number.isInteger(maxDaily) && maxDaily > 0 ? maxDaily : DEFAULT_MAX_DAILY,
+    };
+}
+
+/**
+ * Is a local HH:MM inside quiet hours? Handles windows that wrap midnight.
+ */
+function isQuietTime(localTime, config) {
+    const { quietStart, quietEnd } = config;
+    if (quietStart === quietEnd) return false;
+    if (quietStart < quietEnd) return localTime >= quietStart && localTime < quietEnd;
+    return localTime >= quietStart || localTime < quietEnd;
+}
+
+/**
+ * Is a check-in going out at the time the patient picked, inside quiet
+ * hours? Only then is it sent as CHECKIN. One hours late after an outage,
+ * or pushed back by markJobFailed retries, isn't what the patient asked
+ * for at 10:30pm and waits like any other scheduled message.
+ *
+ * @param {object} params
+ * @param {string} params.preferredTime - Patient's check-in time, HH:MM[:SS]
+ * @param {string|Date} params.scheduledFor - The job's scheduled_for
+ * @param {string} [params.timezone] - Patient's IANA timezone
+ * @param {Date} params.now - Current instant
+ * @param {object} [params.config=getSendPolicyConfig()]
+ * @returns {boolean}
+ */
+function isOnTimeCheckin({ preferredTime, scheduledFor, timezone, now, config = getSendPolicyConfig() }) {
+    const picked = parseClock(preferredTime?.slice(0, 5));
+    if (!picked || !isQuietTime(picked, config)) return false;
+
+    const lateMs = now.getTime() - new Date(scheduledFor).getTime();
+    if (Number.isNaN(lateMs) || lateMs > CHECKIN_GRACE_MINUTES * 60 * 1000) return false;
+
+    // Minutes since preferred_time on the patient's clock, across midnight
+    const sincePicked = (toMinutes(localTimeString(timezone || DEFAULT_TIMEZONE, now)) - toMinutes(picked) + 1440) % 1440;
+    return sincePicked <= CHECKIN_MAX_JITTER_MINUTES + CHECKIN_GRACE_MINUTES;
+}
+
+/**
+ * Decide whether a message may be sent. Pure — the caller supplies how
+ * many messages the patient has already received today.
+ *
+ * @param {object} params
+ * @param {string} [params.timezone] - Patient's IANA timezone
+ * @param {Date} params.now - Current instant
+ * @param {number} params.sentToday - Outbound messages since local midnight
+ * @param {'SCHEDULED'|'CHECKIN'|'REPLY'} params.kind - Dispatcher job (CHECKIN for
+ *   daily/weekly check-ins on time at the patient's chosen time — see
+ *   isOnTimeCheckin) or webhook reply
+ * @param {string} [params.templateId] - Template about to be sent
+ * @param {object} [params.config=getSendPolicyConfig()]
+ * @returns {{ allowed: boolean, reason: 'QUIET_HOURS'|'DAILY_CAP'|null, retryAt: Date|null }}
+ */
+function evaluateSendPolicy({ timezone, now, sentToday, kind, templateId, config = getSendPolicyConfig() }) {
+    const tz = timezone || DEFAULT_TIMEZONE;
+
+    if (templateId && EXEMPT_TEMPLATES.has(templateId)) {
+        return { allowed: true, reason: null, retryAt: null };
+    }
+
+    const today = localDateString(tz, now);
+    const localTime = localTimeString(tz, now);
+
+    if (kind === 'SCHEDULED' && isQuietTime(localTime, config)) {
+        // Past the start of an overnight window → it ends tomorrow morning
+        const endDate = config.quietStart > config.quietEnd && localTime >= config.quietStart
+            ? addDays(today, 1)
+            : today;
+        return {
+            allowed: false,
+            reason: 'QUIET_HOURS',
+            retryAt: zonedTimeToUtc(endDate, config.quietEnd, tz),
+        };
+    }
+
+    if (sentToday >= config.maxDaily) {
+        const tomorrow = addDays(today, 1);
+        const firstAllowed = isQuietTime('00:00', config) ? config.quietEnd : '00:00';
+        return {
+            allowed: false,
+            reason: 'DAILY_CAP',
+            retryAt: zonedTimeToUtc(tomorrow, firstAllowed, tz),
+        };
+    }
+
+    return { allowed: true, reason: null, retryAt: null };
+}
+
+/**
+ * Check the send policy for a patient, counting today's outbound
+ * messages from the messages table.
+ *
+ * @param {object} patient - Patient row (patient_id, timezone)
+ * @param {object} options
+ * @param {'SCHEDULED'|'CHECKIN'|'REPLY'} options.kind
+ * @param {string} [options.templateId]
+ * @param {Date} [options.now]
+ * @returns {Promise<{ allowed: boolean, reason: string|null, retryAt: Date|null }>}
+ */
+async function checkSendPolicy(patient, { kind, templateId = null, now = new Date() }) {
+    if (templateId && EXEMPT_TEMPLATES.has(templateId)) {
+        return { allowed: true, reason: null, retryAt: null };
+    }
+
+    const timezone = patient.timezone || DEFAULT_TIMEZONE;
+    const sentToday = await countSentToday(patient.patient_id, timezone, now);
+
+    return evaluateSendPolicy({ timezone, now, sentToday, kind, templateId });
+}
+
+/**
+ * Outbound messages to a patient since their local midnight.
+ */
+async function countSentToday(patientId, timezone, now) {
+    const midnight = zonedTimeToUtc(localDateString(timezone, now), '00:00', timezone);
+
+    try {
+        return await repos.messages.countOutboundSince(patientId, midnight.toISOString());
+    } catch (error) {
+        // Fail open: a missed cap is better than a missed check-in
+        console.error(`Send policy count failed for ${patientId}:`, error.message);
+        return 0;
+    }
+}
+
+// "7:00" → "07:00"; null for anything that isn't a 24-hour time
+function parseClock(value) {
+    const match = value?.trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 23 || minutes > 59) return null;
+    return `${String(hours).padStart(2, '0')}:${match[2]}`;
+}
+
+// "22:30" → 1350
+function toMinutes(clock) {
+    const [hours, minutes] = clock.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+module.exports = {
+    getSendPolicyConfig,
+    isQuietTime,
+    isOnTimeCheckin,
+    evaluateSendPolicy,
+    checkSendPolicy,
+    EXEMPT_TEMPLATES,
+};
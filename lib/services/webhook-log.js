@@ -0,0 +1,124 @@
+/**
+ * Webhook Log Service
+ * 
+ * Every inbound Twilio webhook is written to webhook_log before we
+ * touch patient data. The row doubles as the idempotency record:
+ * a unique index on message_sid means a retried webhook (same
+ * MessageSid) is detected at insert time and skipped.
+ * 
+ * After processing, the row is marked processed — or keeps
+ * processed = false with processing_error set, so failed messages
+ * can be found and replayed. Messages dropped by the inbound guard
+ * are marked processed with suppressed_reason set.
+ * 
+ * See: Migration 005 (webhook idempotency), 010 (suppressed_reason)
+ */
+
+const repos = require('../repositories');
+
+/**
+ * Insert the raw webhook. Returns duplicate: true if this MessageSid
+ * has already been logged (Twilio retry) — the caller must not process it.
+ * 
+ * @param {object} body - Parsed Twilio POST body
+ * @param {string} fromNumber - Normalized E.164 sender
+ * @param {string|null} signature - X-Twilio-Signature header
+ * @returns {Promise<{ logId: string|null, duplicate: boolean }>}
+ */
+async function logWebhook(body, fromNumber, signature) {
+    try {
+        const row = await repos.webhookLog.insert({
+            source: 'twilio',
+            method: 'POST',
+            body: body,
+            from_number: fromNumber,
+            message_sid: body.MessageSid || null,
+            twilio_signature: signature || null,
+        });
+        return { logId: row.log_id, duplicate: false };
+    } catch (error) {
+        if (error.code === '23505') {
+            // Unique violation on message_sid — already received
+            return { logId: null, duplicate: true };
+        }
+
+        // Logging failure shouldn't drop the patient's message
+        console.error('Failed to write webhook_log:', error);
+        return { logId: null, duplicate: false };
+    }
+}
+
+/**
+ * Mark a webhook as fully processed.
+ */
+async function markWebhookProcessed(logId) {
+    await markWebhook(logId, {
+        processed: true,
+        processing_error: null,
+        processed_at: new Date().toISOString(),
+    });
+}
+
+/**
+ * Mark a webhook as deliberately not processed (rate limit, auto-reply).
+ * The row counts as processed so replay skips it; suppressed_reason says why.
+ */
+async function markWebhookSuppressed(logId, reason) {
+    await markWebhook(logId, {
+        processed: true,
+        processing_error: null,
+        suppressed_reason: reason,
+        processed_at: new Date().toISOString(),
+    });
+}
+
+/**
+ * Record a processing failure. The row stays processed = false.
+ */
+async function markWebhookFailed(logId, error) {
+    await markWebhook(logId, {
+        processed: false,
+        processing_error: error?.stack || error?.message || String(error),
+        processed_at: new Date().toISOString(),
+    });
+}
+
+/**
+ * Find webhooks that never completed: processed = false, or a
+ * processing_error was recorded. Oldest first.
+ * 
+ * Rows newer than `settleMinutes` are skipped — they may still be
+ * in flight in another function instance.
+ * 
+ * @param {object} [filters]
+ * @param {string} [filters.since] - ISO timestamp lower bound on created_at
+ * @param {string} [filters.fromNumber] - Only this sender
+ * @param {number} [filters.settleMinutes=5]
+ * @param {number} [filters.limit=500]
+ * @returns {Promise<Array<object>>} - webhook_log rows
+ */
+async function getUnprocessedWebhooks(filters = {}) {
+    const { since = null, fromNumber = null, settleMinutes = 5, limit = 500 } = filters;
+    const settledBefore = new Date(Date.now() - settleMinutes * 60 * 1000).toISOString();
+
+    return repos.webhookLog.listUnprocessed({ since, fromNumber, settledBefore, limit });
+}
+
+// The webhook has already answered Twilio — a failed status write is logged, not thrown
+async function markWebhook(logId, values) {
+    if (!logId) return;
+
+    try {
+        await repos.webhookLog.update(logId, values);
+    } catch (error) {
+        console.error(`Failed to update webhook_log ${logId}:`, error.message);
+    }
+}
+
+module.exports = {
+    logWebhook,
+    markWebhookProcessed,
+    markWebhookSuppressed,
+    markWebhookFailed,
+    getUnprocessedWebhooks,
+};
@@ -3,83 +3,234 @@
  * 
  * The central control structure of the engagement system.
  * Every patient is in exactly one state at any time. This module
- * defines valid transitions, executes them, and logs every change
+ * defines the state chart, executes transitions, and logs every change
  * to the state_transitions audit table.
  * 
  * States: ENROLLED → ONBOARDING → DAILY_ACTIVE → TRANSITION → (WEEKLY|TREATMENT|DORMANT)
  *         Any state → PAUSED (via patient request or 3 missed days)
- *         Any state → UNSUBSCRIBED (via STOP, terminal)
+ *         PAUSED → DORMANT (no reply to the final check-in, see pause-expiry)
+ *         ENROLLED | ONBOARDING → DORMANT (onboarding stalled, see onboard-reminders)
+ *         DORMANT → ONBOARDING (START from a patient who never picked a time)
+ *         Any state → UNSUBSCRIBED (via STOP)
+ *         UNSUBSCRIBED → ONBOARDING | DORMANT (via START, re-subscribe)
+ *         UNSUBSCRIBED → ENROLLED (re-enrollment through /api/enroll)
+ *         TREATMENT → TRANSITION (day 30 of the treatment sprint)
+ * 
+ * Side effects of entering or leaving a state (jobs, pending_question,
+ * the TRANSITION message) are declared in STATE_CHART and run here, so
+ * callers only pick the target state and the fields that are theirs.
  * 
  * See: SMS System Implementation Spec §3 (State Machine)
  */
 
-const { supabase } = require('../supabase');
-
-// --- Valid Transitions ---
-// Map of from_state → [allowed to_states]
-// This is the guard: if a transition isn't in this map, it's a bug.
-
-const VALID_TRANSITIONS = {
-    ENROLLED: ['ONBOARDING', 'UNSUBSCRIBED', 'DORMANT'],
-    ONBOARDING: ['DAILY_ACTIVE', 'UNSUBSCRIBED'],
-    DAILY_ACTIVE: ['DAILY_ACTIVE', 'PAUSED', 'TRANSITION', 'UNSUBSCRIBED'],
-    PAUSED: ['DAILY_ACTIVE', 'DORMANT', 'UNSUBSCRIBED'],
-    TRANSITION: ['WEEKLY', 'TREATMENT', 'DORMANT', 'UNSUBSCRIBED'],
-    WEEKLY: ['DAILY_ACTIVE', 'DORMANT', 'UNSUBSCRIBED'],       // Phase 2
-    TREATMENT: ['TRANSITION', 'PAUSED', 'UNSUBSCRIBED'],       // Phase 2
-    DORMANT: ['DAILY_ACTIVE', 'UNSUBSCRIBED'],
-    UNSUBSCRIBED: [],   // Terminal state. No exits.
+const repos = require('../repositories');
+const { scheduleDailyCheckin, scheduleWeeklyCheckin, scheduleOneShot, cancelPatientJobs } = require('../services/scheduler');
+const { schedulePauseReminder } = require('../services/pause-expiry');
+const { scheduleOnboardReminder } = require('../services/onboard-reminders');
+const { DEFAULT_TIMEZONE, localDateString, dayOfWeek } = require('../utils/dates');
+
+// --- State Chart ---
+// Per state:
+//   transitions — allowed to_states. This is the guard: if a transition
+//                 isn't listed, it's a bug.
+//   entry/exit  — actions run when a patient arrives in / leaves the state.
+//                 Exit actions of the old state run before entry actions
+//                 of the new one. A self-transition (the DAILY_ACTIVE
+//                 daily cycle) runs neither.
+//
+// Actions:
+//   { type: 'SET_PENDING', question }      pending_question (null clears it,
+//                                          and pending_context with it)
+//   { type: 'CANCEL_JOBS', jobType? }      cancel PENDING jobs (all, or one type)
+//   { type: 'SCHEDULE_DAILY_CHECKIN' }     at preferred_time, if set and none pending
+//   { type: 'SCHEDULE_WEEKLY_CHECKIN' }    a week from today at preferred_time,
+//                                          then weekly on that weekday
+//   { type: 'QUEUE_MESSAGE', jobType }     one-shot job due now; the dispatcher
+//                                          sends it under the send policy
+//   { type: 'SCHEDULE_PAUSE_REMINDER' }    the final "want to resume?",
+//                                          PAUSE_EXPIRY_DAYS from now
+//   { type: 'SCHEDULE_ONBOARD_REMINDER' }  the first reminder for the onboarding
+//                                          step the patient just reached
+//
+// SET_PENDING is folded into the state update, so fields passed by the
+// caller (additionalUpdates) win over it.
+
+const STATE_CHART = {
+    ENROLLED: {
+        transitions: ['ONBOARDING', 'UNSUBSCRIBED', 'DORMANT'],
+        exit: [
+            { type: 'CANCEL_JOBS', jobType: 'ONBOARD_REMINDER' },
+            { type: 'CANCEL_JOBS', jobType: 'ONBOARD_EXPIRY' },
+        ],
+    },
+    ONBOARDING: {
+        transitions: ['DAILY_ACTIVE', 'DORMANT', 'UNSUBSCRIBED'],
+        entry: [
+            { type: 'SET_PENDING', question: 'ONBOARD_TIME' },
+            { type: 'SCHEDULE_ONBOARD_REMINDER' },
+        ],
+        exit: [
+            { type: 'CANCEL_JOBS', jobType: 'ONBOARD_REMINDER' },
+            { type: 'CANCEL_JOBS', jobType: 'ONBOARD_EXPIRY' },
+        ],
+    },
+    DAILY_ACTIVE: {
+        transitions: ['DAILY_ACTIVE', 'PAUSED', 'TRANSITION', 'UNSUBSCRIBED'],
+        entry: [
+            { type: 'SET_PENDING', question: null },
+            { type: 'SCHEDULE_DAILY_CHECKIN' },
+        ],
+        exit: [
+            { type: 'CANCEL_JOBS', jobType: 'DAILY_CHECKIN' },
+        ],
+    },
+    PAUSED: {
+        transitions: ['DAILY_ACTIVE', 'TREATMENT', 'DORMANT', 'UNSUBSCRIBED'],
+        entry: [
+            { type: 'SET_PENDING', question: null },
+            { type: 'CANCEL_JOBS' },
+            { type: 'SCHEDULE_PAUSE_REMINDER' },
+        ],
+        exit: [
+            { type: 'CANCEL_JOBS', jobType: 'PAUSE_REMINDER' },
+            { type: 'CANCEL_JOBS', jobType: 'PAUSE_EXPIRY' },
+        ],
+    },
+    TRANSITION: {
+        transitions: ['WEEKLY', 'TREATMENT', 'DORMANT', 'UNSUBSCRIBED'],
+        entry: [
+            { type: 'SET_PENDING', question: 'TRANSITION_CHOICE' },
+            { type: 'CANCEL_JOBS' },
+            { type: 'QUEUE_MESSAGE', jobType: 'TRANSITION' },   // T-1
+        ],
+    },
+    WEEKLY: {
+        transitions: ['DAILY_ACTIVE', 'DORMANT', 'UNSUBSCRIBED'],
+        entry: [
+            { type: 'SET_PENDING', question: null },
+            { type: 'CANCEL_JOBS' },
+            { type: 'SCHEDULE_WEEKLY_CHECKIN' },
+        ],
+        exit: [
+            { type: 'CANCEL_JOBS', jobType: 'WEEKLY_CHECKIN' },
+        ],
+    },
+    TREATMENT: {
+        transitions: ['TRANSITION', 'PAUSED', 'UNSUBSCRIBED'],
+        entry: [
+            { type: 'SET_PENDING', question: null },
+            { type: 'SCHEDULE_DAILY_CHECKIN' },
+        ],
+        exit: [
+            { type: 'CANCEL_JOBS', jobType: 'DAILY_CHECKIN' },
+        ],
+    },
+    DORMANT: {
+        // ENROLLED: a self-enrolled patient who dropped off before sending a name
+        transitions: ['DAILY_ACTIVE', 'ONBOARDING', 'ENROLLED', 'UNSUBSCRIBED'],
+        entry: [
+            { type: 'SET_PENDING', question: null },
+            { type: 'CANCEL_JOBS' },
+        ],
+    },
+    UNSUBSCRIBED: {
+        // START (re-opt-in), or re-enrollment, which asks for START again
+        transitions: ['ENROLLED', 'ONBOARDING', 'DORMANT'],
+        entry: [
+            { type: 'SET_PENDING', question: null },
+            { type: 'CANCEL_JOBS' },
+        ],
+    },
+};
+
+// States with daily check-ins: the 30-day sprint and treatment monitoring
+const TRACKING_STATES = ['DAILY_ACTIVE', 'TREATMENT'];
+
+// from_state → [allowed to_states], derived from the chart
+const VALID_TRANSITIONS = Object.fromEntries(
+    Object.entries(STATE_CHART).map(([state, definition]) => [state, definition.transitions])
+);
+
+// transitionState() outcomes
+const TRANSITION_STATUS = {
+    APPLIED: 'APPLIED',         // state changed (or a same-state no-op)
+    CONFLICT: 'CONFLICT',       // patient wasn't in the state the caller acted on
+    INVALID: 'INVALID',         // the chart doesn't allow this move
+    NOT_FOUND: 'NOT_FOUND',
+    FAILED: 'FAILED',           // database error; nothing written
 };
 
+/**
+ * @typedef {Object} TransitionResult
+ * @property {boolean} success - status === APPLIED
+ * @property {string} status - One of TRANSITION_STATUS
+ * @property {object|null} patient - Updated row if applied, otherwise the
+ *   current row (for CONFLICT: the state the patient is actually in)
+ * @property {string|null} error
+ */
+
 /**
  * Transition a patient to a new state.
  * 
  * This is the ONLY function that should modify patients.state.
- * It validates the transition, updates the patient record, and
- * writes an immutable audit log entry.
+ * It validates the transition, then updates the patient record and
+ * writes the immutable audit log entry in one transaction
+ * (transition_patient_state, migration 013), and runs the chart's
+ * exit/entry actions.
+ * 
+ * The write is a compare-and-set on the state validated against. If
+ * another message or a cron job moved the patient first, nothing is
+ * written and the result is a CONFLICT carrying the current row — the
+ * caller decides what to do with its now-stale view. Callers that acted
+ * on a patient row they read earlier pass its state as expectedState,
+ * so a change between their read and this call is a CONFLICT too.
  * 
  * @param {string} patientId - UUID
  * @param {string} toState - Target state (e.g., 'DAILY_ACTIVE')
  * @param {string} triggerType - What caused this: PATIENT_RESPONSE, SYSTEM_TIMER, ADMIN_ACTION
  * @param {string|null} triggerDetail - Free-text context (message content, timer rule, etc.)
  * @param {object} additionalUpdates - Extra columns to update on patients table (e.g., { preferred_time: '08:00' })
- * @returns {object} - { success, patient, error }
+ * @param {object} [options]
+ * @param {string} [options.expectedState] - The state the caller's decision was based on
+ * @returns {Promise<TransitionResult>}
  */
-async function transitionState(patientId, toState, triggerType, triggerDetail = null, additionalUpdates = {}) {
+async function transitionState(patientId, toState, triggerType, triggerDetail = null, additionalUpdates = {}, options = {}) {
+    const { expectedState = null } = options;
+
     // 1. Read current state (always from DB, never cached)
-    const { data: patient, error: fetchError } = await supabase
-        .from('patients')
-        .select('patient_id, state, phone_number, first_name')
-        .eq('patient_id', patientId)
-        .single();
+    const patient = await repos.patients.get(patientId).catch(() => null);
 
-    if (fetchError || !patient) {
-        return { success: false, patient: null, error: `Patient not found: ${patientId}` };
+    if (!patient) {
+        return failure(TRANSITION_STATUS.NOT_FOUND, null, `Patient not found: ${patientId}`);
     }
 
     const fromState = patient.state;
 
+    if (expectedState && fromState !== expectedState) {
+        return conflict(patient, expectedState);
+    }
+
     // 2. STOP is always valid from any non-terminal state
     if (toState === 'UNSUBSCRIBED' && fromState !== 'UNSUBSCRIBED') {
         // Allow — STOP overrides everything
     }
     // 3. Validate transition
     else if (!VALID_TRANSITIONS[fromState]?.includes(toState)) {
-        return {
-            success: false,
-            patient,
-            error: `Invalid transition: ${fromState} → ${toState}`,
-        };
+        return failure(TRANSITION_STATUS.INVALID, patient, `Invalid transition: ${fromState} → ${toState}`);
     }
 
     // 4. Skip if already in target state (except DAILY_ACTIVE → DAILY_ACTIVE, which is a daily cycle)
     if (fromState === toState && toState !== 'DAILY_ACTIVE') {
-        return { success: true, patient, error: null };
+        return { success: true, status: TRANSITION_STATUS.APPLIED, patient, error: null };
     }
 
-    // 5. Update patient state + any additional fields
+    const actions = fromState === toState
+        ? []
+        : [...(STATE_CHART[fromState]?.exit || []), ...(STATE_CHART[toState].entry || [])];
+
+    // 5. Chart fields + any additional fields (state itself is set by the RPC)
     const updates = {
-        state: toState,
+        ...pendingUpdates(actions),
         ...additionalUpdates,
     };
 
@@ -91,35 +242,120 @@ async function transitionState(patientId, toState, triggerType, triggerDetail =
         updates.opted_out_at = new Date().toISOString();
     }
 
-    const { data: updatedPatient, error: updateError } = await supabase
-        .from('patients')
-        .update(updates)
-        .eq('patient_id', patientId)
-        .select()
-        .single();
+    // 6. Compare-and-set + audit row, atomically
+    let applied;
+    try {
+        applied = await repos.transitions.apply({
+            patientId,
+            fromState,
+            toState,
+            triggerType,
+            triggerDetail,
+            updates,
+        });
+    } catch (applyError) {
+        return failure(TRANSITION_STATUS.FAILED, patient, `Update failed: ${applyError.message}`);
+    }
 
-    if (updateError) {
-        return { success: false, patient, error: `Update failed: ${updateError.message}` };
+    if (!applied?.status) {
+        return failure(TRANSITION_STATUS.FAILED, patient, 'Update failed: transition_patient_state returned no result');
+    }
+    if (applied.status === TRANSITION_STATUS.NOT_FOUND) {
+        return failure(TRANSITION_STATUS.NOT_FOUND, null, `Patient not found: ${patientId}`);
+    }
+    if (applied.status === TRANSITION_STATUS.CONFLICT) {
+        return conflict(applied.patient, fromState);
     }
 
-    // 6. Write audit log (append-only, never fails silently)
-    const { error: logError } = await supabase
-        .from('state_transitions')
-        .insert({
-            patient_id: patientId,
-            from_state: fromState,
-            to_state: toState,
-            trigger_type: triggerType,
-            trigger_detail: triggerDetail,
-        });
+    const updatedPatient = applied.patient;
 
-    if (logError) {
-        console.error('CRITICAL: State transition log failed:', logError);
-        // Don't roll back the state change — the transition happened.
-        // Log the failure loudly for monitoring to catch.
+    // 7. Exit/entry actions (jobs). These run after the commit: the
+    // transition stands, a failed action is logged loudly.
+    for (const action of actions) {
+        try {
+            await runAction(action, updatedPatient);
+        } catch (actionError) {
+            console.error(`CRITICAL: ${action.type} failed on ${fromState} → ${toState} for ${patientId}:`, actionError);
+        }
     }
 
-    return { success: true, patient: updatedPatient, error: null };
+    return { success: true, status: TRANSITION_STATUS.APPLIED, patient: updatedPatient, error: null };
+}
+
+function failure(status, patient, error) {
+    return { success: false, status, patient, error };
+}
+
+function conflict(patient, expectedState) {
+    console.warn(`State conflict for ${patient.patient_id}: expected ${expectedState}, found ${patient.state}`);
+    return failure(
+        TRANSITION_STATUS.CONFLICT,
+        patient,
+        `State changed: expected ${expectedState}, found ${patient.state}`
+    );
+}
+
+/**
+ * The patients columns set by a transition's SET_PENDING actions.
+ */
+function pendingUpdates(actions) {
+    const updates = {};
+    for (const action of actions) {
+        if (action.type !== 'SET_PENDING') continue;
+        updates.pending_question = action.question;
+        if (action.question === null) updates.pending_context = null;
+    }
+    return updates;
+}
+
+/**
+ * Run one job action for a patient (SET_PENDING is already applied).
+ */
+async function runAction(action, patient) {
+    switch (action.type) {
+    case 'SET_PENDING':
+        return;
+
+    case 'CANCEL_JOBS':
+        await cancelPatientJobs(patient.patient_id, action.jobType || null);
+        return;
+
+    case 'SCHEDULE_DAILY_CHECKIN': {
+        if (!patient.preferred_time) return;
+        const pending = await repos.jobs.listPending(patient.patient_id, { jobType: 'DAILY_CHECKIN' });
+        if (pending.length > 0) return;
+        await scheduleDailyCheckin(
+            patient.patient_id,
+            patient.preferred_time,
+            patient.timezone || DEFAULT_TIMEZONE
+        );
+        return;
+    }
+
+    case 'SCHEDULE_WEEKLY_CHECKIN': {
+        if (!patient.preferred_time) return;
+        const timezone = patient.timezone || DEFAULT_TIMEZONE;
+        const weekday = dayOfWeek(localDateString(timezone));
+        const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+        await scheduleWeeklyCheckin(patient.patient_id, patient.preferred_time, timezone, weekday, tomorrow);
+        return;
+    }
+
+    case 'QUEUE_MESSAGE':
+        await scheduleOneShot(patient.patient_id, action.jobType, new Date(), {});
+        return;
+
+    case 'SCHEDULE_PAUSE_REMINDER':
+        await schedulePauseReminder(patient.patient_id);
+        return;
+
+    case 'SCHEDULE_ONBOARD_REMINDER':
+        await scheduleOnboardReminder(patient.patient_id, patient.state);
+        return;
+
+    default:
+        throw new Error(`Unknown state action: ${action.type}`);
+    }
 }
 
 /**
@@ -127,32 +363,21 @@ async function transitionState(patientId, toState, triggerType, triggerDetail =
  * Never cache this — the spec requires reading from DB on every message.
  */
 async function getPatientState(patientId) {
-    const { data, error } = await supabase
-        .from('patients')
-        .select('*')
-        .eq('patient_id', patientId)
-        .single();
-
-    if (error) return null;
-    return data;
+    return repos.patients.get(patientId).catch(() => null);
 }
 
 /**
  * Look up a patient by phone number (for inbound message routing).
  */
 async function getPatientByPhone(phoneNumber) {
-    const { data, error } = await supabase
-        .from('patients')
-        .select('*')
-        .eq('phone_number', phoneNumber)
-        .single();
-
-    if (error) return null;
-    return data;
+    return repos.patients.findByPhone(phoneNumber).catch(() => null);
 }
 
 module.exports = {
+    STATE_CHART,
     VALID_TRANSITIONS,
+    TRANSITION_STATUS,
+    TRACKING_STATES,
     transitionState,
     getPatientState,
     getPatientByPhone,
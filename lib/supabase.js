@@ -7,25 +7,42 @@
  * 
  * NEVER expose the service_role key to the browser/client.
  * All our code runs in Vercel serverless functions (server-side only).
+ *
+ * The client is created on first access of `supabase`, not at import, so
+ * code that only reaches the database through lib/repositories can be
+ * loaded (and tested) without credentials. The property is assignable —
+ * scripts/replay-webhooks.js swaps in a read-only wrapper for --dry-run.
  */
 
 const { createClient } = require('@supabase/supabase-js');
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+let client = null;
 
-if (!supabaseUrl || !supabaseServiceKey) {
-    throw new Error(
-        'Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY. ' +
-        'Set them in .env.local (dev) or Vercel environment variables (prod).'
-    );
+function createServiceClient() {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    if (!supabaseUrl || !supabaseServiceKey) {
+        throw new Error(
+            'Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY. ' +
+            'Set them in .env.local (dev) or Vercel environment variables (prod).'
+        );
+    }
+
+    return createClient(supabaseUrl, supabaseServiceKey, {
+        auth: {
+            autoRefreshToken: false,
+            persistSession: false,
+        },
+    });
 }
 
-const supabase = createClient(supabaseUrl, supabaseServiceKey, {
-    auth: {
-        autoRefreshToken: false,
-        persistSession: false,
+module.exports = {
+    get supabase() {
+        if (!client) client = createServiceClient();
+        return client;
     },
-});
-
-module.exports = { supabase };
+    set supabase(replacement) {
+        client = replacement;
+    },
+};
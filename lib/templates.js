@@ -4,20 +4,52 @@
  * Every outbound SMS has a template ID (O-1, D-1, I-5, etc.) and a
  * function that renders the message body with patient-specific data.
  * 
- * Character limit: ≤320 chars (2 SMS segments) unless noted.
+ * Length limit: 2 SMS segments in GSM-7 (≤306 chars) unless noted in
+ * SEGMENT_LIMIT_OVERRIDES. Spanish accents (á í ó ú) force UCS-2, so
+ * translations get 5 UCS-2 segments (≤335 chars). No emoji — one emoji
+ * flips the whole message to UCS-2 (70 chars per segment). render()
+ * swaps typographic punctuation (—, ’) for GSM-7 equivalents and warns
+ * when a rendered message is over its limit; tests/templates.test.js
+ * renders every template with worst-case data against the same limits.
  * Tone: warm, respectful, never patronizing. No guilt. No false cheer.
  * 
+ * English is defined here. Other languages live in lib/locales/<code>.js
+ * under the same template IDs; render() falls back to English for any
+ * template a locale doesn't define.
+ * 
  * Source: SMS Flow Specification v1.0
  */
 
+const es = require('./locales/es');
+const { analyzeSms, toGsmCompatible } = require('./utils/sms-segments');
+
 const REPORT_BASE_URL = process.env.REPORT_BASE_URL || 'https://headachevault.com/report';
 
+const DEFAULT_LOCALE = 'en';
+
+// Patient language code → template overrides
+const LOCALES = {
+    es,
+};
+
+// Max segments per rendered message, by encoding
+const MAX_SEGMENTS = { 'GSM-7': 2, 'UCS-2': 5 };
+
+// Templates allowed to run longer (GSM-7 segments)
+const SEGMENT_LIMIT_OVERRIDES = {
+    'SYS-HELP': 3,      // Carrier-required command list; sent only on request
+};
+
 // ==========================================================================
 // ONBOARDING
 // ==========================================================================
 
 const templates = {
 
+    // Self-enrollment by text (TRACK or a provider code): ask for a name first
+    'ENROLL-NAME': () =>
+        `Welcome to the Headache Vault! Before we get started — what's your first name?\n\n(Para español, responda IDIOMA.)`,
+
     // O-1: Welcome (two variants based on enrollment source)
     'O-1-PCP': ({ firstName, pcpName }) =>
         `Hi ${firstName}, this is the Headache Vault. Dr. ${pcpName}'s office set up a 30-day headache tracking program for you.\n\nIt's one quick text per day — takes about 10 seconds.\n\nReply START to begin, or STOP at any time to opt out.`,
@@ -29,15 +61,37 @@ const templates = {
     'O-2': () =>
         `Great! What time works best for a daily check-in? Most people pick morning or evening.\n\nReply with a time like "8am" or "9pm"`,
 
+    // Onboarding reminders (see lib/services/onboard-reminders.js)
+    'ENROLL-NAME-REMIND': () =>
+        `Still there? To finish signing up for headache tracking with the Headache Vault, just reply with your first name.`,
+
+    'ENROLL-NAME-FINAL': () =>
+        `One last note from the Headache Vault: reply with your first name to finish signing up for headache tracking. We won't text again after this, but START works anytime.`,
+
+    'O-1-FINAL': ({ firstName }) =>
+        `Hi ${firstName}, one last note from the Headache Vault: reply START to begin your 30-day headache tracking. We won't text again after this, but START works anytime.`,
+
+    'O-2-REMIND': ({ firstName }) =>
+        `Hi ${firstName}, you're almost set up! What time works best for your daily check-in? Reply with a time like "8am" or "9pm".`,
+
+    'O-2-FINAL': ({ firstName }) =>
+        `Hi ${firstName}, last reminder: reply with a time like "8am" to start your daily check-ins. We won't text again after this, but you can reply START anytime.`,
+
+    'O-3-REMIND': ({ firstName }) =>
+        `Hi ${firstName}, one more question and your daily check-ins start: do you have a doctor's appointment coming up? Reply with the date (like "March 15"), or NO if not.`,
+
+    'O-3-FINAL': ({ firstName }) =>
+        `Hi ${firstName}, last reminder: reply with your appointment date (like "March 15"), or NO, to start your daily check-ins. We won't text again after this, but START works anytime.`,
+
     // O-3: Appointment anchor (two variants)
     'O-3-WITH-APPT': ({ time, appointmentDate }) =>
-        `Got it — you'll hear from us daily at ${time}.\n\nYour next appointment is ${appointmentDate}. We'll have your report ready before then.\n\nYour first check-in comes tomorrow at ${time}. 👍`,
+        `Got it — you'll hear from us daily at ${time}.\n\nYour next appointment is ${appointmentDate}. We'll have your report ready before then.\n\nYour first check-in comes tomorrow at ${time}.`,
 
     'O-3-ASK-APPT': ({ time }) =>
         `Got it — you'll hear from us daily at ${time}.\n\nQuick question: do you have a doctor's appointment coming up? If so, reply with the date (like "March 15"). If not, just reply NO.`,
 
     'O-3-CONFIRMED': ({ time }) =>
-        `Got it — you'll hear from us daily at ${time}.\n\nYour first check-in comes tomorrow at ${time}. 👍`,
+        `Got it — you'll hear from us daily at ${time}.\n\nYour first check-in comes tomorrow at ${time}.`,
 
     // O-4: Medication history
     'O-4-ASK': () =>
@@ -49,6 +103,15 @@ const templates = {
     'O-4-REASON': ({ medication }) =>
         `Why did you stop ${medication}?\n\n1 — Side effects\n2 — Didn't help\n3 — Cost\n4 — Other reason\n5 — I'm still on it`,
 
+    'O-4-DONE': () =>
+        `Got it, thanks — we've recorded that. This will help make your report more useful for your doctor. Your daily check-ins are running!`,
+
+    'O-4-DONE-NONE': () =>
+        `No problem — we can always add that later. You're all set! Your daily check-ins are running.`,
+
+    'O-4-REASON-ACK': () =>
+        `Got it, thanks for sharing that.`,
+
     // ==========================================================================
     // DAILY CHECK-IN
     // ==========================================================================
@@ -57,7 +120,7 @@ const templates = {
         `How's your head today?\n\n1 — Didn't notice it\n2 — Noticed but didn't change my plans\n3 — Had to push through some things\n4 — Had to skip or modify something\n5 — Couldn't function`,
 
     // D-ACK: Acknowledgment variants (6 total, rotating)
-    'D-ACK-1': () => `Got it, thanks. See you tomorrow. 👍`,
+    'D-ACK-1': () => `Got it, thanks. See you tomorrow.`,
     'D-ACK-2': () => `Logged. Thanks for checking in.`,
     'D-ACK-3': () => `Recorded — that's one more day of data for your report.`,
     'D-ACK-4': () => `Thanks for sharing that. Every day of tracking matters.`,
@@ -84,6 +147,27 @@ const templates = {
     'W-3': () =>
         `Last weekly question: Did you notice any triggers this week? (Stress, weather, sleep, food, hormones, etc.)\n\nReply with what you noticed, or NO if nothing stood out.`,
 
+    'W-ACK': () =>
+        `Got it, thanks. Back to your regular check-ins tomorrow.`,
+
+    // ==========================================================================
+    // WEEKLY MONITORING (WEEKLY state)
+    // ==========================================================================
+
+    'W-CHECKIN': ({ firstName }) =>
+        `Hi ${firstName}, it's time for your weekly check-in. Over the past 7 days:\n\nHow many days did you have a headache (0-7)?\nHow bad was the worst one (1-5)?\n\nReply with both numbers, like "2 4", or 0 if you had none.`,
+
+    'W-CHECKIN-WORST': () =>
+        `And how bad was the worst one this week? Reply with a number 1-5.`,
+
+    'W-CHECKIN-ACK': ({ headacheDays, worstLevel }) =>
+        headacheDays === 0
+            ? `Got it — no headaches this week. That's saved. Talk to you next week.`
+            : `Got it — ${headacheDays} of 7 days with a headache, the worst at level ${worstLevel}. That's saved. Talk to you next week.`,
+
+    'W-DAILY': ({ time }) =>
+        `Back to daily check-ins. A new 30-day sprint starts now — your first check-in comes at ${time}.`,
+
     // ==========================================================================
     // INSIGHT REFLECTIONS
     // ==========================================================================
@@ -101,7 +185,14 @@ const templates = {
         `3 weeks done. ${headacheDays} headache days out of ${totalDays} so far.\n\nYou're in the home stretch. 9 more days to complete the picture.`,
 
     'I-30': ({ firstName, reportUrl }) =>
-        `${firstName}, you did it — 30 days of tracking! 🎉\n\nYour Visit Ready Report is here: ${reportUrl}\n\nThis has everything your doctor needs to see your pattern and make a plan. Bring it to your next appointment.`,
+        `${firstName}, you did it — 30 days of tracking!\n\nYour Visit Ready Report is here: ${reportUrl}\n\nThis has everything your doctor needs to see your pattern and make a plan. Bring it to your next appointment.`,
+
+    // Treatment sprint (days 7, 14, 21): against the baseline sprint
+    'I-TX': ({ medication, weeks, headachePct, baselinePct }) =>
+        `${weeks === 1 ? 'One week' : `${weeks} weeks`} on ${medication}: you've had a headache on ${headachePct}% of the days you logged. In your first month it was ${baselinePct}%.\n\nKeep going — the full 30 days makes the clearest comparison.`,
+
+    'I-TX-30': ({ firstName, medication, headacheDays, baselineHeadacheDays, dbsScore, baselineDbsScore, reportUrl }) =>
+        `${firstName}, 30 days on ${medication} — done! Compared with your first month:\n\nHeadache days: ${headacheDays} (before: ${baselineHeadacheDays})\nBurden score: ${dbsScore} (before: ${baselineDbsScore})\n\nYour comparison report: ${reportUrl}`,
 
     // ==========================================================================
     // TRANSITION (Day 30+)
@@ -110,6 +201,24 @@ const templates = {
     'T-1': ({ firstName }) =>
         `${firstName}, now that your 30-day sprint is complete, what would you like to do?\n\n1 — Weekly check-ins (less frequent)\n2 — Track a new treatment (restart daily)\n3 — Pause for now\n\nYour report and data are saved regardless.`,
 
+    'T-1-WEEKLY': ({ weekday, time }) =>
+        `Weekly check-ins it is. Every ${weekday} at ${time}, we'll ask how your week went — two quick numbers.\n\nReply DAILY anytime to go back to daily tracking.`,
+
+    'T-1-TREATMENT-ASK': () =>
+        `Great — we'll track how a new treatment works for you. Which medication did you start? Reply with its name, like "topiramate" or "Aimovig".`,
+
+    'T-1-TREATMENT-UNKNOWN': ({ medication }) =>
+        `We don't have "${medication}" on our list. Reply YES to track it as written, or send the name again (as it's on the label).`,
+
+    'T-1-TREATMENT': ({ medication, time }) =>
+        `Got it — tracking ${medication}. Daily check-ins start again at ${time} for 30 days, and at the end we'll compare them with your first month.`,
+
+    'T-1-TREATMENT-NO-BASELINE': ({ medication, time }) =>
+        `Got it — tracking ${medication}. Daily check-ins start again at ${time} for 30 days, and at the end we'll send you a report.`,
+
+    'T-1-DORMANT': () =>
+        `No problem. Your report and data are saved. Reply START anytime if you want to do another tracking sprint.\n\nThanks for tracking with us!`,
+
     // ==========================================================================
     // SYSTEM MESSAGES
     // ==========================================================================
@@ -117,8 +226,41 @@ const templates = {
     'SYS-STOP': ({ reportUrl }) =>
         `You've been unsubscribed from Headache Vault messages.${reportUrl ? ` Your data and reports remain available at ${reportUrl}` : ''}\n\nText START anytime to re-subscribe.`,
 
+    'SYS-UNSUBSCRIBED': () =>
+        `You're currently unsubscribed. Reply START to re-subscribe.`,
+
+    'SYS-RESUBSCRIBED': () =>
+        `Welcome back — you're re-subscribed to Headache Vault messages. Your past data is saved.\n\nReply START to begin a new 30-day sprint. Reply STOP anytime to opt out.`,
+
+    'SYS-RESUBSCRIBED-ONBOARD': () =>
+        `Welcome back — you're re-subscribed to Headache Vault messages. Reply STOP anytime to opt out.\n\nWhat time works best for a daily check-in? Reply with a time like "8am" or "9pm"`,
+
     'SYS-HELP': () =>
-        `Headache Vault tracking system.\n\nReply with 1-5 for daily check-in.\nReply STOP to unsubscribe.\nReply TIME to change your check-in time.\nReply REPORT to get your latest report link.\n\nQuestions? Email support@headachevault.com`,
+        `Headache Vault tracking system.\n\nReply with 1-5 for daily check-in.\nReply STOP to unsubscribe.\nReply TIME to change your check-in time.\nReply TZ to change your time zone.\nReply CHANGE 3 to fix today's answer.\nReply REPORT to get your latest report link.\nReply STATUS to see your progress.\nResponda IDIOMA para español.\n\nQuestions? Email support@headachevault.com`,
+
+    'SYS-LANGUAGE-SET': () =>
+        `Got it — messages will be in English from now on. (Responda IDIOMA para español.)`,
+
+    'SYS-PAUSE': () =>
+        `Got it — your check-ins are paused. Reply YES or any number (1-5) whenever you're ready to resume. Your data is saved.`,
+
+    'SYS-PAUSED-INFO': () =>
+        `You're currently paused. Reply YES or a number (1-5) to resume tracking, or STOP to unsubscribe.`,
+
+    'SYS-PAUSE-FINAL': ({ firstName, pausedDays }) =>
+        `Hi ${firstName}, your check-ins have been paused for ${pausedDays} days. Want to pick back up? Reply YES or a number (1-5) to resume.\n\nIf we don't hear from you, we'll stop checking in. Your data is saved, and you can reply START anytime to begin again.`,
+
+    'SYS-RESUME': () =>
+        `Welcome back! We'll pick up where you left off. Your next check-in will be at your usual time.`,
+
+    'SYS-REACTIVATE': ({ time }) =>
+        `Welcome back! A new 30-day tracking sprint starts now. Your first check-in comes tomorrow at ${time}.`,
+
+    'SYS-DORMANT-INFO': () =>
+        `Hi! You're not currently tracking. Reply START to begin a new 30-day sprint, or HELP for options.`,
+
+    'SYS-WEEKLY-INFO': ({ weekday, time }) =>
+        `You're on weekly check-ins — the next one comes ${weekday} at ${time}. Reply DAILY to go back to daily tracking, or HELP for options.`,
 
     'SYS-TIME-ASK': () =>
         `What time would you like your daily check-in? Reply with a time like "8am" or "9pm"`,
@@ -126,23 +268,107 @@ const templates = {
     'SYS-TIME-CONFIRM': ({ time }) =>
         `Got it — your check-in time is now ${time}. The change starts tomorrow.`,
 
+    'SYS-RESCHEDULED': ({ dateLabel, time }) =>
+        `Your next check-in has been moved to ${dateLabel} at ${time}. After that, check-ins come at your usual time.`,
+
+    'SYS-TZ-ASK': () =>
+        `What time zone are you in? Reply TZ and your zone or a nearby city, like "TZ PACIFIC", "TZ CST" or "TZ DENVER".`,
+
+    'SYS-TZ-CONFIRM': ({ zone, localTime }) =>
+        `Got it — your time zone is now ${zone}. It's ${localTime} there now. Check-ins will follow your local time.`,
+
+    'SYS-CHANGE-CONFIRM': ({ level, previousLevel }) =>
+        `Updated — today's check-in is now Level ${level} (was ${previousLevel}). Thanks for the correction.`,
+
+    'SYS-CHANGE-SAME': ({ level }) =>
+        `Today's check-in is already Level ${level} — no change needed.`,
+
+    'SYS-CHANGE-ASK': () =>
+        `What should today's level be? Reply CHANGE and a number, like "CHANGE 3".`,
+
+    'SYS-CHANGE-NONE': () =>
+        `There's no check-in for today to change yet. Reply with a number (1-5) to check in.`,
+
+    'SYS-UNDO-CONFIRM': ({ level, previousLevel }) =>
+        `Undone — today's check-in is back to Level ${level} (was ${previousLevel}).`,
+
+    'SYS-UNDO-NONE': () =>
+        `There's nothing to undo today. To change today's check-in, reply CHANGE and a number, like "CHANGE 3".`,
+
+    'SYS-BACKFILL-CONFIRM': ({ dateLabel, level }) =>
+        `Got it — Level ${level} logged for ${dateLabel}. Thanks for filling that in.`,
+
+    'SYS-BACKFILL-EXISTS': ({ dateLabel, level }) =>
+        `You already checked in for ${dateLabel} (Level ${level}). Only today's answer can be changed.`,
+
+    'SYS-BACKFILL-TOO-OLD': ({ lookbackDays }) =>
+        `Sorry, we can only fill in days from the past ${lookbackDays} days. Reply with a number (1-5) for today.`,
+
+    'SYS-BACKFILL-BEFORE-START': ({ dateLabel }) =>
+        `${dateLabel} was before your tracking started, so there's nothing to fill in. Reply with a number (1-5) for today.`,
+
+    'SYS-BATCH-CONFIRM': ({ days, skippedCount }) =>
+        `Just to check, here's what I'll log:\n${days.map(d => `${d.dateLabel}: Level ${d.level}`).join('\n')}` +
+        `${skippedCount ? `\n(${skippedCount} ${skippedCount === 1 ? 'day' : 'days'} skipped — already logged or too far back.)` : ''}` +
+        `\n\nReply YES to save or NO to cancel.`,
+
+    'SYS-BATCH-SAVED': ({ count }) =>
+        `Saved — ${count} ${count === 1 ? 'day' : 'days'} filled in. Thanks for catching up!`,
+
+    'SYS-BATCH-CANCELLED': () =>
+        `OK, nothing saved. You can send them again with the day, like "mon 3 tue 2", or reply with a number (1-5) for today.`,
+
+    'SYS-BATCH-NONE': ({ lookbackDays }) =>
+        `Those days are already logged or more than ${lookbackDays} days back, so there's nothing to fill in. Reply with a number (1-5) for today.`,
+
     'SYS-REPORT': ({ reportUrl, completionPct }) =>
         completionPct < 100
             ? `Your latest report: ${reportUrl}\n\nYour report is ${completionPct}% complete. Keep tracking for the full 30-day picture.`
             : `Your latest report: ${reportUrl}`,
 
+    'SYS-REPORT-NONE': () =>
+        `You don't have a report yet — keep tracking and you'll get one at day 30!`,
+
+    'SYS-STATUS': ({ sprintDay, targetDays, daysCompleted, daysMissed, streak, nextCheckin, paused, appointmentDate }) =>
+        `Day ${sprintDay} of ${targetDays} — ${targetDays - sprintDay} to go.\n\n` +
+        `Days logged: ${daysCompleted}\nCurrent streak: ${streak} ${streak === 1 ? 'day' : 'days'}\nDays missed: ${daysMissed}` +
+        (paused
+            ? `\n\nCheck-ins are paused. Reply YES to resume.`
+            : nextCheckin
+                ? `\n\nNext check-in: ${nextCheckin.day === 'TODAY' ? 'today' : nextCheckin.day === 'TOMORROW' ? 'tomorrow' : nextCheckin.day} at ${nextCheckin.time}`
+                : '') +
+        (appointmentDate ? `\nAppointment: ${appointmentDate}` : ''),
+
+    'SYS-STATUS-NONE': () =>
+        `You're not in a tracking sprint right now. Reply HELP for options.`,
+
     // ==========================================================================
     // ERROR / CLARIFICATION
     // ==========================================================================
 
+    'ERR-GENERIC': () =>
+        `Something went wrong. Reply HELP for options.`,
+
     'ERR-DAILY': () =>
         `I didn't catch that. Quick reminder — reply with:\n\n1 — Didn't notice my head\n2 — Noticed but no impact\n3 — Had to push through\n4 — Had to skip/modify plans\n5 — Couldn't function`,
 
     'ERR-ONBOARDING': () =>
         `Hmm, I'm not sure what you mean. Could you try again? Or reply HELP for options.`,
 
+    'ERR-ONBOARD-TIME': () =>
+        `I didn't catch a time from that. Try replying with something like "8am" or "9pm".`,
+
+    'ERR-ONBOARD-APPT': () =>
+        `I didn't catch a date from that. Reply with a date like "March 15" or "3/15", or reply NO if you don't have one.`,
+
     'ERR-UNKNOWN-NUMBER': () =>
-        `Hi! This is the Headache Vault. We don't have your number on file. Visit headachevault.com/track to sign up, or reply STOP to not hear from us again.`,
+        `Hi! This is the Headache Vault. We don't have your number on file. Reply TRACK to start headache tracking (SEGUIR para español), or reply STOP to not hear from us again.`,
+
+    'ERR-ENROLL-NAME': () =>
+        `Sorry, I didn't catch a name. What's your first name? Just the name is fine, like "Maria".`,
+
+    'ERR-WEEKLY': () =>
+        `Sorry, I didn't catch that. Reply with how many days you had a headache this week (0-7) and the worst level (1-5), like "2 4".\n\nReply DAILY to switch back to daily check-ins.`,
 
     'CLARIFY-LEVEL': ({ parsedLevel }) =>
         `Thanks — just want to make sure I got that right. Did you mean Level ${parsedLevel}?\n\n1 — Didn't notice it\n2 — Noticed but no impact\n3 — Had to push through\n4 — Had to skip/modify plans\n5 — Couldn't function\n\nReply with a number.`,
@@ -171,23 +397,56 @@ function getNextAck(lastAckTemplate) {
 
 /**
  * Render a template with data.
+ * Typographic punctuation is replaced with GSM-7 equivalents, and a
+ * warning is logged if the result is over the template's segment limit.
  * 
  * @param {string} templateId - Template key (e.g., 'O-1-PCP', 'D-1')
  * @param {object} data - Template variables
+ * @param {string} [locale='en'] - Patient language (patients.language).
+ *   Unknown locales and untranslated templates render in English.
  * @returns {string} - Rendered message body
  */
-function render(templateId, data = {}) {
-    const tmpl = templates[templateId];
+function render(templateId, data = {}, locale = DEFAULT_LOCALE) {
+    const tmpl = LOCALES[locale]?.[templateId] || templates[templateId];
     if (!tmpl) {
         console.error(`Unknown template: ${templateId}`);
-        return `Something went wrong. Reply HELP for options.`;
+        return render('ERR-GENERIC', {}, locale);
+    }
+
+    const body = toGsmCompatible(tmpl(data));
+
+    const stats = analyzeSms(body);
+    const limit = getSegmentLimit(templateId, stats.encoding);
+    if (stats.segments > limit) {
+        console.warn(
+            `Template ${templateId} (${locale}) is ${stats.segments} ${stats.encoding} segments ` +
+            `(limit ${limit})${stats.unicodeChars.length ? `; UCS-2 forced by ${stats.unicodeChars.join(' ')}` : ''}`
+        );
+    }
+
+    return body;
+}
+
+/**
+ * Segment limit for a template in a given encoding.
+ * 
+ * @param {string} templateId
+ * @param {'GSM-7'|'UCS-2'} encoding
+ * @returns {number}
+ */
+function getSegmentLimit(templateId, encoding) {
+    if (encoding === 'GSM-7' && SEGMENT_LIMIT_OVERRIDES[templateId]) {
+        return SEGMENT_LIMIT_OVERRIDES[templateId];
     }
-    return tmpl(data);
+    return MAX_SEGMENTS[encoding];
 }
 
 module.exports = {
     templates,
     render,
+    getSegmentLimit,
     getNextAck,
     ACK_TEMPLATES,
+    LOCALES,
+    DEFAULT_LOCALE,
 };
@@ -0,0 +1,59 @@
+/**
+ * SMS Transports
+ *
+ * sendSMS() and verifyWebhookSignature() in lib/twilio.js go through a
+ * transport, picked by the SMS_TRANSPORT environment variable:
+ *
+ *   twilio (default) — real texts via the Twilio API (lib/transports/twilio.js)
+ *   local            — no network: outbound texts are printed and written
+ *                      to a JSON Lines outbox file, inbound texts are
+ *                      injected into /api/webhooks/twilio, and every
+ *                      signature is accepted (lib/transports/local.js).
+ *                      Refused when NODE_ENV=production.
+ *
+ * A transport is an object with:
+ *   name                                  — 'twilio' | 'local'
+ *   send(message) → Promise<{ sid }>      — deliver one OutboundSms
+ *   verifySignature(signature, url, params) → boolean
+ *
+ * @typedef {Object} OutboundSms
+ * @property {string} to - E.164 recipient
+ * @property {string|undefined} from - Our number (TWILIO_PHONE_NUMBER)
+ * @property {string} body - Message text
+ * @property {string|null} [statusCallback] - Delivery status webhook URL
+ * @property {string|null} [templateId] - Template ID (for local logging only)
+ */
+
+const TRANSPORTS = {
+    twilio: () => require('./twilio'),
+    local: () => require('./local'),
+};
+
+const DEFAULT_TRANSPORT = 'twilio';
+
+/**
+ * The transport selected by SMS_TRANSPORT. Modules are loaded on first
+ * use, so the local transport works without the twilio package configured.
+ *
+ * @returns {object} - Transport (see above)
+ */
+function getTransport() {
+    const name = (process.env.SMS_TRANSPORT || DEFAULT_TRANSPORT).trim().toLowerCase();
+    const load = TRANSPORTS[name];
+
+    if (!load) {
+        throw new Error(`Unknown SMS_TRANSPORT "${name}". Use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+
+    // The local transport accepts unsigned webhooks — never in production
+    if (name === 'local' && process.env.NODE_ENV === 'production') {
+        throw new Error('SMS_TRANSPORT=local is not allowed when NODE_ENV=production');
+    }
+
+    return load();
+}
+
+module.exports = {
+    getTransport,
+    TRANSPORT_NAMES: Object.keys(TRANSPORTS),
+};
@@ -0,0 +1,156 @@
+/**
+ * Local SMS Transport (development)
+ *
+ * Runs the SMS flow without Twilio or a phone:
+ *   - send() prints each outbound text and appends it, one JSON object
+ *     per line, to LOCAL_SMS_OUTBOX (default .local-sms/outbox.jsonl;
+ *     set it to "off" to only print). Sent messages are also kept in
+ *     memory (outbox) for tests.
+ *   - injectInbound() plays a patient text into /api/webhooks/twilio,
+ *     either in-process or against a running `vercel dev` (url option).
+ *   - verifySignature() accepts everything.
+ *
+ * Selected with SMS_TRANSPORT=local (see lib/transports/index.js).
+ * Supabase is still real — point SUPABASE_URL at a local instance.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+
+const DEFAULT_OUTBOX = path.join(process.cwd(), '.local-sms', 'outbox.jsonl');
+const DEFAULT_FROM = '+15550000000';
+
+// Every message sent by this process, oldest first
+const outbox = [];
+
+/**
+ * "Send" one SMS: print it and record it in the outbox.
+ *
+ * @param {import('./index').OutboundSms} message
+ * @returns {Promise<{ sid: string }>}
+ */
+async function send({ to, from, body, statusCallback = null, templateId = null }) {
+    const entry = {
+        sid: makeSid(),
+        to,
+        from: from || DEFAULT_FROM,
+        body,
+        templateId,
+        statusCallback,
+        sentAt: new Date().toISOString(),
+    };
+
+    outbox.push(entry);
+    console.log(`[sms → ${to}]${templateId ? ` (${templateId})` : ''}\n${body}\n`);
+
+    const file = getOutboxPath();
+    if (file) {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`);
+    }
+
+    return { sid: entry.sid };
+}
+
+/**
+ * Local webhooks aren't signed; accept them all.
+ */
+function verifySignature() {
+    return true;
+}
+
+/**
+ * Deliver a patient text to the inbound webhook, as Twilio would.
+ *
+ * @param {string} fromNumber - Patient's E.164 number
+ * @param {string} body - Message text
+ * @param {object} [options]
+ * @param {string} [options.url] - POST to a running server (e.g.
+ *   http://localhost:3000/api/webhooks/twilio) instead of calling the
+ *   handler in-process
+ * @param {string} [options.to] - Our number (defaults to TWILIO_PHONE_NUMBER)
+ * @returns {Promise<{ status: number, twiml: string, messageSid: string }>}
+ */
+async function injectInbound(fromNumber, body, { url = null, to = null } = {}) {
+    const params = {
+        MessageSid: makeSid(),
+        From: fromNumber,
+        To: to || process.env.TWILIO_PHONE_NUMBER || DEFAULT_FROM,
+        Body: body,
+        NumMedia: '0',
+    };
+
+    if (url) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'X-Twilio-Signature': 'local',
+            },
+            body: new URLSearchParams(params).toString(),
+        });
+        return { status: response.status, twiml: await response.text(), messageSid: params.MessageSid };
+    }
+
+    // Loaded here, not at the top: the webhook itself depends on this module
+    const handler = require('../../api/webhooks/twilio');
+    const req = { method: 'POST', body: params, headers: { 'x-twilio-signature': 'local' } };
+    const res = createResponse();
+
+    await handler(req, res);
+    return { status: res.statusCode, twiml: res.body, messageSid: params.MessageSid };
+}
+
+/**
+ * Empty the in-memory outbox (the file is left alone).
+ */
+function clearOutbox() {
+    outbox.length = 0;
+}
+
+function getOutboxPath() {
+    const configured = process.env.LOCAL_SMS_OUTBOX;
+    if (configured === undefined || configured === '') return DEFAULT_OUTBOX;
+    if (configured.toLowerCase() === 'off') return null;
+    return path.resolve(configured);
+}
+
+// Twilio-shaped SID so it fits messages.twilio_sid / webhook_log.message_sid
+function makeSid() {
+    return `SM${crypto.randomBytes(16).toString('hex')}`;
+}
+
+// Just enough of the Vercel response object for our handlers
+function createResponse() {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: '',
+        setHeader(name, value) {
+            res.headers[name.toLowerCase()] = value;
+        },
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        send(payload) {
+            res.body = payload;
+            return res;
+        },
+        json(payload) {
+            res.body = JSON.stringify(payload);
+            return res;
+        },
+    };
+    return res;
+}
+
+module.exports = {
+    name: 'local',
+    send,
+    verifySignature,
+    injectInbound,
+    clearOutbox,
+    outbox,
+};
@@ -0,0 +1,74 @@
+/**
+ * Twilio SMS Transport
+ *
+ * The production transport: sends through the Twilio Messages API and
+ * validates X-Twilio-Signature on inbound webhooks.
+ *
+ * See: lib/transports/index.js for the transport interface
+ */
+
+const twilio = require('twilio');
+
+let _client = null;
+
+/**
+ * Twilio REST client (lazy singleton).
+ */
+function getClient() {
+    if (!_client) {
+        const accountSid = process.env.TWILIO_ACCOUNT_SID;
+        const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+        if (!accountSid || !authToken) {
+            throw new Error(
+                'Missing TWILIO_ACCOUNT_SID or TWILIO_AUTH_TOKEN. ' +
+                'Set them in .env.local (dev) or Vercel environment variables (prod).'
+            );
+        }
+
+        _client = twilio(accountSid, authToken);
+    }
+    return _client;
+}
+
+/**
+ * Send one SMS via the Twilio API.
+ *
+ * @param {import('./index').OutboundSms} message
+ * @returns {Promise<{ sid: string }>}
+ */
+async function send({ to, from, body, statusCallback }) {
+    if (!from) {
+        throw new Error('Missing TWILIO_PHONE_NUMBER environment variable');
+    }
+
+    const message = await getClient().messages.create({
+        to,
+        from,
+        body,
+        ...(statusCallback && { statusCallback }),
+    });
+
+    return { sid: message.sid };
+}
+
+/**
+ * Verify that an inbound webhook request actually came from Twilio.
+ */
+function verifySignature(signature, url, params) {
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+    if (!authToken) {
+        console.error('Cannot verify webhook: missing TWILIO_AUTH_TOKEN');
+        return false;
+    }
+
+    return twilio.validateRequest(authToken, signature, url, params);
+}
+
+module.exports = {
+    name: 'twilio',
+    send,
+    verifySignature,
+    getClient,
+};
@@ -2,7 +2,12 @@
  * Twilio Utility Module
  * 
  * Provides SMS sending, webhook signature verification, and message logging.
- * Used by api/webhooks/twilio.js (inbound) and api/cron/dispatch.js (outbound).
+ * Used by api/webhooks/twilio.js (inbound), api/webhooks/twilio-status.js
+ * (delivery callbacks) and api/cron/dispatch.js (outbound).
+ * 
+ * Sending and signature checks go through the transport selected by
+ * SMS_TRANSPORT (lib/transports/) — Twilio in production, a local
+ * console/file transport for development.
  * 
  * NEVER expose Twilio credentials to the browser/client.
  * All calls happen server-side in Vercel serverless functions.
@@ -10,30 +15,41 @@
  * See: SMS System Implementation Spec §2.3, §2.4
  */
 
-const twilio = require('twilio');
-const { supabase } = require('./supabase');
+const repos = require('./repositories');
+const { getTransport } = require('./transports');
+const { analyzeSms } = require('./utils/sms-segments');
 
 // ---------------------------------------------------------------------------
-// Twilio Client (lazy singleton)
+// Webhook URLs
 // ---------------------------------------------------------------------------
 
-let _client = null;
-
-function getClient() {
-    if (!_client) {
-        const accountSid = process.env.TWILIO_ACCOUNT_SID;
-        const authToken = process.env.TWILIO_AUTH_TOKEN;
+const STATUS_CALLBACK_PATH = '/api/webhooks/twilio-status';
 
-        if (!accountSid || !authToken) {
-            throw new Error(
-                'Missing TWILIO_ACCOUNT_SID or TWILIO_AUTH_TOKEN. ' +
-                'Set them in .env.local (dev) or Vercel environment variables (prod).'
-            );
-        }
+/**
+ * Build the public URL for one of our webhook routes.
+ * Twilio signs requests against the exact URL it POSTed to, so the inbound
+ * webhook, the status callback, and signature verification must agree.
+ * 
+ * @param {string} path - Route path (e.g., "/api/webhooks/twilio")
+ * @returns {string|null} - Full URL, or null if REPORT_BASE_URL isn't set
+ */
+function getWebhookUrl(path) {
+    const baseUrl = process.env.REPORT_BASE_URL?.replace('/api/reports', '');
+    if (!baseUrl) return null;
+    return `${baseUrl}${path}`;
+}
 
-        _client = twilio(accountSid, authToken);
-    }
-    return _client;
+/**
+ * The status callback URL for one outbound message. It carries the
+ * messages row's ID, so a callback can find its row even if it arrives
+ * before sendSMS() has recorded the Twilio SID.
+ * 
+ * @param {string|null} messageId - messages.message_id, if the row was logged
+ * @returns {string|null}
+ */
+function getStatusCallbackUrl(messageId) {
+    const query = messageId ? `?messageId=${encodeURIComponent(messageId)}` : '';
+    return getWebhookUrl(`${STATUS_CALLBACK_PATH}${query}`);
 }
 
 // ---------------------------------------------------------------------------
@@ -43,6 +59,10 @@ function getClient() {
 /**
  * Send an SMS message to a patient and log it to the messages table.
  * 
+ * The row is written QUEUED before the send, so a delivery callback
+ * always has a row to land on; the SID and SENT follow once Twilio
+ * answers. A failed send marks the row FAILED and rethrows.
+ * 
  * @param {string} patientId - UUID of the patient
  * @param {string} toNumber - E.164 phone number (e.g., "+12155551234")
  * @param {string} body - Message text (≤320 chars recommended for 2 segments)
@@ -50,30 +70,54 @@ function getClient() {
  * @returns {Promise<string>} - Twilio message SID
  */
 async function sendSMS(patientId, toNumber, body, templateId) {
-    const fromNumber = process.env.TWILIO_PHONE_NUMBER;
-
-    if (!fromNumber) {
-        throw new Error('Missing TWILIO_PHONE_NUMBER environment variable');
-    }
-
-    const client = getClient();
-
-    const message = await client.messages.create({
-        to: toNumber,
-        from: fromNumber,
-        body: body,
-    });
-
-    // Log outbound message
-    await supabase.from('messages').insert({
+    // Log the outbound message first, with what it will cost in segments.
+    // A failed log must not stop the send.
+    const { segments, encoding } = analyzeSms(body);
+    const logged = await repos.messages.insert({
         patient_id: patientId,
         direction: 'OUTBOUND',
         body: body,
         template_id: templateId,
-        twilio_sid: message.sid,
-        delivery_status: 'SENT',
-        sent_at: new Date().toISOString(),
+        delivery_status: 'QUEUED',
+        segment_count: segments,
+        encoding,
+    }).catch(error => {
+        console.error(`Outbound message log failed (${templateId} to ${patientId}):`, error.message);
+        return null;
     });
+    const messageId = logged?.message_id || null;
+
+    let message;
+    try {
+        message = await getTransport().send({
+            to: toNumber,
+            from: process.env.TWILIO_PHONE_NUMBER,
+            body,
+            // Register the status callback so delivery outcomes land on this row
+            statusCallback: getStatusCallbackUrl(messageId),
+            templateId,
+        });
+    } catch (sendError) {
+        if (messageId) {
+            await repos.messages.update(messageId, {
+                delivery_status: 'FAILED',
+                failure_reason: sendError.message,
+                status_updated_at: new Date().toISOString(),
+            }).catch(error => console.error(`Outbound message log failed (${messageId}):`, error.message));
+        }
+        throw sendError;
+    }
+
+    if (messageId) {
+        // The text is already out — a failed log must not fail (and retry) the send.
+        // A status callback may have got here first: only QUEUED becomes SENT.
+        try {
+            await repos.messages.update(messageId, { twilio_sid: message.sid, sent_at: new Date().toISOString() });
+            await repos.messages.updateDeliveryStatus({ messageId }, { delivery_status: 'SENT' }, ['QUEUED']);
+        } catch (error) {
+            console.error(`Outbound message log failed (${message.sid}):`, error.message);
+        }
+    }
 
     return message.sid;
 }
@@ -84,7 +128,8 @@ async function sendSMS(patientId, toNumber, body, templateId) {
 
 /**
  * Verify that an inbound webhook request actually came from Twilio.
- * Uses Twilio's X-Twilio-Signature header validation.
+ * Uses Twilio's X-Twilio-Signature header validation (the local
+ * transport accepts every request).
  * 
  * @param {string} signature - Value of X-Twilio-Signature header
  * @param {string} url - The full webhook URL Twilio POSTed to
@@ -92,14 +137,7 @@ async function sendSMS(patientId, toNumber, body, templateId) {
  * @returns {boolean} - True if signature is valid
  */
 function verifyWebhookSignature(signature, url, params) {
-    const authToken = process.env.TWILIO_AUTH_TOKEN;
-
-    if (!authToken) {
-        console.error('Cannot verify webhook: missing TWILIO_AUTH_TOKEN');
-        return false;
-    }
-
-    return twilio.validateRequest(authToken, signature, url, params);
+    return getTransport().verifySignature(signature, url, params);
 }
 
 // ---------------------------------------------------------------------------
@@ -115,14 +153,105 @@ function verifyWebhookSignature(signature, url, params) {
  * @param {string} twilioSid - Twilio message SID from the webhook
  */
 async function logInboundMessage(patientId, body, twilioSid) {
-    await supabase.from('messages').insert({
+    await repos.messages.insert({
         patient_id: patientId,
         direction: 'INBOUND',
         body: body,
         twilio_sid: twilioSid,
         delivery_status: 'DELIVERED',
         sent_at: new Date().toISOString(),
-    });
+    }).catch(error => console.error(`Inbound message log failed (${twilioSid}):`, error.message));
+}
+
+// ---------------------------------------------------------------------------
+// Delivery Status (status callbacks)
+// ---------------------------------------------------------------------------
+
+// Twilio MessageStatus → our delivery_status enum.
+const TWILIO_STATUS_MAP = {
+    accepted: 'QUEUED',
+    scheduled: 'QUEUED',
+    queued: 'QUEUED',
+    sending: 'SENT',
+    sent: 'SENT',
+    delivered: 'DELIVERED',
+    read: 'DELIVERED',
+    undelivered: 'UNDELIVERED',
+    failed: 'FAILED',
+    canceled: 'FAILED',
+};
+
+// Statuses a row may be in when the given status arrives.
+// Callbacks can arrive out of order — never let a late "sent" overwrite
+// "delivered", and never flip one terminal status into another.
+const ALLOWED_PRIOR_STATUSES = {
+    QUEUED: ['QUEUED'],
+    SENT: ['QUEUED', 'SENT'],
+    DELIVERED: ['QUEUED', 'SENT', 'DELIVERED'],
+    UNDELIVERED: ['QUEUED', 'SENT', 'UNDELIVERED'],
+    FAILED: ['QUEUED', 'SENT', 'FAILED'],
+};
+
+// Common carrier error codes, so failure_reason is readable in the dashboard.
+// Full list: https://www.twilio.com/docs/api/errors
+const TWILIO_ERROR_DESCRIPTIONS = {
+    '21610': 'Recipient has opted out (STOP)',
+    '30003': 'Unreachable destination handset',
+    '30004': 'Message blocked',
+    '30005': 'Unknown destination handset',
+    '30006': 'Landline or unreachable carrier',
+    '30007': 'Carrier violation (filtered)',
+    '30008': 'Unknown error',
+};
+
+/**
+ * Apply a Twilio status callback to the matching outbound message.
+ * Matches on the messageId in the callback URL (which also records the
+ * SID, in case the callback beat sendSMS to it), or on twilio_sid for
+ * callbacks without one. Out-of-order callbacks are ignored.
+ * 
+ * @param {string} twilioSid - MessageSid from the callback
+ * @param {string} twilioStatus - MessageStatus (e.g., "delivered", "failed")
+ * @param {string|null} errorCode - ErrorCode, if the carrier reported one
+ * @param {string|null} errorMessage - ErrorMessage, if present
+ * @param {object} [options]
+ * @param {string|null} [options.messageId] - messageId from the callback URL
+ * @returns {Promise<{ updated: boolean, status: string|null }>}
+ */
+async function updateDeliveryStatus(twilioSid, twilioStatus, errorCode = null, errorMessage = null, { messageId = null } = {}) {
+    const status = TWILIO_STATUS_MAP[(twilioStatus || '').toLowerCase()];
+
+    if (!status) {
+        console.warn(`Unknown Twilio status "${twilioStatus}" for ${twilioSid}`);
+        return { updated: false, status: null };
+    }
+
+    const now = new Date().toISOString();
+    const updates = {
+        delivery_status: status,
+        status_updated_at: now,
+    };
+
+    if (status === 'DELIVERED') {
+        updates.delivered_at = now;
+    }
+
+    if (errorCode) {
+        updates.error_code = String(errorCode);
+        updates.failure_reason = errorMessage
+            || TWILIO_ERROR_DESCRIPTIONS[String(errorCode)]
+            || `Twilio error ${errorCode}`;
+    }
+
+    if (messageId) {
+        updates.twilio_sid = twilioSid;
+    }
+
+    const rows = await repos.messages.updateDeliveryStatus(
+        { messageId, twilioSid }, updates, ALLOWED_PRIOR_STATUSES[status]
+    );
+
+    return { updated: rows.length > 0, status };
 }
 
 // ---------------------------------------------------------------------------
@@ -133,5 +262,7 @@ module.exports = {
     sendSMS,
     verifyWebhookSignature,
     logInboundMessage,
-    getClient,
+    updateDeliveryStatus,
+    getWebhookUrl,
+    getStatusCallbackUrl,
 };
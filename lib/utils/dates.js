@@ -0,0 +1,172 @@
+/**
+ * Date Helpers
+ *
+ * Calendar-date math for patient-facing dates. Entry dates are the
+ * patient's local calendar day (a 10pm check-in in California is
+ * today's entry, not tomorrow's UTC date), stored as YYYY-MM-DD.
+ *
+ * All functions here work on "YYYY-MM-DD" strings and do the math
+ * at UTC midnight, so DST transitions never shift a date.
+ */
+
+const DEFAULT_TIMEZONE = 'America/New_York';
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * The calendar date in a timezone, as YYYY-MM-DD.
+ *
+ * @param {string} [timezone] - IANA timezone (defaults to America/New_York)
+ * @param {Date} [date] - Instant to convert (defaults to now)
+ * @returns {string}
+ */
+function localDateString(timezone = DEFAULT_TIMEZONE, date = new Date()) {
+    // en-CA formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: timezone || DEFAULT_TIMEZONE,
+        year: 'numeric', month: '2-digit', day: '2-digit',
+    }).format(date);
+}
+
+/**
+ * Today's date for a patient, in their timezone.
+ */
+function patientToday(patient) {
+    return localDateString(patient?.timezone || DEFAULT_TIMEZONE);
+}
+
+/**
+ * Add (or subtract) whole days from a YYYY-MM-DD date.
+ */
+function addDays(dateStr, days) {
+    const d = new Date(`${dateStr}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().split('T')[0];
+}
+
+/**
+ * Whole days from `fromDate` to `toDate` (positive if toDate is later).
+ */
+function daysBetween(fromDate, toDate) {
+    return Math.round(
+        (new Date(`${toDate}T00:00:00Z`) - new Date(`${fromDate}T00:00:00Z`)) / MS_PER_DAY
+    );
+}
+
+/**
+ * Day of week for a YYYY-MM-DD date (0 = Sunday).
+ */
+function dayOfWeek(dateStr) {
+    return new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Length of the run of consecutive dates ending at `today` — or at
+ * yesterday, if today isn't in the list yet (today's check-in may just
+ * not have happened). Used for the patient's response streak.
+ *
+ * @param {string[]} dates - YYYY-MM-DD dates, any order
+ * @param {string} today - YYYY-MM-DD
+ * @returns {number}
+ */
+function streakLength(dates, today) {
+    const answered = new Set(dates);
+    let day = answered.has(today) ? today : addDays(today, -1);
+    let streak = 0;
+    while (answered.has(day)) {
+        streak++;
+        day = addDays(day, -1);
+    }
+    return streak;
+}
+
+/**
+ * The wall-clock time in a timezone, as 24-hour HH:MM.
+ *
+ * @param {string} [timezone] - IANA timezone (defaults to America/New_York)
+ * @param {Date} [date] - Instant to convert (defaults to now)
+ * @returns {string}
+ */
+function localTimeString(timezone = DEFAULT_TIMEZONE, date = new Date()) {
+    return new Intl.DateTimeFormat('en-GB', {
+        timeZone: timezone || DEFAULT_TIMEZONE,
+        hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+    }).format(date);
+}
+
+/**
+ * The instant at which it is `timeStr` (HH:MM) on `dateStr` in a timezone.
+ * A time skipped by a spring-forward DST jump resolves an hour early.
+ *
+ * @param {string} dateStr - YYYY-MM-DD, patient-local
+ * @param {string} timeStr - HH:MM, patient-local
+ * @param {string} [timezone] - IANA timezone
+ * @returns {Date}
+ */
+function zonedTimeToUtc(dateStr, timeStr, timezone = DEFAULT_TIMEZONE) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const [hours, minutes] = timeStr.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+    // Offset guessed at the wall-clock instant, then corrected once for DST
+    let instant = wallClock - timezoneOffsetMs(timezone, new Date(wallClock));
+    instant = wallClock - timezoneOffsetMs(timezone, new Date(instant));
+    return new Date(instant);
+}
+
+// Local time minus UTC at an instant, in ms (-4h for New York in summer)
+function timezoneOffsetMs(timezone, date) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone || DEFAULT_TIMEZONE,
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23',
+    }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Patient language → Intl locale for patient-facing dates
+const INTL_LOCALES = { en: 'en-US', es: 'es-US' };
+
+/**
+ * "Sunday, March 15" (or "domingo, 15 de marzo") for a YYYY-MM-DD date.
+ */
+function formatLongDate(dateStr, language = 'en') {
+    return new Date(`${dateStr}T00:00:00Z`).toLocaleDateString(INTL_LOCALES[language] || 'en-US', {
+        weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC',
+    });
+}
+
+/**
+ * "Sun Mar 15" (or "dom 15 mar") for a YYYY-MM-DD date — for lists in a single SMS.
+ */
+function formatShortDate(dateStr, language = 'en') {
+    return new Date(`${dateStr}T00:00:00Z`).toLocaleDateString(INTL_LOCALES[language] || 'en-US', {
+        weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC',
+    }).replace(',', '');
+}
+
+/**
+ * "Monday" (or "lunes") for a YYYY-MM-DD date.
+ */
+function formatWeekday(dateStr, language = 'en') {
+    return new Date(`${dateStr}T00:00:00Z`).toLocaleDateString(INTL_LOCALES[language] || 'en-US', {
+        weekday: 'long', timeZone: 'UTC',
+    });
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    localDateString,
+    patientToday,
+    addDays,
+    daysBetween,
+    dayOfWeek,
+    streakLength,
+    localTimeString,
+    zonedTimeToUtc,
+    formatLongDate,
+    formatShortDate,
+    formatWeekday,
+};
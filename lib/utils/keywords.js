@@ -0,0 +1,113 @@
+/**
+ * Carrier Keyword Classification
+ *
+ * Decides whether an inbound text is an opt-out (STOP), opt-in (START)
+ * or HELP request, per CTIA / 10DLC rules. Every inbound message goes
+ * through here before anything else, from every patient state.
+ *
+ * Normalization: accents, case, punctuation and emoji are ignored, so
+ * "Stop.", "STOP!!", "stop 🛑" and "PARÁR" all count. A keyword followed
+ * only by filler ("stop texting me", "please STOP now", "help me") also
+ * counts; a keyword inside a real sentence ("cancel my plans") does not.
+ *
+ * Default lists can be extended per deployment with comma-separated
+ * env vars: SMS_OPT_OUT_KEYWORDS, SMS_OPT_IN_KEYWORDS, SMS_HELP_KEYWORDS.
+ */
+
+const { stripAccents } = require('./language');
+
+// Not ALTO / BAJA: "high" / "low" are answers to a pain question in Spanish
+const DEFAULT_KEYWORDS = {
+    OPT_OUT: [
+        'STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'REVOKE', 'OPTOUT', 'OPT OUT',
+        'PARAR', 'CANCELAR',
+    ],
+    OPT_IN: ['START', 'UNSTOP', 'YES', 'EMPEZAR', 'COMENZAR'],
+    HELP: ['HELP', 'INFO', 'AYUDA'],
+};
+
+// Words allowed around a keyword without changing its meaning
+const FILLER_WORDS = new Set([
+    'PLEASE', 'PLS', 'PLZ', 'NOW', 'ALL', 'IT', 'ME', 'US', 'THIS', 'THESE', 'THANKS', 'THANK', 'YOU',
+    'TEXTING', 'TEXTS', 'TEXT', 'MESSAGING', 'MESSAGES', 'MESSAGE', 'SENDING', 'SMS',
+    'POR', 'FAVOR', 'YA', 'MENSAJES', 'GRACIAS',
+]);
+
+// Opt-in is only ever a bare keyword — "yes I took my meds" is not consent
+const FILLER_ALLOWED = { OPT_OUT: true, HELP: true, OPT_IN: false };
+
+/**
+ * Uppercase, strip accents, replace punctuation/emoji with spaces, and
+ * collapse whitespace. "Stop texting me!! 🙏" → "STOP TEXTING ME".
+ */
+function normalizeKeywordText(text) {
+    if (!text || typeof text !== 'string') return '';
+    return stripAccents(text.toUpperCase())
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Default keyword lists plus any extras from the environment.
+ *
+ * @returns {{ OPT_OUT: string[], OPT_IN: string[], HELP: string[] }}
+ */
+function getKeywords() {
+    return {
+        OPT_OUT: [...DEFAULT_KEYWORDS.OPT_OUT, ...envList('SMS_OPT_OUT_KEYWORDS')],
+        OPT_IN: [...DEFAULT_KEYWORDS.OPT_IN, ...envList('SMS_OPT_IN_KEYWORDS')],
+        HELP: [...DEFAULT_KEYWORDS.HELP, ...envList('SMS_HELP_KEYWORDS')],
+    };
+}
+
+/**
+ * Classify an inbound message as a carrier keyword.
+ * Opt-out wins if a message could be read more than one way.
+ *
+ * @param {string} text - Raw inbound SMS body
+ * @param {object} [keywords=getKeywords()] - Lists to match against
+ * @returns {'OPT_OUT'|'OPT_IN'|'HELP'|null}
+ */
+function classifyKeyword(text, keywords = getKeywords()) {
+    const normalized = normalizeKeywordText(text);
+    if (!normalized) return null;
+
+    for (const type of ['OPT_OUT', 'HELP', 'OPT_IN']) {
+        if (matchesAny(normalized, keywords[type] || [], FILLER_ALLOWED[type])) {
+            return type;
+        }
+    }
+    return null;
+}
+
+function matchesAny(normalized, list, allowFiller) {
+    for (const keyword of list) {
+        const kw = normalizeKeywordText(keyword);
+        if (!kw) continue;
+        if (normalized === kw) return true;
+        if (!allowFiller) continue;
+
+        const index = ` ${normalized} `.indexOf(` ${kw} `);
+        if (index === -1) continue;
+
+        const rest = `${normalized.slice(0, index)} ${normalized.slice(index + kw.length)}`
+            .split(' ')
+            .filter(Boolean);
+        if (rest.every(word => FILLER_WORDS.has(word))) return true;
+    }
+    return false;
+}
+
+function envList(name) {
+    const raw = process.env[name];
+    if (!raw) return [];
+    return raw.split(',').map(s => normalizeKeywordText(s)).filter(Boolean);
+}
+
+module.exports = {
+    DEFAULT_KEYWORDS,
+    normalizeKeywordText,
+    getKeywords,
+    classifyKeyword,
+};
@@ -0,0 +1,42 @@
+/**
+ * Language Helpers
+ *
+ * Patients have a language preference (patients.language: 'en' | 'es')
+ * used to pick template translations. These helpers turn what a patient
+ * or coordinator types ("español", "Spanish", "ES") into a language code,
+ * and normalize keyword text so "SÍ" matches "SI".
+ */
+
+const SUPPORTED_LANGUAGES = ['en', 'es'];
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGE_NAMES = {
+    en: 'en', eng: 'en', english: 'en', ingles: 'en',
+    es: 'es', esp: 'es', spanish: 'es', espanol: 'es', castellano: 'es',
+};
+
+/**
+ * Remove diacritics: "Español" → "Espanol", "SÍ" → "SI".
+ */
+function stripAccents(text) {
+    return text.normalize('NFD').replace(/[̀-ͯ]/g, '');
+}
+
+/**
+ * Language code for a name or code, or null if unrecognized.
+ *
+ * @param {string} input - "es", "Spanish", "español", "English", ...
+ * @returns {'en'|'es'|null}
+ */
+function parseLanguage(input) {
+    if (!input || typeof input !== 'string') return null;
+    const key = stripAccents(input.trim().toLowerCase());
+    return LANGUAGE_NAMES[key] || null;
+}
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    DEFAULT_LANGUAGE,
+    stripAccents,
+    parseLanguage,
+};
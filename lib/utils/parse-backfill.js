@@ -0,0 +1,251 @@
+/**
+ * Backfill Parser
+ *
+ * Recognizes patients filling in a day they missed:
+ *   "yesterday was a 4", "yesterday 4", "4 yesterday"
+ *   "Sunday 5", "sun was a 2", "on monday it was a 3"
+ *   "2 days ago was a 3", "3/14 was a 2"
+ *   Spanish: "ayer fue un 4", "el domingo 5", "hace 2 días 3" (accents ignored)
+ *
+ * Resolves the day reference to a calendar date relative to the
+ * patient's local "today". A weekday name means the most recent such
+ * day (today, if it's today's name). Window and sprint checks are the
+ * caller's job — this only parses.
+ *
+ * parseBatch() handles several days in one message, typically after a
+ * re-engagement nudge: "mon 3 tue 2 wed 4", "sat 2, sun 3 and yesterday 4",
+ * or undated "3,2,4" (taken as consecutive days ending on `endDate`).
+ *
+ * Both return null if the input isn't a dated check-in.
+ */
+
+const { addDays, dayOfWeek, daysBetween } = require('./dates');
+const { stripAccents } = require('./language');
+
+// Default look-back for backfilled entries. Override with BACKFILL_LOOKBACK_DAYS.
+const DEFAULT_LOOKBACK_DAYS = 7;
+
+const WEEKDAYS = {
+    sunday: 0, sun: 0,
+    monday: 1, mon: 1,
+    tuesday: 2, tues: 2, tue: 2,
+    wednesday: 3, wed: 3,
+    thursday: 4, thurs: 4, thur: 4, thu: 4,
+    friday: 5, fri: 5,
+    saturday: 6, sat: 6,
+    domingo: 0, dom: 0,
+    lunes: 1, lun: 1,
+    martes: 2,
+    miercoles: 3, mie: 3,
+    jueves: 4, jue: 4,
+    viernes: 5, vie: 5,
+    sabado: 6, sab: 6,
+};
+
+const DAY_REF = '(yesterday|yday|(?:\\d)\\s+days?\\s+ago|anteayer|ayer|hace\\s+\\d\\s+dias?|' +
+    Object.keys(WEEKDAYS).sort((a, b) => b.length - a.length).join('|') +
+    '|\\d{1,2}\\/\\d{1,2})';
+
+// Filler patients put in front: "actually yesterday was a 4", "forgot - sunday 3"
+const LEAD = '^(?:(?:actually|also|and|oh|oops|sorry|forgot|i forgot|btw|perdon|uy|y|ademas|olvide|se me olvido)[\\s,:;.!-]+)*';
+const LEVEL = '(?:a\\s+|un\\s+|level\\s*|nivel\\s*|#)?([1-5])';
+const DAY_PREFIX = '(?:on\\s+|for\\s+|el\\s+)?';
+const VERB = '(?:was|is|=|fue|era|estuvo)';
+
+// "yesterday was a 4", "on sunday it was a 5", "yesterday: 3"
+const DAY_FIRST = new RegExp(
+    `${LEAD}${DAY_PREFIX}${DAY_REF}\\b[\\s,:;-]*(?:(?:it|my head)\\s+)?(?:${VERB}\\s+)?${LEVEL}[.!]?$`, 'i'
+);
+
+// "4 yesterday", "a 2 on sunday", "3 for monday"
+const LEVEL_FIRST = new RegExp(
+    `${LEAD}${LEVEL}\\s+${DAY_PREFIX}${DAY_REF}[.!]?$`, 'i'
+);
+
+// One "day level" pair inside a batch: "mon 3", "tue: 2", "sunday was a 4"
+const BATCH_ITEM = new RegExp(
+    `${DAY_PREFIX}${DAY_REF}\\b[\\s:=-]*(?:${VERB}\\s+)?${LEVEL}\\b`, 'iy'
+);
+const BATCH_SEPARATOR = /[\s,;&]*(?:and\b|y\b)?[\s,;&]*/y;
+
+// Undated levels: "3,2,4", "3, 2, 4", "3 2 4" (no dashes — "2-3" means "2 or 3")
+const UNDATED_BATCH = /^[1-5](?:\s*,\s*[1-5]|\s+[1-5])+[.!]?$/;
+
+/**
+ * @param {string} input - Raw patient text
+ * @param {string} today - Patient's local date, YYYY-MM-DD
+ * @returns {{ entryDate: string, level: number, daysAgo: number, dayRef: string } | null}
+ */
+function parseBackfill(input, today) {
+    if (!input || typeof input !== 'string' || !today) return null;
+
+    const text = stripAccents(input.trim().replace(/\s+/g, ' '));
+
+    let dayRef;
+    let level;
+
+    let match = text.match(DAY_FIRST);
+    if (match) {
+        [, dayRef, level] = match;
+    } else {
+        match = text.match(LEVEL_FIRST);
+        if (!match) return null;
+        [, level, dayRef] = match;
+    }
+
+    const entryDate = resolveDayRef(dayRef.toLowerCase(), today);
+    if (!entryDate) return null;
+
+    const daysAgo = daysBetween(entryDate, today);
+    if (daysAgo < 0) return null;
+
+    return {
+        entryDate,
+        level: parseInt(level, 10),
+        daysAgo,
+        dayRef: dayRef.toLowerCase(),
+    };
+}
+
+/**
+ * Parse a multi-day catch-up message.
+ *
+ * @param {string} input - Raw patient text
+ * @param {string} today - Patient's local date, YYYY-MM-DD
+ * @param {object} [options]
+ * @param {string} [options.endDate=today] - Last day for an undated batch
+ * @returns {{ dated: boolean, entries: Array<{ entryDate: string, level: number, daysAgo: number }> } | null}
+ *   Entries are oldest first. Null unless there are at least two distinct days.
+ */
+function parseBatch(input, today, options = {}) {
+    if (!input || typeof input !== 'string' || !today) return null;
+
+    const { endDate = today } = options;
+    const text = stripAccents(input.trim().replace(/\s+/g, ' ')).replace(new RegExp(LEAD, 'i'), '');
+
+    if (UNDATED_BATCH.test(text)) {
+        const levels = text.match(/[1-5]/g).map(n => parseInt(n, 10));
+        const entries = levels.map((level, i) => {
+            const entryDate = addDays(endDate, i - (levels.length - 1));
+            return { entryDate, level, daysAgo: daysBetween(entryDate, today) };
+        });
+        return { dated: false, entries };
+    }
+
+    const entries = [];
+    let pos = 0;
+
+    while (pos < text.length) {
+        BATCH_ITEM.lastIndex = pos;
+        const match = BATCH_ITEM.exec(text);
+        if (!match) break;
+
+        const dayRef = match[1].toLowerCase();
+        const entryDate = resolveDayRef(dayRef, today);
+        if (!entryDate) return null;
+        entries.push({ entryDate, level: parseInt(match[2], 10), dayRef });
+
+        BATCH_SEPARATOR.lastIndex = BATCH_ITEM.lastIndex;
+        BATCH_SEPARATOR.exec(text);
+        pos = BATCH_SEPARATOR.lastIndex;
+    }
+
+    // Anything left over means this isn't purely a list of days
+    if (!/^[.!]?$/.test(text.slice(pos))) return null;
+    if (entries.length < 2) return null;
+
+    resolveTodayWeekday(entries, today);
+
+    // The same day twice is ambiguous
+    const dates = new Set(entries.map(e => e.entryDate));
+    if (dates.size !== entries.length) return null;
+
+    return {
+        dated: true,
+        entries: entries
+            .map(({ entryDate, level }) => ({ entryDate, level, daysAgo: daysBetween(entryDate, today) }))
+            .sort((a, b) => (a.entryDate < b.entryDate ? -1 : 1)),
+    };
+}
+
+/**
+ * Today's weekday name normally means today, but in a list it can mean a
+ * week ago: on a Monday, "mon 3 tue 2 wed 4" is last Mon–Wed. Patients
+ * write catch-up lists in date order (either direction), so if moving
+ * that one day back a week makes the list ordered, do it.
+ */
+function resolveTodayWeekday(entries, today) {
+    const todayItem = entries.find(e => WEEKDAYS[e.dayRef] !== undefined && e.entryDate === today);
+    if (!todayItem || isOrdered(entries.map(e => e.entryDate))) return;
+
+    const shifted = entries.map(e => (e === todayItem ? addDays(today, -7) : e.entryDate));
+    if (isOrdered(shifted)) {
+        todayItem.entryDate = shifted[entries.indexOf(todayItem)];
+    }
+}
+
+function isOrdered(dates) {
+    const ascending = dates.every((d, i) => i === 0 || dates[i - 1] < d);
+    const descending = dates.every((d, i) => i === 0 || dates[i - 1] > d);
+    return ascending || descending;
+}
+
+/**
+ * Turn "yesterday" / "sunday" / "2 days ago" / "3/14" (or "ayer" /
+ * "domingo" / "hace 2 dias") into YYYY-MM-DD.
+ */
+function resolveDayRef(dayRef, today) {
+    if (dayRef === 'yesterday' || dayRef === 'yday' || dayRef === 'ayer') {
+        return addDays(today, -1);
+    }
+    if (dayRef === 'anteayer') {
+        return addDays(today, -2);
+    }
+
+    let match = dayRef.match(/^(\d)\s+days?\s+ago$/) || dayRef.match(/^hace\s+(\d)\s+dias?$/);
+    if (match) {
+        return addDays(today, -parseInt(match[1], 10));
+    }
+
+    if (WEEKDAYS[dayRef] !== undefined) {
+        const diff = (dayOfWeek(today) - WEEKDAYS[dayRef] + 7) % 7;
+        return addDays(today, -diff);
+    }
+
+    match = dayRef.match(/^(\d{1,2})\/(\d{1,2})$/);
+    if (match) {
+        const month = parseInt(match[1], 10);
+        const day = parseInt(match[2], 10);
+        if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+        // Most recent past occurrence of that month/day
+        let year = parseInt(today.slice(0, 4), 10);
+        let candidate = toDateString(year, month, day);
+        if (candidate > today) {
+            candidate = toDateString(year - 1, month, day);
+        }
+        return candidate;
+    }
+
+    return null;
+}
+
+function toDateString(year, month, day) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Look-back window in days (env-configurable).
+ */
+function getLookbackDays() {
+    const configured = parseInt(process.env.BACKFILL_LOOKBACK_DAYS, 10);
+    return Number.isInteger(configured) && configured >= 0 ? configured : DEFAULT_LOOKBACK_DAYS;
+}
+
+module.exports = {
+    parseBackfill,
+    parseBatch,
+    resolveDayRef,
+    getLookbackDays,
+    WEEKDAYS,
+};
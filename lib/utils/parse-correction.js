@@ -0,0 +1,70 @@
+/**
+ * Correction Parser
+ *
+ * Recognizes patients correcting today's check-in after the fact:
+ *   "CHANGE 4", "change to 2", "fix 3"          → explicit
+ *   "oops meant 2", "sorry I meant a 4"         → implicit
+ *   "actually more like a 4", "actually 3"      → implicit
+ *   "UNDO"                                      → revert the last correction
+ *
+ * Spanish equivalents: "CAMBIAR 4", "corregir a 2", "perdón, quise decir 3",
+ * "DESHACER". Accents are ignored.
+ *
+ * Explicit commands are always treated as corrections. Implicit phrasing
+ * only counts as a correction if there is already an entry for today —
+ * the caller decides (otherwise it's just a check-in with extra words).
+ *
+ * Returns null if the input isn't a correction.
+ */
+
+const { stripAccents } = require('./language');
+
+// "change 4", "change to 4", "change it to level 4", "fix 3", "correction: 2"
+// "cambiar 4", "cambiar a 2", "corregir a un 3", "cambio: nivel 4"
+const EXPLICIT_PATTERN = /^(?:change|correct|correction|fix|update|edit|cambiar|cambio|corregir|correccion)\b[\s:,-]*(?:it\s+)?(?:to\s+|a\s+)?(?:a\s+|un\s+)?(?:level\s*|nivel\s*)?#?([1-5])[.!]?$/i;
+
+// Bare "change"/"fix" with no number — the patient needs to tell us the level
+const EXPLICIT_NO_LEVEL_PATTERN = /^(?:change|correct|correction|fix|cambiar|cambio|corregir)[.!]?$/i;
+
+// "oops meant 2", "sorry, I meant a 4", "whoops meant to say 3", "my bad meant 2"
+const MEANT_PATTERN = /^(?:(?:oops|oop|whoops|sorry|my bad|oh)[\s,.!]*)*(?:i\s+)?meant(?:\s+to\s+(?:say|send|put))?\s+(?:a\s+|level\s*|#)?([1-5])\b/i;
+
+// "perdon, quise decir 3", "uy quise decir un 2", "me equivoque, era un 4"
+const MEANT_ES_PATTERN = /^(?:(?:(?:perdon|uy|ay|ups|disculpa|disculpe)[\s,.!]*)*(?:quise decir|queria decir)|me equivoque[\s,.!]*(?:quise decir|queria decir|era))\s+(?:un\s+|nivel\s*|#)?([1-5])\b/i;
+
+// "actually more like a 4", "actually 3", "actually it was a 2"
+const ACTUALLY_PATTERN = /^actually\b[\s,]*(?:(?:it\s+)?(?:was|is|more like|closer to|like)\s+)*(?:a\s+|level\s*)?([1-5])\b/i;
+
+const UNDO_PATTERN = /^(?:undo|deshacer)[.!]?$/i;
+
+/**
+ * @param {string} input - Raw patient text
+ * @returns {{ type: 'CHANGE', level: number|null, explicit: boolean } | { type: 'UNDO', explicit: true } | null}
+ */
+function parseCorrection(input) {
+    if (!input || typeof input !== 'string') return null;
+
+    const text = stripAccents(input.trim().replace(/\s+/g, ' '));
+
+    if (UNDO_PATTERN.test(text)) {
+        return { type: 'UNDO', explicit: true };
+    }
+
+    let match = text.match(EXPLICIT_PATTERN);
+    if (match) {
+        return { type: 'CHANGE', level: parseInt(match[1], 10), explicit: true };
+    }
+
+    if (EXPLICIT_NO_LEVEL_PATTERN.test(text)) {
+        return { type: 'CHANGE', level: null, explicit: true };
+    }
+
+    match = text.match(MEANT_PATTERN) || text.match(MEANT_ES_PATTERN) || text.match(ACTUALLY_PATTERN);
+    if (match) {
+        return { type: 'CHANGE', level: parseInt(match[1], 10), explicit: false };
+    }
+
+    return null;
+}
+
+module.exports = { parseCorrection };
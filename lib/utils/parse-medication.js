@@ -0,0 +1,137 @@
+/**
+ * Medication Name Matching
+ *
+ * Matches what a patient texts ("started topiramate 25mg", "Aimovig",
+ * "nurtec", "topirimate") to a row of reference_medications, by its
+ * medication name, generic name or brand names. Case, accents and
+ * punctuation are ignored.
+ *
+ *   1. Whole-word match of any name; the longest name wins, so
+ *      "Excedrin Migraine" beats a shorter name inside it, and on a tie
+ *      the medication it's the main name of.
+ *   2. First word of a multi-word name ("Nurtec" for "Nurtec ODT"),
+ *      when no other medication starts with the same word.
+ *   3. A single misspelled word: 1 edit for names of 5+ letters, 2 for 8+.
+ *
+ * Returns null when nothing matches — the caller decides whether to keep
+ * the patient's text as given.
+ */
+
+const { stripAccents } = require('./language');
+
+/**
+ * @param {string} input - Raw patient text
+ * @param {Array<object>} references - reference_medications rows
+ *   (medication_name, generic_name, brand_names, drug_class, medication_type)
+ * @returns {{ medicationName: string, drugClass: string|null, medicationType: string|null } | null}
+ */
+function matchMedication(input, references) {
+    if (!input || typeof input !== 'string' || !Array.isArray(references)) return null;
+
+    const text = normalize(input);
+    if (!text) return null;
+
+    const candidates = buildCandidates(references);
+    const padded = ` ${text} `;
+
+    // 1 + 2: whole-word matches, longest first
+    const exact = candidates
+        .filter(c => padded.includes(` ${c.name} `))
+        .sort((a, b) => b.name.length - a.name.length || b.primary - a.primary)[0];
+    if (exact) return toMatch(exact.reference);
+
+    // 3: one misspelled word
+    const words = text.split(' ').filter(word => word.length >= 5);
+    let best = null;
+    for (const candidate of candidates) {
+        if (candidate.name.includes(' ')) continue;
+        const allowed = candidate.name.length >= 8 ? 2 : 1;
+        for (const word of words) {
+            const distance = editDistance(word, candidate.name);
+            if (distance <= allowed && (!best || distance < best.distance)) {
+                best = { distance, reference: candidate.reference };
+            }
+        }
+    }
+
+    return best ? toMatch(best.reference) : null;
+}
+
+/**
+ * Every name a reference medication goes by, normalized.
+ */
+function buildCandidates(references) {
+    const candidates = [];
+    const firstWords = new Map();
+
+    for (const reference of references) {
+        const names = new Set();
+        const add = name => {
+            const normalized = normalize(name || '');
+            if (normalized) names.add(normalized);
+        };
+
+        add(reference.medication_name);
+        add(reference.generic_name);
+        for (const brand of (reference.brand_names || '').split(',')) add(brand);
+        // "Valproate/Divalproex" is either name
+        for (const part of (reference.medication_name || '').split('/')) add(part);
+
+        const primary = normalize(reference.medication_name || '');
+        for (const name of names) {
+            candidates.push({ name, reference, primary: name === primary });
+
+            const [first] = name.split(' ');
+            if (first !== name && first.length >= 4) {
+                const owners = firstWords.get(first) || new Set();
+                owners.add(reference);
+                firstWords.set(first, owners);
+            }
+        }
+    }
+
+    for (const [first, owners] of firstWords) {
+        if (owners.size === 1 && !candidates.some(c => c.name === first)) {
+            candidates.push({ name: first, reference: [...owners][0], primary: false });
+        }
+    }
+
+    return candidates;
+}
+
+function normalize(text) {
+    return stripAccents(text.toLowerCase())
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function toMatch(reference) {
+    return {
+        medicationName: reference.medication_name,
+        drugClass: reference.drug_class || null,
+        medicationType: reference.medication_type || null,
+    };
+}
+
+/**
+ * Levenshtein distance between two short strings.
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+module.exports = {
+    matchMedication,
+};
@@ -0,0 +1,71 @@
+/**
+ * Weekly Check-in Parser
+ *
+ * Reads the answer to W-CHECKIN: how many days this past week had a
+ * headache (0-7) and how bad the worst one was (1-5).
+ *   "2 4", "2, 4", "2/4"                      → 2 days, worst 4
+ *   "2 days, worst 4", "worst was 4, 2 days"  → 2 days, worst 4
+ *   "3", "3 days"                             → 3 days, worst still to ask
+ *   "0", "none", "no headaches"               → 0 days
+ *
+ * Spanish: "2 dias, peor 4", "ninguno", "cero". Accents are ignored.
+ *
+ * Returns null if the text isn't an answer (out-of-range numbers, more
+ * than two numbers, a worst level with 0 days).
+ */
+
+const { stripAccents } = require('./language');
+
+// "none", "no headaches", "zero", "ninguno", "ningun dolor", "nada"
+const NONE_PATTERN = /^(?:none|no|nope|zero|no headaches?(?: this week)?|ninguno|ninguna|ningun dolor|nada|cero)[.!]?$/;
+
+// "worst 4", "worst was a 4", "worst level: 3", "peor 4", "el peor fue un 4"
+const WORST_PATTERN = /\b(?:worst|peor)\b[^\d]{0,15}?(\d+)/;
+
+// Words allowed around the numbers: "2 headache days and a 4"
+const FILLER_WORDS = new Set([
+    'day', 'days', 'headache', 'headaches', 'and', 'a', 'the', 'with',
+    'dia', 'dias', 'de', 'dolor', 'y', 'un', 'el', 'con',
+]);
+
+/**
+ * @param {string} input - Raw patient text
+ * @returns {{ headacheDays: number, worstLevel: number|null } | null}
+ *   worstLevel is null for 0 days, or when the patient only gave the days
+ */
+function parseWeeklyCheckin(input) {
+    if (!input || typeof input !== 'string') return null;
+
+    let text = stripAccents(input.trim().toLowerCase().replace(/\s+/g, ' '));
+
+    if (NONE_PATTERN.test(text)) {
+        return { headacheDays: 0, worstLevel: null };
+    }
+
+    let worstLevel = null;
+    const worst = text.match(WORST_PATTERN);
+    if (worst) {
+        worstLevel = parseInt(worst[1], 10);
+        text = text.replace(worst[0], ' ');
+    }
+
+    const numbers = (text.match(/\d+/g) || []).map(n => parseInt(n, 10));
+    if (numbers.length === 0 || numbers.length > (worst ? 1 : 2)) return null;
+
+    // Whatever is left besides the numbers has to look like an answer
+    const words = text.replace(/\d+/g, ' ').split(/[\s,./:;!-]+/).filter(Boolean);
+    if (!words.every(word => FILLER_WORDS.has(word))) return null;
+
+    const [headacheDays, second] = numbers;
+    if (second !== undefined) worstLevel = second;
+
+    if (headacheDays > 7) return null;
+    if (worstLevel !== null && (worstLevel < 1 || worstLevel > 5)) return null;
+    if (headacheDays === 0 && worstLevel !== null) return null;
+
+    return { headacheDays, worstLevel };
+}
+
+module.exports = {
+    parseWeeklyCheckin,
+};
@@ -0,0 +1,93 @@
+/**
+ * SMS Segment Calculator
+ *
+ * Carriers bill per segment, not per message. A message is sent as
+ * GSM-7 if every character is in the GSM 03.38 alphabet, otherwise the
+ * whole message goes as UCS-2 — one emoji or curly quote is enough.
+ *
+ *   GSM-7: 160 chars in one segment, 153 per segment when split.
+ *          Extended characters (€ [ ] { } ^ ~ | \) count as two.
+ *   UCS-2: 70 chars in one segment, 67 per segment when split.
+ *          Counted in UTF-16 code units, so most emoji count as two.
+ *
+ * toGsmCompatible() swaps typographic punctuation (— ’ “ …) for plain
+ * equivalents, the same substitutions Twilio's Smart Encoding makes,
+ * so a stray em dash doesn't flip a whole message to UCS-2.
+ */
+
+// GSM 03.38 basic character set (escape excluded)
+const GSM_BASIC = new Set(
+    '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+    '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+);
+
+// GSM 03.38 extension table — each costs an escape + the character
+const GSM_EXTENDED = new Set('^{}\\[~]|€\f');
+
+const LIMITS = {
+    'GSM-7': { single: 160, multi: 153 },
+    'UCS-2': { single: 70, multi: 67 },
+};
+
+// Typographic characters with a GSM-7 stand-in
+const GSM_REPLACEMENTS = {
+    '—': '-',   // — em dash
+    '–': '-',   // – en dash
+    '‘': "'",   // ‘
+    '’': "'",   // ’
+    '“': '"',   // “
+    '”': '"',   // ”
+    '…': '...', // …
+    ' ': ' ',   // non-breaking space
+};
+
+const GSM_REPLACEMENT_PATTERN = new RegExp(`[${Object.keys(GSM_REPLACEMENTS).join('')}]`, 'g');
+
+/**
+ * Replace typographic punctuation with GSM-7 equivalents.
+ * Accented letters and emoji are left alone.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function toGsmCompatible(text) {
+    if (!text) return text;
+    return text.replace(GSM_REPLACEMENT_PATTERN, ch => GSM_REPLACEMENTS[ch]);
+}
+
+/**
+ * Encoding and segment count for a message body.
+ *
+ * @param {string} text - Message body as it will be sent
+ * @returns {{
+ *   encoding: 'GSM-7'|'UCS-2',
+ *   length: number,
+ *   segments: number,
+ *   unicodeChars: string[]
+ * }} - length is in septets (GSM-7) or UTF-16 code units (UCS-2);
+ *   unicodeChars lists the distinct characters that forced UCS-2
+ */
+function analyzeSms(text) {
+    const body = text || '';
+    const unicodeChars = new Set();
+    let septets = 0;
+
+    for (const ch of body) {
+        if (GSM_BASIC.has(ch)) septets += 1;
+        else if (GSM_EXTENDED.has(ch)) septets += 2;
+        else unicodeChars.add(ch);
+    }
+
+    const encoding = unicodeChars.size > 0 ? 'UCS-2' : 'GSM-7';
+    const length = encoding === 'GSM-7' ? septets : body.length;
+    const { single, multi } = LIMITS[encoding];
+    const segments = length === 0 ? 0 : length <= single ? 1 : Math.ceil(length / multi);
+
+    return { encoding, length, segments, unicodeChars: [...unicodeChars] };
+}
+
+module.exports = {
+    analyzeSms,
+    toGsmCompatible,
+    SEGMENT_LIMITS: LIMITS,
+};
@@ -0,0 +1,50 @@
+/**
+ * Sprint Metrics
+ *
+ * The numbers insights and comparisons are built from, computed from a
+ * sprint's answered daily entries the same way v_sprint_report_data
+ * (migration 001) does:
+ *   headache days   — level >= 2
+ *   HV-DBS score    — L3 × 1 + L4 × 2 + L5 × 3
+ */
+
+const DBS_WEIGHTS = { 3: 1, 4: 2, 5: 3 };
+
+/**
+ * @param {Array<{ hv_fis_level: number }>} entries - Answered entries
+ * @returns {{ totalDays: number, headacheDays: number, headacheFreeDays: number,
+ *   dbsScore: number, avgLevel: string|null, mostCommonLevel: number|null }}
+ */
+function sprintMetrics(entries) {
+    const levels = entries.map(e => e.hv_fis_level);
+    const totalDays = levels.length;
+
+    if (totalDays === 0) {
+        return { totalDays, headacheDays: 0, headacheFreeDays: 0, dbsScore: 0, avgLevel: null, mostCommonLevel: null };
+    }
+
+    const levelCounts = [0, 0, 0, 0, 0, 0]; // index 0 unused
+    levels.forEach(level => levelCounts[level]++);
+
+    return {
+        totalDays,
+        headacheDays: levels.filter(level => level >= 2).length,
+        headacheFreeDays: levelCounts[1],
+        dbsScore: levels.reduce((sum, level) => sum + (DBS_WEIGHTS[level] || 0), 0),
+        avgLevel: (levels.reduce((sum, level) => sum + level, 0) / totalDays).toFixed(1),
+        mostCommonLevel: levelCounts.indexOf(Math.max(...levelCounts.slice(1))),
+    };
+}
+
+/**
+ * Share of logged days with a headache, as a whole percent.
+ * Compares sprints with different numbers of days logged.
+ */
+function headachePct(metrics) {
+    return metrics.totalDays === 0 ? 0 : Math.round((metrics.headacheDays / metrics.totalDays) * 100);
+}
+
+module.exports = {
+    sprintMetrics,
+    headachePct,
+};
@@ -0,0 +1,187 @@
+/**
+ * Timezone Helpers
+ *
+ * patients.timezone is an IANA zone ("America/Chicago") used for check-in
+ * scheduling, quiet hours and entry dates. These helpers validate zones,
+ * turn what a patient types ("pacific", "CST", "denver", "hora del
+ * centro") into one, and guess a starting zone from a US area code.
+ *
+ * Area codes only say where a number was issued, not where the patient
+ * lives now — the TIMEZONE / TZ command (global-commands.js) fixes it.
+ */
+
+const { DEFAULT_TIMEZONE } = require('./dates');
+const { stripAccents } = require('./language');
+
+// Zone names, abbreviations and Spanish equivalents. Checked before IANA
+// names, so "EST" means Eastern time, not the fixed UTC-5 zone.
+const ZONE_NAMES = {
+    'America/New_York': [
+        'eastern', 'east', 'east coast', 'et', 'est', 'edt',
+        'este', 'oriental', 'del este',
+    ],
+    'America/Chicago': [
+        'central', 'ct', 'cst', 'cdt',
+        'centro', 'del centro',
+    ],
+    'America/Denver': [
+        'mountain', 'mt', 'mst', 'mdt',
+        'montana', 'de la montana',
+    ],
+    'America/Phoenix': ['arizona', 'az'],
+    'America/Los_Angeles': [
+        'pacific', 'west coast', 'pt', 'pst', 'pdt',
+        'pacifico', 'del pacifico',
+    ],
+    'America/Anchorage': ['alaska', 'akst', 'akdt'],
+    'Pacific/Honolulu': ['hawaii', 'hst'],
+    'America/Puerto_Rico': ['atlantic', 'ast', 'puerto rico', 'atlantico', 'del atlantico'],
+};
+
+// Cities patients are likely to name
+const CITY_ZONES = {
+    'America/New_York': [
+        'new york', 'nyc', 'boston', 'philadelphia', 'philly', 'pittsburgh',
+        'dc', 'baltimore', 'atlanta', 'miami', 'orlando', 'tampa',
+        'charlotte', 'raleigh', 'detroit', 'cleveland', 'columbus', 'indianapolis',
+    ],
+    'America/Chicago': [
+        'chicago', 'houston', 'dallas', 'austin', 'san antonio', 'new orleans',
+        'minneapolis', 'st louis', 'saint louis', 'kansas city', 'milwaukee',
+        'nashville', 'memphis', 'oklahoma city',
+    ],
+    'America/Denver': ['denver', 'salt lake city', 'albuquerque', 'boise', 'el paso'],
+    'America/Phoenix': ['phoenix', 'tucson'],
+    'America/Los_Angeles': [
+        'los angeles', 'la', 'san francisco', 'sf', 'san diego', 'san jose',
+        'sacramento', 'seattle', 'portland', 'las vegas', 'vegas',
+    ],
+    'America/Anchorage': ['anchorage'],
+    'Pacific/Honolulu': ['honolulu'],
+    'America/Puerto_Rico': ['san juan'],
+};
+
+const PHRASE_ZONES = buildLookup(ZONE_NAMES, CITY_ZONES);
+
+// Filler around the zone: "pacific time", "central standard time",
+// "hora del centro", "zona horaria del pacifico", "in Denver"
+const FILLER = /\b(?:time\s*zone|timezone|zona horaria|zona|hora|time|standard|daylight|i'?m in|i am in|in|estoy en|en)\b/g;
+
+// US area codes outside Eastern time. Codes that straddle a zone line
+// use the zone most of their numbers are in; anything unlisted (and
+// every non-US number) gets DEFAULT_TIMEZONE.
+const AREA_CODE_ZONES = {
+    'America/Chicago': [
+        205, 210, 214, 217, 218, 219, 224, 225, 228, 251, 254, 256, 262, 270, 274,
+        281, 308, 309, 312, 314, 316, 318, 319, 320, 325, 327, 331, 334, 337, 346,
+        361, 364, 402, 405, 409, 414, 417, 430, 432, 447, 464, 469, 479, 501, 504,
+        507, 512, 515, 531, 534, 539, 557, 563, 572, 573, 580, 601, 605, 608, 612,
+        615, 618, 620, 629, 630, 636, 641, 651, 659, 660, 662, 682, 701, 708, 712,
+        713, 715, 726, 730, 731, 737, 763, 769, 773, 779, 785, 806, 815, 816, 817,
+        830, 832, 847, 870, 872, 901, 903, 913, 918, 920, 924, 931, 936, 938, 940,
+        945, 952, 956, 972, 975, 979, 985,
+    ],
+    'America/Denver': [
+        208, 303, 307, 385, 406, 435, 505, 575, 719, 720, 801, 915, 970, 983, 986,
+    ],
+    'America/Phoenix': [480, 520, 602, 623, 928],
+    'America/Los_Angeles': [
+        206, 209, 213, 253, 279, 310, 323, 341, 350, 360, 408, 415, 424, 425, 442,
+        458, 503, 509, 510, 530, 541, 559, 562, 564, 619, 626, 628, 650, 657, 661,
+        669, 702, 707, 714, 725, 747, 760, 775, 805, 818, 820, 831, 840, 858, 909,
+        916, 925, 949, 951, 971,
+    ],
+    'America/Anchorage': [907],
+    'Pacific/Honolulu': [808],
+    'America/Puerto_Rico': [787, 939],
+};
+
+const AREA_CODE_LOOKUP = buildLookup(AREA_CODE_ZONES);
+
+/**
+ * Is this a timezone Intl (and so Postgres) recognizes?
+ *
+ * @param {string} timezone - IANA name, e.g. "America/Chicago"
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+    return canonicalTimezone(timezone) !== null;
+}
+
+/**
+ * Canonical IANA spelling of a zone ("america/chicago" → "America/Chicago"),
+ * or null if it isn't one.
+ *
+ * @param {string} timezone
+ * @returns {string|null}
+ */
+function canonicalTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') return null;
+    try {
+        return new Intl.DateTimeFormat('en-US', { timeZone: timezone.trim() }).resolvedOptions().timeZone;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Parse a patient's timezone reply into an IANA zone.
+ *
+ * Supported:
+ *   "pacific", "Central Time", "hora del centro", "EST", "PDT"
+ *   "Denver", "in Seattle", "san juan"
+ *   "America/Chicago", "america/los angeles"
+ *
+ * @param {string} input - Raw patient text (command keyword already removed)
+ * @returns {string|null} - IANA zone, or null if unrecognized
+ */
+function parseTimezone(input) {
+    if (!input || typeof input !== 'string') return null;
+
+    const text = stripAccents(input.trim().toLowerCase())
+        .replace(/[.,!?]+$/g, '')
+        .replace(/\s+/g, ' ');
+
+    // Full IANA names — only when they look like one ("Area/City"), so
+    // a stray word never matches an obscure alias
+    if (text.includes('/')) {
+        return canonicalTimezone(text.replace(/ /g, '_'));
+    }
+
+    const phrase = text
+        .replace(/\./g, '')
+        .replace(FILLER, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    return PHRASE_ZONES[phrase] || PHRASE_ZONES[text] || null;
+}
+
+/**
+ * Starting timezone for a phone number, from its US area code.
+ *
+ * @param {string} phoneNumber - E.164 number ("+13125551234")
+ * @returns {string} - IANA zone; DEFAULT_TIMEZONE if the code isn't known
+ */
+function timezoneFromPhone(phoneNumber) {
+    const match = /^\+1(\d{3})\d{7}$/.exec(phoneNumber || '');
+    if (!match) return DEFAULT_TIMEZONE;
+    return AREA_CODE_LOOKUP[match[1]] || DEFAULT_TIMEZONE;
+}
+
+function buildLookup(...groups) {
+    const lookup = {};
+    for (const group of groups) {
+        for (const [zone, keys] of Object.entries(group)) {
+            for (const key of keys) lookup[String(key)] = zone;
+        }
+    }
+    return lookup;
+}
+
+module.exports = {
+    isValidTimezone,
+    canonicalTimezone,
+    parseTimezone,
+    timezoneFromPhone,
+};
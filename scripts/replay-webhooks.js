@@ -0,0 +1,332 @@
+#!/usr/bin/env node
+/**
+ * Webhook Replay Tool
+ *
+ * Re-runs inbound texts that never made it through the pipeline.
+ * The webhook returns 200 even when a handler throws (so Twilio won't
+ * retry into the same error), which means the patient's message is
+ * only recoverable from webhook_log. This script finds rows with
+ * processed = false or a processing_error, re-runs each through
+ * lib/handlers/inbound.js, and marks them processed.
+ *
+ * Ordering: rows are grouped by phone number and replayed oldest-first
+ * within each number, so a patient's "START" is handled before their "8am".
+ *
+ * Already-applied rows: a text can fail after it changed something — the
+ * entry was recorded or the state moved, then the reply's sendSMS threw.
+ * Replaying it would record or transition twice, so a row is skipped (and
+ * left unprocessed, for a person to look at) when the patient changed
+ * after it arrived: patients.updated_at later than the row, as it stood
+ * before this run replayed anything for the number, or an entry answered
+ * or revised between the row and the start of the run.
+ *
+ * Usage:
+ *   node --env-file=.env.local scripts/replay-webhooks.js [options]
+ *
+ * Options:
+ *   --dry-run          Run handlers against a read-only client; print what
+ *                      each would reply and write. Nothing is sent or saved.
+ *                      Each row sees the database as it is now, not as the
+ *                      earlier rows for that number would have left it.
+ *   --since <ISO>      Only rows created at or after this timestamp
+ *   --phone <E.164>    Only this sender
+ *   --limit <n>        Max rows to load (default 500)
+ *   --settle <min>     Skip rows newer than this many minutes (default 5)
+ */
+
+// Required by tests for createReadOnlyClient and replayRow: no CLI arguments, no run
+const isCli = require.main === module;
+const args = parseArgs(isCli ? process.argv.slice(2) : []);
+
+// In dry-run mode, swap the shared Supabase client for a read-only wrapper.
+// Everything reads lib/supabase.js per call, so the swap reaches it all.
+const supabaseModule = require('../lib/supabase');
+const suppressedWrites = [];
+
+if (args.dryRun) {
+    supabaseModule.supabase = createReadOnlyClient(supabaseModule.supabase, suppressedWrites);
+}
+
+const repos = require('../lib/repositories');
+const { processInboundMessage } = require('../lib/handlers/inbound');
+const {
+    getUnprocessedWebhooks,
+    markWebhookProcessed,
+    markWebhookFailed,
+} = require('../lib/services/webhook-log');
+
+// RPCs that only read. Everything else is treated as a write in dry-run.
+const READ_ONLY_RPCS = new Set(['get_sprint_report']);
+
+// ==========================================================================
+// MAIN
+// ==========================================================================
+
+async function main() {
+    const rows = await getUnprocessedWebhooks({
+        since: args.since,
+        fromNumber: args.phone,
+        limit: args.limit,
+        settleMinutes: args.settle,
+    });
+
+    if (rows.length === 0) {
+        console.log('No unprocessed webhooks found.');
+        return;
+    }
+
+    const byPhone = groupByPhone(rows);
+    console.log(
+        `${args.dryRun ? '[DRY RUN] ' : ''}Replaying ${rows.length} webhook(s) ` +
+        `for ${byPhone.size} number(s)\n`
+    );
+
+    const runStartedAt = new Date().toISOString();
+    const totals = { replayed: 0, skipped: 0, failed: 0 };
+
+    for (const [fromNumber, phoneRows] of byPhone) {
+        console.log(`=== ${fromNumber} (${phoneRows.length}) ===`);
+
+        // Before the first replay for this number changes the patient
+        const alreadyApplied = await checkAlreadyApplied(fromNumber, runStartedAt);
+
+        for (const row of phoneRows) {
+            totals[await replayRow(fromNumber, row, alreadyApplied)]++;
+        }
+
+        console.log('');
+    }
+
+    console.log(`Done: ${totals.replayed} replayed, ${totals.skipped} skipped, ${totals.failed} failed.`);
+    if (totals.failed > 0) process.exitCode = 1;
+}
+
+/**
+ * Replay one webhook_log row.
+ *
+ * @param {string} fromNumber
+ * @param {object} row - webhook_log row
+ * @param {function(object): Promise<string|null>} alreadyApplied - From checkAlreadyApplied()
+ * @returns {Promise<'replayed'|'skipped'|'failed'>}
+ */
+async function replayRow(fromNumber, row, alreadyApplied) {
+    const messageBody = (row.body?.Body || '').trim();
+    const twilioSid = row.message_sid || row.body?.MessageSid || null;
+
+    console.log(`[${row.created_at}] "${messageBody}"`);
+    if (row.processing_error) {
+        console.log(`  previous error: ${firstLine(row.processing_error)}`);
+    }
+
+    if (!messageBody) {
+        console.log('  skipped: empty body');
+        if (!args.dryRun) await markWebhookProcessed(row.log_id);
+        return 'replayed';
+    }
+
+    const writeCountBefore = suppressedWrites.length;
+
+    try {
+        const applied = await alreadyApplied(row);
+        if (applied) {
+            console.log(`  skipped: ${applied} — the first attempt may have got that far; check by hand`);
+            return 'skipped';
+        }
+
+        const result = await processInboundMessage(fromNumber, messageBody, twilioSid, {
+            // The first attempt may have logged the inbound row before failing
+            logInbound: args.dryRun ? false : !(await inboundAlreadyLogged(twilioSid)),
+            // Dry run: replies are reported from the result, never sent
+            deliver: args.dryRun ? async () => {} : undefined,
+        });
+
+        console.log(`  route: ${result.route}${result.patient ? ` (state ${result.patient.state})` : ''}`);
+
+        for (const { reply, templateId } of result.replies) {
+            console.log(`  ${args.dryRun ? 'would reply' : 'replied'} [${templateId}]: ${oneLine(reply)}`);
+        }
+
+        if (result.fallbackMessage) {
+            // TwiML replies only exist in the original HTTP response
+            console.log(`  unknown number — TwiML reply not re-sent: ${oneLine(result.fallbackMessage)}`);
+        }
+
+        if (args.dryRun) {
+            for (const write of suppressedWrites.slice(writeCountBefore)) {
+                console.log(`  would write: ${write}`);
+            }
+        } else {
+            await markWebhookProcessed(row.log_id);
+        }
+
+        return 'replayed';
+
+    } catch (error) {
+        console.log(`  FAILED: ${error.message}`);
+        if (!args.dryRun) await markWebhookFailed(row.log_id, error);
+        return 'failed';
+    }
+}
+
+// ==========================================================================
+// HELPERS
+// ==========================================================================
+
+/**
+ * Did the patient change after a row arrived? Reads patients.updated_at
+ * once, up front: replaying this number's earlier rows bumps it too. Entry
+ * changes are only counted up to the start of the run for the same reason.
+ *
+ * @param {string} fromNumber
+ * @param {string} runStartedAt - ISO timestamp
+ * @returns {Promise<function(object): Promise<string|null>>} - Row → why to skip it, or null
+ */
+async function checkAlreadyApplied(fromNumber, runStartedAt) {
+    const patient = await repos.patients.findByPhone(fromNumber);
+
+    return async row => {
+        // Unknown number: nothing of theirs to change
+        if (!patient) return null;
+
+        const receivedAt = new Date(row.created_at);
+
+        if (patient.updated_at && new Date(patient.updated_at) > receivedAt) {
+            return `patient updated at ${patient.updated_at}`;
+        }
+
+        if (await repos.entries.changedBetween(patient.patient_id, receivedAt.toISOString(), runStartedAt)) {
+            return 'entry recorded or revised since';
+        }
+
+        return null;
+    };
+}
+
+async function inboundAlreadyLogged(twilioSid) {
+    if (!twilioSid) return false;
+    return Boolean(await repos.messages.findInboundBySid(twilioSid));
+}
+
+function groupByPhone(rows) {
+    const groups = new Map();
+    for (const row of rows) {
+        const phone = row.from_number || 'unknown';
+        if (!groups.has(phone)) groups.set(phone, []);
+        groups.get(phone).push(row);
+    }
+    return groups;
+}
+
+/**
+ * Wrap a Supabase client so reads pass through and writes are recorded
+ * but never executed. Write calls resolve to { data: null, error: null },
+ * which every handler already tolerates — except transition_patient_state,
+ * whose result transitionState needs: it answers as the function would
+ * (APPLIED with the patient as they'd be, CONFLICT, NOT_FOUND), from a read.
+ */
+function createReadOnlyClient(client, writeLog) {
+    const WRITE_METHODS = new Set(['insert', 'update', 'upsert', 'delete']);
+
+    return {
+        from(table) {
+            const query = client.from(table);
+            return new Proxy(query, {
+                get(target, prop) {
+                    if (WRITE_METHODS.has(prop)) {
+                        return (values) => {
+                            writeLog.push(`${prop} ${table} ${values ? JSON.stringify(values) : ''}`.trim());
+                            return noopQuery();
+                        };
+                    }
+                    const value = target[prop];
+                    return typeof value === 'function' ? value.bind(target) : value;
+                },
+            });
+        },
+
+        rpc(fn, params) {
+            if (READ_ONLY_RPCS.has(fn)) return client.rpc(fn, params);
+            writeLog.push(`rpc ${fn} ${JSON.stringify(params)}`);
+            if (fn === 'transition_patient_state') return simulateTransition(client, params);
+            return noopQuery();
+        },
+    };
+}
+
+/**
+ * What transition_patient_state (migration 013) would return, without
+ * writing anything.
+ */
+async function simulateTransition(client, params) {
+    const { data: patient, error } = await client
+        .from('patients')
+        .select('*')
+        .eq('patient_id', params.p_patient_id)
+        .maybeSingle();
+
+    if (error) return { data: null, error };
+    if (!patient) return { data: { status: 'NOT_FOUND', patient: null }, error: null };
+    if (patient.state !== params.p_from_state) {
+        return { data: { status: 'CONFLICT', patient }, error: null };
+    }
+
+    return {
+        data: {
+            status: 'APPLIED',
+            patient: { ...patient, ...params.p_updates, state: params.p_to_state },
+        },
+        error: null,
+    };
+}
+
+/**
+ * A chainable, awaitable stand-in for a Supabase query builder.
+ */
+function noopQuery() {
+    const result = { data: null, error: null };
+    const proxy = new Proxy(function () {}, {
+        get(_, prop) {
+            if (prop === 'then') {
+                return (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+            }
+            return () => proxy;
+        },
+    });
+    return proxy;
+}
+
+function parseArgs(argv) {
+    const parsed = { dryRun: false, since: null, phone: null, limit: 500, settle: 5 };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') parsed.dryRun = true;
+        else if (arg === '--since') parsed.since = argv[++i];
+        else if (arg === '--phone') parsed.phone = argv[++i];
+        else if (arg === '--limit') parsed.limit = parseInt(argv[++i], 10);
+        else if (arg === '--settle') parsed.settle = parseInt(argv[++i], 10);
+        else {
+            console.error(`Unknown option: ${arg}`);
+            process.exit(2);
+        }
+    }
+
+    return parsed;
+}
+
+function oneLine(text) {
+    return (text || '').replace(/\s*\n+\s*/g, ' / ');
+}
+
+function firstLine(text) {
+    return String(text).split('\n')[0];
+}
+
+if (isCli) {
+    main().catch(error => {
+        console.error('Replay failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { createReadOnlyClient, replayRow, checkAlreadyApplied };
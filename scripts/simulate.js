@@ -0,0 +1,475 @@
+#!/usr/bin/env node
+/**
+ * Conversation Simulator
+ *
+ * Walks a synthetic patient through the real state machine without a
+ * phone: enrolls them through /api/enroll, lets you type their texts
+ * (each goes through /api/webhooks/twilio), prints every reply and state
+ * transition, and fast-forwards a virtual clock so scheduled jobs
+ * (D-1 check-ins, reminders, insights, T-1) fire through the dispatcher.
+ *
+ * Usage:
+ *   node --env-file=.env.local scripts/simulate.js [options]
+ *   node --env-file=.env.local scripts/simulate.js < flow.txt
+ *
+ * Options:
+ *   --phone <E.164>         Patient number (default: a random 555-01xx
+ *                           number in area code 215, so Eastern time)
+ *   --name <first name>     Default "Sam"
+ *   --source <source>       SELF_SERVICE (default), PCP_INITIATED, REFERRAL, QR_CODE
+ *   --pcp-name <name>       Provider to create for PCP_INITIATED
+ *   --language <en|es>
+ *   --timezone <IANA zone>  Default: inferred from the area code
+ *   --appointment <date>    YYYY-MM-DD
+ *   --via-sms               Don't call /api/enroll; the first text you send
+ *                           (TRACK, or a provider code) enrolls the number
+ *   --start <ISO time>      Where the virtual clock starts (default: now)
+ *   --allow-remote          Run against a SUPABASE_URL that isn't localhost
+ *
+ * At the prompt, anything not starting with "/" is a text from the patient.
+ * Commands:
+ *   /advance <30m|6h|2d|1d2h>   Move the clock forward, running each job
+ *                               as it comes due
+ *   /advance <HH:MM>            ...to the next time it's HH:MM for the patient
+ *   /next                       Jump to the next pending job and run it
+ *   /jobs                       Pending jobs
+ *   /patient                    State, day count, pending question, time, zone
+ *   /history                    Every state transition so far
+ *   /help, /quit
+ *
+ * Writes real rows: use a local Supabase (`supabase start`). Texts only
+ * go to the local transport (SMS_TRANSPORT=local), never to Twilio.
+ * Database defaults (created_at) still use the real time; everything the
+ * handlers compute (entry dates, scheduled_for, sent_at) uses the
+ * virtual clock.
+ */
+
+const readline = require('node:readline');
+
+const args = parseArgs(process.argv.slice(2));
+
+// Replies are printed by the local transport; the outbox file isn't needed
+process.env.SMS_TRANSPORT = 'local';
+if (process.env.LOCAL_SMS_OUTBOX === undefined) process.env.LOCAL_SMS_OUTBOX = 'off';
+
+// Signature checks are skipped by the local transport, cron auth in development
+if (!process.env.NODE_ENV) process.env.NODE_ENV = 'development';
+
+const RealDate = Date;
+let clockOffsetMs = args.start ? new RealDate(args.start).getTime() - RealDate.now() : 0;
+installVirtualClock();
+
+const repos = require('../lib/repositories');
+const { injectInbound } = require('../lib/transports/local');
+const { getPatientByPhone } = require('../lib/state-machine/transitions');
+const { processJob } = require('../api/cron/dispatch');
+const enroll = require('../api/enroll');
+const { DEFAULT_TIMEZONE, localDateString, localTimeString, zonedTimeToUtc, addDays } = require('../lib/utils/dates');
+
+// A job that keeps coming due (e.g. deferred to the same instant) can't spin forever
+const MAX_JOBS_PER_ADVANCE = 500;
+
+const seenTransitions = new Set();
+let patientId = null;
+let patientTimezone = null;
+
+// ==========================================================================
+// MAIN
+// ==========================================================================
+
+async function main() {
+    checkDatabase();
+
+    console.log(`Clock: ${formatClock(new Date())}`);
+
+    if (args.viaSms) {
+        console.log(`Simulating ${args.phone}. Text TRACK (or a provider code) to enroll.\n`);
+    } else {
+        await enrollPatient();
+    }
+
+    // Piped input (a saved flow) is echoed after the prompt, like a transcript
+    const interactive = Boolean(process.stdin.isTTY);
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: interactive });
+
+    if (interactive) {
+        rl.setPrompt(await prompt());
+        rl.prompt();
+    }
+
+    for await (const rawLine of rl) {
+        const line = rawLine.trim();
+        if (!interactive && line) console.log(`${await prompt()}${line}`);
+
+        if (line === '/quit' || line === '/exit') break;
+        if (line && !line.startsWith('#')) {
+            try {
+                await runLine(line);
+            } catch (error) {
+                console.error(`Error: ${error.message}`);
+            }
+        }
+
+        if (interactive) {
+            rl.setPrompt(await prompt());
+            rl.prompt();
+        }
+    }
+
+    rl.close();
+}
+
+async function runLine(line) {
+    if (!line.startsWith('/')) {
+        await sendText(line);
+        return;
+    }
+
+    const [command, ...rest] = line.split(/\s+/);
+    const argument = rest.join(' ');
+
+    switch (command) {
+        case '/advance':
+            await advance(argument);
+            break;
+        case '/next':
+            await runNextJob();
+            break;
+        case '/jobs':
+            await printJobs();
+            break;
+        case '/patient':
+            await printPatient();
+            break;
+        case '/history':
+            seenTransitions.clear();
+            await printTransitions();
+            break;
+        case '/help':
+            console.log(COMMAND_HELP);
+            break;
+        default:
+            console.log(`Unknown command ${command}. Try /help.`);
+    }
+}
+
+// ==========================================================================
+// PATIENT
+// ==========================================================================
+
+/**
+ * Create the patient through POST /api/enroll (sends O-1, schedules the
+ * onboard reminder).
+ */
+async function enrollPatient() {
+    const res = createResponse();
+    await enroll({
+        method: 'POST',
+        body: {
+            firstName: args.name,
+            phoneNumber: args.phone,
+            enrollmentSource: args.source,
+            pcpName: args.pcpName,
+            language: args.language,
+            timezone: args.timezone,
+            appointmentDate: args.appointment,
+        },
+        headers: {},
+    }, res);
+
+    if (res.statusCode !== 201) {
+        console.error(`Enrollment failed (${res.statusCode}): ${JSON.stringify(res.body)}`);
+        process.exit(1);
+    }
+
+    patientId = res.body.patientId;
+    console.log(`Enrolled ${args.name} (${args.phone}) as ${patientId}\n`);
+    await printTransitions();
+}
+
+/**
+ * The patient texts us. Goes through the inbound webhook exactly as a
+ * Twilio delivery would.
+ */
+async function sendText(text) {
+    const result = await injectInbound(args.phone, text);
+
+    if (result.status !== 200) {
+        console.log(`Webhook returned ${result.status}: ${result.twiml}`);
+    }
+
+    // Unknown numbers are answered in the TwiML, not through the transport
+    const twimlReply = result.twiml.match(/<Message>([\s\S]*)<\/Message>/);
+    if (twimlReply) console.log(`[twiml → ${args.phone}]\n${twimlReply[1]}\n`);
+
+    await printTransitions();
+}
+
+async function resolvePatientId() {
+    if (!patientId) {
+        const patient = await getPatientByPhone(args.phone);
+        patientId = patient?.patient_id || null;
+    }
+    return patientId;
+}
+
+// ==========================================================================
+// CLOCK + JOBS
+// ==========================================================================
+
+/**
+ * Move the virtual clock forward to `target`, running each of the
+ * patient's jobs at the moment it comes due — including jobs those
+ * jobs schedule (tomorrow's D-1, a deferred retry).
+ */
+async function runJobsUntil(target) {
+    const id = await resolvePatientId();
+
+    for (let run = 0; id && run < MAX_JOBS_PER_ADVANCE; run++) {
+        const [job] = await repos.jobs.listPending(id);
+        if (!job || new RealDate(job.scheduled_for) > target) break;
+
+        const dueAt = new RealDate(job.scheduled_for);
+        if (dueAt > new Date()) setClock(dueAt);
+
+        // Same lock get_and_lock_due_jobs takes
+        const locked = await repos.jobs.lock(job.job_id);
+
+        if (!locked) continue;
+
+        console.log(`--- ${formatClock(new Date())}: ${job.job_type} ---`);
+        await processJob(locked);
+        await printTransitions();
+    }
+
+    if (target > new Date()) setClock(target);
+}
+
+async function advance(argument) {
+    const target = await parseAdvanceTarget(argument);
+    if (!target) {
+        console.log('Usage: /advance <30m|6h|2d|1d2h> or /advance <HH:MM>');
+        return;
+    }
+    await runJobsUntil(target);
+}
+
+async function runNextJob() {
+    const id = await resolvePatientId();
+    const [job] = id ? await repos.jobs.listPending(id) : [];
+
+    if (!job) {
+        console.log('No pending jobs.');
+        return;
+    }
+
+    const dueAt = new RealDate(job.scheduled_for);
+    await runJobsUntil(dueAt > new Date() ? dueAt : new Date());
+}
+
+/**
+ * "2d", "6h", "1d2h30m" → now + duration; "08:00" → next 08:00 patient-local.
+ */
+async function parseAdvanceTarget(argument) {
+    const text = (argument || '').trim().toLowerCase();
+
+    const clockTime = text.match(/^(\d{1,2}):(\d{2})$/);
+    if (clockTime) {
+        await fetchPatient();
+        const timezone = patientTimezone || args.timezone || DEFAULT_TIMEZONE;
+        const time = `${clockTime[1].padStart(2, '0')}:${clockTime[2]}`;
+        const today = localDateString(timezone);
+        let target = zonedTimeToUtc(today, time, timezone);
+        if (target <= new Date()) target = zonedTimeToUtc(addDays(today, 1), time, timezone);
+        return target;
+    }
+
+    if (!/^(\d+[dhm])+$/.test(text)) return null;
+
+    const units = { d: 24 * 60, h: 60, m: 1 };
+    let minutes = 0;
+    for (const [, amount, unit] of text.matchAll(/(\d+)([dhm])/g)) {
+        minutes += Number(amount) * units[unit];
+    }
+    return new Date(Date.now() + minutes * 60 * 1000);
+}
+
+function installVirtualClock() {
+    class VirtualDate extends RealDate {
+        constructor(...params) {
+            if (params.length === 0) super(RealDate.now() + clockOffsetMs);
+            else super(...params);
+        }
+
+        static now() {
+            return RealDate.now() + clockOffsetMs;
+        }
+    }
+
+    global.Date = VirtualDate;
+}
+
+function setClock(instant) {
+    clockOffsetMs = new RealDate(instant).getTime() - RealDate.now();
+}
+
+// ==========================================================================
+// OUTPUT
+// ==========================================================================
+
+async function printTransitions() {
+    const id = await resolvePatientId();
+    if (!id) return;
+
+    const transitions = await repos.transitions.listForPatient(id);
+
+    for (const t of transitions) {
+        if (seenTransitions.has(t.transition_id)) continue;
+        seenTransitions.add(t.transition_id);
+        const detail = t.trigger_detail ? `: ${t.trigger_detail}` : '';
+        console.log(`  [state] ${t.from_state} → ${t.to_state} (${t.trigger_type}${detail})`);
+    }
+}
+
+async function printJobs() {
+    const id = await resolvePatientId();
+    const jobs = id ? await repos.jobs.listPending(id) : [];
+
+    if (jobs.length === 0) {
+        console.log('No pending jobs.');
+        return;
+    }
+
+    for (const job of jobs) {
+        const payload = Object.keys(job.payload || {}).length ? ` ${JSON.stringify(job.payload)}` : '';
+        console.log(`  ${formatClock(new RealDate(job.scheduled_for))}  ${job.job_type}${payload}`);
+    }
+}
+
+async function printPatient() {
+    const patient = await fetchPatient();
+    if (!patient) {
+        console.log('Not enrolled yet.');
+        return;
+    }
+
+    const fields = ['state', 'first_name', 'day_count', 'consecutive_missed', 'pending_question',
+        'preferred_time', 'timezone', 'language', 'appointment_date'];
+    for (const field of fields) {
+        console.log(`  ${field.padEnd(19)} ${patient[field] ?? '-'}`);
+    }
+}
+
+async function fetchPatient() {
+    const id = await resolvePatientId();
+    if (!id) return null;
+    const patient = await repos.patients.get(id);
+    if (patient) patientTimezone = patient.timezone;
+    return patient;
+}
+
+async function prompt() {
+    await fetchPatient();
+    return `[${formatClock(new Date())}] > `;
+}
+
+// Patient-local, once we know the patient
+function formatClock(instant) {
+    const zone = patientTimezone || args.timezone || DEFAULT_TIMEZONE;
+    const date = new RealDate(instant.getTime());
+    const day = new Intl.DateTimeFormat('en-US', { timeZone: zone, weekday: 'short' }).format(date);
+    return `${day} ${localDateString(zone, date)} ${localTimeString(zone, date)}`;
+}
+
+const COMMAND_HELP = `Type a message to text it as the patient, or:
+  /advance <30m|6h|2d|1d2h>   move the clock forward, running due jobs
+  /advance <HH:MM>            ...to the next HH:MM patient-local
+  /next                       jump to the next pending job and run it
+  /jobs                       pending jobs
+  /patient                    patient row summary
+  /history                    all state transitions
+  /quit`;
+
+// ==========================================================================
+// SETUP
+// ==========================================================================
+
+function checkDatabase() {
+    const url = process.env.SUPABASE_URL || '';
+    const isLocal = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?/.test(url);
+    if (!isLocal && !args.allowRemote) {
+        console.error(`SUPABASE_URL is ${url || 'not set'}. The simulator writes test patients; ` +
+            'point it at a local instance (supabase start) or pass --allow-remote.');
+        process.exit(2);
+    }
+}
+
+// Just enough of the Vercel response object for api/enroll.js
+function createResponse() {
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(payload) {
+            res.body = payload;
+            return res;
+        },
+    };
+    return res;
+}
+
+function parseArgs(argv) {
+    const parsed = {
+        phone: `+1215555${String(100 + Math.floor(Math.random() * 100)).padStart(4, '0')}`,
+        name: 'Sam',
+        source: 'SELF_SERVICE',
+        pcpName: null,
+        language: null,
+        timezone: null,
+        appointment: null,
+        viaSms: false,
+        start: null,
+        allowRemote: false,
+    };
+
+    const valueOptions = {
+        '--phone': 'phone',
+        '--name': 'name',
+        '--source': 'source',
+        '--pcp-name': 'pcpName',
+        '--language': 'language',
+        '--timezone': 'timezone',
+        '--appointment': 'appointment',
+        '--start': 'start',
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (valueOptions[arg]) parsed[valueOptions[arg]] = argv[++i];
+        else if (arg === '--via-sms') parsed.viaSms = true;
+        else if (arg === '--allow-remote') parsed.allowRemote = true;
+        else {
+            console.error(`Unknown option: ${arg}`);
+            console.error('Usage: scripts/simulate.js [--phone <E.164>] [--name <name>] [--source <source>] ' +
+                '[--language en|es] [--timezone <zone>] [--start <ISO time>] [--via-sms] [--allow-remote]');
+            process.exit(2);
+        }
+    }
+
+    if (parsed.start && Number.isNaN(new Date(parsed.start).getTime())) {
+        console.error(`Invalid --start: ${parsed.start}`);
+        process.exit(2);
+    }
+
+    return parsed;
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('Simulator failed:', error);
+        process.exit(1);
+    });
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/**
+ * Local SMS Injector
+ *
+ * Texts the system as a patient, without Twilio or a phone. The message
+ * goes through /api/webhooks/twilio exactly as a real one would; replies
+ * are printed and appended to the local outbox (LOCAL_SMS_OUTBOX,
+ * default .local-sms/outbox.jsonl). See lib/transports/local.js.
+ *
+ * Usage:
+ *   node --env-file=.env.local scripts/sms-local.js <from> <message> [options]
+ *
+ *   node --env-file=.env.local scripts/sms-local.js +15555550123 TRACK
+ *   node --env-file=.env.local scripts/sms-local.js +15555550123 "8am"
+ *
+ * Options:
+ *   --url <url>    POST to a running server (e.g. `vercel dev` at
+ *                  http://localhost:3000/api/webhooks/twilio) instead of
+ *                  running the webhook in this process. That server must
+ *                  have SMS_TRANSPORT=local; its replies print there.
+ *
+ * Supabase is real: use a local instance (`supabase start`) for a fully
+ * offline run. Scheduled messages (D-1, reminders) go out when
+ * /api/cron/dispatch runs.
+ */
+
+const args = parseArgs(process.argv.slice(2));
+
+// In-process runs always use the local transport
+if (!args.url) process.env.SMS_TRANSPORT = 'local';
+
+const { injectInbound, outbox } = require('../lib/transports/local');
+
+async function main() {
+    const result = await injectInbound(args.from, args.message, { url: args.url });
+
+    if (result.status !== 200) {
+        console.error(`Webhook returned ${result.status}: ${result.twiml}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    // Unknown numbers are answered in the TwiML itself, not via send()
+    const twimlReply = result.twiml.match(/<Message>([\s\S]*)<\/Message>/);
+    if (twimlReply) {
+        console.log(`[twiml → ${args.from}]\n${unescapeXml(twimlReply[1])}\n`);
+    }
+
+    if (!args.url && outbox.length === 0 && !twimlReply) {
+        console.log('(no reply)');
+    }
+}
+
+function parseArgs(argv) {
+    const parsed = { from: null, message: null, url: null };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--url') parsed.url = argv[++i];
+        else if (arg.startsWith('--')) {
+            console.error(`Unknown option: ${arg}`);
+            process.exit(2);
+        } else positional.push(arg);
+    }
+
+    if (positional.length !== 2) {
+        console.error('Usage: scripts/sms-local.js <from> <message> [--url <webhook url>]');
+        process.exit(2);
+    }
+
+    [parsed.from, parsed.message] = positional;
+    return parsed;
+}
+
+function unescapeXml(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+main().catch(error => {
+    console.error('Inject failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Add a Staff User
+ *
+ * Creates a staff_users row (migration 018) for a clinic coordinator and
+ * prints their API key for POST /api/admin/patient-action. Only the key's
+ * SHA-256 is stored, so this is the only time it's shown — to replace a
+ * lost key, add the user again and set the old row's active = FALSE.
+ *
+ * Usage:
+ *   node --env-file=.env.local scripts/staff-add.js "<name>" [email]
+ *   npm run staff:add -- "Dana Whitfield" dana@clinic.example
+ */
+
+const crypto = require('node:crypto');
+const repos = require('../lib/repositories');
+const { hashApiKey } = require('../lib/handlers/admin-actions');
+
+async function main() {
+    const [name, email = null] = process.argv.slice(2);
+
+    if (!name || name.trim().length === 0) {
+        console.error('Usage: node scripts/staff-add.js "<name>" [email]');
+        process.exit(2);
+    }
+
+    const apiKey = `hv_${crypto.randomBytes(24).toString('base64url')}`;
+
+    const staff = await repos.staff.insert({
+        name: name.trim(),
+        email,
+        api_key_hash: hashApiKey(apiKey),
+    });
+
+    console.log(`Added ${staff.name} (${staff.staff_id}).`);
+    console.log(`API key (shown once): ${apiKey}`);
+    console.log(`Send it as: Authorization: Bearer ${apiKey}`);
+}
+
+main().catch(error => {
+    console.error('Adding staff user failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,44 @@
+-- ============================================================================
+-- HEADACHE VAULT - Patient Engagement System
+-- Migration 004: Message Delivery Tracking
+--
+-- Twilio status callbacks (POST /api/webhooks/twilio-status) update the
+-- outbound row in `messages` as the carrier reports progress:
+--   queued → sent → delivered | undelivered | failed
+--
+-- Adds the columns the callback writes and a daily delivery-rate view
+-- for the pilot go/no-go checkpoint (Pilot Study Protocol §6).
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE messages
+    ADD COLUMN error_code           VARCHAR(10),        -- Twilio ErrorCode (e.g., 30003)
+    ADD COLUMN delivered_at         TIMESTAMPTZ,        -- Set when status reaches DELIVERED
+    ADD COLUMN status_updated_at    TIMESTAMPTZ;        -- Last status callback received
+
+-- ============================================================================
+-- VIEW: v_message_delivery_rate
+-- Outbound delivery outcomes per day (UTC). Messages still QUEUED/SENT are
+-- counted as pending so the rate isn't inflated before callbacks arrive.
+-- ============================================================================
+
+CREATE VIEW v_message_delivery_rate AS
+SELECT
+    DATE(sent_at) AS send_date,
+    COUNT(*) AS total_sent,
+    COUNT(*) FILTER (WHERE delivery_status = 'DELIVERED') AS delivered,
+    COUNT(*) FILTER (WHERE delivery_status = 'UNDELIVERED') AS undelivered,
+    COUNT(*) FILTER (WHERE delivery_status = 'FAILED') AS failed,
+    COUNT(*) FILTER (WHERE delivery_status IN ('QUEUED', 'SENT')) AS pending,
+    ROUND(
+        COUNT(*) FILTER (WHERE delivery_status = 'DELIVERED')::NUMERIC
+        / NULLIF(COUNT(*) FILTER (WHERE delivery_status IN ('DELIVERED', 'UNDELIVERED', 'FAILED')), 0)
+        * 100, 1
+    ) AS delivery_rate_pct
+FROM messages
+WHERE direction = 'OUTBOUND'
+  AND sent_at IS NOT NULL
+GROUP BY DATE(sent_at);
+
+COMMIT;
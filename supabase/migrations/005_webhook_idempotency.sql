@@ -0,0 +1,46 @@
+-- ============================================================================
+-- HEADACHE VAULT - Patient Engagement System
+-- Migration 005: Inbound Webhook Idempotency
+--
+-- Twilio retries a webhook when our response times out, so the same
+-- MessageSid can arrive more than once. The webhook inserts its
+-- webhook_log row first; the unique index below makes that insert the
+-- dedupe gate — a replay fails with 23505 and is acknowledged without
+-- running any handler.
+--
+-- processed / processing_error (already on webhook_log) are now written
+-- after every request. processed_at records when. Nothing wrote them
+-- before, so every existing row is marked processed — otherwise the
+-- replay tool (scripts/replay-webhooks.js) would re-run the whole history.
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE webhook_log
+    ADD COLUMN message_sid      VARCHAR(40),        -- Twilio MessageSid (dedupe key)
+    ADD COLUMN processed_at     TIMESTAMPTZ;
+
+-- Backfill from the raw body for rows logged before this migration
+UPDATE webhook_log
+SET message_sid = body->>'MessageSid'
+WHERE message_sid IS NULL
+  AND body ? 'MessageSid';
+
+-- Rows from before this migration were handled when they arrived
+UPDATE webhook_log
+SET processed = TRUE,
+    processed_at = created_at
+WHERE processed = FALSE
+  AND processing_error IS NULL;
+
+-- Keep the earliest row if historical duplicates exist (log_id breaks
+-- ties between rows logged in the same instant)
+DELETE FROM webhook_log wl
+USING webhook_log earlier
+WHERE wl.message_sid = earlier.message_sid
+  AND (wl.created_at, wl.log_id) > (earlier.created_at, earlier.log_id);
+
+CREATE UNIQUE INDEX idx_webhook_log_message_sid ON webhook_log (message_sid)
+    WHERE message_sid IS NOT NULL;
+
+COMMIT;
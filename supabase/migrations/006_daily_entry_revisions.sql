@@ -0,0 +1,35 @@
+-- ============================================================================
+-- HEADACHE VAULT - Patient Engagement System
+-- Migration 006: Daily Entry Revisions
+--
+-- Patients correct today's check-in by text ("CHANGE 4", "oops meant 2",
+-- "UNDO"). The correction rewrites the daily_entries row through
+-- record_daily_entry, so the clinical table always holds the current
+-- value. This table keeps what it was before — one row per correction,
+-- append-only — so the original response is never lost.
+-- ============================================================================
+
+BEGIN;
+
+CREATE TABLE daily_entry_revisions (
+    revision_id                 UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    entry_id                    UUID            NOT NULL REFERENCES daily_entries(entry_id),
+    patient_id                  UUID            NOT NULL REFERENCES patients(patient_id),
+    sprint_id                   UUID            NOT NULL REFERENCES sprints(sprint_id),
+    entry_date                  DATE            NOT NULL,
+    previous_level              SMALLINT        NOT NULL CHECK (previous_level BETWEEN 1 AND 5),
+    previous_response_raw       TEXT,
+    previous_response_method    response_method NOT NULL,
+    previous_ai_confidence      DECIMAL(3,2),
+    new_level                   SMALLINT        NOT NULL CHECK (new_level BETWEEN 1 AND 5),
+    revision_type               VARCHAR(10)     NOT NULL CHECK (revision_type IN ('CHANGE', 'UNDO')),
+    revision_text               TEXT            NOT NULL,   -- Patient's correction message
+    created_at                  TIMESTAMPTZ     NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_entry_revisions_entry ON daily_entry_revisions (entry_id, created_at DESC);
+CREATE INDEX idx_entry_revisions_patient ON daily_entry_revisions (patient_id, created_at DESC);
+
+ALTER TABLE daily_entry_revisions ENABLE ROW LEVEL SECURITY;
+
+COMMIT;
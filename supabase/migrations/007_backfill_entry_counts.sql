@@ -0,0 +1,117 @@
+-- ============================================================================
+-- HEADACHE VAULT - Patient Engagement System
+-- Migration 007: Backdated Entries
+--
+-- Patients can now fill in a day they missed ("yesterday was a 4"), which
+-- writes a daily_entries row for a past entry_date. If the nightly missed-
+-- days detector already inserted an is_missed row for that date, the
+-- existing ON CONFLICT path turns it into a real entry.
+--
+-- record_daily_entry previously reset consecutive_missed to 0 and never
+-- touched days_missed — right for today's check-in, wrong for a backfill
+-- (filling in last Tuesday doesn't end a streak of misses since Thursday).
+-- Both counts are now recomputed from daily_entries:
+--   sprints.days_missed          = missed rows in the sprint
+--   patients.consecutive_missed  = missed rows dated after the patient's
+--                                  latest answered day in the sprint
+--
+-- A backfilled answer arrives days after its prompt, so its latency says
+-- nothing about how quickly the patient responds. Latency over 24 hours
+-- is stored as NULL to keep it out of the report's latency averages.
+-- ============================================================================
+
+BEGIN;
+
+CREATE OR REPLACE FUNCTION record_daily_entry(
+    p_patient_id UUID,
+    p_sprint_id UUID,
+    p_entry_date DATE,
+    p_hv_fis_level SMALLINT,
+    p_response_raw TEXT,
+    p_response_method response_method,
+    p_ai_confidence DECIMAL,
+    p_prompt_sent_at TIMESTAMPTZ,
+    p_response_received_at TIMESTAMPTZ,
+    p_day_number SMALLINT,
+    p_ack_template VARCHAR
+)
+RETURNS daily_entries
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_entry daily_entries;
+    v_latency INTEGER;
+    v_last_answered DATE;
+BEGIN
+    -- Calculate response latency in minutes (NULL for backfilled days)
+    v_latency := EXTRACT(EPOCH FROM (p_response_received_at - p_prompt_sent_at)) / 60;
+    IF v_latency > 1440 THEN
+        v_latency := NULL;
+    END IF;
+
+    -- Insert daily entry (or update if already exists for this date —
+    -- including a row the missed-days detector marked is_missed)
+    INSERT INTO daily_entries (
+        patient_id, sprint_id, entry_date, hv_fis_level,
+        response_raw, response_method, ai_confidence,
+        prompt_sent_at, response_received_at, response_latency_min,
+        is_missed, day_number, acknowledgment_template
+    ) VALUES (
+        p_patient_id, p_sprint_id, p_entry_date, p_hv_fis_level,
+        p_response_raw, p_response_method, p_ai_confidence,
+        p_prompt_sent_at, p_response_received_at, v_latency,
+        FALSE, p_day_number, p_ack_template
+    )
+    ON CONFLICT (patient_id, sprint_id, entry_date)
+    DO UPDATE SET
+        hv_fis_level = EXCLUDED.hv_fis_level,
+        response_raw = EXCLUDED.response_raw,
+        response_method = EXCLUDED.response_method,
+        ai_confidence = EXCLUDED.ai_confidence,
+        response_received_at = EXCLUDED.response_received_at,
+        response_latency_min = EXCLUDED.response_latency_min,
+        is_missed = FALSE,
+        acknowledgment_template = EXCLUDED.acknowledgment_template
+    RETURNING * INTO v_entry;
+
+    -- Update sprint counts
+    UPDATE sprints
+    SET days_completed = (
+            SELECT COUNT(*) FROM daily_entries
+            WHERE sprint_id = p_sprint_id AND is_missed = FALSE
+        ),
+        days_missed = (
+            SELECT COUNT(*) FROM daily_entries
+            WHERE sprint_id = p_sprint_id AND is_missed = TRUE
+        )
+    WHERE sprint_id = p_sprint_id;
+
+    -- Misses only count toward the streak if they come after the latest answer
+    SELECT MAX(entry_date) INTO v_last_answered
+    FROM daily_entries
+    WHERE patient_id = p_patient_id
+      AND sprint_id = p_sprint_id
+      AND is_missed = FALSE;
+
+    -- Update patient: recount day_count and consecutive_missed
+    UPDATE patients
+    SET day_count = (
+            SELECT COUNT(*) FROM daily_entries
+            WHERE patient_id = p_patient_id
+              AND sprint_id = p_sprint_id
+              AND is_missed = FALSE
+        ),
+        consecutive_missed = (
+            SELECT COUNT(*) FROM daily_entries
+            WHERE patient_id = p_patient_id
+              AND sprint_id = p_sprint_id
+              AND is_missed = TRUE
+              AND entry_date > v_last_answered
+        )
+    WHERE patient_id = p_patient_id;
+
+    RETURN v_entry;
+END;
+$$;
+
+COMMIT;
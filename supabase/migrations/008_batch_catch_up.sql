@@ -0,0 +1,24 @@
+-- ============================================================================
+-- HEADACHE VAULT - Patient Engagement System
+-- Migration 008: Batch Catch-Up Confirmation
+--
+-- Patients catching up on several days in one text ("mon 3 tue 2 wed 4",
+-- "3,2,4") get the interpretation read back before anything is written.
+-- While we wait for YES/NO, pending_question = BATCH_CONFIRM and the
+-- proposed entries live in patients.pending_context:
+--
+--   { "type": "BATCH", "sprintId": "...", "rawText": "mon 3 tue 2",
+--     "entries": [{ "entryDate": "2026-03-09", "level": 3 }, ...] }
+--
+-- pending_context is cleared whenever the question is answered or the
+-- patient sends something else.
+-- ============================================================================
+
+ALTER TYPE pending_question_type ADD VALUE IF NOT EXISTS 'BATCH_CONFIRM';
+
+BEGIN;
+
+ALTER TABLE patients
+    ADD COLUMN pending_context  JSONB;          -- Data for the pending question (see above)
+
+COMMIT;
@@ -0,0 +1,16 @@
+-- ============================================================================
+-- HEADACHE VAULT - Patient Engagement System
+-- Migration 009: Patient Language Preference
+--
+-- Every outbound message is rendered in the patient's language. Set at
+-- enrollment (POST /api/enroll { language: "es" }) or by the patient with
+-- LANGUAGE / IDIOMA. Existing patients default to English.
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE patients
+    ADD COLUMN language  VARCHAR(2) NOT NULL DEFAULT 'en'
+        CHECK (language IN ('en', 'es'));    -- Template locale (lib/locales/)
+
+COMMIT;
@@ -0,0 +1,46 @@
+-- ============================================================================
+-- HEADACHE VAULT - Patient Engagement System
+-- Migration 010: Inbound Abuse Protection
+--
+-- Every inbound text costs Supabase round-trips and possibly a Claude
+-- call, and every reply costs an SMS. Functions are stateless, so the
+-- per-sender throttle state lives here:
+--
+--   inbound_senders — one row per From number we've had to act on:
+--     blocked_until / block_reason: set when a number floods us
+--       (RATE_LIMIT) or is stuck in a bot-to-bot loop (AUTO_REPLY_LOOP).
+--       Messages are logged but not processed until it expires.
+--       STOP is always processed.
+--     last_unknown_reply_at: when we last sent ERR-UNKNOWN-NUMBER, so an
+--       unknown number gets that reply at most once per window.
+--
+-- webhook_log.suppressed_reason records why a logged message was not
+-- processed (RATE_LIMIT, AUTO_REPLY_LOOP, AUTO_REPLY). Suppressed rows
+-- are marked processed so the replay tool skips them.
+--
+-- Message counts come from webhook_log itself (idx_webhook_log_from).
+-- Loop detection counts identical texts by webhook_log.body_normalized:
+-- the raw Body with whitespace runs folded to one space and trimmed, the
+-- same as normalizeBody() in lib/services/inbound-guard.js does to the
+-- incoming text — Twilio's Body is untrimmed, so " Thanks!" and
+-- "Thanks! " are the same auto-reply.
+-- ============================================================================
+
+BEGIN;
+
+CREATE TABLE inbound_senders (
+    from_number             VARCHAR(15) PRIMARY KEY,
+    blocked_until           TIMESTAMPTZ,
+    block_reason            VARCHAR(30)     CHECK (block_reason IN ('RATE_LIMIT', 'AUTO_REPLY_LOOP')),
+    last_unknown_reply_at   TIMESTAMPTZ,
+    updated_at              TIMESTAMPTZ     NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE inbound_senders ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE webhook_log
+    ADD COLUMN suppressed_reason    VARCHAR(30),    -- Why a logged message wasn't processed
+    ADD COLUMN body_normalized      TEXT GENERATED ALWAYS AS
+        (btrim(regexp_replace(body->>'Body', '\s+', ' ', 'g'))) STORED;
+
+COMMIT;
@@ -0,0 +1,29 @@
+-- ============================================================================
+-- HEADACHE VAULT - Patient Engagement System
+-- Migration 011: SMS Self-Enrollment
+--
+-- An unknown number can enroll by texting a keyword (TRACK, or SEGUIR for
+-- Spanish) or a provider's enrollment code (printed on clinic QR codes).
+-- The patient row is created right away in ENROLLED with
+-- pending_question = ENROLL_NAME; first_name stays NULL until they
+-- answer, then the usual O-1 welcome asks for START (consent).
+--
+--   providers.enrollment_code: uppercase code a patient texts to enroll
+--     under that provider (enrollment_source = QR_CODE).
+-- ============================================================================
+
+ALTER TYPE pending_question_type ADD VALUE IF NOT EXISTS 'ENROLL_NAME';
+
+BEGIN;
+
+ALTER TABLE providers
+    ADD COLUMN enrollment_code  VARCHAR(20)     CHECK (enrollment_code = UPPER(enrollment_code));
+
+CREATE UNIQUE INDEX idx_providers_enrollment_code ON providers (enrollment_code)
+    WHERE enrollment_code IS NOT NULL;
+
+-- Self-enrolled patients don't have a name until they tell us
+ALTER TABLE patients
+    ALTER COLUMN first_name DROP NOT NULL;
+
+COMMIT;
@@ -0,0 +1,42 @@
+-- ============================================================================
+-- HEADACHE VAULT - Patient Engagement System
+-- Migration 012: SMS Segment Tracking
+--
+-- Carriers bill per segment. sendSMS() records how many segments each
+-- outbound message took and which encoding it went out in
+-- (lib/utils/sms-segments.js):
+--   GSM-7: 160 chars in one segment, 153 per segment when split
+--   UCS-2: 70 / 67 — any character outside GSM-7 (emoji, á, í, ó, ú)
+--
+-- v_message_segments shows the cost per template, so a template that
+-- grew or picked up an emoji stands out.
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE messages
+    ADD COLUMN segment_count    SMALLINT,       -- Billed segments (outbound only)
+    ADD COLUMN encoding         VARCHAR(5)      CHECK (encoding IN ('GSM-7', 'UCS-2'));
+
+-- ============================================================================
+-- VIEW: v_message_segments
+-- Outbound segment usage per template. Rows sent before this migration
+-- (segment_count IS NULL) are left out.
+-- ============================================================================
+
+CREATE VIEW v_message_segments AS
+SELECT
+    template_id,
+    COUNT(*) AS messages_sent,
+    SUM(segment_count) AS total_segments,
+    ROUND(AVG(segment_count), 2) AS avg_segments,
+    MAX(segment_count) AS max_segments,
+    ROUND(
+        COUNT(*) FILTER (WHERE encoding = 'UCS-2')::NUMERIC / COUNT(*) * 100, 1
+    ) AS ucs2_pct
+FROM messages
+WHERE direction = 'OUTBOUND'
+  AND segment_count IS NOT NULL
+GROUP BY template_id;
+
+COMMIT;
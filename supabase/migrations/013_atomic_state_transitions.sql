@@ -0,0 +1,79 @@
+-- ============================================================================
+-- HEADACHE VAULT - Patient Engagement System
+-- Migration 013: Atomic State Transitions
+--
+-- transitionState() used to read the patient, validate, update patients
+-- and then insert the state_transitions row as separate calls. Two things
+-- went wrong with that:
+--   - Two writers (two texts arriving together, or a text racing a cron
+--     job) could both read the same state, both pass validation, and
+--     both write — the second one acting on a state that no longer held.
+--   - A failed audit insert left a state change with no log row.
+--
+-- transition_patient_state() does the update as a compare-and-set on the
+-- state the caller validated against, and writes the audit row in the
+-- same transaction. The transition guard itself (which moves are legal)
+-- stays in lib/state-machine/transitions.js.
+--
+-- Returns JSONB { status, patient }:
+--   APPLIED    — state and p_updates written, audit row inserted;
+--                patient is the updated row
+--   CONFLICT   — the patient is no longer in p_from_state; nothing
+--                written; patient is the current row
+--   NOT_FOUND  — no such patient; patient is null
+-- ============================================================================
+
+BEGIN;
+
+CREATE OR REPLACE FUNCTION transition_patient_state(
+    p_patient_id UUID,
+    p_from_state patient_state,
+    p_to_state patient_state,
+    p_trigger_type transition_trigger,
+    p_trigger_detail TEXT,
+    p_updates JSONB DEFAULT '{}'::JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_patient patients;
+    v_changes JSONB;
+    v_assignments TEXT;
+BEGIN
+    -- Lock the row so a concurrent transition waits, then sees the new state
+    SELECT * INTO v_patient
+    FROM patients
+    WHERE patient_id = p_patient_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('status', 'NOT_FOUND', 'patient', NULL);
+    END IF;
+
+    IF v_patient.state <> p_from_state THEN
+        RETURN jsonb_build_object('status', 'CONFLICT', 'patient', to_jsonb(v_patient));
+    END IF;
+
+    -- state plus whatever columns the caller sets (pending_question,
+    -- preferred_time, opted_in_at, ...). An unknown column fails the
+    -- whole call, same as a bad update from the client.
+    v_changes := COALESCE(p_updates, '{}'::JSONB) || jsonb_build_object('state', p_to_state);
+
+    SELECT string_agg(format('%I = ($1).%I', key, key), ', ')
+    INTO v_assignments
+    FROM jsonb_object_keys(v_changes) AS key;
+
+    EXECUTE format('UPDATE patients SET %s WHERE patient_id = $2 RETURNING *', v_assignments)
+    INTO v_patient
+    USING jsonb_populate_record(v_patient, v_changes), p_patient_id;
+
+    -- Audit row: if this fails, the state change above rolls back with it
+    INSERT INTO state_transitions (patient_id, from_state, to_state, trigger_type, trigger_detail)
+    VALUES (p_patient_id, p_from_state, p_to_state, p_trigger_type, p_trigger_detail);
+
+    RETURN jsonb_build_object('status', 'APPLIED', 'patient', to_jsonb(v_patient));
+END;
+$$;
+
+COMMIT;
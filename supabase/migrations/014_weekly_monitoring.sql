@@ -0,0 +1,41 @@
+-- ============================================================================
+-- HEADACHE VAULT - Patient Engagement System
+-- Migration 014: Weekly Monitoring
+--
+-- Option 1 at the day 30 transition (T-1) puts the patient in WEEKLY:
+-- one text a week, same weekday and check-in time, asking how many days
+-- had a headache and how bad the worst one was. Replying DAILY starts a
+-- new daily sprint.
+--
+--   sprints.sprint_type WEEKLY: the weekly monitoring period. Open-ended;
+--     ends (COMPLETED, end_date) when the patient goes back to daily.
+--     target_days / days_completed / days_missed don't apply to it.
+--   weekly_entries.question_type WEEKLY_CHECKIN: one row per weekly
+--     check-in, with the answer in headache_days (0-7) and worst_level
+--     (1-5, NULL when headache_days = 0). response_value keeps
+--     "days/worst" for the projection views.
+--   weekly_entries.week_number: weeks since the WEEKLY sprint started, so
+--     no longer capped at 5.
+--   scheduled_jobs.job_type WEEKLY_CHECKIN: recurrence 'weekly'; the
+--     payload carries preferred_time, timezone and weekday (0 = Sunday,
+--     patient-local).
+--   pending_question WEEKLY_WORST: headache days given, worst level still
+--     to come.
+-- ============================================================================
+
+ALTER TYPE sprint_type ADD VALUE IF NOT EXISTS 'WEEKLY';
+ALTER TYPE weekly_question_type ADD VALUE IF NOT EXISTS 'WEEKLY_CHECKIN';
+ALTER TYPE job_type ADD VALUE IF NOT EXISTS 'WEEKLY_CHECKIN';
+ALTER TYPE pending_question_type ADD VALUE IF NOT EXISTS 'WEEKLY_WORST';
+
+BEGIN;
+
+ALTER TABLE weekly_entries
+    ADD COLUMN headache_days    SMALLINT    CHECK (headache_days BETWEEN 0 AND 7),
+    ADD COLUMN worst_level      SMALLINT    CHECK (worst_level BETWEEN 1 AND 5);
+
+ALTER TABLE weekly_entries
+    DROP CONSTRAINT weekly_entries_week_number_check,
+    ADD CONSTRAINT weekly_entries_week_number_check CHECK (week_number >= 1);
+
+COMMIT;
@@ -0,0 +1,56 @@
+-- ============================================================================
+-- HEADACHE VAULT - Patient Engagement System
+-- Migration 015: Treatment Monitoring
+--
+-- Option 2 at the day 30 transition (T-1) asks which medication the
+-- patient started, then puts them in TREATMENT: another 30 days of daily
+-- check-ins in a TREATMENT sprint, compared against their baseline.
+--
+--   pending_question TREATMENT_MED: waiting for the medication name.
+--     pending_context { unmatched } holds a name that isn't in
+--     reference_medications until the patient confirms it.
+--   sprints (TREATMENT): treatment_medication is the reference_medications
+--     name (or the patient's confirmed text); baseline_sprint_id is the
+--     patient's latest INITIAL sprint. patients.current_treatment gets the
+--     same name.
+--   v_treatment_comparison: each TREATMENT sprint next to its baseline —
+--     headache days (level >= 2) and HV-DBS score from
+--     v_sprint_report_data, for the report and the day 30 comparison.
+-- ============================================================================
+
+ALTER TYPE pending_question_type ADD VALUE IF NOT EXISTS 'TREATMENT_MED';
+
+BEGIN;
+
+CREATE INDEX IF NOT EXISTS idx_sprints_baseline ON sprints (baseline_sprint_id)
+    WHERE baseline_sprint_id IS NOT NULL;
+
+-- ============================================================================
+-- VIEW: v_treatment_comparison
+-- Each TREATMENT sprint against its baseline sprint. Changes are
+-- treatment minus baseline, so negative is fewer headache days / a lower
+-- burden score.
+-- ============================================================================
+
+CREATE VIEW v_treatment_comparison AS
+SELECT
+    t.sprint_id,
+    t.patient_id,
+    t.treatment_medication,
+    t.start_date,
+    t.end_date,
+    t.days_completed,
+    t.monthly_headache_days,
+    t.hv_dbs_score,
+    b.sprint_id             AS baseline_sprint_id,
+    b.days_completed        AS baseline_days_completed,
+    b.monthly_headache_days AS baseline_headache_days,
+    b.hv_dbs_score          AS baseline_hv_dbs_score,
+    t.monthly_headache_days - b.monthly_headache_days AS headache_days_change,
+    t.hv_dbs_score - b.hv_dbs_score                   AS hv_dbs_change
+FROM v_sprint_report_data t
+JOIN sprints s ON s.sprint_id = t.sprint_id
+JOIN v_sprint_report_data b ON b.sprint_id = s.baseline_sprint_id
+WHERE t.sprint_type = 'TREATMENT';
+
+COMMIT;
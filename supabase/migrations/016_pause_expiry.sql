@@ -0,0 +1,30 @@
+-- ============================================================================
+-- HEADACHE VAULT - Patient Engagement System
+-- Migration 016: Pause Expiry
+--
+-- Patients paused by D-RE5 or the PAUSE command no longer stay PAUSED
+-- with an ACTIVE sprint forever. Entering PAUSED schedules:
+--
+--   scheduled_jobs.job_type PAUSE_REMINDER: PAUSE_EXPIRY_DAYS (default 14)
+--     after the pause. Sends SYS-PAUSE-FINAL — one last "want to
+--     resume?" — and schedules the PAUSE_EXPIRY.
+--   scheduled_jobs.job_type PAUSE_EXPIRY: PAUSE_EXPIRY_GRACE_HOURS (default
+--     72) after the reminder. Moves the patient to DORMANT (a SYSTEM_TIMER
+--     transition) and marks the active sprint ABANDONED. A sprint with at
+--     least PARTIAL_REPORT_MIN_DAYS (default 7) answered days also gets a
+--     report_token, for a partial report.
+--
+-- Resuming leaves PAUSED, which cancels both jobs.
+--
+-- Patients already PAUSED when this is deployed have no PAUSE_REMINDER and
+-- stay paused until they reply. To give them one (after deploying the
+-- code, since the enum values can't be used in the transaction that adds
+-- them):
+--
+--   INSERT INTO scheduled_jobs (patient_id, job_type, scheduled_for, payload)
+--   SELECT patient_id, 'PAUSE_REMINDER', NOW(), '{}'::jsonb
+--   FROM patients WHERE state = 'PAUSED';
+-- ============================================================================
+
+ALTER TYPE job_type ADD VALUE IF NOT EXISTS 'PAUSE_REMINDER';
+ALTER TYPE job_type ADD VALUE IF NOT EXISTS 'PAUSE_EXPIRY';
@@ -0,0 +1,80 @@
+-- ============================================================================
+-- HEADACHE VAULT - Patient Engagement System
+-- Migration 017: Onboarding Reminders and Drop-off
+--
+-- Patients who stop partway through onboarding get reminders on a cadence
+-- (ONBOARD_REMINDER_HOURS, default 24h and 72h after the step started),
+-- then go DORMANT (ONBOARD_EXPIRY_HOURS, default 168h) instead of sitting
+-- in ENROLLED or ONBOARDING forever:
+--
+--   ENROLL_NAME self-enrolled by text (ENROLLED, pending ENROLL_NAME),
+--               never sent a first name
+--   ENROLLED    got O-1, never replied START
+--   ONBOARDING  replied START, never answered the O-2 time question (or,
+--               self-service, the O-3 appointment question)
+--
+--   scheduled_jobs.job_type ONBOARD_REMINDER: payload { step, reminder,
+--     since } — the step (ENROLL_NAME | ENROLLED | ONBOARDING), which
+--     reminder this is (1-based), and when the step started. Jobs queued
+--     before this migration have an empty payload and count as the first
+--     ENROLLED reminder.
+--   scheduled_jobs.job_type ONBOARD_EXPIRY: the move to DORMANT, logged as
+--     a SYSTEM_TIMER transition from the step the patient dropped off at.
+--   v_onboarding_dropoffs: DORMANT patients who got there that way, with
+--     the step and how to reach them, for coordinators to call. START
+--     takes them out of the view (back to ONBOARDING).
+-- ============================================================================
+
+ALTER TYPE job_type ADD VALUE IF NOT EXISTS 'ONBOARD_EXPIRY';
+
+BEGIN;
+
+-- ============================================================================
+-- VIEW: v_onboarding_dropoffs
+-- One row per patient whose latest transition moved them from ENROLLED or
+-- ONBOARDING to DORMANT on the timer. dropoff_step is the message they
+-- never answered: ENROLL-NAME (first name), O-1 (START), O-2 (check-in
+-- time) or O-3 (appointment).
+-- ============================================================================
+
+CREATE VIEW v_onboarding_dropoffs AS
+SELECT
+    p.patient_id,
+    p.first_name,
+    p.phone_number,
+    p.language,
+    p.enrollment_source,
+    p.pcp_provider_id,
+    pr.provider_name,
+    CASE
+        WHEN t.from_state = 'ENROLLED' AND p.first_name IS NULL THEN 'ENROLL-NAME'
+        WHEN t.from_state = 'ENROLLED' THEN 'O-1'
+        WHEN p.preferred_time IS NULL THEN 'O-2'
+        ELSE 'O-3'
+    END AS dropoff_step,
+    p.created_at AS enrolled_at,
+    p.opted_in_at,
+    t.created_at AS dropped_off_at,
+    (
+        SELECT COUNT(*) FROM messages m
+        WHERE m.patient_id = p.patient_id
+          AND m.direction = 'OUTBOUND'
+          AND m.template_id IN ('ENROLL-NAME', 'ENROLL-NAME-REMIND', 'ENROLL-NAME-FINAL',
+                                'O-1-PCP', 'O-1-SELF', 'O-1-FINAL',
+                                'O-2-REMIND', 'O-2-FINAL', 'O-3-REMIND', 'O-3-FINAL')
+    ) AS onboarding_texts_sent
+FROM patients p
+JOIN LATERAL (
+    SELECT st.from_state, st.to_state, st.trigger_type, st.created_at
+    FROM state_transitions st
+    WHERE st.patient_id = p.patient_id
+    ORDER BY st.created_at DESC
+    LIMIT 1
+) t ON TRUE
+LEFT JOIN providers pr ON pr.provider_id = p.pcp_provider_id
+WHERE p.state = 'DORMANT'
+  AND t.to_state = 'DORMANT'
+  AND t.trigger_type = 'SYSTEM_TIMER'
+  AND t.from_state IN ('ENROLLED', 'ONBOARDING');
+
+COMMIT;
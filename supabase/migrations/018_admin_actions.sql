@@ -0,0 +1,49 @@
+-- ============================================================================
+-- HEADACHE VAULT - Patient Engagement System
+-- Migration 018: Coordinator Admin Actions
+--
+-- Clinic coordinators act on a patient who calls the office through
+-- POST /api/admin/patient-action instead of editing rows by hand:
+-- PAUSE, RESUME, SET_TIME, RESCHEDULE (the next check-in) and
+-- UNSUBSCRIBE, through transitionState with trigger_type ADMIN_ACTION.
+--
+--   staff_users: who may call the admin API. Each has one API key, sent as
+--     Authorization: Bearer <key>; only its SHA-256 (hex) is stored.
+--     Create one with `npm run staff:add -- "<name>" [email]`, which
+--     prints the key once. Set active = FALSE to revoke.
+--   admin_actions: one row per action taken — which staff user, which
+--     patient, why (reason is required), what changed (details), and
+--     whether the patient was texted about it. State changes also get
+--     their usual state_transitions row, with the staff user and reason
+--     in trigger_detail.
+-- ============================================================================
+
+BEGIN;
+
+CREATE TABLE staff_users (
+    staff_id            UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name                VARCHAR(100)    NOT NULL,
+    email               VARCHAR(255),
+    api_key_hash        CHAR(64)        NOT NULL UNIQUE,   -- SHA-256 hex of the API key
+    active              BOOLEAN         NOT NULL DEFAULT TRUE,
+    created_at          TIMESTAMPTZ     NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE admin_actions (
+    action_id           UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    staff_id            UUID            NOT NULL REFERENCES staff_users(staff_id),
+    patient_id          UUID            NOT NULL REFERENCES patients(patient_id),
+    action              VARCHAR(20)     NOT NULL
+                        CHECK (action IN ('PAUSE', 'RESUME', 'SET_TIME', 'RESCHEDULE', 'UNSUBSCRIBE')),
+    reason              TEXT            NOT NULL,
+    details             JSONB           NOT NULL DEFAULT '{}',  -- e.g. { from_state, to_state } or { preferred_time }
+    notified            BOOLEAN         NOT NULL DEFAULT FALSE, -- Patient was texted about it
+    created_at          TIMESTAMPTZ     NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_admin_actions_patient ON admin_actions (patient_id, created_at DESC);
+
+ALTER TABLE staff_users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE admin_actions ENABLE ROW LEVEL SECURITY;
+
+COMMIT;
@@ -0,0 +1,356 @@
+/**
+ * Coordinator Admin API Tests
+ *
+ * Covers POST /api/admin/patient-action:
+ *   1. Staff API key authentication and request validation
+ *   2. PAUSE / RESUME / SET_TIME / RESCHEDULE / UNSUBSCRIBE on a patient
+ *      enrolled and onboarded through the real pipeline: ADMIN_ACTION
+ *      transitions, jobs rescheduled or cancelled, the admin_actions row
+ *   3. notify: the patient is texted, unless the send policy blocks it
+ *
+ * Runs against the in-memory repositories with the local SMS transport
+ * and a mocked clock; no database, no network.
+ *
+ * Run: node --test tests/admin-actions.test.js
+ */
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useRepositories } = require('../lib/repositories');
+const { createMemoryRepositories } = require('../lib/repositories/memory');
+const { processInboundMessage } = require('../lib/handlers/inbound');
+const { hashApiKey } = require('../lib/handlers/admin-actions');
+const local = require('../lib/transports/local');
+const enroll = require('../api/enroll');
+const dispatch = require('../api/cron/dispatch');
+const patientAction = require('../api/admin/patient-action');
+
+const PHONE = '+12155551234';  // Philadelphia → America/New_York
+const API_KEY = 'hv_test-coordinator-key';
+const ENV_KEYS = ['SMS_TRANSPORT', 'LOCAL_SMS_OUTBOX', 'NODE_ENV', 'REPORT_BASE_URL'];
+
+describe('POST /api/admin/patient-action', () => {
+    const savedEnv = {};
+    let store;
+    let staff;
+
+    before(() => {
+        for (const key of ENV_KEYS) savedEnv[key] = process.env[key];
+        process.env.SMS_TRANSPORT = 'local';
+        process.env.LOCAL_SMS_OUTBOX = 'off';
+        process.env.NODE_ENV = 'test';
+        process.env.REPORT_BASE_URL = 'https://example.test/api/reports';
+    });
+
+    after(() => {
+        for (const key of ENV_KEYS) {
+            if (savedEnv[key] === undefined) delete process.env[key];
+            else process.env[key] = savedEnv[key];
+        }
+    });
+
+    beforeEach(async () => {
+        store = createMemoryRepositories();
+        useRepositories(store);
+        staff = await store.staff.insert({ name: 'Dana Whitfield', api_key_hash: hashApiKey(API_KEY) });
+
+        // Mon Mar 16 2026, 10:00 in Philadelphia
+        mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-16T14:00:00Z') });
+        local.clearOutbox();
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        useRepositories(null);
+    });
+
+    const patient = () => store.tables.patients[0];
+    const sentTemplates = () => local.outbox.map(m => m.templateId);
+    const pendingJobs = type => store.tables.scheduled_jobs
+        .filter(j => j.status === 'PENDING' && (!type || j.job_type === type));
+    const setClock = iso => mock.timers.setTime(new Date(iso).getTime());
+
+    let smsCount = 0;
+    const text = body => processInboundMessage(PHONE, body, `SM${++smsCount}`);
+
+    async function request(handler, method, body = {}, headers = { 'x-vercel-cron': '1' }) {
+        const res = {
+            statusCode: 200,
+            body: null,
+            status(code) { res.statusCode = code; return res; },
+            json(payload) { res.body = payload; return res; },
+        };
+        await handler({ method, headers, body }, res);
+        return res;
+    }
+
+    const post = (handler, body, headers) => request(handler, 'POST', body, headers);
+
+    const act = (body, apiKey = API_KEY) =>
+        post(patientAction, { patientId: patient().patient_id, reason: 'Called the office', ...body },
+            { authorization: `Bearer ${apiKey}` });
+
+    // DAILY_ACTIVE at 8am, first check-in tomorrow
+    async function enrollAndActivate() {
+        await post(enroll, { phoneNumber: PHONE, firstName: 'Sam', enrollmentSource: 'SELF_SERVICE' });
+        await text('START');
+        await text('8am');
+        await text('no');
+        assert.equal(patient().state, 'DAILY_ACTIVE');
+        local.clearOutbox();
+    }
+
+    describe('authentication and validation', () => {
+        beforeEach(enrollAndActivate);
+
+        it('rejects a missing, unknown or revoked key', async () => {
+            const unsigned = await post(patientAction, { patientId: patient().patient_id, action: 'PAUSE', reason: 'x' }, {});
+            assert.equal(unsigned.statusCode, 401);
+
+            assert.equal((await act({ action: 'PAUSE' }, 'hv_wrong')).statusCode, 401);
+
+            store.tables.staff_users[0].active = false;
+            assert.equal((await act({ action: 'PAUSE' })).statusCode, 401);
+
+            assert.equal(patient().state, 'DAILY_ACTIVE');
+            assert.equal(store.tables.admin_actions.length, 0);
+        });
+
+        it('only accepts POST', async () => {
+            const res = await request(patientAction, 'GET', {}, { authorization: `Bearer ${API_KEY}` });
+            assert.equal(res.statusCode, 405);
+        });
+
+        it('requires an action, a reason, and the action\'s own fields', async () => {
+            assert.equal((await act({ action: 'PAUSE', patientId: 'patient-42' })).statusCode, 400);
+            assert.equal((await act({ action: 'PAUSE', patientId: `${patient().patient_id}'` })).statusCode, 400);
+            assert.equal((await act({ action: 'SNOOZE' })).statusCode, 400);
+            assert.equal((await act({ action: 'PAUSE', reason: '  ' })).statusCode, 400);
+            assert.equal((await act({ action: 'PAUSE', notify: 'yes' })).statusCode, 400);
+            assert.equal((await act({ action: 'SET_TIME', time: 'whenever' })).statusCode, 400);
+            assert.equal((await act({ action: 'RESCHEDULE' })).statusCode, 400);
+            assert.equal((await act({ action: 'RESCHEDULE', scheduledFor: '2026-03-17T09:30' })).statusCode, 400);
+            assert.equal((await act({ action: 'RESCHEDULE', scheduledFor: '2026-03-16T09:00:00-04:00' })).statusCode, 400);
+
+            assert.equal(patient().state, 'DAILY_ACTIVE');
+            assert.equal(store.tables.admin_actions.length, 0);
+        });
+
+        it('404s an unknown patient', async () => {
+            const res = await act({ action: 'PAUSE', patientId: '00000000-0000-4000-8000-000000000000' });
+            assert.equal(res.statusCode, 404);
+        });
+    });
+
+    describe('actions', () => {
+        beforeEach(enrollAndActivate);
+
+        it('PAUSE pauses through the state machine and records who and why', async () => {
+            const res = await act({ action: 'PAUSE', reason: 'Travelling for two weeks' });
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.body.state, 'PAUSED');
+            assert.equal(res.body.notified, false);
+            assert.equal(patient().state, 'PAUSED');
+            assert.deepEqual(local.outbox, []);
+
+            // Same jobs as a texted PAUSE
+            assert.deepEqual(pendingJobs('DAILY_CHECKIN'), []);
+            assert.equal(pendingJobs('PAUSE_REMINDER').length, 1);
+
+            const transition = store.tables.state_transitions.at(-1);
+            assert.equal(transition.trigger_type, 'ADMIN_ACTION');
+            assert.equal(transition.trigger_detail, 'Admin PAUSE by Dana Whitfield: "Travelling for two weeks"');
+
+            const [action] = store.tables.admin_actions;
+            assert.equal(action.staff_id, staff.staff_id);
+            assert.equal(action.patient_id, patient().patient_id);
+            assert.equal(action.action, 'PAUSE');
+            assert.equal(action.reason, 'Travelling for two weeks');
+            assert.deepEqual(action.details, { from_state: 'DAILY_ACTIVE', to_state: 'PAUSED' });
+            assert.equal(action.notified, false);
+        });
+
+        it('PAUSE with notify texts the patient SYS-PAUSE', async () => {
+            const res = await act({ action: 'PAUSE', notify: true });
+
+            assert.equal(res.body.notified, true);
+            assert.deepEqual(sentTemplates(), ['SYS-PAUSE']);
+            assert.equal(store.tables.admin_actions[0].notified, true);
+        });
+
+        it('refuses an action that doesn\'t apply to the state', async () => {
+            const res = await act({ action: 'RESUME' });
+
+            assert.equal(res.statusCode, 409);
+            assert.equal(res.body.state, 'DAILY_ACTIVE');
+            assert.equal(store.tables.admin_actions.length, 0);
+        });
+
+        it('RESUME goes back to DAILY_ACTIVE with a check-in scheduled', async () => {
+            await act({ action: 'PAUSE' });
+            const res = await act({ action: 'RESUME', notify: true });
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(patient().state, 'DAILY_ACTIVE');
+            assert.equal(pendingJobs('DAILY_CHECKIN').length, 1);
+            assert.deepEqual(pendingJobs('PAUSE_REMINDER'), []);
+            assert.deepEqual(sentTemplates(), ['SYS-RESUME']);
+            assert.deepEqual(store.tables.admin_actions.map(a => a.action), ['PAUSE', 'RESUME']);
+        });
+
+        it('RESUME returns a treatment sprint to TREATMENT', async () => {
+            store.tables.sprints[0].sprint_type = 'TREATMENT';
+            await act({ action: 'PAUSE' });
+
+            const res = await act({ action: 'RESUME' });
+            assert.equal(res.body.state, 'TREATMENT');
+        });
+
+        it('SET_TIME moves the daily check-in to the new time', async () => {
+            const res = await act({ action: 'SET_TIME', time: '8:30pm', notify: true });
+
+            assert.equal(res.statusCode, 200);
+            assert.deepEqual(res.body.details, { from_time: '08:00', to_time: '20:30' });
+            assert.equal(patient().preferred_time, '20:30');
+            assert.deepEqual(sentTemplates(), ['SYS-TIME-CONFIRM']);
+
+            const [checkin] = pendingJobs('DAILY_CHECKIN');
+            const firesAt = new Date(checkin.scheduled_for);
+            assert.ok(firesAt >= new Date('2026-03-17T00:30:00Z'), checkin.scheduled_for);  // 20:30 EDT today
+            assert.ok(firesAt < new Date('2026-03-17T00:35:00Z'), checkin.scheduled_for);
+        });
+
+        it('SET_TIME leaves the patient\'s other pending jobs alone', async () => {
+            const patientId = patient().patient_id;
+            for (const jobType of ['RE_ENGAGEMENT', 'WEEKLY_QUESTION', 'INSIGHT']) {
+                await store.jobs.insert({ patient_id: patientId, job_type: jobType, scheduled_for: '2026-03-18T15:00:00Z' });
+            }
+
+            await act({ action: 'SET_TIME', time: '8:30pm' });
+
+            assert.equal(pendingJobs('DAILY_CHECKIN').length, 1);
+            for (const jobType of ['RE_ENGAGEMENT', 'WEEKLY_QUESTION', 'INSIGHT']) {
+                assert.equal(pendingJobs(jobType).length, 1, jobType);
+            }
+        });
+
+        it('SET_TIME reports a failed update instead of recording it', async (t) => {
+            t.mock.method(store.patients, 'update', async () => { throw new Error('connection reset'); });
+            const res = await act({ action: 'SET_TIME', time: '8:30pm', notify: true });
+
+            assert.equal(res.statusCode, 500);
+            assert.equal(patient().preferred_time, '08:00');
+            assert.deepEqual(sentTemplates(), []);
+            assert.equal(store.tables.admin_actions.length, 0);
+        });
+
+        it('SET_TIME 404s a patient removed while it was applied', async (t) => {
+            t.mock.method(store.patients, 'update', async () => null);
+            const res = await act({ action: 'SET_TIME', time: '8:30pm' });
+
+            assert.equal(res.statusCode, 404);
+            assert.equal(new Date(pendingJobs('DAILY_CHECKIN')[0].scheduled_for).getUTCHours(), 12);  // still 08:00 EDT
+            assert.equal(store.tables.admin_actions.length, 0);
+        });
+
+        it('SET_TIME isn\'t available to an unsubscribed patient', async () => {
+            await act({ action: 'UNSUBSCRIBE' });
+            const res = await act({ action: 'SET_TIME', time: '9am' });
+
+            assert.equal(res.statusCode, 409);
+            assert.equal(patient().preferred_time, '08:00');
+        });
+
+        it('RESCHEDULE moves only the next check-in', async () => {
+            const res = await act({
+                action: 'RESCHEDULE',
+                scheduledFor: '2026-03-17T15:30:00-04:00',
+                notify: true,
+            });
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.body.details.job_type, 'DAILY_CHECKIN');
+
+            const [checkin] = pendingJobs('DAILY_CHECKIN');
+            assert.equal(checkin.scheduled_for, '2026-03-17T19:30:00.000Z');
+            assert.equal(checkin.jitter_seconds, 0);
+            assert.equal(patient().preferred_time, '08:00');
+
+            assert.deepEqual(sentTemplates(), ['SYS-RESCHEDULED']);
+            assert.match(local.outbox[0].body, /Tuesday, March 17 at 3:30 PM/);
+
+            // Nothing at 8am; after it fires, the next one is back at 8am
+            setClock('2026-03-17T12:10:00Z');
+            assert.equal((await post(dispatch)).body.processed, 0);
+
+            setClock('2026-03-17T19:31:00Z');
+            assert.equal((await post(dispatch)).body.processed, 1);
+
+            const [next] = pendingJobs('DAILY_CHECKIN');
+            const firesAt = new Date(next.scheduled_for);
+            assert.ok(firesAt >= new Date('2026-03-18T12:00:00Z'), next.scheduled_for);  // 08:00 EDT
+            assert.ok(firesAt < new Date('2026-03-18T12:05:00Z'), next.scheduled_for);
+        });
+
+        it('RESCHEDULE moves the weekly check-in for a WEEKLY patient', async () => {
+            store.tables.patients[0].state = 'TRANSITION';
+            await text('1');
+            assert.equal(patient().state, 'WEEKLY');
+
+            const res = await act({ action: 'RESCHEDULE', scheduledFor: '2026-03-20T09:00:00-04:00' });
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.body.details.job_type, 'WEEKLY_CHECKIN');
+            assert.equal(pendingJobs('WEEKLY_CHECKIN')[0].scheduled_for, '2026-03-20T13:00:00.000Z');
+        });
+
+        it('UNSUBSCRIBE cancels every job and sends SYS-STOP', async () => {
+            const res = await act({ action: 'UNSUBSCRIBE', reason: 'Asked by phone to stop', notify: true });
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(patient().state, 'UNSUBSCRIBED');
+            assert.ok(patient().opted_out_at);
+            assert.deepEqual(pendingJobs(), []);
+            assert.deepEqual(sentTemplates(), ['SYS-STOP']);
+        });
+
+        it('UNSUBSCRIBE stops at a failed transition', async (t) => {
+            t.mock.method(store.transitions, 'apply', async () => { throw new Error('connection reset'); });
+            const reportLookup = t.mock.method(store.sprints, 'getLatestWithReport');
+            const res = await act({ action: 'UNSUBSCRIBE', notify: true });
+
+            assert.equal(res.statusCode, 500);
+            assert.equal(reportLookup.mock.callCount(), 0);
+            assert.equal(patient().state, 'DAILY_ACTIVE');
+            assert.deepEqual(sentTemplates(), []);
+        });
+    });
+
+    describe('notify and the send policy', () => {
+        beforeEach(enrollAndActivate);
+
+        it('skips the text in quiet hours but still acts', async () => {
+            setClock('2026-03-17T03:00:00Z');  // 23:00 in Philadelphia
+
+            const res = await act({ action: 'PAUSE', notify: true });
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(patient().state, 'PAUSED');
+            assert.equal(res.body.notified, false);
+            assert.equal(res.body.notifySkipped, 'QUIET_HOURS');
+            assert.deepEqual(local.outbox, []);
+            assert.equal(store.tables.admin_actions[0].notified, false);
+        });
+
+        it('always sends SYS-STOP', async () => {
+            setClock('2026-03-17T03:00:00Z');
+
+            const res = await act({ action: 'UNSUBSCRIBE', notify: true });
+
+            assert.equal(res.body.notified, true);
+            assert.deepEqual(sentTemplates(), ['SYS-STOP']);
+        });
+    });
+});
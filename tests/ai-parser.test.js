@@ -255,6 +255,40 @@ describe('regexFallback — embedded numbers', () => {
     });
 });
 
+// ============================================================================
+// Regex Fallback — Spanish
+// ============================================================================
+
+describe('regexFallback — Spanish', () => {
+    const cases = [
+        { phrase: 'sin dolor hoy', level: 1 },
+        { phrase: 'ni lo noté', level: 1 },
+        { phrase: 'un poco de molestia', level: 2 },
+        { phrase: 'me aguanté todo el día', level: 3 },
+        { phrase: 'tomé una pastilla', level: 3 },
+        { phrase: 'cancelé mis planes', level: 4 },
+        { phrase: 'falté al trabajo', level: 4 },
+        { phrase: 'todo el día en cama', level: 5 },
+        { phrase: 'no pude hacer nada', level: 5 },
+        { phrase: 'fue un 3', level: 3 },
+        { phrase: 'nivel 4', level: 4 },
+    ];
+
+    for (const { phrase, level } of cases) {
+        it(`"${phrase}" → Level ${level}`, () => {
+            const result = regexFallback(phrase);
+            assert.notEqual(result, null, `Expected match for "${phrase}"`);
+            assert.equal(result.level, level);
+        });
+    }
+
+    it('treats "bien" as ambiguous Level 2', () => {
+        const result = regexFallback('bien');
+        assert.equal(result.level, 2);
+        assert.ok(result.confidence < CONFIDENCE_ACCEPT);
+    });
+});
+
 // ============================================================================
 // Regex Fallback — Edge Cases
 // ============================================================================
@@ -0,0 +1,329 @@
+/**
+ * Delivery Status Callback Tests
+ *
+ * Covers:
+ *   1. Twilio MessageStatus → delivery_status, error codes and timestamps
+ *   2. Out-of-order callbacks: a late "sent" never overwrites "delivered",
+ *      and one terminal status never flips into another
+ *   3. POST /api/webhooks/twilio-status: the signature check, and
+ *      matching on the messageId in the callback URL
+ *   4. sendSMS: the row is logged before the send, so a callback that
+ *      arrives before Twilio has answered still lands on it
+ *
+ * Runs against the in-memory repositories with a mocked clock. Signatures
+ * are computed with the Twilio SDK against a test auth token; no network.
+ *
+ * Run: node --test tests/delivery-status.test.js
+ */
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const twilio = require('twilio');
+
+const { useRepositories } = require('../lib/repositories');
+const { createMemoryRepositories } = require('../lib/repositories/memory');
+const { sendSMS, updateDeliveryStatus } = require('../lib/twilio');
+const twilioTransport = require('../lib/transports/twilio');
+const twilioStatus = require('../api/webhooks/twilio-status');
+
+const SID = 'SM0123456789abcdef0123456789abcdef';
+const AUTH_TOKEN = 'test-auth-token';
+const CALLBACK_URL = 'https://example.test/api/webhooks/twilio-status';
+const NOW = '2026-03-16T14:00:00.000Z';
+const ENV_KEYS = ['SMS_TRANSPORT', 'TWILIO_AUTH_TOKEN', 'NODE_ENV', 'REPORT_BASE_URL'];
+
+let store;
+
+beforeEach(() => {
+    store = createMemoryRepositories();
+    useRepositories(store);
+    mock.timers.enable({ apis: ['Date'], now: new Date(NOW) });
+});
+
+afterEach(() => {
+    mock.timers.reset();
+    useRepositories(null);
+});
+
+const logOutbound = (delivery_status = 'SENT') => store.messages.insert({
+    patient_id: 'p1',
+    direction: 'OUTBOUND',
+    body: 'How was your head today?',
+    twilio_sid: SID,
+    delivery_status,
+    sent_at: NOW,
+});
+const message = () => store.tables.messages[0];
+
+describe('updateDeliveryStatus — status mapping', () => {
+    const cases = {
+        accepted: 'QUEUED',
+        queued: 'QUEUED',
+        sending: 'SENT',
+        sent: 'SENT',
+        delivered: 'DELIVERED',
+        read: 'DELIVERED',
+        undelivered: 'UNDELIVERED',
+        failed: 'FAILED',
+        canceled: 'FAILED',
+    };
+
+    for (const [twilioValue, expected] of Object.entries(cases)) {
+        it(`"${twilioValue}" → ${expected}`, async () => {
+            await logOutbound('QUEUED');
+            const result = await updateDeliveryStatus(SID, twilioValue);
+            assert.deepEqual(result, { updated: true, status: expected });
+            assert.equal(message().delivery_status, expected);
+            assert.equal(message().status_updated_at, NOW);
+        });
+    }
+
+    it('stamps delivered_at on delivery only', async () => {
+        await logOutbound();
+        await updateDeliveryStatus(SID, 'sent');
+        assert.equal(message().delivered_at ?? null, null);
+        await updateDeliveryStatus(SID, 'Delivered');
+        assert.equal(message().delivered_at, NOW);
+    });
+
+    it('records the error code with a readable reason', async () => {
+        await logOutbound();
+        await updateDeliveryStatus(SID, 'undelivered', 30006);
+        assert.equal(message().error_code, '30006');
+        assert.equal(message().failure_reason, 'Landline or unreachable carrier');
+    });
+
+    it("prefers Twilio's ErrorMessage, and falls back to the code", async () => {
+        await logOutbound();
+        await updateDeliveryStatus(SID, 'failed', '30004', 'Blocked by carrier');
+        assert.equal(message().failure_reason, 'Blocked by carrier');
+
+        store.tables.messages[0].delivery_status = 'SENT';
+        await updateDeliveryStatus(SID, 'failed', '12345');
+        assert.equal(message().failure_reason, 'Twilio error 12345');
+    });
+
+    it('ignores an unknown status', async () => {
+        await logOutbound();
+        assert.deepEqual(await updateDeliveryStatus(SID, 'teleported'), { updated: false, status: null });
+        assert.equal(message().delivery_status, 'SENT');
+    });
+
+    it('never touches an inbound message with the same SID', async () => {
+        await store.messages.insert({ patient_id: 'p1', direction: 'INBOUND', twilio_sid: SID, delivery_status: 'SENT' });
+        const result = await updateDeliveryStatus(SID, 'delivered');
+        assert.deepEqual(result, { updated: false, status: 'DELIVERED' });
+        assert.equal(message().delivery_status, 'SENT');
+    });
+});
+
+describe('updateDeliveryStatus — out-of-order callbacks', () => {
+    // [row status, callback, resulting status]
+    const cases = [
+        ['QUEUED', 'sent', 'SENT'],
+        ['SENT', 'queued', 'SENT'],
+        ['DELIVERED', 'sent', 'DELIVERED'],
+        ['DELIVERED', 'queued', 'DELIVERED'],
+        ['DELIVERED', 'delivered', 'DELIVERED'],
+        ['DELIVERED', 'failed', 'DELIVERED'],
+        ['FAILED', 'delivered', 'FAILED'],
+        ['FAILED', 'sent', 'FAILED'],
+        ['UNDELIVERED', 'failed', 'UNDELIVERED'],
+        ['FAILED', 'undelivered', 'FAILED'],
+        ['QUEUED', 'delivered', 'DELIVERED'],
+    ];
+
+    for (const [prior, callback, expected] of cases) {
+        it(`${prior} + "${callback}" → ${expected}`, async () => {
+            await logOutbound(prior);
+            await updateDeliveryStatus(SID, callback);
+            assert.equal(message().delivery_status, expected);
+        });
+    }
+
+    it('reports a late callback as not updated', async () => {
+        await logOutbound('DELIVERED');
+        assert.deepEqual(await updateDeliveryStatus(SID, 'sent'), { updated: false, status: 'SENT' });
+    });
+});
+
+describe('POST /api/webhooks/twilio-status', () => {
+    const savedEnv = {};
+
+    before(() => {
+        for (const key of ENV_KEYS) savedEnv[key] = process.env[key];
+        process.env.SMS_TRANSPORT = 'twilio';
+        process.env.TWILIO_AUTH_TOKEN = AUTH_TOKEN;
+        process.env.NODE_ENV = 'test';
+        process.env.REPORT_BASE_URL = 'https://example.test/api/reports';
+    });
+
+    after(() => {
+        for (const key of ENV_KEYS) {
+            if (savedEnv[key] === undefined) delete process.env[key];
+            else process.env[key] = savedEnv[key];
+        }
+    });
+
+    const sign = (url, body) => twilio.getExpectedTwilioSignature(AUTH_TOKEN, url, body);
+    const urlFor = messageId => (messageId ? `${CALLBACK_URL}?messageId=${messageId}` : CALLBACK_URL);
+
+    async function post(body, { messageId = null, signature = sign(urlFor(messageId), body) } = {}) {
+        const res = {
+            statusCode: 200,
+            body: null,
+            headers: {},
+            setHeader(name, value) { res.headers[name] = value; },
+            status(code) { res.statusCode = code; return res; },
+            json(payload) { res.body = payload; return res; },
+            send(payload) { res.body = payload; return res; },
+        };
+        const headers = signature ? { 'x-twilio-signature': signature } : {};
+        const query = messageId ? { messageId } : {};
+        await twilioStatus({ method: 'POST', headers, query, body }, res);
+        return res;
+    }
+
+    const callback = (MessageStatus, extra = {}) => ({ MessageSid: SID, MessageStatus, ...extra });
+
+    it('applies a signed callback and answers with empty TwiML', async () => {
+        await logOutbound();
+        const res = await post(callback('delivered'));
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.headers['Content-Type'], 'text/xml');
+        assert.equal(message().delivery_status, 'DELIVERED');
+    });
+
+    it('rejects a missing or forged signature', async () => {
+        await logOutbound();
+        assert.equal((await post(callback('delivered'), { signature: null })).statusCode, 403);
+
+        const forged = twilio.getExpectedTwilioSignature('not-our-token', CALLBACK_URL, callback('delivered'));
+        assert.equal((await post(callback('delivered'), { signature: forged })).statusCode, 403);
+
+        // Signed for different parameters
+        const signedForSent = twilio.getExpectedTwilioSignature(AUTH_TOKEN, CALLBACK_URL, callback('sent'));
+        assert.equal((await post(callback('failed'), { signature: signedForSent })).statusCode, 403);
+
+        assert.equal(message().delivery_status, 'SENT');
+    });
+
+    it('rejects a callback without MessageSid or MessageStatus', async () => {
+        assert.equal((await post({ MessageSid: SID })).statusCode, 400);
+        assert.equal((await post({ MessageStatus: 'delivered' })).statusCode, 400);
+    });
+
+    it('matches on the messageId in the URL and records the SID', async () => {
+        const row = await store.messages.insert({ patient_id: 'p1', direction: 'OUTBOUND', body: 'Hi', delivery_status: 'QUEUED' });
+        const res = await post(callback('delivered'), { messageId: row.message_id });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(message().delivery_status, 'DELIVERED');
+        assert.equal(message().twilio_sid, SID);
+    });
+
+    it('checks the signature against the URL with its messageId', async () => {
+        const row = await store.messages.insert({ patient_id: 'p1', direction: 'OUTBOUND', body: 'Hi', delivery_status: 'QUEUED' });
+        const signedWithoutQuery = sign(CALLBACK_URL, callback('delivered'));
+        const res = await post(callback('delivered'), { messageId: row.message_id, signature: signedWithoutQuery });
+
+        assert.equal(res.statusCode, 403);
+        assert.equal(message().delivery_status, 'QUEUED');
+    });
+
+    it('answers 200 to a callback for a message that was never logged', async () => {
+        const res = await post(callback('delivered'));
+        assert.equal(res.statusCode, 200);
+    });
+
+    it('answers 200 to an out-of-order callback', async () => {
+        await logOutbound('DELIVERED');
+        const res = await post(callback('sent'));
+        assert.equal(res.statusCode, 200);
+        assert.equal(message().delivery_status, 'DELIVERED');
+    });
+});
+
+describe('sendSMS and the status callback', () => {
+    const savedEnv = {};
+
+    before(() => {
+        for (const key of ENV_KEYS) savedEnv[key] = process.env[key];
+        process.env.SMS_TRANSPORT = 'twilio';
+        process.env.TWILIO_AUTH_TOKEN = AUTH_TOKEN;
+        process.env.NODE_ENV = 'test';
+        process.env.REPORT_BASE_URL = 'https://example.test/api/reports';
+    });
+
+    after(() => {
+        for (const key of ENV_KEYS) {
+            if (savedEnv[key] === undefined) delete process.env[key];
+            else process.env[key] = savedEnv[key];
+        }
+    });
+
+    // Twilio's callback, delivered to the handler at the URL sendSMS registered
+    async function deliverCallback(statusCallback, MessageStatus) {
+        const url = new URL(statusCallback);
+        const body = { MessageSid: SID, MessageStatus };
+        const res = {
+            statusCode: 200,
+            setHeader() {},
+            status(code) { res.statusCode = code; return res; },
+            json() { return res; },
+            send() { return res; },
+        };
+        await twilioStatus({
+            method: 'POST',
+            headers: { 'x-twilio-signature': twilio.getExpectedTwilioSignature(AUTH_TOKEN, statusCallback, body) },
+            query: Object.fromEntries(url.searchParams),
+            body,
+        }, res);
+        return res;
+    }
+
+    it('logs the message QUEUED, then SENT with the SID', async (t) => {
+        let registered;
+        t.mock.method(twilioTransport, 'send', async ({ statusCallback }) => {
+            registered = statusCallback;
+            assert.equal(message().delivery_status, 'QUEUED');
+            return { sid: SID };
+        });
+
+        assert.equal(await sendSMS('p1', '+12155551234', 'How was your head today?', 'D-1'), SID);
+        assert.equal(registered, `${CALLBACK_URL}?messageId=${message().message_id}`);
+        assert.equal(message().delivery_status, 'SENT');
+        assert.equal(message().twilio_sid, SID);
+        assert.equal(message().sent_at, NOW);
+    });
+
+    it('keeps a delivery callback that arrives before Twilio answers the send', async (t) => {
+        t.mock.method(twilioTransport, 'send', async ({ statusCallback }) => {
+            const res = await deliverCallback(statusCallback, 'delivered');
+            assert.equal(res.statusCode, 200);
+            return { sid: SID };
+        });
+
+        await sendSMS('p1', '+12155551234', 'How was your head today?', 'D-1');
+        assert.equal(message().delivery_status, 'DELIVERED');
+        assert.equal(message().delivered_at, NOW);
+        assert.equal(message().twilio_sid, SID);
+    });
+
+    it('marks the row FAILED when the send throws', async (t) => {
+        t.mock.method(twilioTransport, 'send', async () => { throw new Error('Twilio is down'); });
+
+        await assert.rejects(sendSMS('p1', '+12155551234', 'Hi', 'D-1'), /Twilio is down/);
+        assert.equal(message().delivery_status, 'FAILED');
+        assert.equal(message().failure_reason, 'Twilio is down');
+        assert.equal(await store.messages.countOutboundSince('p1', '2026-03-16T00:00:00Z'), 0);
+    });
+
+    it('still sends when the log fails', async (t) => {
+        t.mock.method(store.messages, 'insert', async () => { throw new Error('connection reset'); });
+        const send = t.mock.method(twilioTransport, 'send', async () => ({ sid: SID }));
+
+        assert.equal(await sendSMS('p1', '+12155551234', 'Hi', 'D-1'), SID);
+        assert.equal(send.mock.calls[0].arguments[0].statusCallback, CALLBACK_URL);
+    });
+});
@@ -0,0 +1,178 @@
+/**
+ * SMS Self-Enrollment Tests
+ *
+ * Covers:
+ *   1. Enrollment keywords (TRACK / SEGUIR) and first-name parsing
+ *   2. The unknown-number flow through processInboundMessage: keyword or
+ *      provider code → patient created → name → O-1 welcome → START
+ *   3. Which O-1 variant the welcome uses
+ *      (against the in-memory repositories; no network)
+ *
+ * Run: node --test tests/enrollment.test.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useRepositories } = require('../lib/repositories');
+const { createMemoryRepositories } = require('../lib/repositories/memory');
+const {
+    parseEnrollmentKeyword,
+    parseFirstName,
+    buildWelcome,
+} = require('../lib/services/enrollment');
+const { processInboundMessage } = require('../lib/handlers/inbound');
+
+const PHONE = '+15555550123';
+
+let store;
+
+beforeEach(() => {
+    store = createMemoryRepositories();
+    useRepositories(store);
+});
+
+afterEach(() => useRepositories(null));
+
+// The one patient row, as stored
+const savedPatient = () => store.tables.patients[0];
+
+describe('parseEnrollmentKeyword', () => {
+    it('recognizes English and Spanish keywords', () => {
+        assert.equal(parseEnrollmentKeyword('TRACK'), 'en');
+        assert.equal(parseEnrollmentKeyword('track!'), 'en');
+        assert.equal(parseEnrollmentKeyword('Join'), 'en');
+        assert.equal(parseEnrollmentKeyword('seguir'), 'es');
+        assert.equal(parseEnrollmentKeyword('ÚNIRME'), 'es');
+    });
+
+    it('ignores everything else', () => {
+        assert.equal(parseEnrollmentKeyword('track my headaches please'), null);
+        assert.equal(parseEnrollmentKeyword('hello'), null);
+        assert.equal(parseEnrollmentKeyword(''), null);
+        assert.equal(parseEnrollmentKeyword(null), null);
+    });
+});
+
+describe('parseFirstName', () => {
+    const cases = [
+        ['Ana', 'Ana'],
+        ['ana', 'Ana'],
+        ['JOSÉ', 'José'],
+        ['my name is sarah', 'Sarah'],
+        ["Hi, I'm Tom.", 'Tom'],
+        ['me llamo maría', 'María'],
+        ['Mary Ann', 'Mary Ann'],
+        ['mary-kate', 'Mary-Kate'],
+        ["o'brien", "O'Brien"],
+        ['McKenzie', 'McKenzie'],
+    ];
+
+    for (const [input, expected] of cases) {
+        it(`"${input}" → "${expected}"`, () => {
+            assert.equal(parseFirstName(input), expected);
+        });
+    }
+
+    for (const input of ['3', 'START', 'yes', 'help', 'my name is 42', 'I have a headache every single day', '']) {
+        it(`"${input}" → null`, () => {
+            assert.equal(parseFirstName(input), null);
+        });
+    }
+});
+
+describe('buildWelcome', () => {
+    it('uses O-1-SELF without a provider', async () => {
+        const result = await buildWelcome({ first_name: 'Ana', enrollment_source: 'SELF_SERVICE', language: 'en' });
+        assert.equal(result.templateId, 'O-1-SELF');
+    });
+
+    it('uses O-1-PCP with the provider name for QR code enrollments', async () => {
+        const provider = await store.providers.insert({ provider_name: 'Patel' });
+        const result = await buildWelcome({
+            first_name: 'Ana',
+            enrollment_source: 'QR_CODE',
+            pcp_provider_id: provider.provider_id,
+            language: 'en',
+        });
+        assert.equal(result.templateId, 'O-1-PCP');
+        assert.match(result.reply, /Hi Ana, .*Dr\. Patel's office/);
+    });
+});
+
+describe('self-enrollment by text', () => {
+    const replies = [];
+    const deliver = async (patient, result) => {
+        replies.push(...(Array.isArray(result) ? result : [result]));
+    };
+
+    beforeEach(() => {
+        replies.length = 0;
+    });
+
+    it('TRACK creates a SELF_SERVICE patient and asks for a name', async () => {
+        const result = await processInboundMessage(PHONE, 'TRACK', 'SM1', { logInbound: false, deliver });
+
+        assert.equal(result.route, 'self-enroll');
+        assert.equal(result.fallbackMessage, null);
+        assert.equal(savedPatient().state, 'ENROLLED');
+        assert.equal(savedPatient().enrollment_source, 'SELF_SERVICE');
+        assert.equal(savedPatient().pending_question, 'ENROLL_NAME');
+        assert.equal(savedPatient().phone_number, PHONE);
+        assert.equal(savedPatient().language, 'en');
+        assert.equal(store.tables.state_transitions[0].trigger_detail, 'Enrollment via SELF_SERVICE: "TRACK"');
+        assert.deepEqual(replies.map(r => r.templateId), ['ENROLL-NAME']);
+    });
+
+    it('SEGUIR enrolls in Spanish', async () => {
+        await processInboundMessage(PHONE, 'Seguir', 'SM1', { logInbound: false, deliver });
+        assert.equal(savedPatient().language, 'es');
+        assert.match(replies[0].reply, /cuál es su nombre/);
+    });
+
+    it('a provider code creates a QR_CODE patient under that provider', async () => {
+        const provider = await store.providers.insert({ provider_name: 'Patel', enrollment_code: 'PATEL22' });
+        await processInboundMessage(PHONE, 'patel22', 'SM1', { logInbound: false, deliver });
+
+        assert.equal(savedPatient().enrollment_source, 'QR_CODE');
+        assert.equal(savedPatient().pcp_provider_id, provider.provider_id);
+        assert.deepEqual(replies.map(r => r.templateId), ['ENROLL-NAME']);
+    });
+
+    it('other text from an unknown number still gets ERR-UNKNOWN-NUMBER', async () => {
+        const result = await processInboundMessage(PHONE, 'hello who is this', 'SM1', { logInbound: false, deliver });
+
+        assert.equal(result.route, 'unknown-number');
+        assert.match(result.fallbackMessage, /Reply TRACK/);
+        assert.equal(store.tables.patients.length, 0);
+    });
+
+    it('name → O-1 welcome → START → time selection, with consent recorded', async () => {
+        await processInboundMessage(PHONE, 'TRACK', 'SM1', { logInbound: false, deliver });
+
+        await processInboundMessage(PHONE, 'my name is ana', 'SM2', { logInbound: false, deliver });
+        assert.equal(savedPatient().first_name, 'Ana');
+        assert.equal(savedPatient().pending_question, null);
+        assert.equal(replies.at(-1).templateId, 'O-1-SELF');
+
+        // The name reminder gives way to the START one
+        assert.deepEqual(
+            store.tables.scheduled_jobs.map(j => [j.job_type, j.payload.step, j.status]),
+            [['ONBOARD_REMINDER', 'ENROLL_NAME', 'CANCELLED'], ['ONBOARD_REMINDER', 'ENROLLED', 'PENDING']]
+        );
+
+        await processInboundMessage(PHONE, 'START', 'SM3', { logInbound: false, deliver });
+        assert.equal(savedPatient().state, 'ONBOARDING');
+        assert.equal(savedPatient().pending_question, 'ONBOARD_TIME');
+        assert.ok(savedPatient().opted_in_at);
+        assert.equal(replies.at(-1).templateId, 'O-2');
+    });
+
+    it('asks again when the reply is not a name', async () => {
+        await processInboundMessage(PHONE, 'TRACK', 'SM1', { logInbound: false, deliver });
+        await processInboundMessage(PHONE, '4', 'SM2', { logInbound: false, deliver });
+
+        assert.equal(replies.at(-1).templateId, 'ERR-ENROLL-NAME');
+        assert.equal(savedPatient().pending_question, 'ENROLL_NAME');
+    });
+});
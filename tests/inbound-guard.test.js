@@ -0,0 +1,246 @@
+/**
+ * Inbound Guard Tests
+ *
+ * Covers auto-reply detection, the per-number rate limit, auto-reply
+ * loop detection, existing blocks, the STOP and HELP bypass, and the once-a-day
+ * unknown-number reply. webhook_log and inbound_senders are the in-memory
+ * repositories.
+ *
+ * Run: node --test tests/inbound-guard.test.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useRepositories } = require('../lib/repositories');
+const { createMemoryRepositories } = require('../lib/repositories/memory');
+
+const {
+    isAutoReply,
+    normalizeBody,
+    evaluateInboundSender,
+    checkInboundSender,
+    shouldReplyToUnknown,
+} = require('../lib/services/inbound-guard');
+
+const CONFIG = { rateLimit: 20, windowMinutes: 10, blockMinutes: 60, loopThreshold: 4 };
+const NOW = new Date('2026-03-16T18:00:00Z');
+const PHONE = '+15555550123';
+
+function evaluate(overrides) {
+    return evaluateInboundSender({
+        text: '3',
+        recentCount: 1,
+        identicalCount: 1,
+        blockedUntil: null,
+        now: NOW,
+        config: CONFIG,
+        ...overrides,
+    });
+}
+
+describe('isAutoReply', () => {
+    const autoReplies = [
+        "I'm out of the office until Monday and will reply when I return.",
+        'Out of office',
+        'This is an automatic reply.',
+        'AUTO-REPLY: thanks for your message',
+        "I'm driving with Do Not Disturb While Driving turned on. I'll see your message when I get where I'm going.",
+        'This number is not monitored. Do not reply.',
+        'Respuesta automática: estoy fuera de la oficina',
+    ];
+
+    for (const text of autoReplies) {
+        it(`"${text}" → true`, () => {
+            assert.equal(isAutoReply(text), true);
+        });
+    }
+
+    const checkIns = ['3', "I'm driving, head's a 3", 'out of meds, pain is bad', 'yesterday was a 4', ''];
+
+    for (const text of checkIns) {
+        it(`"${text}" → false`, () => {
+            assert.equal(isAutoReply(text), false);
+        });
+    }
+});
+
+describe('evaluateInboundSender', () => {
+    it('allows normal traffic', () => {
+        assert.deepEqual(evaluate({}), { allowed: true, reason: null, blockUntil: null });
+    });
+
+    it('allows traffic at the rate limit and blocks above it', () => {
+        assert.equal(evaluate({ recentCount: 20 }).allowed, true);
+
+        const result = evaluate({ recentCount: 21 });
+        assert.equal(result.allowed, false);
+        assert.equal(result.reason, 'RATE_LIMIT');
+        assert.equal(result.blockUntil.toISOString(), '2026-03-16T19:00:00.000Z');
+    });
+
+    it('blocks repeated identical messages as a loop', () => {
+        assert.equal(evaluate({ recentCount: 3, identicalCount: 3 }).allowed, true);
+
+        const result = evaluate({ recentCount: 4, identicalCount: 4 });
+        assert.equal(result.allowed, false);
+        assert.equal(result.reason, 'AUTO_REPLY_LOOP');
+        assert.ok(result.blockUntil);
+    });
+
+    it('drops auto-replies without blocking the number', () => {
+        const result = evaluate({ text: 'Automatic reply: out of office' });
+        assert.deepEqual(result, { allowed: false, reason: 'AUTO_REPLY', blockUntil: null });
+    });
+
+    it('keeps an existing block without extending it', () => {
+        const result = evaluate({
+            blockedUntil: '2026-03-16T18:30:00Z',
+            blockReason: 'AUTO_REPLY_LOOP',
+        });
+        assert.deepEqual(result, { allowed: false, reason: 'AUTO_REPLY_LOOP', blockUntil: null });
+    });
+
+    it('ignores an expired block', () => {
+        assert.equal(evaluate({ blockedUntil: '2026-03-16T17:59:00Z' }).allowed, true);
+    });
+
+    it('always lets STOP through', () => {
+        const blocked = { blockedUntil: '2026-03-16T18:30:00Z', recentCount: 50, identicalCount: 50 };
+        assert.equal(evaluate({ ...blocked, text: 'STOP' }).allowed, true);
+        assert.equal(evaluate({ ...blocked, text: 'stop texting me' }).allowed, true);
+    });
+
+    it('always lets HELP through', () => {
+        const blocked = { blockedUntil: '2026-03-16T18:30:00Z', recentCount: 50, identicalCount: 50 };
+        assert.equal(evaluate({ ...blocked, text: 'HELP' }).allowed, true);
+        assert.equal(evaluate({ ...blocked, text: 'ayuda por favor' }).allowed, true);
+        assert.equal(evaluate({ ...blocked, text: 'I need help with my meds' }).allowed, false);
+    });
+});
+
+describe('normalizeBody', () => {
+    it('trims and folds whitespace runs to one space', () => {
+        assert.equal(normalizeBody('  I am   driving\n\nright now '), 'I am driving right now');
+        assert.equal(normalizeBody(''), '');
+        assert.equal(normalizeBody(undefined), '');
+    });
+});
+
+describe('checkInboundSender', () => {
+    let store;
+
+    beforeEach(() => {
+        store = createMemoryRepositories();
+        useRepositories(store);
+    });
+
+    afterEach(() => useRepositories(null));
+
+    // Texts from PHONE logged in the last few minutes, as logWebhook writes them
+    function logTexts(bodies) {
+        bodies.forEach((body, i) => store.tables.webhook_log.push({
+            log_id: `log-${store.tables.webhook_log.length}`,
+            source: 'twilio',
+            from_number: PHONE,
+            body: { Body: body },
+            created_at: new Date(NOW.getTime() - (i + 1) * 1000).toISOString(),
+        }));
+    }
+
+    const blockNumber = reason => store.tables.inbound_senders.push({
+        from_number: PHONE, blocked_until: '2026-03-16T18:30:00Z', block_reason: reason,
+    });
+
+    it('allows a first message without writing anything', async () => {
+        logTexts(['3']);
+        const result = await checkInboundSender(PHONE, '3', { now: NOW });
+        assert.deepEqual(result, { allowed: true, reason: null });
+        assert.equal(store.tables.inbound_senders.length, 0);
+    });
+
+    it('records a block when the number trips the limit', async () => {
+        logTexts(Array.from({ length: 25 }, (_, i) => `message ${i}`));
+        const result = await checkInboundSender(PHONE, 'message 0', { now: NOW });
+        assert.deepEqual(result, { allowed: false, reason: 'RATE_LIMIT' });
+
+        const [sender] = store.tables.inbound_senders;
+        assert.equal(sender.from_number, PHONE);
+        assert.equal(sender.blocked_until, '2026-03-16T19:00:00.000Z');
+        assert.equal(sender.block_reason, 'RATE_LIMIT');
+    });
+
+    it('blocks a number sending the same text over and over', async () => {
+        logTexts(['Thanks!', 'Thanks!', 'Thanks!', 'Thanks!']);
+        const result = await checkInboundSender(PHONE, 'Thanks!', { now: NOW });
+        assert.deepEqual(result, { allowed: false, reason: 'AUTO_REPLY_LOOP' });
+    });
+
+    it('counts a text as identical whatever whitespace Twilio left around it', async () => {
+        logTexts([' Thanks!', 'Thanks! ', 'Thanks!\n', 'Thanks!  ']);
+        const result = await checkInboundSender(PHONE, 'Thanks!', { now: NOW });
+        assert.deepEqual(result, { allowed: false, reason: 'AUTO_REPLY_LOOP' });
+    });
+
+    it('only counts texts inside the window', async () => {
+        logTexts(['Thanks!', 'Thanks!', 'Thanks!']);
+        store.tables.webhook_log[0].created_at = '2026-03-16T17:00:00.000Z';
+        logTexts(['Thanks!']);
+        const result = await checkInboundSender(PHONE, 'Thanks!', { now: NOW });
+        assert.equal(result.allowed, true);
+    });
+
+    it('suppresses messages from a blocked number', async () => {
+        blockNumber('RATE_LIMIT');
+        logTexts(['3']);
+        const result = await checkInboundSender(PHONE, '3', { now: NOW });
+        assert.deepEqual(result, { allowed: false, reason: 'RATE_LIMIT' });
+        assert.equal(store.tables.inbound_senders[0].blocked_until, '2026-03-16T18:30:00Z');
+    });
+
+    it('lets STOP through from a blocked number', async () => {
+        blockNumber('RATE_LIMIT');
+        logTexts(Array(100).fill('STOP'));
+        const result = await checkInboundSender(PHONE, 'STOP', { now: NOW });
+        assert.equal(result.allowed, true);
+    });
+
+    it('lets HELP through from a blocked number', async () => {
+        blockNumber('AUTO_REPLY_LOOP');
+        logTexts(Array(100).fill('HELP'));
+        const result = await checkInboundSender(PHONE, 'HELP', { now: NOW });
+        assert.equal(result.allowed, true);
+        assert.equal(store.tables.inbound_senders[0].block_reason, 'AUTO_REPLY_LOOP');
+    });
+});
+
+describe('shouldReplyToUnknown', () => {
+    let store;
+
+    beforeEach(() => {
+        store = createMemoryRepositories();
+        useRepositories(store);
+    });
+
+    afterEach(() => useRepositories(null));
+
+    const lastReplied = at => store.tables.inbound_senders.push({ from_number: PHONE, last_unknown_reply_at: at });
+
+    it('replies the first time and records it', async () => {
+        assert.equal(await shouldReplyToUnknown(PHONE, { now: NOW }), true);
+        assert.equal(store.tables.inbound_senders[0].last_unknown_reply_at, NOW.toISOString());
+    });
+
+    it('stays quiet within 24 hours of the last reply', async () => {
+        lastReplied('2026-03-16T06:00:00Z');
+        assert.equal(await shouldReplyToUnknown(PHONE, { now: NOW }), false);
+        assert.equal(store.tables.inbound_senders[0].last_unknown_reply_at, '2026-03-16T06:00:00Z');
+    });
+
+    it('replies again after 24 hours', async () => {
+        lastReplied('2026-03-15T17:00:00Z');
+        assert.equal(await shouldReplyToUnknown(PHONE, { now: NOW }), true);
+        assert.equal(store.tables.inbound_senders.length, 1);
+        assert.equal(store.tables.inbound_senders[0].last_unknown_reply_at, NOW.toISOString());
+    });
+});
@@ -0,0 +1,193 @@
+/**
+ * Carrier Keyword Tests (CTIA / 10DLC)
+ *
+ * Covers:
+ *   1. Every required opt-out, opt-in and HELP keyword, with the
+ *      punctuation/case/emoji/trailing-word variants patients actually send
+ *   2. Check-in text that must NOT be read as a keyword
+ *   3. Routing through handleGlobalCommands from every patient state
+ *      (against the in-memory repositories; no network)
+ *
+ * Run: node --test tests/keywords.test.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useRepositories } = require('../lib/repositories');
+const { createMemoryRepositories } = require('../lib/repositories/memory');
+const { classifyKeyword, normalizeKeywordText } = require('../lib/utils/keywords');
+const { handleGlobalCommands } = require('../lib/handlers/global-commands');
+
+const ALL_STATES = [
+    'ENROLLED', 'ONBOARDING', 'DAILY_ACTIVE', 'PAUSED', 'TRANSITION',
+    'WEEKLY', 'TREATMENT', 'DORMANT', 'UNSUBSCRIBED',
+];
+
+// ============================================================================
+// Classification
+// ============================================================================
+
+describe('classifyKeyword — opt-out', () => {
+    const inputs = [
+        'STOP', 'stop', 'Stop.', 'STOP!!', 'stop 🛑', ' STOP ',
+        'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'REVOKE', 'OPTOUT', 'opt out', 'opt-out',
+        'stop texting me', 'Please stop', 'STOP ALL', 'stop it', 'stop sending me messages',
+        'unsubscribe me please', 'PARAR', 'Parár', 'cancelar por favor',
+    ];
+
+    for (const input of inputs) {
+        it(`"${input}" → OPT_OUT`, () => {
+            assert.equal(classifyKeyword(input), 'OPT_OUT');
+        });
+    }
+});
+
+describe('classifyKeyword — opt-in', () => {
+    for (const input of ['START', 'start', 'Start!', 'UNSTOP', 'YES', 'yes.', 'EMPEZAR', 'comenzar']) {
+        it(`"${input}" → OPT_IN`, () => {
+            assert.equal(classifyKeyword(input), 'OPT_IN');
+        });
+    }
+
+    it('requires opt-in keywords to stand alone', () => {
+        assert.equal(classifyKeyword('yes I took my meds'), null);
+        assert.equal(classifyKeyword('start me up'), null);
+    });
+});
+
+describe('classifyKeyword — help', () => {
+    for (const input of ['HELP', 'help', 'Help?', 'HELP!', 'help me', 'INFO', 'info please', 'AYUDA', 'ayuda por favor']) {
+        it(`"${input}" → HELP`, () => {
+            assert.equal(classifyKeyword(input), 'HELP');
+        });
+    }
+});
+
+describe('classifyKeyword — not keywords', () => {
+    const inputs = [
+        '3',
+        'had to cancel my plans',
+        'cancelled dinner',
+        'I need help with my meds',
+        'stopped at the store, head was a 2',
+        'the end of a rough day',
+        'starting to feel better',
+        'info on my report?? I never got it',
+        'alto', 'Baja', 'muy alto',
+        '',
+    ];
+
+    for (const input of inputs) {
+        it(`"${input}" → null`, () => {
+            assert.equal(classifyKeyword(input), null);
+        });
+    }
+
+    it('returns null for non-strings', () => {
+        assert.equal(classifyKeyword(null), null);
+        assert.equal(classifyKeyword(undefined), null);
+    });
+});
+
+describe('classifyKeyword — configuration', () => {
+    const original = process.env.SMS_OPT_OUT_KEYWORDS;
+    afterEach(() => {
+        if (original === undefined) delete process.env.SMS_OPT_OUT_KEYWORDS;
+        else process.env.SMS_OPT_OUT_KEYWORDS = original;
+    });
+
+    it('adds keywords from SMS_OPT_OUT_KEYWORDS', () => {
+        assert.equal(classifyKeyword('leave me alone'), null);
+        process.env.SMS_OPT_OUT_KEYWORDS = 'leave me alone, no more';
+        assert.equal(classifyKeyword('Leave me alone!'), 'OPT_OUT');
+        assert.equal(classifyKeyword('no more'), 'OPT_OUT');
+    });
+
+    it('accepts explicit lists', () => {
+        const keywords = { OPT_OUT: ['HALT'], OPT_IN: [], HELP: [] };
+        assert.equal(classifyKeyword('halt', keywords), 'OPT_OUT');
+        assert.equal(classifyKeyword('stop', keywords), null);
+    });
+});
+
+describe('normalizeKeywordText', () => {
+    it('strips punctuation, emoji and accents', () => {
+        assert.equal(normalizeKeywordText('  Stop texting   me!! 🙏 '), 'STOP TEXTING ME');
+        assert.equal(normalizeKeywordText('¡AYÚDA!'), 'AYUDA');
+    });
+});
+
+// ============================================================================
+// Routing from every state
+// ============================================================================
+
+describe('handleGlobalCommands — keywords from every state', () => {
+    let store;
+
+    beforeEach(() => {
+        store = createMemoryRepositories();
+        useRepositories(store);
+    });
+
+    afterEach(() => useRepositories(null));
+
+    const addPatient = (state, extra = {}) =>
+        store.patients.insert({ phone_number: '+15555550123', state, ...extra });
+    const savedPatient = () => store.tables.patients[0];
+    const transitions = () => store.tables.state_transitions;
+
+    for (const state of ALL_STATES) {
+        it(`STOP from ${state} unsubscribes`, async () => {
+            const patient = await addPatient(state);
+            const result = await handleGlobalCommands(patient, 'Stop texting me.');
+            assert.equal(result.templateId, 'SYS-STOP');
+            if (state !== 'UNSUBSCRIBED') {
+                assert.equal(savedPatient().state, 'UNSUBSCRIBED');
+                assert.equal(transitions().at(-1).to_state, 'UNSUBSCRIBED');
+            }
+        });
+
+        it(`HELP from ${state} answers with SYS-HELP`, async () => {
+            const patient = await addPatient(state);
+            const result = await handleGlobalCommands(patient, 'help!');
+            assert.equal(result.templateId, 'SYS-HELP');
+            assert.equal(savedPatient().state, state);
+        });
+    }
+
+    it('START from UNSUBSCRIBED re-subscribes', async () => {
+        const patient = await addPatient('UNSUBSCRIBED', { preferred_time: '08:00' });
+        const result = await handleGlobalCommands(patient, 'START');
+        assert.equal(result.templateId, 'SYS-RESUBSCRIBED');
+        assert.equal(savedPatient().state, 'DORMANT');
+        assert.ok(savedPatient().opted_in_at);
+    });
+
+    it('other text from UNSUBSCRIBED gets SYS-UNSUBSCRIBED and no state change', async () => {
+        const patient = await addPatient('UNSUBSCRIBED');
+        const result = await handleGlobalCommands(patient, 'my head was a 3');
+        assert.equal(result.templateId, 'SYS-UNSUBSCRIBED');
+        assert.equal(transitions().length, 0);
+    });
+
+    it('START outside UNSUBSCRIBED is left to the state handler', async () => {
+        const patient = await addPatient('ENROLLED');
+        assert.equal(await handleGlobalCommands(patient, 'START'), null);
+    });
+
+    it('check-in text is not treated as a keyword', async () => {
+        const patient = await addPatient('DAILY_ACTIVE');
+        assert.equal(await handleGlobalCommands(patient, 'had to cancel my plans'), null);
+        assert.equal(transitions().length, 0);
+    });
+
+    it('a Spanish check-in answer of "alto" or "baja" is not an opt-out', async () => {
+        const patient = await addPatient('DAILY_ACTIVE', { language: 'es' });
+        for (const answer of ['Alto', 'baja', 'ALTO!']) {
+            assert.equal(await handleGlobalCommands(patient, answer), null, answer);
+        }
+        assert.equal(savedPatient().state, 'DAILY_ACTIVE');
+        assert.equal(transitions().length, 0);
+    });
+});
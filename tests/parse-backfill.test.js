@@ -0,0 +1,233 @@
+/**
+ * Backfill Parser Tests
+ *
+ * Covers day references (yesterday, weekday names, "N days ago", m/d),
+ * both word orders, multi-day batches, and makes sure ordinary check-ins
+ * and free text are NOT treated as backfills.
+ *
+ * Run: node --test tests/parse-backfill.test.js
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseBackfill, parseBatch, getLookbackDays } = require('../lib/utils/parse-backfill');
+const { localDateString, addDays, daysBetween, streakLength } = require('../lib/utils/dates');
+
+// Monday
+const TODAY = '2026-03-16';
+
+describe('parseBackfill — day references', () => {
+    const cases = [
+        { input: 'yesterday was a 4', entryDate: '2026-03-15', level: 4 },
+        { input: 'Yesterday 4', entryDate: '2026-03-15', level: 4 },
+        { input: 'yday: 3', entryDate: '2026-03-15', level: 3 },
+        { input: 'Sunday 5', entryDate: '2026-03-15', level: 5 },
+        { input: 'sat was a 2', entryDate: '2026-03-14', level: 2 },
+        { input: 'on thursday it was a 3', entryDate: '2026-03-12', level: 3 },
+        { input: 'Tues level 1', entryDate: '2026-03-10', level: 1 },
+        { input: '2 days ago was a 3', entryDate: '2026-03-14', level: 3 },
+        { input: '3/13 was a 2', entryDate: '2026-03-13', level: 2 },
+    ];
+
+    for (const { input, entryDate, level } of cases) {
+        it(`"${input}" → ${entryDate} level ${level}`, () => {
+            const result = parseBackfill(input, TODAY);
+            assert.equal(result.entryDate, entryDate);
+            assert.equal(result.level, level);
+        });
+    }
+
+    it('reports how many days back the entry is', () => {
+        assert.equal(parseBackfill('sat 2', TODAY).daysAgo, 2);
+    });
+
+    it("today's weekday name means today", () => {
+        const result = parseBackfill('monday 3', TODAY);
+        assert.equal(result.entryDate, TODAY);
+        assert.equal(result.daysAgo, 0);
+    });
+
+    it('m/d in the future resolves to last year', () => {
+        assert.equal(parseBackfill('12/25 was a 3', TODAY).entryDate, '2025-12-25');
+    });
+});
+
+describe('parseBackfill — phrasing', () => {
+    it('accepts level-first order', () => {
+        assert.equal(parseBackfill('4 yesterday', TODAY).entryDate, '2026-03-15');
+        assert.equal(parseBackfill('a 2 on sunday', TODAY).level, 2);
+        assert.equal(parseBackfill('3 for saturday', TODAY).entryDate, '2026-03-14');
+    });
+
+    it('skips leading filler words', () => {
+        assert.equal(parseBackfill('actually yesterday was a 4', TODAY).level, 4);
+        assert.equal(parseBackfill('oops forgot - sunday 3', TODAY).level, 3);
+    });
+});
+
+describe('parseBackfill — Spanish', () => {
+    const cases = [
+        { input: 'ayer fue un 4', entryDate: '2026-03-15', level: 4 },
+        { input: 'el domingo 5', entryDate: '2026-03-15', level: 5 },
+        { input: 'sábado fue un 2', entryDate: '2026-03-14', level: 2 },
+        { input: 'hace 2 días 3', entryDate: '2026-03-14', level: 3 },
+        { input: 'anteayer 2', entryDate: '2026-03-14', level: 2 },
+        { input: 'un 2 el domingo', entryDate: '2026-03-15', level: 2 },
+        { input: 'perdón, ayer fue un 3', entryDate: '2026-03-15', level: 3 },
+    ];
+
+    for (const { input, entryDate, level } of cases) {
+        it(`"${input}" → ${entryDate} level ${level}`, () => {
+            const result = parseBackfill(input, TODAY);
+            assert.equal(result.entryDate, entryDate);
+            assert.equal(result.level, level);
+        });
+    }
+
+    it('parses a Spanish batch with "y"', () => {
+        const result = parseBatch('jue 3, vie 2 y sáb 4', TODAY);
+        assert.deepEqual(result.entries.map(e => `${e.entryDate}:${e.level}`),
+            ['2026-03-12:3', '2026-03-13:2', '2026-03-14:4']);
+    });
+});
+
+describe('parseBackfill — not a backfill', () => {
+    const inputs = [
+        '3',
+        'level 4',
+        'yesterday was rough',
+        'sunday 7',
+        'better than yesterday, a 2',
+        'mon 3 tue 2',
+        '13/40 was a 2',
+        '',
+    ];
+
+    for (const input of inputs) {
+        it(`"${input}" → null`, () => {
+            assert.equal(parseBackfill(input, TODAY), null);
+        });
+    }
+
+    it('returns null without a reference date', () => {
+        assert.equal(parseBackfill('yesterday 4', null), null);
+    });
+});
+
+describe('parseBatch — dated', () => {
+    const summarize = (result) => result.entries.map(e => `${e.entryDate}:${e.level}`);
+
+    it('parses a list of weekday/level pairs, oldest first', () => {
+        const result = parseBatch('thu 3 fri 2 sat 4', TODAY);
+        assert.equal(result.dated, true);
+        assert.deepEqual(summarize(result), ['2026-03-12:3', '2026-03-13:2', '2026-03-14:4']);
+    });
+
+    it('accepts commas, "and", and "was a"', () => {
+        const result = parseBatch('fri was a 2, sat 3 and yesterday 4', TODAY);
+        assert.deepEqual(summarize(result), ['2026-03-13:2', '2026-03-14:3', '2026-03-15:4']);
+    });
+
+    it("reads today's weekday as last week when the list is in order", () => {
+        // TODAY is a Monday
+        assert.deepEqual(summarize(parseBatch('mon 3 tue 2 wed 4', TODAY)),
+            ['2026-03-09:3', '2026-03-10:2', '2026-03-11:4']);
+        assert.deepEqual(summarize(parseBatch('wed 4 tue 2 mon 3', TODAY)),
+            ['2026-03-09:3', '2026-03-10:2', '2026-03-11:4']);
+    });
+
+    it("keeps today's weekday as today when the list already ends today", () => {
+        assert.deepEqual(summarize(parseBatch('sat 2 sun 3 mon 4', TODAY)),
+            ['2026-03-14:2', '2026-03-15:3', '2026-03-16:4']);
+    });
+
+    it('includes how many days back each entry is', () => {
+        assert.deepEqual(parseBatch('sat 2 sun 3', TODAY).entries.map(e => e.daysAgo), [2, 1]);
+    });
+});
+
+describe('parseBatch — undated', () => {
+    it('maps "3,2,4" to consecutive days ending today', () => {
+        const result = parseBatch('3,2,4', TODAY);
+        assert.equal(result.dated, false);
+        assert.deepEqual(result.entries.map(e => e.entryDate), ['2026-03-14', '2026-03-15', '2026-03-16']);
+        assert.deepEqual(result.entries.map(e => e.level), [3, 2, 4]);
+    });
+
+    it('accepts spaces as separators', () => {
+        assert.deepEqual(parseBatch('3 2', TODAY).entries.map(e => e.level), [3, 2]);
+    });
+
+    it('can end on an earlier day', () => {
+        const result = parseBatch('3, 2, 4', TODAY, { endDate: '2026-03-15' });
+        assert.deepEqual(result.entries.map(e => e.entryDate), ['2026-03-13', '2026-03-14', '2026-03-15']);
+    });
+});
+
+describe('parseBatch — not a batch', () => {
+    const inputs = [
+        '3',
+        'mon 3',
+        'yesterday was a 4',
+        '2-3',
+        '3 or 4',
+        'sat 2 sat 3',
+        'mon 3 tue 2 wed',
+        'mon 3 tue 2 then rested',
+        '3,7,2',
+    ];
+
+    for (const input of inputs) {
+        it(`"${input}" → null`, () => {
+            assert.equal(parseBatch(input, TODAY), null);
+        });
+    }
+});
+
+describe('getLookbackDays', () => {
+    const original = process.env.BACKFILL_LOOKBACK_DAYS;
+    afterEach(() => {
+        if (original === undefined) delete process.env.BACKFILL_LOOKBACK_DAYS;
+        else process.env.BACKFILL_LOOKBACK_DAYS = original;
+    });
+
+    it('defaults to 7 days', () => {
+        delete process.env.BACKFILL_LOOKBACK_DAYS;
+        assert.equal(getLookbackDays(), 7);
+    });
+
+    it('reads BACKFILL_LOOKBACK_DAYS', () => {
+        process.env.BACKFILL_LOOKBACK_DAYS = '3';
+        assert.equal(getLookbackDays(), 3);
+    });
+
+    it('ignores invalid values', () => {
+        process.env.BACKFILL_LOOKBACK_DAYS = 'soon';
+        assert.equal(getLookbackDays(), 7);
+    });
+});
+
+describe('date helpers', () => {
+    it('uses the local calendar date, not UTC', () => {
+        // 03:00 UTC on the 16th is still the 15th in California
+        const instant = new Date('2026-03-16T03:00:00Z');
+        assert.equal(localDateString('America/Los_Angeles', instant), '2026-03-15');
+        assert.equal(localDateString('America/New_York', instant), '2026-03-15');
+        assert.equal(localDateString('Europe/London', instant), '2026-03-16');
+    });
+
+    it('does day math across DST and month boundaries', () => {
+        assert.equal(addDays('2026-03-08', 1), '2026-03-09');
+        assert.equal(addDays('2026-03-01', -1), '2026-02-28');
+        assert.equal(daysBetween('2026-03-01', '2026-03-16'), 15);
+    });
+
+    it('counts a streak ending today, or yesterday if today is not logged yet', () => {
+        assert.equal(streakLength(['2026-03-14', '2026-03-15', '2026-03-16'], TODAY), 3);
+        assert.equal(streakLength(['2026-03-14', '2026-03-15'], TODAY), 2);
+        assert.equal(streakLength(['2026-03-12', '2026-03-14', '2026-03-15'], TODAY), 2);
+        assert.equal(streakLength(['2026-03-13'], TODAY), 0);
+        assert.equal(streakLength([], TODAY), 0);
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * Correction Parser Tests
+ * 
+ * Covers CHANGE / UNDO / "oops meant" / "actually" phrasing, and
+ * makes sure ordinary check-ins are NOT treated as corrections.
+ * 
+ * Run: node --test tests/parse-correction.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCorrection } = require('../lib/utils/parse-correction');
+
+describe('parseCorrection — explicit commands', () => {
+    const cases = [
+        { input: 'CHANGE 4', level: 4 },
+        { input: 'change to 2', level: 2 },
+        { input: 'Change it to level 3', level: 3 },
+        { input: 'fix 5', level: 5 },
+        { input: 'correction: 1', level: 1 },
+    ];
+
+    for (const { input, level } of cases) {
+        it(`"${input}" → CHANGE ${level}`, () => {
+            assert.deepEqual(parseCorrection(input), { type: 'CHANGE', level, explicit: true });
+        });
+    }
+
+    it('bare "change" asks for a level', () => {
+        assert.deepEqual(parseCorrection('change'), { type: 'CHANGE', level: null, explicit: true });
+    });
+
+    it('parses UNDO in any case', () => {
+        assert.deepEqual(parseCorrection('undo'), { type: 'UNDO', explicit: true });
+        assert.deepEqual(parseCorrection('UNDO.'), { type: 'UNDO', explicit: true });
+    });
+});
+
+describe('parseCorrection — implicit phrasing', () => {
+    const cases = [
+        { input: 'oops meant 2', level: 2 },
+        { input: 'Oops, I meant a 4', level: 4 },
+        { input: 'sorry meant to say 3', level: 3 },
+        { input: 'actually more like a 4', level: 4 },
+        { input: 'actually it was a 2', level: 2 },
+    ];
+
+    for (const { input, level } of cases) {
+        it(`"${input}" → CHANGE ${level} (implicit)`, () => {
+            assert.deepEqual(parseCorrection(input), { type: 'CHANGE', level, explicit: false });
+        });
+    }
+});
+
+describe('parseCorrection — Spanish', () => {
+    it('parses CAMBIAR / CORREGIR', () => {
+        assert.deepEqual(parseCorrection('CAMBIAR 4'), { type: 'CHANGE', level: 4, explicit: true });
+        assert.deepEqual(parseCorrection('cambiar a 2'), { type: 'CHANGE', level: 2, explicit: true });
+        assert.deepEqual(parseCorrection('corregir a un 3'), { type: 'CHANGE', level: 3, explicit: true });
+        assert.deepEqual(parseCorrection('cambiar'), { type: 'CHANGE', level: null, explicit: true });
+    });
+
+    it('parses DESHACER', () => {
+        assert.deepEqual(parseCorrection('deshacer'), { type: 'UNDO', explicit: true });
+    });
+
+    it('parses "quise decir" with or without accents', () => {
+        assert.deepEqual(parseCorrection('perdón, quise decir 3'), { type: 'CHANGE', level: 3, explicit: false });
+        assert.deepEqual(parseCorrection('me equivoque, era un 4'), { type: 'CHANGE', level: 4, explicit: false });
+    });
+
+    it('does not treat a plain "era un 3" as a correction', () => {
+        assert.equal(parseCorrection('era un 3'), null);
+    });
+});
+
+describe('parseCorrection — not corrections', () => {
+    const inputs = [
+        '3',
+        'actually a good day',
+        'had to change plans',
+        'actually I took 2 advil',
+        'meant 6',
+        'oops',
+        '',
+    ];
+
+    for (const input of inputs) {
+        it(`"${input}" → null`, () => {
+            assert.equal(parseCorrection(input), null);
+        });
+    }
+
+    it('returns null for non-strings', () => {
+        assert.equal(parseCorrection(null), null);
+        assert.equal(parseCorrection(4), null);
+    });
+});
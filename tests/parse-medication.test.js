@@ -0,0 +1,89 @@
+/**
+ * Medication Matching Tests
+ *
+ * Covers matching a patient's text to reference_medications by medication
+ * name, generic name, brand names, a unique first word, or one misspelled
+ * word — and leaving unknown names unmatched.
+ *
+ * Run: node --test tests/parse-medication.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { matchMedication } = require('../lib/utils/parse-medication');
+
+// A slice of migration 002
+const REFERENCES = [
+    { medication_name: 'Topiramate', generic_name: 'topiramate', brand_names: null, medication_type: 'RX_PREVENTIVE', drug_class: 'Anticonvulsant' },
+    { medication_name: 'Valproate/Divalproex', generic_name: 'divalproex sodium', brand_names: null, medication_type: 'RX_PREVENTIVE', drug_class: 'Anticonvulsant' },
+    { medication_name: 'Propranolol', generic_name: 'propranolol', brand_names: null, medication_type: 'RX_PREVENTIVE', drug_class: 'Beta-blocker' },
+    { medication_name: 'Aimovig', generic_name: 'erenumab', brand_names: null, medication_type: 'RX_PREVENTIVE', drug_class: 'CGRP mAb' },
+    { medication_name: 'Nurtec ODT', generic_name: 'rimegepant', brand_names: null, medication_type: 'RX_PREVENTIVE', drug_class: 'Gepant' },
+    { medication_name: 'Excedrin Extra Strength', generic_name: 'acetaminophen/aspirin/caffeine', brand_names: 'Excedrin Migraine', medication_type: 'OTC', drug_class: 'Combination Analgesic' },
+    { medication_name: 'Excedrin Migraine', generic_name: 'acetaminophen/aspirin/caffeine', brand_names: 'Excedrin Extra Strength', medication_type: 'OTC', drug_class: 'Combination Analgesic' },
+    { medication_name: 'Aspirin', generic_name: 'aspirin', brand_names: 'Bayer, Ecotrin', medication_type: 'OTC', drug_class: 'NSAID' },
+];
+
+const nameOf = input => matchMedication(input, REFERENCES)?.medicationName ?? null;
+
+describe('matchMedication — names', () => {
+    const cases = [
+        { input: 'Topiramate', name: 'Topiramate' },
+        { input: 'I started topiramate 25mg', name: 'Topiramate' },
+        { input: 'AIMOVIG!', name: 'Aimovig' },
+        { input: 'erenumab', name: 'Aimovig' },
+        { input: 'divalproex', name: 'Valproate/Divalproex' },
+        { input: 'valproate', name: 'Valproate/Divalproex' },
+        { input: 'bayer', name: 'Aspirin' },
+        { input: 'excedrin migraine', name: 'Excedrin Migraine' },
+    ];
+
+    for (const { input, name } of cases) {
+        it(`"${input}" → ${name}`, () => {
+            assert.equal(nameOf(input), name);
+        });
+    }
+
+    it('returns the drug class and type', () => {
+        assert.deepEqual(matchMedication('propranolol', REFERENCES), {
+            medicationName: 'Propranolol',
+            drugClass: 'Beta-blocker',
+            medicationType: 'RX_PREVENTIVE',
+        });
+    });
+});
+
+describe('matchMedication — first words and misspellings', () => {
+    it('matches a first word only one medication starts with', () => {
+        assert.equal(nameOf('nurtec'), 'Nurtec ODT');
+    });
+
+    it('does not guess between medications that share a first word', () => {
+        assert.equal(nameOf('excedrin'), null);
+    });
+
+    it('forgives a misspelled name', () => {
+        assert.equal(nameOf('topirimate'), 'Topiramate');
+        assert.equal(nameOf('topiramato'), 'Topiramate');
+        assert.equal(nameOf('propanolol'), 'Propranolol');
+        assert.equal(nameOf('aimovg'), 'Aimovig');
+    });
+
+    it('does not stretch a short word to a name', () => {
+        assert.equal(nameOf('aspen'), null);
+    });
+});
+
+describe('matchMedication — no match', () => {
+    for (const input of ['Zavzpret', 'the blue pill', '', '   ']) {
+        it(`"${input}" → null`, () => {
+            assert.equal(nameOf(input), null);
+        });
+    }
+
+    it('needs text and a reference list', () => {
+        assert.equal(matchMedication(null, REFERENCES), null);
+        assert.equal(matchMedication('topiramate', null), null);
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * Weekly Check-in Parser Tests
+ *
+ * Covers the W-CHECKIN answer: headache days (0-7) and the worst level
+ * (1-5), together or days alone, in English and Spanish — and rejects
+ * anything out of range or that isn't an answer.
+ *
+ * Run: node --test tests/parse-weekly.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseWeeklyCheckin } = require('../lib/utils/parse-weekly');
+
+describe('parseWeeklyCheckin — days and worst level', () => {
+    const cases = [
+        { input: '2 4', days: 2, worst: 4 },
+        { input: '2, 4', days: 2, worst: 4 },
+        { input: '2/4', days: 2, worst: 4 },
+        { input: '2 days, worst 4', days: 2, worst: 4 },
+        { input: 'worst was a 4, 2 days', days: 2, worst: 4 },
+        { input: '7 headache days and a 5', days: 7, worst: 5 },
+        { input: '2 dias, peor 4', days: 2, worst: 4 },
+        { input: 'el peor fue un 4, 2 días', days: 2, worst: 4 },
+    ];
+
+    for (const { input, days, worst } of cases) {
+        it(`"${input}" → ${days} days, worst ${worst}`, () => {
+            assert.deepEqual(parseWeeklyCheckin(input), { headacheDays: days, worstLevel: worst });
+        });
+    }
+});
+
+describe('parseWeeklyCheckin — days only', () => {
+    it('leaves the worst level to ask for', () => {
+        assert.deepEqual(parseWeeklyCheckin('3'), { headacheDays: 3, worstLevel: null });
+        assert.deepEqual(parseWeeklyCheckin('3 days'), { headacheDays: 3, worstLevel: null });
+        assert.deepEqual(parseWeeklyCheckin('3 dias'), { headacheDays: 3, worstLevel: null });
+    });
+
+    const none = ['0', 'none', 'None.', 'no headaches', 'zero', 'ninguno', 'nada', 'cero'];
+    for (const input of none) {
+        it(`"${input}" → 0 days`, () => {
+            assert.deepEqual(parseWeeklyCheckin(input), { headacheDays: 0, worstLevel: null });
+        });
+    }
+});
+
+describe('parseWeeklyCheckin — not an answer', () => {
+    const rejected = [
+        '8 3',          // more than 7 days
+        '2 6',          // worst level out of range
+        '0 3',          // a worst level with no headache days
+        '1 2 3',        // too many numbers
+        'worst 4',      // no days
+        'I had 2 bad days, worst 4',
+        'help',
+        '',
+    ];
+
+    for (const input of rejected) {
+        it(`rejects "${input}"`, () => {
+            assert.equal(parseWeeklyCheckin(input), null);
+        });
+    }
+
+    it('rejects non-strings', () => {
+        assert.equal(parseWeeklyCheckin(null), null);
+        assert.equal(parseWeeklyCheckin(3), null);
+    });
+});
@@ -0,0 +1,202 @@
+/**
+ * Webhook Replay Tests
+ *
+ * scripts/replay-webhooks.js --dry-run runs replayed texts through the
+ * inbound pipeline against a read-only client. Covers state-changing
+ * texts (STOP, PAUSE): transition_patient_state is recorded, not run,
+ * and answered as the database would, so the handler replies as it
+ * would for real. The client underneath is a one-patient stand-in.
+ *
+ * A real replay (in-memory repositories, local transport) skips a row
+ * whose first attempt already recorded the entry before failing.
+ *
+ * Run: node --test tests/replay-webhooks.test.js
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const supabaseModule = require('../lib/supabase');
+const { useRepositories } = require('../lib/repositories');
+const { createMemoryRepositories } = require('../lib/repositories/memory');
+const { processInboundMessage } = require('../lib/handlers/inbound');
+const local = require('../lib/transports/local');
+const { createReadOnlyClient, replayRow, checkAlreadyApplied } = require('../scripts/replay-webhooks');
+
+const PHONE = '+12155551234';
+
+const PATIENT = {
+    patient_id: '7c9e6679-7425-40de-944b-e07fc1f90ae7',
+    phone_number: PHONE,
+    first_name: 'Sam',
+    state: 'DAILY_ACTIVE',
+    language: 'en',
+    timezone: 'America/New_York',
+    preferred_time: '08:00',
+    pending_question: null,
+};
+
+/**
+ * A database with one patient: patients reads return them, every other
+ * read is empty. Writes never get here — the read-only client stops them.
+ */
+function oneDatabasePatient() {
+    const from = table => {
+        const rows = table === 'patients' ? [{ ...PATIENT }] : [];
+        const query = new Proxy({}, {
+            get(_, prop) {
+                if (prop === 'then') {
+                    return (resolve, reject) => Promise.resolve({ data: rows, error: null }).then(resolve, reject);
+                }
+                if (prop === 'single' || prop === 'maybeSingle') {
+                    return () => Promise.resolve({ data: rows[0] || null, error: null });
+                }
+                if (['insert', 'update', 'upsert', 'delete'].includes(prop)) {
+                    throw new Error(`dry run wrote to ${table}`);
+                }
+                return () => query;
+            },
+        });
+        return query;
+    };
+
+    return {
+        from,
+        rpc: fn => Promise.reject(new Error(`dry run called ${fn}`)),
+    };
+}
+
+describe('replay --dry-run', () => {
+    let writes;
+
+    beforeEach(() => {
+        writes = [];
+        supabaseModule.supabase = createReadOnlyClient(oneDatabasePatient(), writes);
+        useRepositories(null);
+    });
+
+    afterEach(() => {
+        supabaseModule.supabase = null;
+        useRepositories(null);
+    });
+
+    // As replayRow calls it in a dry run
+    const replay = body => processInboundMessage(PHONE, body, 'SMreplay1', {
+        logInbound: false,
+        deliver: async () => {},
+    });
+
+    it('replays STOP: reports the reply and the transition it would write', async () => {
+        const result = await replay('STOP');
+
+        assert.deepEqual(result.replies.map(r => r.templateId), ['SYS-STOP']);
+
+        const transition = writes.find(w => w.startsWith('rpc transition_patient_state'));
+        assert.ok(transition, writes.join('\n'));
+        assert.match(transition, /"p_from_state":"DAILY_ACTIVE","p_to_state":"UNSUBSCRIBED"/);
+    });
+
+    it('replays PAUSE', async () => {
+        const result = await replay('PAUSE');
+
+        assert.deepEqual(result.replies.map(r => r.templateId), ['SYS-PAUSE']);
+        assert.ok(writes.some(w => w.includes('"p_to_state":"PAUSED"')), writes.join('\n'));
+    });
+
+    it('answers CONFLICT when the patient has moved on', async () => {
+        const client = createReadOnlyClient(oneDatabasePatient(), writes);
+        const { data } = await client.rpc('transition_patient_state', {
+            p_patient_id: PATIENT.patient_id,
+            p_from_state: 'PAUSED',
+            p_to_state: 'DAILY_ACTIVE',
+            p_updates: {},
+        });
+
+        assert.equal(data.status, 'CONFLICT');
+        assert.equal(data.patient.state, 'DAILY_ACTIVE');
+    });
+});
+
+describe('replay', () => {
+    const ENV_KEYS = ['SMS_TRANSPORT', 'NODE_ENV'];
+    const savedEnv = {};
+    let store;
+
+    beforeEach(async () => {
+        for (const key of ENV_KEYS) savedEnv[key] = process.env[key];
+        process.env.SMS_TRANSPORT = 'local';
+        process.env.NODE_ENV = 'test';
+        mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-17T13:00:00Z') });
+
+        store = createMemoryRepositories();
+        useRepositories(store);
+
+        await store.patients.insert({ ...PATIENT, opted_in_at: '2026-03-16T12:00:00Z' });
+        await store.sprints.insert({ patient_id: PATIENT.patient_id, start_date: '2026-03-16' });
+        local.clearOutbox();
+    });
+
+    afterEach(() => {
+        for (const key of ENV_KEYS) {
+            if (savedEnv[key] === undefined) delete process.env[key];
+            else process.env[key] = savedEnv[key];
+        }
+        mock.timers.reset();
+        useRepositories(null);
+    });
+
+    // A text logged by the webhook at 13:00, then replayed at 14:00
+    function loggedText(body, sid) {
+        store.tables.webhook_log.push({
+            log_id: `log-${sid}`,
+            source: 'twilio',
+            from_number: PHONE,
+            message_sid: sid,
+            body: { Body: body, MessageSid: sid },
+            processed: false,
+            processing_error: 'Error: Twilio send failed',
+            created_at: new Date().toISOString(),
+        });
+        return store.tables.webhook_log.at(-1);
+    }
+
+    async function replay(row) {
+        mock.timers.setTime(new Date('2026-03-17T14:00:00Z').getTime());
+        const alreadyApplied = await checkAlreadyApplied(PHONE, new Date().toISOString());
+        return replayRow(PHONE, row, alreadyApplied);
+    }
+
+    it('skips a text whose entry was recorded before the reply failed', async () => {
+        const row = loggedText('3', 'SMfirst');
+        await assert.rejects(processInboundMessage(PHONE, '3', 'SMfirst', {
+            deliver: async () => { throw new Error('Twilio send failed'); },
+        }));
+        assert.equal(store.tables.daily_entries.length, 1);
+
+        assert.equal(await replay(row), 'skipped');
+        assert.deepEqual(local.outbox, []);
+        assert.equal(store.tables.daily_entries[0].response_received_at, '2026-03-17T13:00:00.000Z');
+        assert.equal(store.tables.webhook_log[0].processed, false);
+    });
+
+    it('replays a text that failed before changing anything', async () => {
+        const row = loggedText('3', 'SMfirst');
+
+        assert.equal(await replay(row), 'replayed');
+        assert.equal(store.tables.daily_entries.length, 1);
+        assert.equal(store.tables.webhook_log[0].processed, true);
+        assert.ok(local.outbox.length > 0);
+    });
+
+    it("doesn't count its own replays as the patient changing", async () => {
+        const first = loggedText('3', 'SMfirst');
+        mock.timers.setTime(new Date('2026-03-17T13:01:00Z').getTime());
+        const second = loggedText('PAUSE', 'SMsecond');
+
+        mock.timers.setTime(new Date('2026-03-17T14:00:00Z').getTime());
+        const alreadyApplied = await checkAlreadyApplied(PHONE, new Date().toISOString());
+        assert.equal(await replayRow(PHONE, first, alreadyApplied), 'replayed');
+        assert.equal(await replayRow(PHONE, second, alreadyApplied), 'replayed');
+        assert.equal(store.tables.patients[0].state, 'PAUSED');
+    });
+});
@@ -0,0 +1,257 @@
+/**
+ * Repository Tests
+ *
+ * Covers the in-memory repositories where they stand in for Postgres:
+ *   1. entries.record ≡ record_daily_entry (migration 007): upsert on
+ *      patient/sprint/date, latency, sprint and patient counters
+ *   2. jobs.lockDue ≡ get_and_lock_due_jobs (migration 003)
+ *   3. transitions.apply ≡ transition_patient_state (migration 013)
+ *   4. Column defaults, the unique phone number, copies in and out
+ *   5. useRepositories() swapping what every caller sees
+ *
+ * Run: node --test tests/repositories.test.js
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const repos = require('../lib/repositories');
+const { createMemoryRepositories } = require('../lib/repositories/memory');
+
+let store;
+let patient;
+let sprint;
+
+beforeEach(async () => {
+    store = createMemoryRepositories();
+    patient = await store.patients.insert({ phone_number: '+12155551234', state: 'DAILY_ACTIVE' });
+    sprint = await store.sprints.insert({ patient_id: patient.patient_id, start_date: '2026-03-10' });
+});
+
+function answer(entryDate, level, extra = {}) {
+    return store.entries.record({
+        patientId: patient.patient_id,
+        sprintId: sprint.sprint_id,
+        entryDate,
+        level,
+        responseRaw: null,
+        method: 'NUMERIC',
+        confidence: 1.0,
+        promptSentAt: `${entryDate}T12:00:00Z`,
+        responseReceivedAt: `${entryDate}T12:45:00Z`,
+        dayNumber: 1,
+        ackTemplate: 'D-ACK-1',
+        ...extra,
+    });
+}
+
+// What the nightly missed-days detector leaves behind
+function missed(entryDate) {
+    store.tables.daily_entries.push({
+        entry_id: `missed-${entryDate}`,
+        patient_id: patient.patient_id,
+        sprint_id: sprint.sprint_id,
+        entry_date: entryDate,
+        is_missed: true,
+        hv_fis_level: null,
+    });
+}
+
+describe('entries.record (record_daily_entry)', () => {
+    it('stores the entry with its latency and returns it', async () => {
+        const entry = await answer('2026-03-10', 3);
+
+        assert.equal(entry.hv_fis_level, 3);
+        assert.equal(entry.is_missed, false);
+        assert.equal(entry.response_latency_min, 45);
+        assert.equal(entry.acknowledgment_template, 'D-ACK-1');
+        assert.deepEqual(store.tables.daily_entries.map(e => e.entry_id), [entry.entry_id]);
+    });
+
+    it('leaves latency empty past a day', async () => {
+        const entry = await answer('2026-03-10', 3, { responseReceivedAt: '2026-03-11T13:00:00Z' });
+        assert.equal(entry.response_latency_min, null);
+    });
+
+    it('rewrites the same day instead of adding a row', async () => {
+        const first = await answer('2026-03-10', 3);
+        const second = await answer('2026-03-10', 4, { method: 'CLARIFIED' });
+
+        assert.equal(second.entry_id, first.entry_id);
+        assert.equal(store.tables.daily_entries.length, 1);
+        assert.equal(store.tables.daily_entries[0].hv_fis_level, 4);
+        assert.equal(store.tables.daily_entries[0].response_method, 'CLARIFIED');
+    });
+
+    it('turns a missed row into an answer and recounts the sprint', async () => {
+        missed('2026-03-10');
+        missed('2026-03-11');
+
+        await answer('2026-03-10', 2);
+
+        const saved = await store.sprints.get(sprint.sprint_id);
+        assert.equal(saved.days_completed, 1);
+        assert.equal(saved.days_missed, 1);
+        assert.equal(store.tables.daily_entries.length, 2);
+    });
+
+    it('recounts day_count and the misses since the last answer', async () => {
+        await answer('2026-03-10', 2);
+        missed('2026-03-11');
+        missed('2026-03-12');
+        await answer('2026-03-09', 1);  // backfill of an earlier day
+
+        let saved = await store.patients.get(patient.patient_id);
+        assert.equal(saved.day_count, 2);
+        assert.equal(saved.consecutive_missed, 2);
+
+        await answer('2026-03-13', 4);
+        saved = await store.patients.get(patient.patient_id);
+        assert.equal(saved.day_count, 3);
+        assert.equal(saved.consecutive_missed, 0);
+    });
+});
+
+describe('jobs.lockDue (get_and_lock_due_jobs)', () => {
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-16T12:00:00Z') });
+    });
+
+    afterEach(() => mock.timers.reset());
+
+    const job = (scheduledFor, extra = {}) => store.jobs.insert({
+        patient_id: patient.patient_id,
+        job_type: 'DAILY_CHECKIN',
+        scheduled_for: scheduledFor,
+        ...extra,
+    });
+
+    it('locks due PENDING jobs oldest first, up to the limit', async () => {
+        const late = await job('2026-03-16T11:59:00Z');
+        const early = await job('2026-03-16T09:00:00Z');
+        const middle = await job('2026-03-16T10:00:00Z');
+        await job('2026-03-16T12:01:00Z');                        // not due
+        await job('2026-03-16T08:00:00Z', { status: 'CANCELLED' });
+
+        const locked = await store.jobs.lockDue(2);
+        assert.deepEqual(locked.map(j => j.job_id), [early.job_id, middle.job_id]);
+        assert.ok(locked.every(j => j.status === 'PROCESSING'));
+
+        assert.deepEqual((await store.jobs.lockDue()).map(j => j.job_id), [late.job_id]);
+        assert.deepEqual(await store.jobs.lockDue(), []);
+    });
+
+    it('picks up jobs as the clock reaches them', async () => {
+        const next = await job('2026-03-16T12:30:00Z');
+        assert.deepEqual(await store.jobs.lockDue(), []);
+
+        mock.timers.setTime(new Date('2026-03-16T12:30:00Z').getTime());
+        assert.deepEqual((await store.jobs.lockDue()).map(j => j.job_id), [next.job_id]);
+    });
+
+    it('lock() takes a single PENDING job only once', async () => {
+        const pending = await job('2026-03-16T13:00:00Z');
+        assert.equal((await store.jobs.lock(pending.job_id)).status, 'PROCESSING');
+        assert.equal(await store.jobs.lock(pending.job_id), null);
+    });
+});
+
+describe('transitions.apply (transition_patient_state)', () => {
+    const apply = (fromState, toState, updates = {}) => store.transitions.apply({
+        patientId: patient.patient_id,
+        fromState,
+        toState,
+        triggerType: 'SYSTEM_TIMER',
+        triggerDetail: 'test',
+        updates,
+    });
+
+    it('moves the patient, sets the other columns and writes the audit row', async () => {
+        const result = await apply('DAILY_ACTIVE', 'PAUSED', { pending_question: null });
+
+        assert.equal(result.status, 'APPLIED');
+        assert.equal(result.patient.state, 'PAUSED');
+        assert.equal(store.tables.patients[0].state, 'PAUSED');
+        assert.deepEqual(
+            store.tables.state_transitions.map(t => [t.from_state, t.to_state, t.trigger_detail]),
+            [['DAILY_ACTIVE', 'PAUSED', 'test']]
+        );
+    });
+
+    it('writes nothing when the patient has moved on', async () => {
+        const result = await apply('PAUSED', 'DAILY_ACTIVE', { day_count: 9 });
+
+        assert.equal(result.status, 'CONFLICT');
+        assert.equal(result.patient.state, 'DAILY_ACTIVE');
+        assert.equal(store.tables.patients[0].day_count, 0);
+        assert.equal(store.tables.state_transitions.length, 0);
+    });
+
+    it('lets one of two racing writers through', async () => {
+        const results = await Promise.all([apply('DAILY_ACTIVE', 'PAUSED'), apply('DAILY_ACTIVE', 'TRANSITION')]);
+
+        assert.deepEqual(results.map(r => r.status), ['APPLIED', 'CONFLICT']);
+        assert.equal(results[1].patient.state, 'PAUSED');
+        assert.equal(store.tables.state_transitions.length, 1);
+    });
+
+    it('reports a missing patient', async () => {
+        const result = await store.transitions.apply({ patientId: 'nobody', fromState: 'PAUSED', toState: 'DAILY_ACTIVE' });
+        assert.deepEqual(result, { status: 'NOT_FOUND', patient: null });
+    });
+});
+
+describe('memory store', () => {
+    it('fills in column defaults', async () => {
+        const fresh = await store.patients.insert({ phone_number: '+13125550000' });
+        assert.equal(fresh.state, 'ENROLLED');
+        assert.equal(fresh.timezone, 'America/New_York');
+        assert.equal(fresh.day_count, 0);
+        assert.ok(fresh.patient_id);
+        assert.equal(sprint.target_days, 30);
+        assert.equal(sprint.status, 'ACTIVE');
+    });
+
+    it('rejects a second patient with the same phone number as 23505', async () => {
+        await assert.rejects(
+            store.patients.insert({ phone_number: '+12155551234' }),
+            error => error.code === '23505'
+        );
+    });
+
+    it('hands out copies', async () => {
+        const copy = await store.patients.get(patient.patient_id);
+        copy.state = 'PAUSED';
+        assert.equal((await store.patients.get(patient.patient_id)).state, 'DAILY_ACTIVE');
+    });
+
+    it('returns null for missing rows', async () => {
+        assert.equal(await store.patients.get('nobody'), null);
+        assert.equal(await store.patients.update('nobody', { state: 'PAUSED' }), null);
+        assert.equal(await store.sprints.getLatestWithReport(patient.patient_id), null);
+    });
+
+    it('finds the latest active sprint', async () => {
+        await store.sprints.update(sprint.sprint_id, { status: 'COMPLETED', report_token: 'abc' });
+        const next = await store.sprints.insert({ patient_id: patient.patient_id, start_date: '2026-04-10' });
+
+        assert.equal((await store.sprints.getActive(patient.patient_id)).sprint_id, next.sprint_id);
+        assert.equal((await store.sprints.getLatestWithReport(patient.patient_id)).sprint_id, sprint.sprint_id);
+    });
+});
+
+describe('useRepositories', () => {
+    afterEach(() => repos.useRepositories(null));
+
+    it('swaps what every accessor returns', async () => {
+        repos.useRepositories(store);
+        assert.equal(repos.patients, store.patients);
+        assert.equal((await repos.patients.get(patient.patient_id)).phone_number, '+12155551234');
+        assert.equal(repos.getRepositories(), store);
+    });
+
+    it('exposes one accessor per repository', () => {
+        assert.deepEqual(Object.keys(repos).slice(0, repos.REPOSITORY_NAMES.length), repos.REPOSITORY_NAMES);
+        for (const name of repos.REPOSITORY_NAMES) assert.ok(store[name], name);
+    });
+});
@@ -0,0 +1,203 @@
+/**
+ * Send Policy Tests
+ *
+ * Covers quiet hours (including windows that wrap midnight), the daily
+ * message cap, where blocked scheduled jobs are deferred to, and the
+ * STOP/HELP exemption. All times are patient-local. The daily count runs
+ * against the in-memory repositories.
+ *
+ * Run: node --test tests/send-policy.test.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useRepositories } = require('../lib/repositories');
+const { createMemoryRepositories } = require('../lib/repositories/memory');
+
+const {
+    getSendPolicyConfig,
+    isQuietTime,
+    isOnTimeCheckin,
+    evaluateSendPolicy,
+    checkSendPolicy,
+} = require('../lib/services/send-policy');
+const { zonedTimeToUtc, localTimeString } = require('../lib/utils/dates');
+
+const CONFIG = { quietStart: '22:00', quietEnd: '07:00', maxDaily: 8 };
+const LA = 'America/Los_Angeles';
+
+// 03:00 on Mon Mar 16 in Los Angeles
+const LA_3AM = zonedTimeToUtc('2026-03-16', '03:00', LA);
+const LA_NOON = zonedTimeToUtc('2026-03-16', '12:00', LA);
+const LA_11PM = zonedTimeToUtc('2026-03-16', '23:00', LA);
+
+describe('isQuietTime', () => {
+    it('handles windows that wrap midnight', () => {
+        assert.equal(isQuietTime('23:30', CONFIG), true);
+        assert.equal(isQuietTime('03:00', CONFIG), true);
+        assert.equal(isQuietTime('06:59', CONFIG), true);
+        assert.equal(isQuietTime('07:00', CONFIG), false);
+        assert.equal(isQuietTime('21:59', CONFIG), false);
+    });
+
+    it('handles same-day windows', () => {
+        const config = { quietStart: '12:00', quietEnd: '13:00' };
+        assert.equal(isQuietTime('12:30', config), true);
+        assert.equal(isQuietTime('13:00', config), false);
+    });
+
+    it('is off when start equals end', () => {
+        assert.equal(isQuietTime('03:00', { quietStart: '00:00', quietEnd: '00:00' }), false);
+    });
+});
+
+describe('evaluateSendPolicy — quiet hours', () => {
+    it('defers a 3am scheduled send to 7am the same morning', () => {
+        const result = evaluateSendPolicy({ timezone: LA, now: LA_3AM, sentToday: 0, kind: 'SCHEDULED', config: CONFIG });
+        assert.equal(result.allowed, false);
+        assert.equal(result.reason, 'QUIET_HOURS');
+        assert.equal(result.retryAt.toISOString(), zonedTimeToUtc('2026-03-16', '07:00', LA).toISOString());
+    });
+
+    it('defers an 11pm scheduled send to 7am tomorrow', () => {
+        const result = evaluateSendPolicy({ timezone: LA, now: LA_11PM, sentToday: 0, kind: 'SCHEDULED', config: CONFIG });
+        assert.equal(result.retryAt.toISOString(), zonedTimeToUtc('2026-03-17', '07:00', LA).toISOString());
+    });
+
+    it("uses the patient's timezone, not the server's", () => {
+        // Noon in LA is 3pm in New York — allowed for both, but 3am LA is 6am NY
+        assert.equal(evaluateSendPolicy({ timezone: 'America/New_York', now: LA_3AM, sentToday: 0, kind: 'SCHEDULED', config: CONFIG }).allowed, false);
+        assert.equal(evaluateSendPolicy({ timezone: LA, now: LA_NOON, sentToday: 0, kind: 'SCHEDULED', config: CONFIG }).allowed, true);
+    });
+
+    it('does not hold replies to a patient who just texted', () => {
+        assert.equal(evaluateSendPolicy({ timezone: LA, now: LA_3AM, sentToday: 0, kind: 'REPLY', config: CONFIG }).allowed, true);
+    });
+
+    it('does not hold a check-in at the time the patient picked', () => {
+        assert.equal(evaluateSendPolicy({ timezone: LA, now: LA_11PM, sentToday: 0, kind: 'CHECKIN', config: CONFIG }).allowed, true);
+    });
+});
+
+describe('isOnTimeCheckin', () => {
+    const at = (date, time) => zonedTimeToUtc(date, time, LA);
+    const check = (preferredTime, scheduledFor, now) =>
+        isOnTimeCheckin({ preferredTime, scheduledFor, timezone: LA, now, config: CONFIG });
+
+    it('is on time at a quiet-hours preferred time, jitter included', () => {
+        const scheduled = at('2026-03-16', '22:34');
+        assert.equal(check('22:30', scheduled, at('2026-03-16', '22:35')), true);
+        assert.equal(check('22:30:00', scheduled, at('2026-03-16', '22:35')), true);
+    });
+
+    it('handles a preferred time just before midnight', () => {
+        assert.equal(check('23:55', at('2026-03-16', '23:58'), at('2026-03-17', '00:03')), true);
+    });
+
+    it('is late once the job runs well past its scheduled_for', () => {
+        assert.equal(check('22:30', at('2026-03-16', '22:34'), at('2026-03-17', '01:00')), false);
+    });
+
+    it('is late when retries have pushed it well past the preferred time', () => {
+        // markJobFailed backoff moves scheduled_for, not the patient's time
+        assert.equal(check('22:30', at('2026-03-16', '23:10'), at('2026-03-16', '23:11')), false);
+    });
+
+    it('never applies to a preferred time outside quiet hours', () => {
+        assert.equal(check('08:00', at('2026-03-16', '08:02'), at('2026-03-16', '08:03')), false);
+        assert.equal(check(null, at('2026-03-16', '22:34'), at('2026-03-16', '22:35')), false);
+    });
+});
+
+describe('evaluateSendPolicy — daily cap', () => {
+    it('allows sends under the cap', () => {
+        assert.equal(evaluateSendPolicy({ timezone: LA, now: LA_NOON, sentToday: 7, kind: 'SCHEDULED', config: CONFIG }).allowed, true);
+    });
+
+    it('defers scheduled sends at the cap to the first allowed time tomorrow', () => {
+        const result = evaluateSendPolicy({ timezone: LA, now: LA_NOON, sentToday: 8, kind: 'SCHEDULED', config: CONFIG });
+        assert.equal(result.reason, 'DAILY_CAP');
+        assert.equal(result.retryAt.toISOString(), zonedTimeToUtc('2026-03-17', '07:00', LA).toISOString());
+    });
+
+    it('caps check-ins too', () => {
+        const result = evaluateSendPolicy({ timezone: LA, now: LA_11PM, sentToday: 8, kind: 'CHECKIN', config: CONFIG });
+        assert.equal(result.reason, 'DAILY_CAP');
+    });
+
+    it('blocks replies at the cap', () => {
+        const result = evaluateSendPolicy({ timezone: LA, now: LA_NOON, sentToday: 8, kind: 'REPLY', templateId: 'D-ACK-1', config: CONFIG });
+        assert.equal(result.allowed, false);
+    });
+
+    it('always sends STOP and HELP confirmations', () => {
+        for (const templateId of ['SYS-STOP', 'SYS-HELP']) {
+            const result = evaluateSendPolicy({ timezone: LA, now: LA_3AM, sentToday: 50, kind: 'SCHEDULED', templateId, config: CONFIG });
+            assert.equal(result.allowed, true);
+        }
+    });
+});
+
+describe('checkSendPolicy', () => {
+    let store;
+
+    beforeEach(() => {
+        store = createMemoryRepositories();
+        useRepositories(store);
+    });
+
+    afterEach(() => useRepositories(null));
+
+    function sent(count, at, direction = 'OUTBOUND') {
+        for (let i = 0; i < count; i++) {
+            store.tables.messages.push({ patient_id: 'p1', direction, sent_at: at.toISOString() });
+        }
+    }
+
+    it("counts today's outbound messages", async () => {
+        const patient = { patient_id: 'p1', timezone: LA };
+        sent(3, LA_3AM);
+        assert.equal((await checkSendPolicy(patient, { kind: 'REPLY', now: LA_NOON })).allowed, true);
+        sent(5, LA_3AM);
+        assert.equal((await checkSendPolicy(patient, { kind: 'REPLY', now: LA_NOON })).allowed, false);
+    });
+
+    it('starts the count at local midnight and ignores inbound', async () => {
+        const patient = { patient_id: 'p1', timezone: LA };
+        sent(8, zonedTimeToUtc('2026-03-15', '23:30', LA));
+        sent(8, LA_3AM, 'INBOUND');
+        assert.equal((await checkSendPolicy(patient, { kind: 'REPLY', now: LA_NOON })).allowed, true);
+    });
+});
+
+describe('getSendPolicyConfig', () => {
+    const keys = ['QUIET_HOURS_START', 'QUIET_HOURS_END', 'MAX_DAILY_MESSAGES'];
+    const original = Object.fromEntries(keys.map(k => [k, process.env[k]]));
+    afterEach(() => {
+        for (const k of keys) {
+            if (original[k] === undefined) delete process.env[k];
+            else process.env[k] = original[k];
+        }
+    });
+
+    it('defaults to 22:00–07:00 and 8 messages', () => {
+        keys.forEach(k => delete process.env[k]);
+        assert.deepEqual(getSendPolicyConfig(), CONFIG);
+    });
+
+    it('reads the environment and ignores invalid values', () => {
+        process.env.QUIET_HOURS_START = '21:30';
+        process.env.QUIET_HOURS_END = '8:00';
+        process.env.MAX_DAILY_MESSAGES = 'lots';
+        assert.deepEqual(getSendPolicyConfig(), { quietStart: '21:30', quietEnd: '08:00', maxDaily: 8 });
+    });
+});
+
+describe('zonedTimeToUtc', () => {
+    it('round-trips through localTimeString across DST', () => {
+        for (const date of ['2026-01-15', '2026-03-08', '2026-07-01', '2026-11-01']) {
+            assert.equal(localTimeString(LA, zonedTimeToUtc(date, '07:00', LA)), '07:00');
+        }
+    });
+});
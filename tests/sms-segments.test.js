@@ -0,0 +1,82 @@
+/**
+ * SMS Segment Calculator Tests
+ *
+ * Covers GSM-7 vs UCS-2 detection, segment boundaries (160/153 and
+ * 70/67), extended GSM characters, emoji, and typographic punctuation
+ * replacement.
+ *
+ * Run: node --test tests/sms-segments.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { analyzeSms, toGsmCompatible } = require('../lib/utils/sms-segments');
+
+describe('analyzeSms — encoding', () => {
+    it('plain text is GSM-7', () => {
+        const stats = analyzeSms('How is your head today? Reply 1-5.');
+        assert.equal(stats.encoding, 'GSM-7');
+        assert.deepEqual(stats.unicodeChars, []);
+    });
+
+    it('GSM-7 covers é, ñ, ü, ¿ and ¡', () => {
+        assert.equal(analyzeSms('¿Qué tal? ¡Señor Müller!').encoding, 'GSM-7');
+    });
+
+    it('an emoji forces UCS-2', () => {
+        const stats = analyzeSms('See you tomorrow. 👍');
+        assert.equal(stats.encoding, 'UCS-2');
+        assert.deepEqual(stats.unicodeChars, ['👍']);
+    });
+
+    it('á, í, ó, ú and the em dash force UCS-2', () => {
+        assert.deepEqual(analyzeSms('mañana — sí').unicodeChars, ['—', 'í']);
+        assert.equal(analyzeSms('próxima').encoding, 'UCS-2');
+    });
+});
+
+describe('analyzeSms — segments', () => {
+    it('counts GSM-7 at 160 for one segment and 153 per segment after that', () => {
+        assert.equal(analyzeSms('a'.repeat(160)).segments, 1);
+        assert.equal(analyzeSms('a'.repeat(161)).segments, 2);
+        assert.equal(analyzeSms('a'.repeat(306)).segments, 2);
+        assert.equal(analyzeSms('a'.repeat(307)).segments, 3);
+    });
+
+    it('counts UCS-2 at 70 for one segment and 67 per segment after that', () => {
+        assert.equal(analyzeSms('ó'.repeat(70)).segments, 1);
+        assert.equal(analyzeSms('ó'.repeat(71)).segments, 2);
+        assert.equal(analyzeSms('ó'.repeat(134)).segments, 2);
+        assert.equal(analyzeSms('ó'.repeat(135)).segments, 3);
+    });
+
+    it('counts extended GSM characters as two', () => {
+        const stats = analyzeSms('€'.repeat(80));
+        assert.equal(stats.encoding, 'GSM-7');
+        assert.equal(stats.length, 160);
+        assert.equal(stats.segments, 1);
+        assert.equal(analyzeSms(`${'a'.repeat(159)}[`).segments, 2);
+    });
+
+    it('counts emoji as two UTF-16 units', () => {
+        assert.equal(analyzeSms('👍'.repeat(35)).segments, 1);
+        assert.equal(analyzeSms('👍'.repeat(36)).segments, 2);
+    });
+
+    it('returns zero segments for an empty body', () => {
+        assert.equal(analyzeSms('').segments, 0);
+        assert.equal(analyzeSms(null).segments, 0);
+    });
+});
+
+describe('toGsmCompatible', () => {
+    it('replaces typographic punctuation', () => {
+        assert.equal(toGsmCompatible('Got it — you’re set… “thanks”'), 'Got it - you\'re set... "thanks"');
+        assert.equal(analyzeSms(toGsmCompatible('Day 3 – that’s it')).encoding, 'GSM-7');
+    });
+
+    it('leaves accents and emoji alone', () => {
+        assert.equal(toGsmCompatible('próxima 👍'), 'próxima 👍');
+    });
+});
@@ -0,0 +1,51 @@
+/**
+ * Sprint Metrics Tests
+ *
+ * Covers headache days, HV-DBS score and the other insight numbers as
+ * v_sprint_report_data computes them, and the headache-day share used to
+ * compare sprints with different numbers of days logged.
+ *
+ * Run: node --test tests/sprint-metrics.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { sprintMetrics, headachePct } = require('../lib/utils/sprint-metrics');
+
+const entries = levels => levels.map(hv_fis_level => ({ hv_fis_level }));
+
+describe('sprintMetrics', () => {
+    it('counts headache days as level 2 and up', () => {
+        const metrics = sprintMetrics(entries([1, 2, 3, 1, 5]));
+        assert.equal(metrics.totalDays, 5);
+        assert.equal(metrics.headacheDays, 3);
+        assert.equal(metrics.headacheFreeDays, 2);
+    });
+
+    it('weighs HV-DBS as L3 × 1 + L4 × 2 + L5 × 3', () => {
+        assert.equal(sprintMetrics(entries([1, 2, 3, 4, 5])).dbsScore, 6);
+        assert.equal(sprintMetrics(entries([2, 2, 2])).dbsScore, 0);
+        assert.equal(sprintMetrics(entries([5, 5, 4])).dbsScore, 8);
+    });
+
+    it('averages the level and finds the most common one', () => {
+        const metrics = sprintMetrics(entries([2, 3, 3, 4]));
+        assert.equal(metrics.avgLevel, '3.0');
+        assert.equal(metrics.mostCommonLevel, 3);
+    });
+
+    it('handles a sprint with nothing logged', () => {
+        assert.deepEqual(sprintMetrics([]), {
+            totalDays: 0, headacheDays: 0, headacheFreeDays: 0, dbsScore: 0, avgLevel: null, mostCommonLevel: null,
+        });
+    });
+});
+
+describe('headachePct', () => {
+    it('is the rounded share of logged days with a headache', () => {
+        assert.equal(headachePct(sprintMetrics(entries([1, 2, 3]))), 67);
+        assert.equal(headachePct(sprintMetrics(entries([1, 1]))), 0);
+        assert.equal(headachePct(sprintMetrics([])), 0);
+    });
+});
@@ -0,0 +1,1148 @@
+/**
+ * State Machine Tests
+ *
+ * Covers:
+ *   1. transitionState: the transition guard, STOP from anywhere, opt-in
+ *      and opt-out timestamps, the state_transitions audit row, and the
+ *      compare-and-set on the state (CONFLICT when it moved first)
+ *   2. STATE_CHART entry/exit actions: jobs cancelled, check-ins
+ *      scheduled, pending_question set or cleared, T-1 queued
+ *   3. One patient end to end: POST /api/enroll → START → time →
+ *      appointment → DAILY_ACTIVE → the cron sends D-1 → the reply is
+ *      recorded → the next day's D-1
+ *   4. Weekly monitoring after day 30: T-1 option 1 → WEEKLY → the cron
+ *      sends W-CHECKIN → the answer is stored → DAILY starts a new sprint
+ *   5. Treatment monitoring after day 30: T-1 option 2 → the medication →
+ *      TREATMENT sprint linked to the baseline → D-1 → insights and the
+ *      day 30 comparison → T-1 again
+ *
+ * Runs against the in-memory repositories with the local SMS transport
+ * and a mocked clock; no database, no network.
+ *
+ * Run: node --test tests/state-machine.test.js
+ */
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useRepositories } = require('../lib/repositories');
+const { createMemoryRepositories } = require('../lib/repositories/memory');
+const { STATE_CHART, VALID_TRANSITIONS, TRANSITION_STATUS, transitionState } = require('../lib/state-machine/transitions');
+const { processInboundMessage } = require('../lib/handlers/inbound');
+const local = require('../lib/transports/local');
+const enroll = require('../api/enroll');
+const dispatch = require('../api/cron/dispatch');
+
+const PHONE = '+12155551234';  // Philadelphia → America/New_York
+const ENV_KEYS = ['SMS_TRANSPORT', 'LOCAL_SMS_OUTBOX', 'NODE_ENV'];
+
+let store;
+
+beforeEach(() => {
+    store = createMemoryRepositories();
+    useRepositories(store);
+});
+
+afterEach(() => useRepositories(null));
+
+describe('transitionState', () => {
+    const addPatient = (state, extra = {}) =>
+        store.patients.insert({ phone_number: PHONE, state, ...extra });
+
+    it('every target state is itself a state', () => {
+        const states = Object.keys(VALID_TRANSITIONS);
+        for (const targets of Object.values(VALID_TRANSITIONS)) {
+            for (const target of targets) assert.ok(states.includes(target), target);
+        }
+    });
+
+    it('moves the patient and writes the audit row', async () => {
+        const patient = await addPatient('ONBOARDING');
+        const result = await transitionState(patient.patient_id, 'DAILY_ACTIVE', 'PATIENT_RESPONSE', 'Time selected',
+            { preferred_time: '08:00' });
+
+        assert.equal(result.success, true);
+        assert.equal(result.patient.state, 'DAILY_ACTIVE');
+        assert.equal(result.patient.preferred_time, '08:00');
+        assert.deepEqual(
+            store.tables.state_transitions.map(t => [t.from_state, t.to_state, t.trigger_type, t.trigger_detail]),
+            [['ONBOARDING', 'DAILY_ACTIVE', 'PATIENT_RESPONSE', 'Time selected']]
+        );
+    });
+
+    it('refuses a transition the map does not allow, without writing', async () => {
+        const patient = await addPatient('ENROLLED');
+        const result = await transitionState(patient.patient_id, 'DAILY_ACTIVE', 'PATIENT_RESPONSE');
+
+        assert.equal(result.success, false);
+        assert.equal(result.status, TRANSITION_STATUS.INVALID);
+        assert.match(result.error, /Invalid transition: ENROLLED → DAILY_ACTIVE/);
+        assert.equal(store.tables.patients[0].state, 'ENROLLED');
+        assert.equal(store.tables.state_transitions.length, 0);
+    });
+
+    it('allows UNSUBSCRIBED from every state and stamps opted_out_at', async () => {
+        for (const state of Object.keys(VALID_TRANSITIONS).filter(s => s !== 'UNSUBSCRIBED')) {
+            store = createMemoryRepositories();
+            useRepositories(store);
+            const patient = await addPatient(state);
+            const result = await transitionState(patient.patient_id, 'UNSUBSCRIBED', 'PATIENT_RESPONSE');
+            assert.equal(result.success, true, state);
+            assert.ok(result.patient.opted_out_at, state);
+        }
+    });
+
+    it('stamps opted_in_at once, on the first move to ONBOARDING', async () => {
+        const patient = await addPatient('ENROLLED');
+        const { patient: onboarding } = await transitionState(patient.patient_id, 'ONBOARDING', 'PATIENT_RESPONSE');
+        assert.ok(onboarding.opted_in_at);
+
+        await transitionState(patient.patient_id, 'UNSUBSCRIBED', 'PATIENT_RESPONSE');
+        const { patient: again } = await transitionState(patient.patient_id, 'ONBOARDING', 'PATIENT_RESPONSE');
+        assert.equal(again.opted_in_at, onboarding.opted_in_at);
+    });
+
+    it('treats the same state as a no-op, except the daily cycle', async () => {
+        const paused = await addPatient('PAUSED');
+        await transitionState(paused.patient_id, 'PAUSED', 'SYSTEM_TIMER');
+        assert.equal(store.tables.state_transitions.length, 0);
+
+        const active = await store.patients.insert({ phone_number: '+12155550000', state: 'DAILY_ACTIVE' });
+        await transitionState(active.patient_id, 'DAILY_ACTIVE', 'SYSTEM_TIMER');
+        assert.equal(store.tables.state_transitions.length, 1);
+    });
+
+    it('is a CONFLICT when the patient is not in the expected state', async (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const patient = await addPatient('PAUSED');
+        const result = await transitionState(patient.patient_id, 'PAUSED', 'PATIENT_RESPONSE', 'PAUSE command',
+            {}, { expectedState: 'DAILY_ACTIVE' });
+
+        assert.equal(result.status, TRANSITION_STATUS.CONFLICT);
+        assert.equal(result.success, false);
+        assert.equal(result.patient.state, 'PAUSED');
+        assert.equal(store.tables.state_transitions.length, 0);
+    });
+
+    it('lets only the first of two racing transitions through', async (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const patient = await addPatient('DAILY_ACTIVE');
+
+        const [pause, dayThirty] = await Promise.all([
+            transitionState(patient.patient_id, 'PAUSED', 'PATIENT_RESPONSE'),
+            transitionState(patient.patient_id, 'TRANSITION', 'SYSTEM_TIMER'),
+        ]);
+
+        assert.equal(pause.status, TRANSITION_STATUS.APPLIED);
+        assert.equal(dayThirty.status, TRANSITION_STATUS.CONFLICT);
+        assert.equal(dayThirty.patient.state, 'PAUSED');
+        assert.deepEqual(store.tables.state_transitions.map(t => t.to_state), ['PAUSED']);
+        // Only the winner's entry actions ran
+        assert.equal(store.tables.scheduled_jobs.some(j => j.job_type === 'TRANSITION'), false);
+    });
+
+    it('leaves the patient alone when the write fails', async (t) => {
+        const patient = await addPatient('DAILY_ACTIVE');
+        t.mock.method(store.transitions, 'apply', async () => { throw new Error('connection reset'); });
+
+        const result = await transitionState(patient.patient_id, 'PAUSED', 'PATIENT_RESPONSE');
+        assert.equal(result.status, TRANSITION_STATUS.FAILED);
+        assert.equal(store.tables.patients[0].state, 'DAILY_ACTIVE');
+    });
+
+    it('reports a missing patient', async () => {
+        const result = await transitionState('nobody', 'PAUSED', 'SYSTEM_TIMER');
+        assert.equal(result.success, false);
+        assert.equal(result.status, TRANSITION_STATUS.NOT_FOUND);
+        assert.match(result.error, /Patient not found/);
+    });
+});
+
+describe('state chart entry and exit actions', () => {
+    let patient;
+
+    const addPatient = async (state, extra = {}) => {
+        patient = await store.patients.insert({
+            phone_number: PHONE, state, preferred_time: '08:00', ...extra,
+        });
+        return patient;
+    };
+    const addJob = jobType => store.jobs.insert({
+        patient_id: patient.patient_id, job_type: jobType, scheduled_for: '2026-03-17T12:00:00Z',
+    });
+    const move = (toState, updates) => transitionState(patient.patient_id, toState, 'SYSTEM_TIMER', null, updates);
+    const jobs = status => store.tables.scheduled_jobs
+        .filter(j => j.status === status)
+        .map(j => j.job_type);
+
+    it('only uses actions transitionState knows', () => {
+        const known = ['SET_PENDING', 'CANCEL_JOBS', 'SCHEDULE_DAILY_CHECKIN', 'SCHEDULE_WEEKLY_CHECKIN', 'QUEUE_MESSAGE', 'SCHEDULE_PAUSE_REMINDER', 'SCHEDULE_ONBOARD_REMINDER'];
+        for (const definition of Object.values(STATE_CHART)) {
+            for (const action of [...(definition.entry || []), ...(definition.exit || [])]) {
+                assert.ok(known.includes(action.type), action.type);
+            }
+        }
+    });
+
+    it('entering PAUSED cancels every pending job and clears the pending question', async () => {
+        await addPatient('DAILY_ACTIVE', { pending_question: 'CLARIFY_LEVEL' });
+        await addJob('DAILY_CHECKIN');
+        await addJob('INSIGHT');
+
+        const { patient: paused } = await move('PAUSED');
+        assert.equal(paused.pending_question, null);
+        assert.deepEqual(jobs('PENDING'), ['PAUSE_REMINDER']);
+        assert.deepEqual(jobs('CANCELLED'), ['DAILY_CHECKIN', 'INSIGHT']);
+    });
+
+    it('entering PAUSED schedules the final check-in 14 days out', async () => {
+        await addPatient('DAILY_ACTIVE');
+        await move('PAUSED');
+
+        const [reminder] = store.tables.scheduled_jobs;
+        assert.equal(reminder.job_type, 'PAUSE_REMINDER');
+        const days = (new Date(reminder.scheduled_for) - Date.now()) / (24 * 60 * 60 * 1000);
+        assert.ok(Math.abs(days - 14) < 0.01, `${days} days`);
+    });
+
+    it('leaving PAUSED cancels the final check-in and the expiry', async () => {
+        await addPatient('DAILY_ACTIVE');
+        await move('PAUSED');
+        await addJob('PAUSE_EXPIRY');
+
+        await move('DAILY_ACTIVE');
+        assert.deepEqual(jobs('PENDING'), ['DAILY_CHECKIN']);
+        assert.deepEqual(jobs('CANCELLED').sort(), ['PAUSE_EXPIRY', 'PAUSE_REMINDER']);
+    });
+
+    it('entering DAILY_ACTIVE schedules one check-in at the preferred time', async () => {
+        await addPatient('PAUSED', { timezone: 'America/Chicago' });
+
+        await move('DAILY_ACTIVE');
+        await move('DAILY_ACTIVE');   // the daily cycle runs no actions
+
+        const checkins = store.tables.scheduled_jobs.filter(j => j.job_type === 'DAILY_CHECKIN');
+        assert.equal(checkins.length, 1);
+        assert.equal(checkins[0].payload.timezone, 'America/Chicago');
+    });
+
+    it('entering DAILY_ACTIVE leaves an already pending check-in alone', async () => {
+        await addPatient('DORMANT');
+        await move('DAILY_ACTIVE');
+        await move('PAUSED');
+        await store.jobs.insert({
+            patient_id: patient.patient_id, job_type: 'DAILY_CHECKIN', scheduled_for: '2026-03-17T12:00:00Z',
+        });
+
+        await move('DAILY_ACTIVE');
+        assert.deepEqual(jobs('PENDING'), ['DAILY_CHECKIN']);
+    });
+
+    it('entering DAILY_ACTIVE without a preferred time schedules nothing', async () => {
+        await addPatient('DORMANT', { preferred_time: null });
+        await move('DAILY_ACTIVE');
+        assert.equal(store.tables.scheduled_jobs.length, 0);
+    });
+
+    it('entering TRANSITION cancels the check-ins, asks for a choice, and queues T-1', async () => {
+        await addPatient('DAILY_ACTIVE');
+        await addJob('DAILY_CHECKIN');
+
+        const { patient: transition } = await move('TRANSITION');
+        assert.equal(transition.pending_question, 'TRANSITION_CHOICE');
+        assert.deepEqual(jobs('CANCELLED'), ['DAILY_CHECKIN']);
+        assert.deepEqual(jobs('PENDING'), ['TRANSITION']);
+        assert.ok(new Date(store.tables.scheduled_jobs[1].scheduled_for) <= new Date());
+    });
+
+    it('entering WEEKLY schedules a check-in a week out; leaving it cancels that only', async (t) => {
+        // Tue Mar 17 2026, 10:00 in Philadelphia
+        t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-17T14:00:00Z') });
+        await addPatient('TRANSITION', { pending_question: 'TRANSITION_CHOICE' });
+
+        const { patient: weekly } = await move('WEEKLY');
+        assert.equal(weekly.pending_question, null);
+
+        const [checkin] = store.tables.scheduled_jobs;
+        assert.equal(checkin.job_type, 'WEEKLY_CHECKIN');
+        assert.equal(checkin.recurrence, 'weekly');
+        assert.deepEqual(checkin.payload, { preferred_time: '08:00', timezone: 'America/New_York', weekday: 2 });
+        assert.ok(checkin.scheduled_for.startsWith('2026-03-24T12:0'), checkin.scheduled_for);
+
+        await addJob('REPORT_GENERATION');
+        await move('DAILY_ACTIVE');
+        assert.deepEqual(jobs('CANCELLED'), ['WEEKLY_CHECKIN']);
+        assert.deepEqual(jobs('PENDING'), ['REPORT_GENERATION', 'DAILY_CHECKIN']);
+    });
+
+    it('leaving ENROLLED cancels its onboarding reminder only; ONBOARDING queues its own', async () => {
+        await addPatient('ENROLLED', { preferred_time: null });
+        await addJob('ONBOARD_REMINDER');
+        await addJob('REPORT_GENERATION');
+
+        const { patient: onboarding } = await move('ONBOARDING');
+        assert.equal(onboarding.pending_question, 'ONBOARD_TIME');
+        assert.deepEqual(jobs('CANCELLED'), ['ONBOARD_REMINDER']);
+        assert.deepEqual(jobs('PENDING'), ['REPORT_GENERATION', 'ONBOARD_REMINDER']);
+        assert.deepEqual(
+            { ...store.tables.scheduled_jobs.at(-1).payload, since: undefined },
+            { step: 'ONBOARDING', reminder: 1, since: undefined }
+        );
+    });
+
+    it('leaving ONBOARDING cancels its reminder and expiry', async () => {
+        await addPatient('ENROLLED', { preferred_time: null });
+        await move('ONBOARDING');
+        await addJob('ONBOARD_EXPIRY');
+
+        await move('DAILY_ACTIVE', { preferred_time: '08:00' });
+        assert.deepEqual(jobs('CANCELLED').sort(), ['ONBOARD_EXPIRY', 'ONBOARD_REMINDER']);
+        assert.deepEqual(jobs('PENDING'), ['DAILY_CHECKIN']);
+    });
+
+    it('entering UNSUBSCRIBED clears jobs and the pending question and context', async () => {
+        await addPatient('DAILY_ACTIVE', { pending_question: 'BATCH_CONFIRM', pending_context: { entries: [] } });
+        await addJob('DAILY_CHECKIN');
+
+        const { patient: unsubscribed } = await move('UNSUBSCRIBED');
+        assert.equal(unsubscribed.pending_question, null);
+        assert.equal(unsubscribed.pending_context, null);
+        assert.deepEqual(jobs('PENDING'), []);
+    });
+
+    it('lets the caller override what the chart sets', async () => {
+        await addPatient('DAILY_ACTIVE');
+        const { patient: moved } = await move('TRANSITION', { pending_question: null });
+        assert.equal(moved.pending_question, null);
+    });
+
+    it('keeps the transition when an action fails', async (t) => {
+        await addPatient('PAUSED');
+        t.mock.method(store.jobs, 'listPending', async () => { throw new Error('connection reset'); });
+        t.mock.method(console, 'error', () => {});
+
+        const result = await move('DAILY_ACTIVE');
+        assert.equal(result.success, true);
+        assert.equal(store.tables.patients[0].state, 'DAILY_ACTIVE');
+        assert.match(console.error.mock.calls[0].arguments[0], /CRITICAL: SCHEDULE_DAILY_CHECKIN failed/);
+    });
+});
+
+describe('patient journey, enrollment to daily check-ins', () => {
+    const savedEnv = {};
+
+    before(() => {
+        for (const key of ENV_KEYS) savedEnv[key] = process.env[key];
+        process.env.SMS_TRANSPORT = 'local';
+        process.env.LOCAL_SMS_OUTBOX = 'off';
+        process.env.NODE_ENV = 'test';
+    });
+
+    after(() => {
+        for (const key of ENV_KEYS) {
+            if (savedEnv[key] === undefined) delete process.env[key];
+            else process.env[key] = savedEnv[key];
+        }
+    });
+
+    beforeEach(() => {
+        // Mon Mar 16 2026, 10:00 in Philadelphia
+        mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-16T14:00:00Z') });
+        local.clearOutbox();
+    });
+
+    afterEach(() => mock.timers.reset());
+
+    const patient = () => store.tables.patients[0];
+    const sentTemplates = () => local.outbox.map(m => m.templateId);
+    const pendingJobs = () => store.tables.scheduled_jobs.filter(j => j.status === 'PENDING');
+
+    let smsCount = 0;
+    const text = body => processInboundMessage(PHONE, body, `SM${++smsCount}`);
+
+    async function post(handler, body = {}) {
+        const res = {
+            statusCode: 200,
+            body: null,
+            status(code) { res.statusCode = code; return res; },
+            json(payload) { res.body = payload; return res; },
+        };
+        await handler({ method: 'POST', headers: { 'x-vercel-cron': '1' }, body }, res);
+        return res;
+    }
+
+    const runCron = () => post(dispatch);
+    const setClock = iso => mock.timers.setTime(new Date(iso).getTime());
+
+    async function enrollAndActivate() {
+        const res = await post(enroll, { phoneNumber: PHONE, firstName: 'Sam', enrollmentSource: 'SELF_SERVICE' });
+        assert.equal(res.statusCode, 201);
+
+        await text('START');
+        await text('8am');
+        await text('no');
+    }
+
+    it('walks from enrollment to DAILY_ACTIVE with a first check-in scheduled', async () => {
+        await enrollAndActivate();
+
+        assert.equal(patient().state, 'DAILY_ACTIVE');
+        assert.equal(patient().timezone, 'America/New_York');
+        assert.equal(patient().preferred_time, '08:00');
+        assert.deepEqual(sentTemplates(), ['O-1-SELF', 'O-2', 'O-3-ASK-APPT', 'O-3-CONFIRMED']);
+        assert.deepEqual(
+            store.tables.state_transitions.map(t => t.to_state),
+            ['ENROLLED', 'ONBOARDING', 'DAILY_ACTIVE']
+        );
+
+        const [sprint] = store.tables.sprints;
+        assert.equal(sprint.status, 'ACTIVE');
+        assert.equal(sprint.start_date, '2026-03-17');
+
+        const checkin = pendingJobs().find(j => j.job_type === 'DAILY_CHECKIN');
+        const firesAt = new Date(checkin.scheduled_for);
+        assert.ok(firesAt >= new Date('2026-03-17T12:00:00Z'), checkin.scheduled_for);  // 08:00 EDT
+        assert.ok(firesAt < new Date('2026-03-17T12:05:00Z'), checkin.scheduled_for);   // + jitter
+    });
+
+    it('sends D-1 from the cron, records the answer, and queues tomorrow', async () => {
+        await enrollAndActivate();
+        local.clearOutbox();
+
+        // Nothing is due yet
+        assert.equal((await runCron()).body.processed, 0);
+
+        setClock('2026-03-17T12:06:00Z');
+        const cron = await runCron();
+        assert.equal(cron.body.succeeded, cron.body.processed);
+        assert.ok(sentTemplates().includes('D-1'));
+
+        const daily = store.tables.scheduled_jobs.filter(j => j.job_type === 'DAILY_CHECKIN');
+        assert.deepEqual(daily.map(j => j.status), ['COMPLETED', 'PENDING']);
+        assert.ok(daily[1].scheduled_for.startsWith('2026-03-18T12:0'), daily[1].scheduled_for);
+
+        setClock('2026-03-17T12:30:00Z');
+        await text('3');
+
+        const [entry] = store.tables.daily_entries;
+        assert.equal(entry.entry_date, '2026-03-17');
+        assert.equal(entry.hv_fis_level, 3);
+        assert.equal(entry.day_number, 1);
+        assert.ok(entry.response_latency_min >= 24 && entry.response_latency_min <= 30, String(entry.response_latency_min));
+        assert.equal(patient().day_count, 1);
+        assert.equal(store.tables.sprints[0].days_completed, 1);
+
+        // Day 1: ack, then the medication-history question
+        assert.equal(sentTemplates().at(-1), 'O-4-ASK');
+        assert.equal(patient().pending_question, 'MED_HISTORY_YN');
+    });
+
+    it('skips the prompt on a day the patient already answered', async () => {
+        await enrollAndActivate();
+
+        // Patient texts before the prompt goes out
+        setClock('2026-03-17T11:30:00Z');
+        await text('2');
+        local.clearOutbox();
+
+        setClock('2026-03-17T12:06:00Z');
+        await runCron();
+        assert.equal(sentTemplates().includes('D-1'), false);
+        assert.equal(pendingJobs().filter(j => j.job_type === 'DAILY_CHECKIN').length, 1);
+    });
+
+    it('undoes a correction once; a second UNDO leaves it alone', async () => {
+        await enrollAndActivate();
+
+        setClock('2026-03-17T12:30:00Z');
+        await text('3');
+        await text('CHANGE 4');
+        local.clearOutbox();
+
+        await text('UNDO');
+        assert.equal(store.tables.daily_entries[0].hv_fis_level, 3);
+
+        await text('UNDO');
+        assert.equal(store.tables.daily_entries[0].hv_fis_level, 3);
+        assert.deepEqual(sentTemplates(), ['SYS-UNDO-CONFIRM', 'SYS-UNDO-NONE']);
+        assert.deepEqual(
+            store.tables.daily_entry_revisions.map(r => [r.revision_type, r.previous_level, r.new_level]),
+            [['CHANGE', 3, 4], ['UNDO', 4, 3]]
+        );
+    });
+
+    it('sends a late check-in at the time the patient picked, quiet hours or not', async () => {
+        await post(enroll, { phoneNumber: PHONE, firstName: 'Sam', enrollmentSource: 'SELF_SERVICE' });
+        await text('START');
+        await text('10:30pm');
+        await text('no');
+        local.clearOutbox();
+
+        // 22:30 EDT, plus jitter
+        setClock('2026-03-17T02:36:00Z');
+        await runCron();
+        assert.deepEqual(sentTemplates(), ['D-1']);
+
+        const [next] = pendingJobs().filter(j => j.job_type === 'DAILY_CHECKIN');
+        assert.ok(next.scheduled_for.startsWith('2026-03-18T02:3'), next.scheduled_for);
+    });
+
+    it('holds a late-night check-in that runs late into quiet hours', async () => {
+        await post(enroll, { phoneNumber: PHONE, firstName: 'Sam', enrollmentSource: 'SELF_SERVICE' });
+        await text('START');
+        await text('10:30pm');
+        await text('no');
+        local.clearOutbox();
+
+        // The cron was down: 01:00 EDT, two and a half hours after 22:30
+        setClock('2026-03-17T05:00:00Z');
+        await runCron();
+        assert.deepEqual(sentTemplates(), []);
+
+        // Skipped for the day; tomorrow's comes at 22:30 as usual
+        const daily = store.tables.scheduled_jobs.filter(j => j.job_type === 'DAILY_CHECKIN');
+        assert.deepEqual(daily.map(j => j.status), ['COMPLETED', 'PENDING']);
+        assert.ok(daily[1].scheduled_for.startsWith('2026-03-18T02:3'), daily[1].scheduled_for);
+    });
+
+    it('skips a check-in over the daily cap rather than send two the next day', async () => {
+        await enrollAndActivate();
+        process.env.MAX_DAILY_MESSAGES = '2';
+        try {
+            setClock('2026-03-17T11:00:00Z');
+            for (const body of ['Reminder 1', 'Reminder 2']) {
+                await store.messages.insert({
+                    patient_id: patient().patient_id, direction: 'OUTBOUND', body, sent_at: new Date().toISOString(),
+                });
+            }
+            local.clearOutbox();
+
+            setClock('2026-03-17T12:06:00Z');
+            await runCron();
+            assert.deepEqual(sentTemplates(), []);
+
+            // Tomorrow's check-in is the only one tomorrow, at the usual time
+            const daily = pendingJobs().filter(j => j.job_type === 'DAILY_CHECKIN');
+            assert.equal(daily.length, 1);
+            assert.ok(daily[0].scheduled_for.startsWith('2026-03-18T12:0'), daily[0].scheduled_for);
+        } finally {
+            delete process.env.MAX_DAILY_MESSAGES;
+        }
+    });
+
+    it('sends T-1 from the cron after the day 30 answer', async () => {
+        await enrollAndActivate();
+        store.tables.patients[0].day_count = 29;
+        local.clearOutbox();
+
+        setClock('2026-03-17T12:30:00Z');
+        await text('2');
+        assert.equal(patient().state, 'TRANSITION');
+        assert.equal(patient().pending_question, 'TRANSITION_CHOICE');
+        assert.equal(sentTemplates().includes('T-1'), false);
+
+        await runCron();
+        assert.equal(sentTemplates().at(-1), 'T-1');
+        assert.deepEqual(pendingJobs(), []);
+    });
+
+    it('does not send a queued T-1 once the patient has left TRANSITION', async () => {
+        await enrollAndActivate();
+        store.tables.patients[0].day_count = 29;
+
+        setClock('2026-03-17T12:30:00Z');
+        await text('2');
+        await text('STOP');
+        local.clearOutbox();
+
+        await runCron();
+        assert.deepEqual(sentTemplates(), []);
+    });
+
+    it('routes a text again when the state changed under its handler', async (t) => {
+        await enrollAndActivate();
+        const stale = { ...patient() };
+        await transitionState(stale.patient_id, 'PAUSED', 'SYSTEM_TIMER', '5 consecutive missed days');
+        local.clearOutbox();
+
+        // The webhook read the patient just before the cron paused them
+        t.mock.method(console, 'warn', () => {});
+        const findByPhone = t.mock.method(store.patients, 'findByPhone');
+        findByPhone.mock.mockImplementationOnce(async () => stale);
+
+        const result = await text('PAUSE');
+        assert.equal(result.route, 'PAUSED');
+        assert.equal(result.patient.state, 'PAUSED');
+        assert.deepEqual(sentTemplates(), ['SYS-PAUSED-INFO']);
+        assert.equal(store.tables.state_transitions.filter(t => t.to_state === 'PAUSED').length, 1);
+    });
+
+    it('skips D-RE5 when the patient is no longer DAILY_ACTIVE', async (t) => {
+        await enrollAndActivate();
+        await text('PAUSE');
+        local.clearOutbox();
+
+        t.mock.method(console, 'log', () => {});
+        t.mock.method(console, 'warn', () => {});
+        const job = await store.jobs.insert({
+            patient_id: patient().patient_id,
+            job_type: 'RE_ENGAGEMENT',
+            scheduled_for: new Date().toISOString(),
+            payload: { type: 'D-RE5' },
+        });
+        await runCron();
+
+        assert.deepEqual(sentTemplates(), []);
+        assert.equal(store.tables.scheduled_jobs.find(j => j.job_id === job.job_id).status, 'COMPLETED');
+        assert.equal(store.tables.state_transitions.filter(t => t.to_state === 'PAUSED').length, 1);
+    });
+
+    async function chooseWeekly() {
+        await enrollAndActivate();
+        store.tables.patients[0].day_count = 29;
+
+        setClock('2026-03-17T12:30:00Z');   // Tue, 08:30 local
+        await text('2');
+        await runCron();
+        local.clearOutbox();
+        await text('1');
+    }
+
+    const weeklyEntries = () => store.tables.weekly_entries.filter(w => w.question_type === 'WEEKLY_CHECKIN');
+
+    it('moves to WEEKLY from T-1 with a check-in the same weekday next week', async () => {
+        await chooseWeekly();
+
+        assert.equal(patient().state, 'WEEKLY');
+        assert.deepEqual(sentTemplates(), ['T-1-WEEKLY']);
+        assert.match(local.outbox[0].body, /Tuesday at 8:00 AM/);
+
+        const weeklySprint = store.tables.sprints.find(s => s.sprint_type === 'WEEKLY');
+        assert.equal(weeklySprint.status, 'ACTIVE');
+        assert.equal(weeklySprint.start_date, '2026-03-17');
+
+        const [checkin] = pendingJobs();
+        assert.equal(checkin.job_type, 'WEEKLY_CHECKIN');
+        assert.ok(checkin.scheduled_for.startsWith('2026-03-24T12:0'), checkin.scheduled_for);
+    });
+
+    it('sends W-CHECKIN from the cron, stores the answer, and queues next week', async () => {
+        await chooseWeekly();
+
+        setClock('2026-03-24T12:06:00Z');
+        await runCron();
+        assert.deepEqual(sentTemplates(), ['T-1-WEEKLY', 'W-CHECKIN']);
+
+        const weekly = store.tables.scheduled_jobs.filter(j => j.job_type === 'WEEKLY_CHECKIN');
+        assert.deepEqual(weekly.map(j => j.status), ['COMPLETED', 'PENDING']);
+        assert.ok(weekly[1].scheduled_for.startsWith('2026-03-31T12:0'), weekly[1].scheduled_for);
+
+        await text('2 4');
+        assert.equal(sentTemplates().at(-1), 'W-CHECKIN-ACK');
+
+        const [entry] = weeklyEntries();
+        assert.equal(entry.week_number, 1);
+        assert.equal(entry.headache_days, 2);
+        assert.equal(entry.worst_level, 4);
+        assert.equal(entry.response_value, '2/4');
+        assert.ok(entry.responded_at);
+
+        // Nothing open any more: another text gets when the next one is
+        await text('3');
+        assert.equal(sentTemplates().at(-1), 'SYS-WEEKLY-INFO');
+        assert.equal(weeklyEntries().length, 1);
+    });
+
+    it('asks for the worst level when only the days come back', async () => {
+        await chooseWeekly();
+        setClock('2026-03-24T12:06:00Z');
+        await runCron();
+
+        await text('3 days');
+        assert.equal(sentTemplates().at(-1), 'W-CHECKIN-WORST');
+        assert.equal(patient().pending_question, 'WEEKLY_WORST');
+
+        await text('5');
+        const [entry] = weeklyEntries();
+        assert.equal(entry.headache_days, 3);
+        assert.equal(entry.worst_level, 5);
+        assert.equal(entry.response_text, '3 days\n5');
+        assert.equal(patient().pending_question, null);
+        assert.equal(sentTemplates().at(-1), 'W-CHECKIN-ACK');
+    });
+
+    it('re-asks when the answer is not one', async () => {
+        await chooseWeekly();
+        setClock('2026-03-24T12:06:00Z');
+        await runCron();
+
+        await text('9 2');
+        assert.equal(sentTemplates().at(-1), 'ERR-WEEKLY');
+        assert.equal(weeklyEntries()[0].responded_at, null);
+
+        await text('none');
+        assert.equal(weeklyEntries()[0].headache_days, 0);
+        assert.equal(weeklyEntries()[0].worst_level, null);
+    });
+
+    it('goes back to daily on DAILY with a new sprint', async () => {
+        await chooseWeekly();
+        setClock('2026-03-26T15:00:00Z');   // Thu, 11:00 local
+
+        await text('daily');
+        assert.equal(patient().state, 'DAILY_ACTIVE');
+        assert.equal(patient().day_count, 0);
+        assert.equal(sentTemplates().at(-1), 'W-DAILY');
+
+        const weeklySprint = store.tables.sprints.find(s => s.sprint_type === 'WEEKLY');
+        assert.equal(weeklySprint.status, 'COMPLETED');
+        assert.equal(weeklySprint.end_date, '2026-03-26');
+
+        const active = await store.sprints.getActive(patient().patient_id);
+        assert.equal(active.sprint_type, 'INITIAL');
+        assert.equal(active.start_date, '2026-03-26');
+
+        assert.deepEqual(pendingJobs().map(j => j.job_type), ['DAILY_CHECKIN']);
+        assert.ok(pendingJobs()[0].scheduled_for.startsWith('2026-03-27T12:0'), pendingJobs()[0].scheduled_for);
+    });
+
+    it('moves the weekly check-in on TIME, keeping its weekday', async () => {
+        await chooseWeekly();
+
+        await text('TIME 7pm');
+        const [checkin] = pendingJobs();
+        assert.equal(checkin.payload.preferred_time, '19:00');
+        assert.equal(checkin.payload.weekday, 2);
+        assert.ok(checkin.scheduled_for.startsWith('2026-03-24T23:0'), checkin.scheduled_for);
+
+        await text('STATUS');
+        assert.equal(sentTemplates().at(-1), 'SYS-WEEKLY-INFO');
+        assert.match(local.outbox.at(-1).body, /Tuesday at 7:00 PM/);
+    });
+
+    async function chooseTreatment(medication = 'started topiramate') {
+        await enrollAndActivate();
+        store.tables.patients[0].day_count = 29;
+        store.tables.reference_medications.push({
+            medication_name: 'Topiramate',
+            generic_name: 'topiramate',
+            brand_names: null,
+            medication_type: 'RX_PREVENTIVE',
+            drug_class: 'Anticonvulsant',
+        });
+
+        setClock('2026-03-17T12:30:00Z');   // Tue, 08:30 local
+        await text('2');
+        await runCron();
+        local.clearOutbox();
+
+        await text('2');
+        assert.deepEqual(sentTemplates(), ['T-1-TREATMENT-ASK']);
+        assert.equal(patient().pending_question, 'TREATMENT_MED');
+        await text(medication);
+    }
+
+    const sprintOfType = type => store.tables.sprints.find(s => s.sprint_type === type);
+
+    // Answered days in a sprint, oldest first, ending the day before `lastDate`
+    function logDays(sprint, levels, lastDate) {
+        levels.forEach((level, i) => store.tables.daily_entries.push({
+            entry_id: `${sprint.sprint_id}-${i}`,
+            patient_id: sprint.patient_id,
+            sprint_id: sprint.sprint_id,
+            entry_date: new Date(Date.parse(lastDate) - (levels.length - i) * 86400000).toISOString().slice(0, 10),
+            hv_fis_level: level,
+            is_missed: false,
+        }));
+    }
+
+    it('starts a TREATMENT sprint linked to the baseline from T-1 option 2', async () => {
+        await chooseTreatment();
+
+        assert.equal(patient().state, 'TREATMENT');
+        assert.equal(patient().current_treatment, 'Topiramate');
+        assert.equal(patient().day_count, 0);
+        assert.equal(patient().pending_question, null);
+        assert.equal(sentTemplates().at(-1), 'T-1-TREATMENT');
+
+        const baseline = sprintOfType('INITIAL');
+        const treatment = sprintOfType('TREATMENT');
+        assert.equal(baseline.status, 'COMPLETED');
+        assert.equal(treatment.status, 'ACTIVE');
+        assert.equal(treatment.treatment_medication, 'Topiramate');
+        assert.equal(treatment.baseline_sprint_id, baseline.sprint_id);
+        assert.equal(treatment.start_date, '2026-03-17');
+
+        const [checkin] = pendingJobs();
+        assert.equal(checkin.job_type, 'DAILY_CHECKIN');
+        assert.ok(checkin.scheduled_for.startsWith('2026-03-18T12:0'), checkin.scheduled_for);
+
+        // D-1 goes out as usual, and day 1 doesn't ask for medication history again
+        setClock('2026-03-18T12:06:00Z');
+        await runCron();
+        assert.equal(sentTemplates().at(-1), 'D-1');
+
+        await text('3');
+        assert.equal(sentTemplates().at(-1), 'D-ACK-1');
+        assert.equal(patient().pending_question, null);
+        assert.equal(store.tables.daily_entries.at(-1).sprint_id, treatment.sprint_id);
+    });
+
+    it('reads back a medication it does not know and takes it on YES', async () => {
+        await chooseTreatment('Zavzpret');
+
+        assert.equal(patient().state, 'TRANSITION');
+        assert.equal(sentTemplates().at(-1), 'T-1-TREATMENT-UNKNOWN');
+        assert.match(local.outbox.at(-1).body, /"Zavzpret"/);
+
+        await text('yes');
+        assert.equal(patient().state, 'TREATMENT');
+        assert.equal(sprintOfType('TREATMENT').treatment_medication, 'Zavzpret');
+    });
+
+    it('starts a TREATMENT sprint without a baseline when no INITIAL sprint was completed', async () => {
+        await chooseTreatment('Zavzpret');
+        sprintOfType('INITIAL').status = 'ABANDONED';
+
+        await text('yes');
+        assert.equal(patient().state, 'TREATMENT');
+        assert.equal(sprintOfType('TREATMENT').baseline_sprint_id, null);
+        assert.equal(sentTemplates().at(-1), 'T-1-TREATMENT-NO-BASELINE');
+        assert.doesNotMatch(local.outbox.at(-1).body, /first month/);
+    });
+
+    it('compares the treatment sprint with the baseline at week 1 and day 30', async () => {
+        await chooseTreatment();
+        const baseline = sprintOfType('INITIAL');
+        const treatment = sprintOfType('TREATMENT');
+
+        // Baseline: 11 of 21 days with a headache (with the day 30 "2"), HV-DBS 15
+        logDays(baseline, [...Array(10).fill(1), 2, 2, 3, 3, 4, 4, 5, 5, 5, 2], '2026-03-17');
+        logDays(treatment, [1, 1, 1, 2, 1, 1], '2026-03-24');
+        store.tables.patients[0].day_count = 6;
+
+        setClock('2026-03-24T13:00:00Z');
+        await text('1');
+        assert.equal(sentTemplates().at(-1), 'I-TX');
+        assert.match(local.outbox.at(-1).body, /One week on Topiramate: .* 14% .* first month it was 52%/s);
+
+        store.tables.patients[0].day_count = 29;
+        setClock('2026-03-25T13:00:00Z');
+        await text('4');
+
+        assert.equal(sentTemplates().at(-1), 'I-TX-30');
+        const comparison = local.outbox.at(-1).body;
+        assert.match(comparison, /Headache days: 2 \(before: 11\)/);
+        assert.match(comparison, /Burden score: 2 \(before: 15\)/);
+
+        const done = sprintOfType('TREATMENT');
+        assert.equal(done.sprint_id, treatment.sprint_id);
+        assert.equal(done.status, 'COMPLETED');
+        assert.ok(done.report_token);
+        assert.equal(patient().state, 'TRANSITION');
+
+        await runCron();
+        assert.equal(sentTemplates().at(-1), 'T-1');
+    });
+
+    it('pauses and resumes treatment monitoring', async () => {
+        await chooseTreatment();
+
+        await text('PAUSE');
+        assert.equal(patient().state, 'PAUSED');
+        assert.deepEqual(pendingJobs().map(j => j.job_type), ['PAUSE_REMINDER']);
+
+        await text('yes');
+        assert.equal(patient().state, 'TREATMENT');
+        assert.deepEqual(pendingJobs().map(j => j.job_type), ['DAILY_CHECKIN']);
+    });
+
+    async function pauseUntilFinalCheckin() {
+        await enrollAndActivate();
+        await text('PAUSE');
+        local.clearOutbox();
+
+        setClock('2026-03-30T14:01:00Z');   // 14 days later
+        await runCron();
+    }
+
+    it('sends one last check-in 14 days into a pause', async () => {
+        await pauseUntilFinalCheckin();
+
+        assert.deepEqual(sentTemplates(), ['SYS-PAUSE-FINAL']);
+        assert.match(local.outbox[0].body, /paused for 14 days/);
+        assert.equal(patient().state, 'PAUSED');
+
+        const [expiry] = pendingJobs();
+        assert.equal(expiry.job_type, 'PAUSE_EXPIRY');
+        assert.equal(expiry.scheduled_for, '2026-04-02T14:01:00.000Z');
+    });
+
+    it('goes DORMANT and abandons the sprint with no reply to the final check-in', async () => {
+        await pauseUntilFinalCheckin();
+        local.clearOutbox();
+
+        setClock('2026-04-02T14:02:00Z');
+        await runCron();
+
+        assert.equal(patient().state, 'DORMANT');
+        assert.deepEqual(sentTemplates(), []);
+        assert.deepEqual(pendingJobs(), []);
+
+        const sprint = sprintOfType('INITIAL');
+        assert.equal(sprint.status, 'ABANDONED');
+        assert.equal(sprint.end_date, '2026-04-02');
+        assert.equal(sprint.report_token, null);
+
+        const expired = store.tables.state_transitions.at(-1);
+        assert.deepEqual([expired.from_state, expired.to_state, expired.trigger_type], ['PAUSED', 'DORMANT', 'SYSTEM_TIMER']);
+        assert.match(expired.trigger_detail, /Pause expired/);
+
+        // START brings them back with a new sprint
+        await text('START');
+        assert.equal(patient().state, 'DAILY_ACTIVE');
+        assert.equal(sentTemplates().at(-1), 'SYS-REACTIVATE');
+        assert.equal(store.tables.sprints.filter(s => s.status === 'ACTIVE').length, 1);
+    });
+
+    it('keeps a partial report for an abandoned sprint with enough days', async () => {
+        await enrollAndActivate();
+        sprintOfType('INITIAL').days_completed = 7;
+        await text('PAUSE');
+
+        setClock('2026-03-30T14:01:00Z');
+        await runCron();
+        setClock('2026-04-02T14:02:00Z');
+        await runCron();
+
+        const sprint = sprintOfType('INITIAL');
+        assert.equal(sprint.status, 'ABANDONED');
+        assert.ok(sprint.report_token);
+        assert.equal(sprint.report_generated, true);
+    });
+
+    it('resumes on a reply to the final check-in and cancels the expiry', async () => {
+        await pauseUntilFinalCheckin();
+
+        await text('yes');
+        assert.equal(patient().state, 'DAILY_ACTIVE');
+        assert.deepEqual(pendingJobs().map(j => j.job_type), ['DAILY_CHECKIN']);
+        assert.equal(store.tables.scheduled_jobs.find(j => j.job_type === 'PAUSE_EXPIRY').status, 'CANCELLED');
+        assert.equal(sprintOfType('INITIAL').status, 'ACTIVE');
+    });
+
+    it('restarts a Spanish DORMANT patient on any Spanish START', async () => {
+        for (const keyword of ['EMPEZAR', 'Comenzar']) {
+            store = createMemoryRepositories();
+            useRepositories(store);
+            await store.patients.insert({ phone_number: PHONE, state: 'DORMANT', preferred_time: '13:00', language: 'es' });
+
+            await text(keyword);
+            assert.equal(patient().state, 'DAILY_ACTIVE', keyword);
+            assert.equal(sentTemplates().at(-1), 'SYS-REACTIVATE');
+            assert.match(local.outbox.at(-1).body, /mañana a la 1:00 PM\./);
+        }
+    });
+
+    it("dates a restarted sprint in the patient's timezone", async () => {
+        await store.patients.insert({ phone_number: PHONE, state: 'DORMANT', preferred_time: '08:00', timezone: 'America/New_York' });
+
+        // 10pm Sunday in New York, already Monday in UTC
+        setClock('2026-03-16T02:00:00Z');
+        await text('START');
+
+        assert.equal(patient().state, 'DAILY_ACTIVE');
+        assert.equal(patient().sprint_start_date, '2026-03-15');
+        assert.equal(store.tables.sprints[0].start_date, '2026-03-15');
+    });
+
+    const onboardJobs = () => pendingJobs().filter(j => j.job_type.startsWith('ONBOARD'));
+
+    it('reminds a patient who never replies START, then moves them to DORMANT', async () => {
+        await post(enroll, { phoneNumber: PHONE, firstName: 'Sam', enrollmentSource: 'SELF_SERVICE' });
+        local.clearOutbox();
+
+        const [first] = onboardJobs();
+        assert.equal(first.scheduled_for, '2026-03-17T14:00:00.000Z');
+        assert.deepEqual(first.payload, { step: 'ENROLLED', reminder: 1, since: '2026-03-16T14:00:00.000Z' });
+
+        setClock('2026-03-17T14:01:00Z');
+        await runCron();
+        assert.deepEqual(sentTemplates(), ['O-1-SELF']);
+        assert.equal(onboardJobs()[0].scheduled_for, '2026-03-19T14:00:00.000Z');
+
+        setClock('2026-03-19T14:01:00Z');
+        await runCron();
+        assert.deepEqual(sentTemplates(), ['O-1-SELF', 'O-1-FINAL']);
+        const [expiry] = onboardJobs();
+        assert.equal(expiry.job_type, 'ONBOARD_EXPIRY');
+        assert.equal(expiry.scheduled_for, '2026-03-23T14:00:00.000Z');
+
+        setClock('2026-03-23T14:01:00Z');
+        await runCron();
+        assert.equal(patient().state, 'DORMANT');
+        assert.equal(local.outbox.length, 2);
+        assert.deepEqual(pendingJobs(), []);
+
+        const dropoff = store.tables.state_transitions.at(-1);
+        assert.deepEqual([dropoff.from_state, dropoff.to_state, dropoff.trigger_type], ['ENROLLED', 'DORMANT', 'SYSTEM_TIMER']);
+        assert.match(dropoff.trigger_detail, /drop-off at O-1/);
+
+        // START later is still consent, and picks up at the time question
+        await text('START');
+        assert.equal(patient().state, 'ONBOARDING');
+        assert.ok(patient().opted_in_at);
+        assert.equal(sentTemplates().at(-1), 'O-2');
+        assert.equal(onboardJobs()[0].payload.step, 'ONBOARDING');
+    });
+
+    it('reminds a self-enrolled patient who never sends a name, then moves them to DORMANT', async () => {
+        await text('TRACK');
+        local.clearOutbox();
+
+        const [first] = onboardJobs();
+        assert.equal(first.scheduled_for, '2026-03-17T14:00:00.000Z');
+        assert.deepEqual(first.payload, { step: 'ENROLL_NAME', reminder: 1, since: '2026-03-16T14:00:00.000Z' });
+
+        setClock('2026-03-17T14:01:00Z');
+        await runCron();
+        setClock('2026-03-19T14:01:00Z');
+        await runCron();
+        assert.deepEqual(sentTemplates(), ['ENROLL-NAME-REMIND', 'ENROLL-NAME-FINAL']);
+
+        setClock('2026-03-23T14:01:00Z');
+        await runCron();
+        assert.equal(patient().state, 'DORMANT');
+        assert.deepEqual(pendingJobs(), []);
+
+        const dropoff = store.tables.state_transitions.at(-1);
+        assert.deepEqual([dropoff.from_state, dropoff.to_state, dropoff.trigger_type], ['ENROLLED', 'DORMANT', 'SYSTEM_TIMER']);
+        assert.match(dropoff.trigger_detail, /drop-off at ENROLL-NAME/);
+
+        // START later asks for the name again, then carries on as usual
+        await text('START');
+        assert.equal(patient().state, 'ENROLLED');
+        assert.equal(patient().pending_question, 'ENROLL_NAME');
+        assert.equal(sentTemplates().at(-1), 'ENROLL-NAME');
+        assert.equal(onboardJobs()[0].payload.step, 'ENROLL_NAME');
+
+        await text('Sam');
+        assert.equal(sentTemplates().at(-1), 'O-1-SELF');
+        assert.deepEqual(onboardJobs().map(j => j.payload.step), ['ENROLLED']);
+    });
+
+    it('re-enrolls an unsubscribed patient through the state chart', async () => {
+        await enrollAndActivate();
+        await text('STOP');
+        assert.equal(patient().state, 'UNSUBSCRIBED');
+        local.clearOutbox();
+
+        const res = await post(enroll, { phoneNumber: PHONE, firstName: 'Samantha', enrollmentSource: 'SELF_SERVICE' });
+        assert.equal(res.statusCode, 201);
+        assert.equal(res.body.reEnrolled, true);
+        assert.equal(patient().state, 'ENROLLED');
+        assert.equal(patient().first_name, 'Samantha');
+        assert.equal(patient().opted_out_at, null);
+        assert.deepEqual(sentTemplates(), ['O-1-SELF']);
+
+        const audit = store.tables.state_transitions.at(-1);
+        assert.deepEqual([audit.from_state, audit.to_state, audit.trigger_type], ['UNSUBSCRIBED', 'ENROLLED', 'ADMIN_ACTION']);
+        assert.equal(audit.trigger_detail, 'Re-enrollment via SELF_SERVICE');
+        assert.deepEqual(pendingJobs().map(j => j.job_type), ['ONBOARD_REMINDER']);
+
+        // A second enrollment finds the patient no longer unsubscribed
+        const again = await post(enroll, { phoneNumber: PHONE, firstName: 'Sam', enrollmentSource: 'SELF_SERVICE' });
+        assert.equal(again.statusCode, 409);
+
+        await text('START');
+        assert.equal(patient().state, 'ONBOARDING');
+    });
+
+    it('reminds a patient who never picks a time, then moves them to DORMANT', async () => {
+        await post(enroll, { phoneNumber: PHONE, firstName: 'Sam', enrollmentSource: 'SELF_SERVICE' });
+        await text('START');
+        local.clearOutbox();
+        assert.deepEqual(onboardJobs().map(j => j.payload.step), ['ONBOARDING']);
+
+        setClock('2026-03-17T14:01:00Z');
+        await runCron();
+        setClock('2026-03-19T14:01:00Z');
+        await runCron();
+        assert.deepEqual(sentTemplates(), ['O-2-REMIND', 'O-2-FINAL']);
+
+        setClock('2026-03-23T14:01:00Z');
+        await runCron();
+        assert.equal(patient().state, 'DORMANT');
+        assert.match(store.tables.state_transitions.at(-1).trigger_detail, /drop-off at O-2/);
+
+        await text('START');
+        await text('8am');
+        assert.equal(sentTemplates().at(-1), 'O-3-ASK-APPT');
+        assert.equal(onboardJobs().length, 1);
+
+        await text('no');
+        assert.equal(patient().state, 'DAILY_ACTIVE');
+        assert.deepEqual(onboardJobs(), []);
+    });
+
+    it('reminds a self-service patient who never answers the appointment question', async () => {
+        await post(enroll, { phoneNumber: PHONE, firstName: 'Sam', enrollmentSource: 'SELF_SERVICE' });
+        await text('START');
+        await text('8am');
+        local.clearOutbox();
+
+        setClock('2026-03-17T14:01:00Z');
+        await runCron();
+        setClock('2026-03-19T14:01:00Z');
+        await runCron();
+        assert.deepEqual(sentTemplates(), ['O-3-REMIND', 'O-3-FINAL']);
+
+        setClock('2026-03-23T14:01:00Z');
+        await runCron();
+        assert.equal(patient().state, 'DORMANT');
+        assert.match(store.tables.state_transitions.at(-1).trigger_detail, /drop-off at O-3/);
+
+        // They have a check-in time, so START starts a sprint
+        await text('START');
+        assert.equal(patient().state, 'DAILY_ACTIVE');
+        assert.equal(sentTemplates().at(-1), 'SYS-REACTIVATE');
+    });
+
+    it('stops reminding once onboarding is done', async () => {
+        await enrollAndActivate();
+        setClock('2026-03-24T14:01:00Z');
+        await runCron();
+
+        assert.ok(!sentTemplates().some(id => /^O-[12]-(FINAL|REMIND)$/.test(id)));
+        assert.deepEqual(onboardJobs(), []);
+        assert.equal(patient().state, 'DAILY_ACTIVE');
+    });
+
+    it('follows the reminder cadence from the environment', async () => {
+        process.env.ONBOARD_REMINDER_HOURS = '12';
+        process.env.ONBOARD_EXPIRY_HOURS = '48';
+        try {
+            await post(enroll, { phoneNumber: PHONE, firstName: 'Sam', enrollmentSource: 'SELF_SERVICE' });
+            local.clearOutbox();
+
+            setClock('2026-03-17T02:01:00Z');   // 12h, 22:01 local: quiet hours
+            await runCron();
+            setClock('2026-03-17T11:01:00Z');   // deferred to 07:00 local
+            await runCron();
+            assert.deepEqual(sentTemplates(), ['O-1-FINAL']);
+            assert.equal(onboardJobs()[0].scheduled_for, '2026-03-18T14:00:00.000Z');
+        } finally {
+            delete process.env.ONBOARD_REMINDER_HOURS;
+            delete process.env.ONBOARD_EXPIRY_HOURS;
+        }
+    });
+
+    it('logs every text both ways in messages', async () => {
+        await enrollAndActivate();
+
+        const inbound = store.tables.messages.filter(m => m.direction === 'INBOUND');
+        const outbound = store.tables.messages.filter(m => m.direction === 'OUTBOUND');
+        assert.deepEqual(inbound.map(m => m.body), ['START', '8am', 'no']);
+        assert.deepEqual(outbound.map(m => m.template_id), sentTemplates());
+    });
+});
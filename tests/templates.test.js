@@ -0,0 +1,145 @@
+/**
+ * Template Tests
+ *
+ * Every English template must have a translation in each locale, and
+ * render() must pick the patient's language with English as the fallback.
+ * Every template, in every language, must fit its SMS segment limit when
+ * rendered with worst-case data; English must stay GSM-7 (no emoji).
+ *
+ * Run: node --test tests/templates.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { templates, render, getSegmentLimit, LOCALES } = require('../lib/templates');
+const { parseLanguage, stripAccents } = require('../lib/utils/language');
+const { analyzeSms } = require('../lib/utils/sms-segments');
+const { formatTime12 } = require('../lib/handlers/state-handlers');
+
+// Longest realistic value for every template variable. Reading a key
+// that isn't listed here fails the test — add it when a template grows one.
+const WORST_CASE = {
+    firstName: 'Maximiliana-Josephine',
+    pcpName: 'Christopher Vanderbilt-Okonkwo',
+    reportUrl: 'https://headachevault.com/report/3f2a9c1e-7b4d-4e8a-9c2f-1a2b3c4d5e6f',
+    time: '10:30 PM',
+    localTime: '10:30 PM',
+    zone: 'America/Argentina/ComodRivadavia',
+    appointmentDate: 'Wednesday, September 30',
+    dateLabel: 'Wednesday, September 30',
+    medication: 'onabotulinumtoxinA (Botox)',
+    level: 5,
+    worstLevel: 5,
+    previousLevel: 5,
+    parsedLevel: 5,
+    mostCommonLevel: 5,
+    avgLevel: '4.5',
+    count: 7,
+    days: Array.from({ length: 7 }, () => ({ dateLabel: 'Wed, Sep 30', level: 5 })),
+    skippedCount: 7,
+    lookbackDays: 14,
+    totalDays: 30,
+    headacheDays: 30,
+    headacheFreeDays: 30,
+    completionPct: 100,
+    sprintDay: 30,
+    targetDays: 30,
+    daysCompleted: 30,
+    daysMissed: 30,
+    streak: 30,
+    nextCheckin: { day: 'Wed, Sep 30', time: '10:30 PM' },
+    weekday: 'Wednesday',
+    weeks: 3,
+    headachePct: 100,
+    baselinePct: 100,
+    baselineHeadacheDays: 30,
+    dbsScore: 90,
+    baselineDbsScore: 90,
+    pausedDays: 365,
+    paused: false,
+};
+
+const worstCaseData = new Proxy(WORST_CASE, {
+    get(target, key) {
+        if (typeof key === 'string' && !(key in target)) {
+            throw new Error(`No worst-case value for template variable "${key}"`);
+        }
+        return target[key];
+    },
+});
+
+describe('locales', () => {
+    for (const [locale, translations] of Object.entries(LOCALES)) {
+        it(`${locale} translates every template`, () => {
+            const missing = Object.keys(templates).filter(id => !translations[id]);
+            assert.deepEqual(missing, []);
+        });
+
+        it(`${locale} has no templates that English lacks`, () => {
+            const extra = Object.keys(translations).filter(id => !templates[id]);
+            assert.deepEqual(extra, []);
+        });
+    }
+});
+
+describe('render', () => {
+    it('renders in the requested language', () => {
+        assert.match(render('SYS-PAUSE', {}, 'es'), /PAUSA|pausa/);
+        assert.notEqual(render('SYS-HELP', {}, 'es'), render('SYS-HELP', {}, 'en'));
+    });
+
+    it('falls back to English for unknown locales', () => {
+        assert.equal(render('SYS-HELP', {}, 'fr'), render('SYS-HELP'));
+    });
+
+    it('says "your usual time" in Spanish too when there is no time', () => {
+        assert.match(render('SYS-REACTIVATE', { time: formatTime12(null) }), /tomorrow at your usual time\./);
+        assert.match(render('SYS-REACTIVATE', { time: formatTime12(null, 'es') }, 'es'), /mañana a la hora de siempre\./);
+        assert.match(render('SYS-REACTIVATE', { time: formatTime12('08:00', 'es') }, 'es'), /mañana a las 8:00 AM\./);
+    });
+
+    it('renders ERR-GENERIC for unknown templates', () => {
+        assert.equal(render('NOPE', {}, 'es'), render('ERR-GENERIC', {}, 'es'));
+    });
+});
+
+describe('segment limits', () => {
+    for (const locale of ['en', ...Object.keys(LOCALES)]) {
+        for (const templateId of Object.keys(templates)) {
+            it(`${templateId} (${locale}) fits its segment limit`, () => {
+                const stats = analyzeSms(render(templateId, worstCaseData, locale));
+                const limit = getSegmentLimit(templateId, stats.encoding);
+
+                assert.ok(
+                    stats.segments <= limit,
+                    `${stats.segments} ${stats.encoding} segments (${stats.length} chars), limit ${limit}`
+                );
+
+                if (locale === 'en') {
+                    assert.deepEqual(stats.unicodeChars, [], 'English templates must be GSM-7');
+                }
+            });
+        }
+    }
+});
+
+describe('parseLanguage', () => {
+    it('accepts codes and names with or without accents', () => {
+        assert.equal(parseLanguage('es'), 'es');
+        assert.equal(parseLanguage('Español'), 'es');
+        assert.equal(parseLanguage('SPANISH'), 'es');
+        assert.equal(parseLanguage('english'), 'en');
+        assert.equal(parseLanguage('inglés'), 'en');
+    });
+
+    it('returns null for unsupported languages', () => {
+        assert.equal(parseLanguage('french'), null);
+        assert.equal(parseLanguage(''), null);
+        assert.equal(parseLanguage(null), null);
+    });
+
+    it('stripAccents folds "SÍ" to "SI"', () => {
+        assert.equal(stripAccents('SÍ'), 'SI');
+    });
+});
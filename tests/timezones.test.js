@@ -0,0 +1,237 @@
+/**
+ * Timezone Tests
+ *
+ * Covers:
+ *   1. Parsing what patients type ("pacific", "CST", "Denver") into IANA zones
+ *   2. Area-code inference for new patients
+ *   3. The TIMEZONE / TZ command, including rescheduling the daily check-in
+ *   4. Timezone validation and inference in POST /api/enroll
+ *      (against the in-memory repositories; no network)
+ *
+ * Run: node --test tests/timezones.test.js
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useRepositories } = require('../lib/repositories');
+const { createMemoryRepositories } = require('../lib/repositories/memory');
+const { parseTimezone, timezoneFromPhone, isValidTimezone } = require('../lib/utils/timezones');
+const { handleGlobalCommands } = require('../lib/handlers/global-commands');
+const { selfEnroll } = require('../lib/services/enrollment');
+const enroll = require('../api/enroll');
+
+describe('parseTimezone', () => {
+    const cases = [
+        ['pacific', 'America/Los_Angeles'],
+        ['Pacific Time', 'America/Los_Angeles'],
+        ['PST', 'America/Los_Angeles'],
+        ['central standard time', 'America/Chicago'],
+        ['CST', 'America/Chicago'],
+        ['EST', 'America/New_York'],
+        ['eastern.', 'America/New_York'],
+        ['mountain', 'America/Denver'],
+        ['arizona', 'America/Phoenix'],
+        ['Hawaii', 'Pacific/Honolulu'],
+        ['Denver', 'America/Denver'],
+        ["I'm in Seattle", 'America/Los_Angeles'],
+        ['new york', 'America/New_York'],
+        ['hora del centro', 'America/Chicago'],
+        ['del pacífico', 'America/Los_Angeles'],
+        ['America/Chicago', 'America/Chicago'],
+        ['america/los angeles', 'America/Los_Angeles'],
+    ];
+
+    for (const [input, expected] of cases) {
+        it(`"${input}" → ${expected}`, () => {
+            assert.equal(parseTimezone(input), expected);
+        });
+    }
+
+    for (const input of ['mars', '3', 'America/Nowhere', 'west', '', null]) {
+        it(`${JSON.stringify(input)} → null`, () => {
+            assert.equal(parseTimezone(input), null);
+        });
+    }
+});
+
+describe('isValidTimezone', () => {
+    it('accepts IANA zones and rejects everything else', () => {
+        assert.equal(isValidTimezone('America/Denver'), true);
+        assert.equal(isValidTimezone('Not/AZone'), false);
+        assert.equal(isValidTimezone(''), false);
+        assert.equal(isValidTimezone(42), false);
+    });
+});
+
+describe('timezoneFromPhone', () => {
+    const cases = [
+        ['+13125551234', 'America/Chicago'],     // Chicago
+        ['+14155551234', 'America/Los_Angeles'], // San Francisco
+        ['+13035551234', 'America/Denver'],      // Denver
+        ['+16025551234', 'America/Phoenix'],     // Phoenix
+        ['+19075551234', 'America/Anchorage'],
+        ['+18085551234', 'Pacific/Honolulu'],
+        ['+17875551234', 'America/Puerto_Rico'],
+        ['+12155551234', 'America/New_York'],    // Philadelphia
+    ];
+
+    for (const [phone, expected] of cases) {
+        it(`${phone} → ${expected}`, () => {
+            assert.equal(timezoneFromPhone(phone), expected);
+        });
+    }
+
+    it('falls back to Eastern for unknown or non-US numbers', () => {
+        assert.equal(timezoneFromPhone('+15555550123'), 'America/New_York');
+        assert.equal(timezoneFromPhone('+447700900123'), 'America/New_York');
+        assert.equal(timezoneFromPhone(null), 'America/New_York');
+    });
+});
+
+describe('TIMEZONE command', () => {
+    let store;
+    let patient;
+
+    beforeEach(async () => {
+        store = createMemoryRepositories();
+        useRepositories(store);
+        patient = await store.patients.insert({
+            phone_number: '+12155551234',
+            state: 'DAILY_ACTIVE',
+            preferred_time: '08:00',
+        });
+        await store.jobs.insert({
+            patient_id: patient.patient_id,
+            job_type: 'DAILY_CHECKIN',
+            scheduled_for: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+            recurrence: 'daily',
+            payload: { preferred_time: '08:00', timezone: 'America/New_York' },
+        });
+    });
+
+    after(() => useRepositories(null));
+
+    const savedPatient = () => store.tables.patients[0];
+    const jobsWithStatus = status => store.tables.scheduled_jobs.filter(j => j.status === status);
+
+    it('sets the zone and moves the pending check-in', async () => {
+        const result = await handleGlobalCommands(patient, 'TZ pacific');
+
+        assert.equal(result.templateId, 'SYS-TZ-CONFIRM');
+        assert.match(result.reply, /America\/Los Angeles/);
+        assert.equal(savedPatient().timezone, 'America/Los_Angeles');
+
+        assert.equal(jobsWithStatus('CANCELLED').length, 1);
+
+        const [job] = jobsWithStatus('PENDING');
+        assert.equal(job.job_type, 'DAILY_CHECKIN');
+        assert.deepEqual(job.payload, { preferred_time: '08:00', timezone: 'America/Los_Angeles' });
+    });
+
+    it('accepts TIMEZONE, TIME ZONE and ZONA HORARIA', async () => {
+        for (const text of ['TIMEZONE central', 'time zone CST', 'zona horaria del centro']) {
+            const result = await handleGlobalCommands({ ...patient }, text);
+            assert.equal(result.templateId, 'SYS-TZ-CONFIRM', text);
+        }
+    });
+
+    it('does not schedule a check-in when none was pending', async () => {
+        await store.jobs.cancelPending(patient.patient_id);
+        await handleGlobalCommands({ ...patient, state: 'PAUSED' }, 'TZ denver');
+
+        assert.equal(savedPatient().timezone, 'America/Denver');
+        assert.equal(jobsWithStatus('PENDING').length, 0);
+    });
+
+    it('leaves jobs alone when the zone is unchanged', async () => {
+        await handleGlobalCommands(patient, 'TZ eastern');
+        assert.equal(jobsWithStatus('CANCELLED').length, 0);
+        assert.equal(store.tables.scheduled_jobs.length, 1);
+    });
+
+    it('asks for a zone when missing or unrecognized', async () => {
+        for (const text of ['TZ', 'TZ narnia', 'ZONA']) {
+            const result = await handleGlobalCommands(patient, text);
+            assert.equal(result.templateId, 'SYS-TZ-ASK', text);
+        }
+        assert.equal(savedPatient().timezone, 'America/New_York');
+    });
+
+    it('answers in Spanish', async () => {
+        const result = await handleGlobalCommands({ ...patient, language: 'es' }, 'ZONA pacifico');
+        assert.match(result.reply, /zona horaria ahora es America\/Los Angeles/);
+    });
+
+    it('does not take over TIME', async () => {
+        const result = await handleGlobalCommands(patient, 'TIME 9pm');
+        assert.equal(result.templateId, 'SYS-TIME-CONFIRM');
+    });
+});
+
+describe('timezone at enrollment', () => {
+    const ENV_KEYS = ['SMS_TRANSPORT', 'LOCAL_SMS_OUTBOX'];
+    const savedEnv = {};
+
+    before(() => {
+        for (const key of ENV_KEYS) savedEnv[key] = process.env[key];
+        process.env.SMS_TRANSPORT = 'local';
+        process.env.LOCAL_SMS_OUTBOX = 'off';
+    });
+
+    after(() => {
+        for (const key of ENV_KEYS) {
+            if (savedEnv[key] === undefined) delete process.env[key];
+            else process.env[key] = savedEnv[key];
+        }
+    });
+
+    let store;
+
+    beforeEach(() => {
+        store = createMemoryRepositories();
+        useRepositories(store);
+    });
+
+    after(() => useRepositories(null));
+
+    const savedPatient = () => store.tables.patients[0];
+
+    function post(body) {
+        const res = {
+            statusCode: 200,
+            body: null,
+            status(code) { res.statusCode = code; return res; },
+            json(payload) { res.body = payload; return res; },
+        };
+        const request = {
+            method: 'POST',
+            body: { firstName: 'Ana', enrollmentSource: 'SELF_SERVICE', ...body },
+        };
+        return enroll(request, res).then(() => res);
+    }
+
+    it('infers the zone from the area code when none is given', async () => {
+        const res = await post({ phoneNumber: '(312) 555-1234' });
+        assert.equal(res.statusCode, 201);
+        assert.equal(savedPatient().timezone, 'America/Chicago');
+    });
+
+    it('keeps and canonicalizes a supplied zone', async () => {
+        const res = await post({ phoneNumber: '3125551234', timezone: 'america/denver' });
+        assert.equal(res.statusCode, 201);
+        assert.equal(savedPatient().timezone, 'America/Denver');
+    });
+
+    it('rejects an invalid zone', async () => {
+        const res = await post({ phoneNumber: '3125551234', timezone: 'Central' });
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.error, /timezone/);
+        assert.equal(store.tables.patients.length, 0);
+    });
+
+    it('self-enrollment by text uses the area code', async () => {
+        const { patient } = await selfEnroll('+14155551234', 'TRACK');
+        assert.equal(patient.timezone, 'America/Los_Angeles');
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * SMS Transport Tests
+ *
+ * Covers transport selection (SMS_TRANSPORT), the production guard on the
+ * local transport, the local outbox, and injecting inbound texts through
+ * the real /api/webhooks/twilio handler.
+ * (All data goes through the in-memory repositories; no network)
+ *
+ * Run: node --test tests/transports.test.js
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { useRepositories } = require('../lib/repositories');
+const { createMemoryRepositories } = require('../lib/repositories/memory');
+const { getTransport } = require('../lib/transports');
+const local = require('../lib/transports/local');
+const { sendSMS } = require('../lib/twilio');
+
+const PHONE = '+15555550123';
+const ENV_KEYS = ['SMS_TRANSPORT', 'NODE_ENV', 'LOCAL_SMS_OUTBOX'];
+
+describe('SMS transports', () => {
+    const savedEnv = {};
+    let outboxFile;
+    let store;
+
+    before(() => {
+        for (const key of ENV_KEYS) savedEnv[key] = process.env[key];
+        outboxFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sms-outbox-')), 'outbox.jsonl');
+    });
+
+    after(() => {
+        for (const key of ENV_KEYS) {
+            if (savedEnv[key] === undefined) delete process.env[key];
+            else process.env[key] = savedEnv[key];
+        }
+        fs.rmSync(path.dirname(outboxFile), { recursive: true, force: true });
+        useRepositories(null);
+    });
+
+    beforeEach(() => {
+        process.env.SMS_TRANSPORT = 'local';
+        process.env.NODE_ENV = 'test';
+        process.env.LOCAL_SMS_OUTBOX = outboxFile;
+        fs.rmSync(outboxFile, { force: true });
+        local.clearOutbox();
+        store = createMemoryRepositories();
+        useRepositories(store);
+    });
+
+    describe('getTransport', () => {
+        it('defaults to Twilio', () => {
+            delete process.env.SMS_TRANSPORT;
+            assert.equal(getTransport().name, 'twilio');
+        });
+
+        it('selects the local transport', () => {
+            assert.equal(getTransport().name, 'local');
+            process.env.SMS_TRANSPORT = ' LOCAL ';
+            assert.equal(getTransport().name, 'local');
+        });
+
+        it('rejects unknown transports', () => {
+            process.env.SMS_TRANSPORT = 'carrier-pigeon';
+            assert.throws(() => getTransport(), /Unknown SMS_TRANSPORT/);
+        });
+
+        it('refuses the local transport in production', () => {
+            process.env.NODE_ENV = 'production';
+            assert.throws(() => getTransport(), /not allowed/);
+        });
+    });
+
+    describe('local transport', () => {
+        it('records sent messages in memory and in the outbox file', async () => {
+            const sid = await sendSMS('p1', PHONE, 'How is your head today?', 'D-1');
+
+            assert.match(sid, /^SM[0-9a-f]{32}$/);
+            assert.equal(local.outbox.length, 1);
+            assert.equal(local.outbox[0].templateId, 'D-1');
+            assert.equal(store.tables.messages[0].twilio_sid, sid);
+
+            const lines = fs.readFileSync(outboxFile, 'utf8').trim().split('\n');
+            assert.equal(lines.length, 1);
+            assert.deepEqual(JSON.parse(lines[0]), local.outbox[0]);
+        });
+
+        it('skips the file when LOCAL_SMS_OUTBOX=off', async () => {
+            process.env.LOCAL_SMS_OUTBOX = 'off';
+            await sendSMS('p1', PHONE, 'hello', 'D-1');
+            assert.equal(local.outbox.length, 1);
+            assert.equal(fs.existsSync(outboxFile), false);
+        });
+
+        it('accepts unsigned webhooks', () => {
+            assert.equal(getTransport().verifySignature(null, null, {}), true);
+        });
+    });
+
+    describe('injectInbound', () => {
+        it('runs a text through the webhook and collects the reply', async () => {
+            const result = await local.injectInbound(PHONE, 'TRACK');
+
+            assert.equal(result.status, 200);
+            assert.equal(store.tables.patients[0].phone_number, PHONE);
+            assert.deepEqual(local.outbox.map(m => m.templateId), ['ENROLL-NAME']);
+            assert.equal(local.outbox[0].to, PHONE);
+        });
+
+        it('returns the TwiML reply for unknown numbers', async () => {
+            const result = await local.injectInbound(PHONE, 'hello?');
+
+            assert.equal(result.status, 200);
+            assert.match(result.twiml, /<Message>Hi! This is the Headache Vault/);
+            assert.equal(local.outbox.length, 0);
+        });
+    });
+});
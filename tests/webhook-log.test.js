@@ -0,0 +1,128 @@
+/**
+ * Webhook Log Tests
+ *
+ * Covers the idempotency insert (logWebhook: a retried MessageSid is a
+ * duplicate) and which webhook_log rows the replay tool picks up
+ * (getUnprocessedWebhooks): unprocessed and failed rows, oldest first;
+ * never processed or suppressed rows, rows still settling, or other
+ * sources. webhook_log is the in-memory repository.
+ *
+ * Run: node --test tests/webhook-log.test.js
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useRepositories } = require('../lib/repositories');
+const { createMemoryRepositories } = require('../lib/repositories/memory');
+
+const {
+    logWebhook,
+    markWebhookFailed,
+    markWebhookProcessed,
+    getUnprocessedWebhooks,
+} = require('../lib/services/webhook-log');
+
+const PHONE = '+15555550123';
+const OTHER_PHONE = '+15555550199';
+
+function row(logId, createdAt, overrides = {}) {
+    return {
+        log_id: logId,
+        source: 'twilio',
+        from_number: PHONE,
+        created_at: createdAt,
+        processed: false,
+        processing_error: null,
+        suppressed_reason: null,
+        ...overrides,
+    };
+}
+
+describe('logWebhook', () => {
+    let store;
+
+    beforeEach(() => {
+        store = createMemoryRepositories();
+        useRepositories(store);
+    });
+
+    afterEach(() => useRepositories(null));
+
+    const body = { MessageSid: 'SM123', From: PHONE, Body: '3' };
+
+    it('logs the webhook and returns its id', async () => {
+        const result = await logWebhook(body, PHONE, 'sig');
+        assert.equal(result.duplicate, false);
+
+        const [logged] = store.tables.webhook_log;
+        assert.equal(logged.log_id, result.logId);
+        assert.equal(logged.message_sid, 'SM123');
+        assert.equal(logged.processed, false);
+    });
+
+    it('reports a retried MessageSid as a duplicate', async () => {
+        await logWebhook(body, PHONE, 'sig');
+        assert.deepEqual(await logWebhook(body, PHONE, 'sig'), { logId: null, duplicate: true });
+        assert.equal(store.tables.webhook_log.length, 1);
+    });
+
+    it('records the outcome on the row', async () => {
+        const { logId } = await logWebhook(body, PHONE, 'sig');
+
+        await markWebhookFailed(logId, new Error('boom'));
+        assert.match(store.tables.webhook_log[0].processing_error, /boom/);
+
+        await markWebhookProcessed(logId);
+        assert.equal(store.tables.webhook_log[0].processed, true);
+        assert.equal(store.tables.webhook_log[0].processing_error, null);
+    });
+});
+
+describe('getUnprocessedWebhooks', () => {
+    let store;
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-16T18:00:00Z') });
+        store = createMemoryRepositories();
+        useRepositories(store);
+        store.tables.webhook_log.push(
+            row('failed', '2026-03-16T17:00:00.000Z', { processed: false, processing_error: 'boom' }),
+            row('processed', '2026-03-16T16:00:00.000Z', { processed: true, processed_at: '2026-03-16T16:00:01.000Z' }),
+            // Before migration 005 nothing set processed; its backfill marks these
+            row('historical', '2026-01-10T12:00:00.000Z', { processed: true, processed_at: '2026-01-10T12:00:00.000Z' }),
+            row('suppressed', '2026-03-16T16:30:00.000Z', { processed: true, suppressed_reason: 'RATE_LIMIT' }),
+            row('crashed', '2026-03-16T15:00:00.000Z'),
+            row('in-flight', '2026-03-16T17:58:00.000Z'),
+            row('other-number', '2026-03-16T14:00:00.000Z', { from_number: OTHER_PHONE }),
+            row('status-callback', '2026-03-16T14:30:00.000Z', { source: 'twilio-status' }),
+        );
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        useRepositories(null);
+    });
+
+    const ids = rows => rows.map(r => r.log_id);
+
+    it('returns unprocessed and failed rows, oldest first', async () => {
+        assert.deepEqual(ids(await getUnprocessedWebhooks()), ['other-number', 'crashed', 'failed']);
+    });
+
+    it('skips rows newer than the settle window', async () => {
+        assert.deepEqual(
+            ids(await getUnprocessedWebhooks({ settleMinutes: 1 })),
+            ['other-number', 'crashed', 'failed', 'in-flight']
+        );
+    });
+
+    it('filters by since and sender', async () => {
+        assert.deepEqual(ids(await getUnprocessedWebhooks({ since: '2026-03-16T15:00:00.000Z' })), ['crashed', 'failed']);
+        assert.deepEqual(ids(await getUnprocessedWebhooks({ fromNumber: OTHER_PHONE })), ['other-number']);
+    });
+
+    it('stops at the limit', async () => {
+        assert.deepEqual(ids(await getUnprocessedWebhooks({ limit: 1 })), ['other-number']);
+    });
+});